@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+// ERC-4337 contracts behind sponsored patient transactions: smart accounts owned by the patient's wallet
+// and a paymaster that pays gas for operations the backend has signed off on
+import {EntryPoint} from "@account-abstraction/contracts/core/EntryPoint.sol";
+import {SimpleAccountFactory} from "@account-abstraction/contracts/samples/SimpleAccountFactory.sol";
+import {VerifyingPaymaster} from "@account-abstraction/contracts/samples/VerifyingPaymaster.sol";
@@ -0,0 +1,76 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {TelemedicineSystem} from "./TelemedicineSystem.sol";
+import {TelemedicineRelayed} from "./TelemedicineRelayed.sol";
+
+// Scopes of a patient's record, combined as a bitmask in grants
+uint8 constant SCOPE_APPOINTMENTS = 1;
+uint8 constant SCOPE_LABS = 2;
+uint8 constant SCOPE_PRESCRIPTIONS = 4;
+uint8 constant SCOPE_AI_ANALYSES = 8;
+uint8 constant SCOPE_HISTORY = 16;
+uint8 constant ALL_SCOPES = 31;
+
+// Patient consent for TelemedicineSystem: patients grant providers time-limited access to scopes of their record, and
+// revoke it at any time. TelemedicineSystem checks it before a provider acts on a patient it has no standing
+// relationship with (ordering or picking up lab tests, reviewing AI analyses); the backend checks it before serving
+// records to anyone but their parties.
+contract TelemedicineConsent is Initializable, TelemedicineRelayed {
+    bytes32 private constant PATIENT_ROLE = keccak256("PATIENT_ROLE");
+
+    struct Grant {
+        uint8 scopes;
+        uint48 expiresAt;
+    }
+
+    TelemedicineSystem public telemedicine;
+    mapping(address => mapping(address => Grant)) public grants; // patient => provider => grant
+    mapping(address => address[]) private grantees; // patient => every provider ever granted, for listing
+
+    event ConsentGranted(address indexed patient, address indexed provider, uint8 scopes, uint48 expiresAt);
+    event ConsentRevoked(address indexed patient, address indexed provider);
+
+    function initialize(address _telemedicine) external initializer {
+        telemedicine = TelemedicineSystem(_telemedicine);
+    }
+
+    // Replaces any earlier grant to the provider
+    function grantConsent(address _provider, uint8 _scopes, uint48 _expiresAt) external {
+        address patient = _msgSender();
+        require(telemedicine.hasRole(PATIENT_ROLE, patient), "Not a patient");
+        require(_provider != address(0) && _provider != patient, "Invalid provider");
+        require(_scopes != 0 && _scopes & ~ALL_SCOPES == 0, "Invalid scopes");
+        require(_expiresAt > block.timestamp, "Expiry in the past");
+        if (grants[patient][_provider].expiresAt == 0) grantees[patient].push(_provider);
+        grants[patient][_provider] = Grant(_scopes, _expiresAt);
+        emit ConsentGranted(patient, _provider, _scopes, _expiresAt);
+    }
+
+    // Revoked grants keep expiresAt = 1 so the provider is listed only once
+    function revokeConsent(address _provider) external {
+        address patient = _msgSender();
+        require(grants[patient][_provider].scopes != 0, "No consent");
+        grants[patient][_provider] = Grant(0, 1);
+        emit ConsentRevoked(patient, _provider);
+    }
+
+    function hasConsent(address _patient, address _provider, uint8 _scope) external view returns (bool) {
+        Grant memory grant = grants[_patient][_provider];
+        return grant.scopes & _scope == _scope && block.timestamp < grant.expiresAt;
+    }
+
+    // Every provider the patient has granted, with their current (possibly revoked or expired) grant
+    function getGrants(address _patient) external view returns (address[] memory providers, Grant[] memory patientGrants) {
+        providers = grantees[_patient];
+        patientGrants = new Grant[](providers.length);
+        for (uint256 i = 0; i < providers.length; i++) {
+            patientGrants[i] = grants[_patient][providers[i]];
+        }
+    }
+
+    function _telemedicineSystem() internal view override returns (TelemedicineSystem) {
+        return telemedicine;
+    }
+}
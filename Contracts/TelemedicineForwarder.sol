@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+// ERC-2771 trusted forwarder: relays calls signed by users so they execute under the signer's address
+contract TelemedicineForwarder is EIP712 {
+    using ECDSA for bytes32;
+
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant FORWARD_REQUEST_TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    mapping(address => uint256) private nonces;
+
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    constructor() EIP712("TelemedicineForwarder", "1") {}
+
+    function getNonce(address _from) external view returns (uint256) {
+        return nonces[_from];
+    }
+
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        address signer = _hashTypedDataV4(keccak256(abi.encode(
+            FORWARD_REQUEST_TYPEHASH, _req.from, _req.to, _req.value, _req.gas, _req.nonce, _req.deadline, keccak256(_req.data)
+        ))).recover(_signature);
+        return nonces[_req.from] == _req.nonce && signer == _req.from;
+    }
+
+    function execute(ForwardRequest calldata _req, bytes calldata _signature) external payable returns (bytes memory) {
+        require(verify(_req, _signature), "Invalid signature");
+        require(block.timestamp <= _req.deadline, "Request expired");
+        require(msg.value == _req.value, "Value mismatch");
+        nonces[_req.from] = _req.nonce + 1;
+
+        (bool success, bytes memory result) = _req.to.call{gas: _req.gas, value: _req.value}(abi.encodePacked(_req.data, _req.from));
+
+        // Make sure the relayer forwarded enough gas for the inner call (EIP-150 keeps 1/64 back)
+        if (gasleft() <= _req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        emit RequestExecuted(_req.from, _req.to, _req.nonce);
+        return result;
+    }
+}
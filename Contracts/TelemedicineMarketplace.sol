@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import {TelemedicineSystem} from "./TelemedicineSystem.sol";
+import {TelemedicineRelayed} from "./TelemedicineRelayed.sol";
+
+// Data marketplace for TelemedicineSystem: researchers approved by an admin post requests for de-identified data,
+// funded in SONIC, with a cohort and a purpose the backend keeps and this contract commits to by hash. The curator
+// (the backend, which assembles datasets from patients sharing their data) fulfils a request with the records each
+// patient contributed; the budget is split in proportion and patients withdraw their earnings. Patients may revoke
+// their contribution to any study, before it is fulfilled or after; earnings already credited are kept.
+contract TelemedicineMarketplace is Initializable, ReentrancyGuardUpgradeable, TelemedicineRelayed {
+    bytes32 private constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    enum RequestStatus { Open, Fulfilled, Cancelled }
+
+    struct DataRequest {
+        address researcher;
+        uint256 budget; // SONIC held until the request is fulfilled or cancelled
+        bytes32 termsHash; // commitment to the cohort criteria and purpose
+        uint48 deadline;
+        RequestStatus status;
+        bytes32 datasetHash;
+        uint32 contributors;
+    }
+
+    TelemedicineSystem public telemedicine;
+    address public curator;
+    uint256 public requestCounter;
+    mapping(address => bool) public researchers;
+    mapping(uint256 => DataRequest) public requests;
+    mapping(uint256 => mapping(address => uint256)) public contributions; // request id => patient => records contributed
+    mapping(uint256 => mapping(address => bool)) public revoked; // request id => patient => contribution revoked
+    mapping(address => uint256) public earnings; // patient => withdrawable SONIC
+
+    event ResearcherUpdated(address indexed researcher, bool approved);
+    event CuratorUpdated(address curator);
+    event DataRequestCreated(uint256 indexed id, address indexed researcher, uint256 budget, bytes32 termsHash, uint48 deadline);
+    event DataRequestFulfilled(uint256 indexed id, bytes32 datasetHash, uint256 contributors, uint256 refund);
+    event DataRequestCancelled(uint256 indexed id, uint256 refund);
+    event DataContributed(uint256 indexed requestId, address indexed patient, uint256 records, uint256 amount);
+    event ContributionRevoked(uint256 indexed requestId, address indexed patient);
+    event EarningsWithdrawn(address indexed patient, uint256 amount);
+
+    modifier onlyAdmin() {
+        require(telemedicine.hasRole(ADMIN_ROLE, _msgSender()), "Not an admin");
+        _;
+    }
+
+    function initialize(address _telemedicine, address _curator) external initializer {
+        __ReentrancyGuard_init();
+        telemedicine = TelemedicineSystem(_telemedicine);
+        curator = _curator;
+    }
+
+    // Researchers: the budget is taken from the caller, who approves this contract for it first
+    function createDataRequest(bytes32 _termsHash, uint256 _budget, uint48 _deadline) external nonReentrant {
+        address researcher = _msgSender();
+        require(researchers[researcher], "Not a researcher");
+        require(_budget > 0, "Budget required");
+        require(_deadline > block.timestamp, "Deadline in the past");
+        require(telemedicine.sonicToken().transferFrom(researcher, address(this), _budget), "Transfer failed");
+        uint256 id = ++requestCounter;
+        requests[id] = DataRequest(researcher, _budget, _termsHash, _deadline, RequestStatus.Open, bytes32(0), 0);
+        emit DataRequestCreated(id, researcher, _budget, _termsHash, _deadline);
+    }
+
+    function cancelDataRequest(uint256 _id) external nonReentrant {
+        DataRequest storage request = requests[_id];
+        require(request.researcher == _msgSender(), "Not your request");
+        require(request.status == RequestStatus.Open, "Not open");
+        request.status = RequestStatus.Cancelled;
+        _transferOut(request.researcher, request.budget);
+        emit DataRequestCancelled(_id, request.budget);
+    }
+
+    // Curator: credits each contributor budget * records / total; rounding dust goes back to the researcher
+    function fulfillDataRequest(uint256 _id, address[] calldata _patients, uint256[] calldata _records, bytes32 _datasetHash)
+        external
+        nonReentrant
+    {
+        require(msg.sender == curator, "Not the curator");
+        DataRequest storage request = requests[_id];
+        require(request.status == RequestStatus.Open, "Not open");
+        require(block.timestamp <= request.deadline, "Expired");
+        require(_patients.length > 0 && _patients.length == _records.length, "Invalid contributors");
+        uint256 total;
+        for (uint256 i = 0; i < _patients.length; i++) {
+            require(_sharesData(_patients[i]), "Data sharing not enabled");
+            require(!revoked[_id][_patients[i]], "Contribution revoked");
+            require(_records[i] > 0 && contributions[_id][_patients[i]] == 0, "Invalid contributors");
+            contributions[_id][_patients[i]] = _records[i];
+            total += _records[i];
+        }
+        uint256 paid;
+        for (uint256 i = 0; i < _patients.length; i++) {
+            uint256 amount = request.budget * _records[i] / total;
+            earnings[_patients[i]] += amount;
+            paid += amount;
+            emit DataContributed(_id, _patients[i], _records[i], amount);
+        }
+        request.status = RequestStatus.Fulfilled;
+        request.datasetHash = _datasetHash;
+        request.contributors = uint32(_patients.length);
+        if (request.budget > paid) _transferOut(request.researcher, request.budget - paid);
+        emit DataRequestFulfilled(_id, _datasetHash, _patients.length, request.budget - paid);
+    }
+
+    // Patients: a revoked contribution is left out of the dataset, or of what the researcher can still download
+    function revokeContribution(uint256 _id) external {
+        address patient = _msgSender();
+        require(_id > 0 && _id <= requestCounter, "Unknown request");
+        require(!revoked[_id][patient], "Already revoked");
+        revoked[_id][patient] = true;
+        emit ContributionRevoked(_id, patient);
+    }
+
+    function withdrawEarnings() external nonReentrant {
+        address patient = _msgSender();
+        uint256 amount = earnings[patient];
+        require(amount > 0, "Nothing to withdraw");
+        earnings[patient] = 0;
+        _transferOut(patient, amount);
+        emit EarningsWithdrawn(patient, amount);
+    }
+
+    // Admin Functions
+    function setResearcher(address _researcher, bool _approved) external onlyAdmin {
+        researchers[_researcher] = _approved;
+        emit ResearcherUpdated(_researcher, _approved);
+    }
+
+    function setCurator(address _curator) external onlyAdmin {
+        curator = _curator;
+        emit CuratorUpdated(_curator);
+    }
+
+    function _sharesData(address _patient) private view returns (bool) {
+        (,,,, TelemedicineSystem.DataSharingStatus dataSharing,) = telemedicine.patients(_patient);
+        return dataSharing == TelemedicineSystem.DataSharingStatus.Enabled;
+    }
+
+    function _transferOut(address _to, uint256 _amount) private {
+        require(telemedicine.sonicToken().transfer(_to, _amount), "Transfer failed");
+    }
+
+    function _telemedicineSystem() internal view override returns (TelemedicineSystem) {
+        return telemedicine;
+    }
+}
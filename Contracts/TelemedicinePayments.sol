@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import {AddressUpgradeable} from "@openzeppelin/contracts-upgradeable/utils/AddressUpgradeable.sol";
+import {IERC20Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
+import {IERC20MetadataUpgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/IERC20MetadataUpgradeable.sol";
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import {TelemedicineSystem} from "./TelemedicineSystem.sol";
+import {TelemedicineRelayed} from "./TelemedicineRelayed.sol";
+
+// Pricing, escrow and payouts for TelemedicineSystem: USD fees are quoted in the patient's token from the Chainlink
+// feeds, held per appointment, credited to the payee when the appointment settles, and withdrawn by payees on their
+// own. Balances are kept per token; address(0) is ETH.
+contract TelemedicinePayments is Initializable, ReentrancyGuardUpgradeable, TelemedicineRelayed {
+    using AddressUpgradeable for address payable;
+
+    bytes32 private constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    uint16 private constant MAX_PLATFORM_FEE_BPS = 2000; // 20%
+    uint256 private constant USD_DECIMALS = 18;
+
+    struct Escrow {
+        address token;
+        uint256 amount;
+    }
+
+    TelemedicineSystem public telemedicine;
+    uint16 public platformFeeBps; // cut of every fee released to a doctor, in basis points
+    mapping(uint256 => Escrow) public escrows; // appointment id => fee held until it settles
+    mapping(address => mapping(address => uint256)) public balances; // payee => token => withdrawable
+    mapping(address => uint256) public platformBalances; // token => accrued platform fees
+    uint256 public maxPriceAge; // seconds after which a feed answer is too stale to price a booking
+
+    event EscrowHeld(uint256 indexed appointmentId, address indexed token, uint256 amount);
+    event EscrowReleased(uint256 indexed appointmentId, address indexed payee, uint256 amount, uint256 platformFee);
+    event Withdrawal(address indexed payee, address indexed token, uint256 amount);
+    event PlatformFeeUpdated(uint16 feeBps);
+    event PlatformFeesWithdrawn(address indexed to, address indexed token, uint256 amount);
+    event MaxPriceAgeUpdated(uint256 maxPriceAge);
+
+    modifier onlyTelemedicine() {
+        require(msg.sender == address(telemedicine), "Only TelemedicineSystem");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(telemedicine.hasRole(ADMIN_ROLE, _msgSender()), "Not an admin");
+        _;
+    }
+
+    function initialize(address _telemedicine) external initializer {
+        __ReentrancyGuard_init();
+        telemedicine = TelemedicineSystem(_telemedicine);
+        maxPriceAge = 1 hours;
+    }
+
+    // Pricing: converts a USD amount (18 decimals) into the token's smallest unit. ETH and SONIC use their
+    // Chainlink feeds; USDC is taken at $1.
+    function quote(address _token, uint256 _usdAmount) external view returns (uint256) {
+        if (_token == address(telemedicine.usdcToken())) {
+            return _usdAmount * 10**IERC20MetadataUpgradeable(_token).decimals() / 10**USD_DECIMALS;
+        }
+        AggregatorV3Interface feed;
+        uint256 tokenDecimals = 18;
+        if (_token == address(0)) {
+            feed = telemedicine.ethUsdPriceFeed();
+        } else {
+            require(_token == address(telemedicine.sonicToken()), "Unsupported token");
+            feed = telemedicine.sonicUsdPriceFeed();
+            tokenDecimals = IERC20MetadataUpgradeable(_token).decimals();
+        }
+        return _usdAmount * 10**(tokenDecimals + feed.decimals()) / (_price(feed) * 10**USD_DECIMALS);
+    }
+
+    // Escrow (TelemedicineSystem only): it transfers tokens here before calling, and forwards ETH with the call
+    function hold(uint256 _appointmentId, address _token, uint256 _amount) external payable onlyTelemedicine {
+        require(msg.value == (_token == address(0) ? _amount : 0), "Value mismatch");
+        escrows[_appointmentId] = Escrow(_token, _amount);
+        emit EscrowHeld(_appointmentId, _token, _amount);
+    }
+
+    // Credits an appointment's escrow to the payee; the platform fee is only taken from payments to the doctor
+    function release(uint256 _appointmentId, address _payee, bool _chargeFee) external onlyTelemedicine {
+        Escrow memory escrow = escrows[_appointmentId];
+        delete escrows[_appointmentId];
+        uint256 platformFee = _chargeFee ? escrow.amount * platformFeeBps / 10000 : 0;
+        platformBalances[escrow.token] += platformFee;
+        balances[_payee][escrow.token] += escrow.amount - platformFee;
+        emit EscrowReleased(_appointmentId, _payee, escrow.amount - platformFee, platformFee);
+    }
+
+    // Payees: doctors collect their earnings and patients their refunds
+    function withdraw(address _token) external nonReentrant {
+        address payee = _msgSender();
+        uint256 amount = balances[payee][_token];
+        require(amount > 0, "Nothing to withdraw");
+        balances[payee][_token] = 0;
+        _transferOut(_token, payee, amount);
+        emit Withdrawal(payee, _token, amount);
+    }
+
+    // Admin Functions
+    function setPlatformFee(uint16 _feeBps) external onlyAdmin {
+        require(_feeBps <= MAX_PLATFORM_FEE_BPS, "Fee too high");
+        platformFeeBps = _feeBps;
+        emit PlatformFeeUpdated(_feeBps);
+    }
+
+    function setMaxPriceAge(uint256 _maxPriceAge) external onlyAdmin {
+        maxPriceAge = _maxPriceAge;
+        emit MaxPriceAgeUpdated(_maxPriceAge);
+    }
+
+    function withdrawPlatformFees(address _token, address _to, uint256 _amount) external onlyAdmin nonReentrant {
+        require(_amount <= platformBalances[_token], "Insufficient balance");
+        platformBalances[_token] -= _amount;
+        _transferOut(_token, _to, _amount);
+        emit PlatformFeesWithdrawn(_to, _token, _amount);
+    }
+
+    // Latest answer, rejected if it is non-positive, from an unfinished round, or older than maxPriceAge
+    function _price(AggregatorV3Interface _feed) private view returns (uint256) {
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = _feed.latestRoundData();
+        require(answer > 0, "Invalid price");
+        require(updatedAt != 0 && answeredInRound >= roundId, "Incomplete round");
+        require(block.timestamp - updatedAt <= maxPriceAge, "Stale price");
+        return uint256(answer);
+    }
+
+    function _transferOut(address _token, address _to, uint256 _amount) private {
+        if (_token == address(0)) {
+            payable(_to).sendValue(_amount);
+        } else {
+            require(IERC20Upgradeable(_token).transfer(_to, _amount), "Transfer failed");
+        }
+    }
+
+    function _telemedicineSystem() internal view override returns (TelemedicineSystem) {
+        return telemedicine;
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {TelemedicineSystem} from "./TelemedicineSystem.sol";
+
+// ERC-2771 for the contracts around TelemedicineSystem: calls relayed by its trusted forwarder carry the original
+// sender in the last 20 bytes. Stateless, so inheriting it leaves an upgradeable contract's storage layout as it was;
+// the inheriting contract supplies the TelemedicineSystem it belongs to.
+abstract contract TelemedicineRelayed {
+    function _telemedicineSystem() internal view virtual returns (TelemedicineSystem);
+
+    function _msgSender() internal view returns (address sender) {
+        if (_telemedicineSystem().isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+}
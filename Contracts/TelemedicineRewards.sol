@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.20;
+
+import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
+import {TelemedicineSystem} from "./TelemedicineSystem.sol";
+import {TelemedicineRelayed} from "./TelemedicineRelayed.sol";
+
+// Workflow steps in TelemedicineSystem that contribute a sharing patient's data, each weighted in the reward policy
+uint8 constant REWARD_AI_ANALYSIS = 0;
+uint8 constant REWARD_LAB_ORDER = 1;
+uint8 constant REWARD_LAB_RESULTS = 2;
+uint8 constant REWARD_LAB_REVIEW = 3;
+uint8 constant REWARD_ACTIONS = 4;
+
+// Data rewards for TelemedicineSystem. Each step contributing a sharing patient's data accrues them the policy's amount
+// scaled by the step's weight, within a per-epoch budget across patients, a per-epoch cap per patient, and what the
+// pool holds beyond rewards already accrued; whatever does not fit is not accrued, so the workflow never fails for
+// want of funds. Patients claim what they accrued whenever they like. Admins set the policy, fund the pool and may take
+// back what no patient is owed.
+contract TelemedicineRewards is Initializable, ReentrancyGuardUpgradeable, TelemedicineRelayed {
+    bytes32 private constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    uint16 private constant FULL_WEIGHT = 10000; // basis points: a step at full weight accrues the policy amount
+
+    struct RewardPolicy {
+        uint256 amount; // SONIC per step at full weight
+        uint48 epochLength; // seconds
+        uint256 epochBudget; // most SONIC accrued per epoch across patients; 0 for no limit
+        uint256 patientCap; // most SONIC a patient accrues per epoch; 0 for no limit
+        uint256 lowBalanceThreshold; // RewardPoolLow is emitted once the unreserved balance falls below this
+    }
+
+    struct PatientRewards {
+        uint256 accrued;
+        uint256 claimed;
+        uint256 epoch;
+        uint256 epochAccrued;
+    }
+
+    TelemedicineSystem public telemedicine;
+    RewardPolicy public policy;
+    mapping(uint8 => uint16) public weights; // action => basis points of the policy amount
+    mapping(address => PatientRewards) public rewards;
+    uint256 public totalFunded;
+    uint256 public totalAccrued;
+    uint256 public totalClaimed;
+    uint256 public epoch;
+    uint256 public epochAccrued;
+    bool public poolLow; // set when RewardPoolLow is emitted, cleared once funding lifts the pool back
+
+    event RewardPolicyUpdated(uint256 amount, uint48 epochLength, uint256 epochBudget, uint256 patientCap, uint256 lowBalanceThreshold);
+    event ActionWeightUpdated(uint8 indexed action, uint16 weight);
+    event RewardPoolFunded(address indexed from, uint256 amount);
+    event RewardPoolWithdrawn(address indexed to, uint256 amount);
+    event RewardPoolLow(uint256 available, uint256 threshold);
+    event RewardAccrued(address indexed patient, uint8 indexed action, uint256 amount, uint256 withheld);
+    event DataRewardClaimed(address indexed patient, uint256 amount);
+
+    modifier onlyTelemedicine() {
+        require(msg.sender == address(telemedicine), "Only TelemedicineSystem");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(telemedicine.hasRole(ADMIN_ROLE, _msgSender()), "Not an admin");
+        _;
+    }
+
+    function initialize(address _telemedicine) external initializer {
+        __ReentrancyGuard_init();
+        telemedicine = TelemedicineSystem(_telemedicine);
+    }
+
+    // Called by TelemedicineSystem for patients sharing their data; never reverts for want of budget or funds
+    function accrue(address _patient, uint8 _action) external onlyTelemedicine {
+        if (policy.epochLength == 0) return;
+        uint256 nominal = policy.amount * weights[_action] / FULL_WEIGHT;
+        if (nominal == 0) return;
+
+        uint256 current = block.timestamp / policy.epochLength;
+        if (epoch != current) {
+            epoch = current;
+            epochAccrued = 0;
+        }
+        PatientRewards storage patient = rewards[_patient];
+        if (patient.epoch != current) {
+            patient.epoch = current;
+            patient.epochAccrued = 0;
+        }
+
+        uint256 amount = nominal;
+        if (policy.patientCap > 0) amount = _min(amount, policy.patientCap - _min(policy.patientCap, patient.epochAccrued));
+        if (policy.epochBudget > 0) amount = _min(amount, policy.epochBudget - _min(policy.epochBudget, epochAccrued));
+        amount = _min(amount, available());
+
+        patient.accrued += amount;
+        patient.epochAccrued += amount;
+        epochAccrued += amount;
+        totalAccrued += amount;
+        emit RewardAccrued(_patient, _action, amount, nominal - amount);
+        _checkPoolLow();
+    }
+
+    function claimRewards() external nonReentrant {
+        address patient = _msgSender();
+        PatientRewards storage patientRewards = rewards[patient];
+        uint256 amount = patientRewards.accrued - patientRewards.claimed;
+        require(amount > 0, "Nothing to claim");
+        patientRewards.claimed = patientRewards.accrued;
+        totalClaimed += amount;
+        require(telemedicine.sonicToken().transfer(patient, amount), "Transfer failed");
+        emit DataRewardClaimed(patient, amount);
+    }
+
+    // Anyone may fund the pool; the caller approves this contract for the amount first
+    function fund(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Amount required");
+        require(telemedicine.sonicToken().transferFrom(_msgSender(), address(this), _amount), "Transfer failed");
+        _funded(_msgSender(), _amount);
+    }
+
+    // TelemedicineSystem has sent the SONIC it held for rewards before this pool
+    function fundLeftover(uint256 _amount) external onlyTelemedicine {
+        _funded(msg.sender, _amount);
+    }
+
+    // Pool balance not owed to any patient
+    function available() public view returns (uint256) {
+        uint256 balance = telemedicine.sonicToken().balanceOf(address(this));
+        uint256 reserved = totalAccrued - totalClaimed;
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    // Admin Functions
+    function setRewardPolicy(uint256 _amount, uint48 _epochLength, uint256 _epochBudget, uint256 _patientCap, uint256 _lowBalanceThreshold)
+        external
+        onlyAdmin
+    {
+        require(_epochLength > 0, "Invalid epoch");
+        policy = RewardPolicy(_amount, _epochLength, _epochBudget, _patientCap, _lowBalanceThreshold);
+        emit RewardPolicyUpdated(_amount, _epochLength, _epochBudget, _patientCap, _lowBalanceThreshold);
+        poolLow = false;
+        _checkPoolLow();
+    }
+
+    function setActionWeight(uint8 _action, uint16 _weight) external onlyAdmin {
+        require(_action < REWARD_ACTIONS, "Unknown action");
+        weights[_action] = _weight;
+        emit ActionWeightUpdated(_action, _weight);
+    }
+
+    function withdrawPool(address _to, uint256 _amount) external onlyAdmin nonReentrant {
+        require(_amount <= available(), "Exceeds unreserved balance");
+        require(telemedicine.sonicToken().transfer(_to, _amount), "Transfer failed");
+        emit RewardPoolWithdrawn(_to, _amount);
+        _checkPoolLow();
+    }
+
+    function _checkPoolLow() private {
+        uint256 unreserved = available();
+        if (!poolLow && unreserved < policy.lowBalanceThreshold) {
+            poolLow = true;
+            emit RewardPoolLow(unreserved, policy.lowBalanceThreshold);
+        }
+    }
+
+    function _funded(address _from, uint256 _amount) private {
+        totalFunded += _amount;
+        emit RewardPoolFunded(_from, _amount);
+        if (poolLow && available() >= policy.lowBalanceThreshold) poolLow = false;
+    }
+
+    function _min(uint256 a, uint256 b) private pure returns (uint256) {
+        return a < b ? a : b;
+    }
+
+    function _telemedicineSystem() internal view override returns (TelemedicineSystem) {
+        return telemedicine;
+    }
+}
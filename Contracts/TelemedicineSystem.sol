@@ -8,10 +8,11 @@ import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/security/
 import {IERC20Upgradeable} from "@openzeppelin/contracts-upgradeable/token/ERC20/IERC20Upgradeable.sol";
 import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 import {IEntryPoint} from "@account-abstraction/contracts/interfaces/IEntryPoint.sol";
+import {TelemedicinePayments} from "./TelemedicinePayments.sol";
+import {TelemedicineConsent, SCOPE_LABS, SCOPE_AI_ANALYSES} from "./TelemedicineConsent.sol";
+import {TelemedicineRewards, REWARD_AI_ANALYSIS, REWARD_LAB_ORDER, REWARD_LAB_RESULTS, REWARD_LAB_REVIEW} from "./TelemedicineRewards.sol";
 
 contract TelemedicineSystem is Initializable, AccessControlUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable {
-    using AddressUpgradeable for address payable;
-
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant DOCTOR_ROLE = keccak256("DOCTOR_ROLE");
     bytes32 public constant PATIENT_ROLE = keccak256("PATIENT_ROLE");
@@ -22,17 +23,19 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
     IERC20Upgradeable public sonicToken;
     AggregatorV3Interface public ethUsdPriceFeed;
     AggregatorV3Interface public sonicUsdPriceFeed;
-    IEntryPoint public entryPoint; // Account abstraction entry point
+    IEntryPoint public entryPoint; // ERC-4337 entry point; patients' smart accounts call in through it
 
     uint256 private constant MIN_BOOKING_BUFFER = 15 minutes;
     uint256 private constant MIN_CANCELLATION_BUFFER = 1 hours;
+    uint256 private constant NO_SHOW_GRACE_PERIOD = 15 minutes;
+    uint256 private constant COMPLETION_WINDOW = 1 days;
     uint256 private constant VERIFICATION_TIMEOUT = 7 days;
-    uint256 private constant DATA_MONETIZATION_REWARD = 10 * 10**18; // 10 SONIC tokens
+    uint256 private constant REFILL_WINDOW = 365 days; // after issue, for the last fill; the backend's refills lapse with it
 
-    enum AppointmentStatus { Pending, Confirmed, Completed, Cancelled, Emergency }
+    enum AppointmentStatus { Pending, Confirmed, Completed, Cancelled, Emergency, NoShow }
     enum PaymentType { ETH, USDC, SONIC }
     enum LabTestStatus { Requested, Collected, ResultsUploaded, Reviewed }
-    enum PrescriptionStatus { Generated, Verified, Fulfilled }
+    enum PrescriptionStatus { Generated, Verified, Fulfilled, Cancelled }
     enum DataSharingStatus { Disabled, Enabled }
 
     struct GamificationData {
@@ -46,12 +49,12 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
         bytes32 medicalHistoryHash;
         GamificationData gamification;
         DataSharingStatus dataSharing; // Opt-in for data monetization
-        uint256 lastRewardTimestamp;
+        uint256 lastRewardTimestamp; // no longer written; rewards accrue in TelemedicineRewards
     }
 
     struct Doctor {
         bool isVerified;
-        uint256 consultationFee;
+        uint256 consultationFee; // USD, 18 decimals; converted to the patient's token at booking
         string licenseNumber;
     }
 
@@ -106,21 +109,12 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
     struct AISymptomAnalysis {
         uint256 id;
         address patient;
-        string symptoms;
+        string symptoms; // plaintext from before symptom commitments, until migrateAISymptomAnalyses clears it
         string analysisIpfsHash;
         bool doctorReviewed;
-    }
-
-    struct UserOperation {
-        address sender;
-        uint256 nonce;
-        bytes callData;
-        uint256 callGasLimit;
-        uint256 verificationGasLimit;
-        uint256 preVerificationGas;
-        uint256 maxFeePerGas;
-        uint256 maxPriorityFeePerGas;
-        bytes signature;
+        bytes32 symptomsHash; // commitment to the patient's encrypted off-chain symptom report
+        bool symptomsMigrated; // symptomsHash is the unsalted hash of plaintext symptoms, see migrateAISymptomAnalyses
+        address assignedDoctor; // the only doctor who may review it
     }
 
     mapping(address => Patient) public patients;
@@ -128,29 +122,54 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
     mapping(address => LabTechnician) public labTechnicians;
     mapping(address => Pharmacy) public pharmacies;
     mapping(uint256 => Appointment) public appointments;
-    mapping(uint256 => LabTestOrder) public labTestOrders;
-    mapping(uint256 => Prescription) public prescriptions;
-    mapping(uint256 => AISymptomAnalysis) public aiAnalyses;
+    // Read through the get*Details views
+    mapping(uint256 => LabTestOrder) private labTestOrders;
+    mapping(uint256 => Prescription) private prescriptions;
+    mapping(uint256 => AISymptomAnalysis) private aiAnalyses;
 
     uint256 public appointmentCounter;
     uint256 public labTestCounter;
     uint256 public prescriptionCounter;
     uint256 public aiAnalysisCounter;
 
+    address public trustedForwarder; // ERC-2771 forwarder relaying user-signed requests
+    TelemedicinePayments public payments; // escrows booking fees and pays them out
+    mapping(address => mapping(uint48 => uint256)) public bookedSlots; // doctor => slot start => active appointment id
+    TelemedicineConsent public consent; // patients' grants to providers
+    TelemedicineRewards public rewards; // accrues data rewards to sharing patients
+
     event PatientRegistered(address indexed patient);
     event DoctorVerified(address indexed doctor);
     event LabTechnicianVerified(address indexed labTech);
     event PharmacyRegistered(address indexed pharmacy);
     event AppointmentBooked(uint256 indexed id, address indexed patient);
+    event AppointmentConfirmed(uint256 indexed id, address indexed doctor);
+    event AppointmentCancelled(uint256 indexed id, address indexed cancelledBy, uint256 refund);
+    event AppointmentRescheduled(uint256 indexed id, uint48 scheduledTimestamp);
+    event AppointmentCompleted(uint256 indexed id, address indexed doctor);
+    event AppointmentNoShow(uint256 indexed id, address indexed absentee);
     event LabTestOrdered(uint256 indexed id, address indexed patient);
+    event LabTestAssigned(uint256 indexed id, address indexed labTech);
+    event LabSampleCollected(uint256 indexed id, address indexed labTech);
+    event LabSampleRejected(uint256 indexed id, address indexed labTech);
     event LabTestResultsUploaded(uint256 indexed id, string ipfsHash);
+    event LabTestReviewed(uint256 indexed id, address indexed doctor);
     event PrescriptionGenerated(uint256 indexed id, address indexed patient);
     event PrescriptionVerified(uint256 indexed id, address indexed pharmacy);
     event PrescriptionFulfilled(uint256 indexed id, address indexed pharmacy);
+    event PrescriptionCancelled(uint256 indexed id, address indexed doctor);
     event AISymptomAnalyzed(uint256 indexed id, address indexed patient);
+    event AIAnalysisAssigned(uint256 indexed id, address indexed doctor);
+    event AIAnalysisReviewed(uint256 indexed id, address indexed doctor);
     event VideoCallStarted(uint256 indexed appointmentId, string videoCallLink);
     event DataMonetizationOptIn(address indexed patient, bool enabled);
-    event DataRewardClaimed(address indexed patient, uint256 amount);
+    event DataRewardClaimed(address indexed patient, uint256 amount); // no longer emitted; TelemedicineRewards pays rewards
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event PaymentsUpdated(address indexed payments);
+    event ConsentUpdated(address indexed consent);
+    event RewardsUpdated(address indexed rewards);
+    event MedicalHistoryUpdated(address indexed patient, bytes32 medicalHistoryHash);
+    event ConsultationFeeUpdated(address indexed doctor, uint256 fee);
 
     function initialize(
         address _usdcToken,
@@ -168,7 +187,7 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
         _setRoleAdmin(PATIENT_ROLE, ADMIN_ROLE);
         _setRoleAdmin(LAB_TECH_ROLE, ADMIN_ROLE);
         _setRoleAdmin(PHARMACY_ROLE, ADMIN_ROLE);
-        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(ADMIN_ROLE, _msgSender());
 
         usdcToken = IERC20Upgradeable(_usdcToken);
         sonicToken = IERC20Upgradeable(_sonicToken);
@@ -196,189 +215,388 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
         emit PharmacyRegistered(_pharmacy);
     }
 
+    function setTrustedForwarder(address _forwarder) external onlyRole(ADMIN_ROLE) {
+        trustedForwarder = _forwarder;
+        emit TrustedForwarderUpdated(_forwarder);
+    }
+
+    function setPayments(address _payments) external onlyRole(ADMIN_ROLE) {
+        payments = TelemedicinePayments(_payments);
+        emit PaymentsUpdated(_payments);
+    }
+
+    function setConsent(address _consent) external onlyRole(ADMIN_ROLE) {
+        consent = TelemedicineConsent(_consent);
+        emit ConsentUpdated(_consent);
+    }
+
+    // `_leftover` is the SONIC this contract held for rewards before they moved to TelemedicineRewards, which funds
+    // the new pool. The admin names it: the balance also holds SONIC bookings escrowed before TelemedicinePayments.
+    function setRewards(address _rewards, uint256 _leftover) external onlyRole(ADMIN_ROLE) {
+        rewards = TelemedicineRewards(_rewards);
+        if (_leftover > 0) {
+            _transfer(address(sonicToken), _rewards, _leftover);
+            rewards.fundLeftover(_leftover);
+        }
+        emit RewardsUpdated(_rewards);
+    }
+
     // Patient Functions
     function registerPatient(string calldata _encryptedSymmetricKey) external whenNotPaused {
-        require(!patients[msg.sender].isRegistered, "Already registered");
-        patients[msg.sender] = Patient(true, _encryptedSymmetricKey, bytes32(0), GamificationData(0, 1), DataSharingStatus.Disabled, 0);
-        _grantRole(PATIENT_ROLE, msg.sender);
-        emit PatientRegistered(msg.sender);
+        address patient = _msgSender();
+        require(!patients[patient].isRegistered, "Already registered");
+        patients[patient] = Patient(true, _encryptedSymmetricKey, bytes32(0), GamificationData(0, 1), DataSharingStatus.Disabled, 0);
+        _grantRole(PATIENT_ROLE, patient);
+        emit PatientRegistered(patient);
     }
 
+    // The doctor's USD fee is charged in the chosen token at the current feed price; `_maxAmount` bounds the
+    // token amount the patient accepts if the price moves after they were quoted
     function bookAppointment(
         address _doctor,
         uint48 _timestamp,
         PaymentType _paymentType,
         bool _isVideoCall,
-        string calldata _videoCallLink
+        string calldata _videoCallLink,
+        uint256 _maxAmount
     ) external payable onlyRole(PATIENT_ROLE) nonReentrant {
         require(doctors[_doctor].isVerified, "Doctor not verified");
-        require(_timestamp > block.timestamp + MIN_BOOKING_BUFFER, "Too soon");
-
-        uint256 fee = doctors[_doctor].consultationFee;
-        _processPayment(_paymentType, fee);
 
+        address token = _paymentToken(_paymentType);
+        uint256 fee = payments.quote(token, doctors[_doctor].consultationFee);
+        require(fee <= _maxAmount, "Price above maximum");
         appointmentCounter++;
-        appointments[appointmentCounter] = Appointment(appointmentCounter, msg.sender, _doctor, _timestamp, AppointmentStatus.Pending, fee, _paymentType, _isVideoCall ? _videoCallLink : "", _isVideoCall);
-        patients[msg.sender].gamification.mediPoints += 20;
-        emit AppointmentBooked(appointmentCounter, msg.sender);
+        _claimSlot(_doctor, _timestamp, appointmentCounter);
+        address patient = _msgSender();
+        appointments[appointmentCounter] = Appointment(appointmentCounter, patient, _doctor, _timestamp, AppointmentStatus.Pending, fee, _paymentType, _isVideoCall ? _videoCallLink : "", _isVideoCall);
+        patients[patient].gamification.mediPoints += 20;
+        _processPayment(appointmentCounter, token, fee);
+        emit AppointmentBooked(appointmentCounter, patient);
+    }
+
+    // Anchors a new version of the patient's encrypted history document; the hash is keccak256 of its IPFS CID
+    function updateMedicalHistory(bytes32 _medicalHistoryHash) external onlyRole(PATIENT_ROLE) {
+        patients[_msgSender()].medicalHistoryHash = _medicalHistoryHash;
+        emit MedicalHistoryUpdated(_msgSender(), _medicalHistoryHash);
     }
 
-    function requestAISymptomAnalysis(string calldata _symptoms) external onlyRole(PATIENT_ROLE) {
+    // The symptoms stay off-chain; `_symptomsHash` is keccak256(salt, report) so it cannot be matched against guesses
+    function requestAISymptomAnalysis(bytes32 _symptomsHash) external onlyRole(PATIENT_ROLE) {
         aiAnalysisCounter++;
-        aiAnalyses[aiAnalysisCounter] = AISymptomAnalysis(aiAnalysisCounter, msg.sender, _symptoms, "", false);
-        patients[msg.sender].gamification.mediPoints += 10;
-        emit AISymptomAnalyzed(aiAnalysisCounter, msg.sender);
-        _monetizeData(msg.sender);
+        address patient = _msgSender();
+        aiAnalyses[aiAnalysisCounter] = AISymptomAnalysis(aiAnalysisCounter, patient, "", "", false, _symptomsHash, false, address(0));
+        patients[patient].gamification.mediPoints += 10;
+        emit AISymptomAnalyzed(aiAnalysisCounter, patient);
+        _monetizeData(patient, REWARD_AI_ANALYSIS);
     }
 
     // Data Monetization Functions
     function toggleDataMonetization(bool _enable) external onlyRole(PATIENT_ROLE) {
-        Patient storage patient = patients[msg.sender];
+        Patient storage patient = patients[_msgSender()];
         require(patient.isRegistered, "Not registered");
         patient.dataSharing = _enable ? DataSharingStatus.Enabled : DataSharingStatus.Disabled;
-        emit DataMonetizationOptIn(msg.sender, _enable);
+        emit DataMonetizationOptIn(_msgSender(), _enable);
     }
 
-    function claimDataReward() external onlyRole(PATIENT_ROLE) nonReentrant {
-        Patient storage patient = patients[msg.sender];
-        require(patient.dataSharing == DataSharingStatus.Enabled, "Data sharing not enabled");
-        require(block.timestamp >= patient.lastRewardTimestamp + 1 days, "Reward not yet available");
-        require(sonicToken.balanceOf(address(this)) >= DATA_MONETIZATION_REWARD, "Insufficient SONIC tokens");
-
-        patient.lastRewardTimestamp = block.timestamp;
-        sonicToken.transfer(msg.sender, DATA_MONETIZATION_REWARD);
-        emit DataRewardClaimed(msg.sender, DATA_MONETIZATION_REWARD);
-    }
-
-    // Account Abstraction Entry Point
-    function handleUserOp(UserOperation calldata _userOp) external onlyEntryPoint {
-        require(_userOp.sender == msg.sender || hasRole(PATIENT_ROLE, _userOp.sender), "Invalid sender");
-        (bool success, bytes memory result) = address(this).call(_userOp.callData);
-        require(success, "User operation failed");
-        entryPoint.handleOps(_userOp, payable(msg.sender));
+    // Doctor Functions
+    function setConsultationFee(uint256 _fee) external onlyRole(DOCTOR_ROLE) {
+        doctors[_msgSender()].consultationFee = _fee;
+        emit ConsultationFeeUpdated(_msgSender(), _fee);
     }
 
-    // Doctor Functions
     function confirmAppointment(uint256 _appointmentId) external onlyRole(DOCTOR_ROLE) {
         Appointment storage apt = appointments[_appointmentId];
-        require(apt.doctor == msg.sender, "Not your appointment");
+        require(apt.doctor == _msgSender(), "Not your appointment");
         require(apt.status == AppointmentStatus.Pending, "Not pending");
         apt.status = AppointmentStatus.Confirmed;
+        emit AppointmentConfirmed(_appointmentId, _msgSender());
         if (apt.isVideoCall) emit VideoCallStarted(_appointmentId, apt.videoCallLink);
     }
 
+    function completeAppointment(uint256 _appointmentId) external onlyRole(DOCTOR_ROLE) {
+        Appointment storage apt = appointments[_appointmentId];
+        require(apt.doctor == _msgSender(), "Not your appointment");
+        require(apt.status == AppointmentStatus.Confirmed, "Not confirmed");
+        require(block.timestamp >= apt.scheduledTimestamp, "Not started");
+        apt.status = AppointmentStatus.Completed;
+        _release(apt, apt.doctor, true);
+        emit AppointmentCompleted(_appointmentId, apt.doctor);
+    }
+
+    // Appointment Lifecycle (patient or doctor)
+    // A doctor's cancellation, or a patient's made before MIN_CANCELLATION_BUFFER, refunds the patient in full;
+    // a later patient cancellation pays the fee to the doctor.
+    function cancelAppointment(uint256 _appointmentId) external {
+        Appointment storage apt = _activeAppointment(_appointmentId);
+        bool refund = _msgSender() == apt.doctor || block.timestamp + MIN_CANCELLATION_BUFFER <= apt.scheduledTimestamp;
+        apt.status = AppointmentStatus.Cancelled;
+        delete bookedSlots[apt.doctor][apt.scheduledTimestamp];
+        _release(apt, refund ? apt.patient : apt.doctor, !refund);
+        emit AppointmentCancelled(_appointmentId, _msgSender(), refund ? apt.fee : 0);
+    }
+
+    // Moving an appointment needs the same notice as cancelling it; the doctor must re-confirm a patient's change
+    function rescheduleAppointment(uint256 _appointmentId, uint48 _timestamp) external {
+        Appointment storage apt = _activeAppointment(_appointmentId);
+        require(block.timestamp + MIN_CANCELLATION_BUFFER <= apt.scheduledTimestamp, "Too late to reschedule");
+        delete bookedSlots[apt.doctor][apt.scheduledTimestamp];
+        _claimSlot(apt.doctor, _timestamp, _appointmentId);
+        apt.scheduledTimestamp = _timestamp;
+        if (_msgSender() == apt.patient) apt.status = AppointmentStatus.Pending;
+        emit AppointmentRescheduled(_appointmentId, _timestamp);
+    }
+
+    // The doctor may report a patient absent after the grace period and keeps the fee. A patient may report the
+    // doctor absent once the doctor has had COMPLETION_WINDOW to complete the appointment, and is refunded.
+    function markNoShow(uint256 _appointmentId) external {
+        Appointment storage apt = _activeAppointment(_appointmentId);
+        bool byDoctor = _msgSender() == apt.doctor;
+        require(!byDoctor || apt.status == AppointmentStatus.Confirmed, "Not confirmed");
+        uint256 deadline = apt.scheduledTimestamp + (byDoctor ? NO_SHOW_GRACE_PERIOD : COMPLETION_WINDOW);
+        require(block.timestamp >= deadline, "Too early");
+        apt.status = AppointmentStatus.NoShow;
+        _release(apt, byDoctor ? apt.doctor : apt.patient, byDoctor);
+        emit AppointmentNoShow(_appointmentId, byDoctor ? apt.patient : apt.doctor);
+    }
+
     function orderLabTest(address _patient, string calldata _testType) external onlyRole(DOCTOR_ROLE) {
         require(patients[_patient].isRegistered, "Patient not registered");
+        _requireConsent(_patient, SCOPE_LABS);
         labTestCounter++;
-        labTestOrders[labTestCounter] = LabTestOrder(labTestCounter, _patient, msg.sender, address(0), LabTestStatus.Requested, _testType, "", "", uint48(block.timestamp), 0);
+        labTestOrders[labTestCounter] = LabTestOrder(labTestCounter, _patient, _msgSender(), address(0), LabTestStatus.Requested, _testType, "", "", uint48(block.timestamp), 0);
         emit LabTestOrdered(labTestCounter, _patient);
-        _monetizeData(_patient);
+        _monetizeData(_patient, REWARD_LAB_ORDER);
     }
 
-    function reviewLabResults(uint256 _labTestId, string calldata _medicationDetails, string calldata _prescriptionIpfsHash) external onlyRole(DOCTOR_ROLE) {
+    // The ordering doctor sends an order to a lab, which alone may then collect its sample. Until then the doctor may
+    // reassign it, e.g. from an address that turns out not to be a lab
+    function assignLabTest(uint256 _labTestId, address _labTech) external onlyRole(DOCTOR_ROLE) {
         LabTestOrder storage order = labTestOrders[_labTestId];
-        require(order.doctor == msg.sender, "Not your order");
+        require(order.doctor == _msgSender(), "Not your order");
+        require(order.status == LabTestStatus.Requested, "Invalid status");
+        order.labTech = _labTech;
+        emit LabTestAssigned(_labTestId, _labTech);
+    }
+
+    // Prescribing after reviewing results goes through issuePrescription
+    function reviewLabResults(uint256 _labTestId) external onlyRole(DOCTOR_ROLE) {
+        LabTestOrder storage order = labTestOrders[_labTestId];
+        require(order.doctor == _msgSender(), "Not your order");
         require(order.status == LabTestStatus.ResultsUploaded, "Results not uploaded");
 
         order.status = LabTestStatus.Reviewed;
         order.completedTimestamp = uint48(block.timestamp);
-
+        emit LabTestReviewed(_labTestId, _msgSender());
+        _monetizeData(order.patient, REWARD_LAB_REVIEW);
+    }
+
+    // The doctor of a confirmed or completed appointment prescribes for its patient. `_verificationCodeHash` is
+    // keccak256 of a secret one-time code the patient hands to their pharmacy
+    function issuePrescription(
+        uint256 _appointmentId,
+        string calldata _medicationDetails,
+        string calldata _prescriptionIpfsHash,
+        bytes32 _verificationCodeHash
+    ) external onlyRole(DOCTOR_ROLE) {
+        Appointment storage apt = appointments[_appointmentId];
+        require(apt.doctor == _msgSender(), "Not your appointment");
+        require(apt.status == AppointmentStatus.Confirmed || apt.status == AppointmentStatus.Completed, "Not confirmed");
         prescriptionCounter++;
-        bytes32 verificationCodeHash = keccak256(abi.encodePacked(prescriptionCounter, msg.sender, block.timestamp));
-        prescriptions[prescriptionCounter] = Prescription(prescriptionCounter, order.patient, msg.sender, verificationCodeHash, _medicationDetails, _prescriptionIpfsHash, PrescriptionStatus.Generated, address(0), uint48(block.timestamp), uint48(block.timestamp + 30 days));
-        emit PrescriptionGenerated(prescriptionCounter, order.patient);
-        _monetizeData(order.patient);
+        prescriptions[prescriptionCounter] = Prescription(prescriptionCounter, apt.patient, _msgSender(), _verificationCodeHash, _medicationDetails, _prescriptionIpfsHash, PrescriptionStatus.Generated, address(0), uint48(block.timestamp), uint48(block.timestamp + 30 days));
+        emit PrescriptionGenerated(prescriptionCounter, apt.patient);
+    }
+
+    // The prescribing doctor may cancel a prescription not yet fulfilled, including one a pharmacy is filling
+    function cancelPrescription(uint256 _prescriptionId) external onlyRole(DOCTOR_ROLE) {
+        Prescription storage prescription = prescriptions[_prescriptionId];
+        require(prescription.doctor == _msgSender(), "Not your prescription");
+        require(prescription.status == PrescriptionStatus.Generated || prescription.status == PrescriptionStatus.Verified, "Invalid status");
+        prescription.status = PrescriptionStatus.Cancelled;
+        emit PrescriptionCancelled(_prescriptionId, _msgSender());
+    }
+
+    // The patient sends an analysis to a doctor, replacing any earlier choice, or a doctor the patient consented to
+    // takes one nobody holds
+    function assignAISymptomAnalysis(uint256 _aiAnalysisId, address _doctor) external {
+        AISymptomAnalysis storage analysis = aiAnalyses[_aiAnalysisId];
+        require(!analysis.doctorReviewed, "Already reviewed");
+        if (_msgSender() != analysis.patient) {
+            require(_msgSender() == _doctor && analysis.assignedDoctor == address(0), "Not your analysis");
+            _requireConsent(analysis.patient, SCOPE_AI_ANALYSES);
+        }
+        analysis.assignedDoctor = _doctor;
+        emit AIAnalysisAssigned(_aiAnalysisId, _doctor);
     }
 
     function reviewAISymptomAnalysis(uint256 _aiAnalysisId, string calldata _analysisIpfsHash) external onlyRole(DOCTOR_ROLE) {
         AISymptomAnalysis storage analysis = aiAnalyses[_aiAnalysisId];
+        require(analysis.assignedDoctor == _msgSender(), "Not assigned to you");
         require(!analysis.doctorReviewed, "Already reviewed");
+        _requireConsent(analysis.patient, SCOPE_AI_ANALYSES);
         analysis.analysisIpfsHash = _analysisIpfsHash;
         analysis.doctorReviewed = true;
+        emit AIAnalysisReviewed(_aiAnalysisId, _msgSender());
+    }
+
+    // Upgrade migration, in batches: analyses requested with plaintext symptoms keep only its hash. The text remains
+    // in the chain's history but leaves contract state and getAIAnalysisDetails. There is no salt to add, so unlike a
+    // commitment the hash can be matched against guesses; symptomsMigrated marks it.
+    function migrateAISymptomAnalyses(uint256 _from, uint256 _to) external onlyRole(ADMIN_ROLE) {
+        for (uint256 i = _from; i <= _to; i++) {
+            AISymptomAnalysis storage analysis = aiAnalyses[i];
+            if (bytes(analysis.symptoms).length != 0) {
+                analysis.symptomsHash = keccak256(bytes(analysis.symptoms));
+                analysis.symptomsMigrated = true;
+                delete analysis.symptoms;
+            }
+        }
     }
 
     // Lab Technician Functions
     function collectSample(uint256 _labTestId, string calldata _ipfsHash) external onlyRole(LAB_TECH_ROLE) {
         LabTestOrder storage order = labTestOrders[_labTestId];
         require(order.status == LabTestStatus.Requested, "Invalid status");
-        order.labTech = msg.sender;
+        require(order.labTech == address(0) || order.labTech == _msgSender(), "Not your order");
+        _requireConsent(order.patient, SCOPE_LABS);
+        order.labTech = _msgSender();
         order.sampleCollectionIpfsHash = _ipfsHash;
         order.status = LabTestStatus.Collected;
+        emit LabSampleCollected(_labTestId, _msgSender());
+    }
+
+    // A sample unfit for testing goes back to be collected again by the same lab
+    function rejectSample(uint256 _labTestId) external onlyRole(LAB_TECH_ROLE) {
+        LabTestOrder storage order = labTestOrders[_labTestId];
+        require(order.labTech == _msgSender(), "Not your order");
+        require(order.status == LabTestStatus.Collected, "Sample not collected");
+        order.status = LabTestStatus.Requested;
+        emit LabSampleRejected(_labTestId, _msgSender());
     }
 
     function uploadLabResults(uint256 _labTestId, string calldata _resultsIpfsHash) external onlyRole(LAB_TECH_ROLE) {
         LabTestOrder storage order = labTestOrders[_labTestId];
-        require(order.labTech == msg.sender, "Not your order");
+        require(order.labTech == _msgSender(), "Not your order");
         require(order.status == LabTestStatus.Collected, "Sample not collected");
         order.resultsIpfsHash = _resultsIpfsHash;
         order.status = LabTestStatus.ResultsUploaded;
         emit LabTestResultsUploaded(_labTestId, _resultsIpfsHash);
-        _monetizeData(order.patient);
+        _monetizeData(order.patient, REWARD_LAB_RESULTS);
     }
 
     // Pharmacy Functions
-    function verifyPrescription(uint256 _prescriptionId, bytes32 _verificationCodeHash) external onlyRole(PHARMACY_ROLE) {
+    // The patient's one-time code binds the prescription to the pharmacy presenting it, before it expires. Prescriptions
+    // from before one-time codes have no known code and are reissued
+    function verifyPrescription(uint256 _prescriptionId, bytes32 _verificationCode) external onlyRole(PHARMACY_ROLE) {
         Prescription storage prescription = prescriptions[_prescriptionId];
         require(prescription.status == PrescriptionStatus.Generated, "Invalid status");
-        require(prescription.verificationCodeHash == _verificationCodeHash, "Invalid code");
+        require(block.timestamp <= prescription.expirationTimestamp, "Expired");
+        require(prescription.verificationCodeHash == keccak256(abi.encode(_verificationCode)), "Invalid code");
         prescription.status = PrescriptionStatus.Verified;
-        prescription.pharmacy = msg.sender;
-        emit PrescriptionVerified(_prescriptionId, msg.sender);
+        prescription.pharmacy = _msgSender();
+        emit PrescriptionVerified(_prescriptionId, _msgSender());
     }
 
+    // Marks the last fill; partial fills and refills in between are tracked by the backend
     function fulfillPrescription(uint256 _prescriptionId) external onlyRole(PHARMACY_ROLE) {
         Prescription storage prescription = prescriptions[_prescriptionId];
-        require(prescription.pharmacy == msg.sender, "Not your prescription");
+        require(prescription.pharmacy == _msgSender(), "Not your prescription");
         require(prescription.status == PrescriptionStatus.Verified, "Not verified");
-        require(block.timestamp <= prescription.expirationTimestamp, "Expired");
+        require(block.timestamp <= prescription.generatedTimestamp + REFILL_WINDOW, "Expired");
         prescription.status = PrescriptionStatus.Fulfilled;
-        emit PrescriptionFulfilled(_prescriptionId, msg.sender);
+        emit PrescriptionFulfilled(_prescriptionId, _msgSender());
     }
 
     // Internal Functions
-    function _processPayment(PaymentType _type, uint256 _amount) private {
-        if (_type == PaymentType.ETH) {
+    // Moves the fee into escrow with the payments contract; patients keep approving this contract for tokens
+    function _processPayment(uint256 _appointmentId, address _token, uint256 _amount) private {
+        if (_token == address(0)) {
             require(msg.value >= _amount, "Insufficient ETH");
-            if (msg.value > _amount) payable(msg.sender).transfer(msg.value - _amount);
-        } else if (_type == PaymentType.USDC) {
-            require(usdcToken.transferFrom(msg.sender, address(this), _amount), "USDC transfer failed");
+            if (msg.value > _amount) payable(_msgSender()).transfer(msg.value - _amount);
         } else {
-            require(sonicToken.transferFrom(msg.sender, address(this), _amount), "SONIC transfer failed");
+            require(msg.value == 0, "ETH sent with token payment");
+            require(IERC20Upgradeable(_token).transferFrom(_msgSender(), address(payments), _amount), "Token transfer failed");
         }
+        _hold(_appointmentId, _token, _amount);
+    }
+
+    // Opens the escrow; ETH goes along with the call, tokens must already have been sent to the payments contract
+    function _hold(uint256 _appointmentId, address _token, uint256 _amount) private {
+        payments.hold{value: _token == address(0) ? _amount : 0}(_appointmentId, _token, _amount);
     }
 
-    function _monetizeData(address _patient) private {
-        Patient storage patient = patients[_patient];
-        if (patient.dataSharing == DataSharingStatus.Enabled && block.timestamp >= patient.lastRewardTimestamp + 1 days) {
-            patient.lastRewardTimestamp = block.timestamp;
-            sonicToken.transfer(_patient, DATA_MONETIZATION_REWARD);
-            emit DataRewardClaimed(_patient, DATA_MONETIZATION_REWARD);
+    // Settles the fee with the payee. Appointments booked before TelemedicinePayments held escrow still have their
+    // fee here, so it moves over first
+    function _release(Appointment storage apt, address _payee, bool _chargeFee) private {
+        (, uint256 held) = payments.escrows(apt.id);
+        if (held == 0 && apt.fee > 0) {
+            address token = _paymentToken(apt.paymentType);
+            if (token != address(0)) _transfer(token, address(payments), apt.fee);
+            _hold(apt.id, token, apt.fee);
         }
+        payments.release(apt.id, _payee, _chargeFee);
     }
 
-    // Modifiers
-    modifier onlyEntryPoint() {
-        require(msg.sender == address(entryPoint), "Only entry point allowed");
-        _;
+    function _transfer(address _token, address _to, uint256 _amount) private {
+        require(IERC20Upgradeable(_token).transfer(_to, _amount), "Transfer failed");
     }
 
-    // View Functions
-    function getPatientAppointments(address _patient) external view returns (Appointment[] memory) {
-        Appointment[] memory result = new Appointment[](appointmentCounter);
-        uint256 count = 0;
-        for (uint256 i = 1; i <= appointmentCounter; i++) {
-            if (appointments[i].patient == _patient) {
-                result[count] = appointments[i];
-                count++;
+    // Token a payment type settles in; ETH is the zero address
+    function _paymentToken(PaymentType _type) private view returns (address) {
+        if (_type == PaymentType.ETH) return address(0);
+        return address(_type == PaymentType.USDC ? usdcToken : sonicToken);
+    }
+
+    // A doctor takes one appointment per slot, booked at least MIN_BOOKING_BUFFER ahead; the backend only offers slot
+    // starts from the doctor's calendar
+    function _claimSlot(address _doctor, uint48 _timestamp, uint256 _appointmentId) private {
+        require(_timestamp > block.timestamp + MIN_BOOKING_BUFFER, "Too soon");
+        require(bookedSlots[_doctor][_timestamp] == 0, "Slot taken");
+        bookedSlots[_doctor][_timestamp] = _appointmentId;
+    }
+
+    // The caller must hold an unexpired grant from the patient covering the scope
+    function _requireConsent(address _patient, uint8 _scope) private view {
+        require(consent.hasConsent(_patient, _msgSender(), _scope), "No consent");
+    }
+
+    // Pending or confirmed appointment that the caller is a party to
+    function _activeAppointment(uint256 _appointmentId) private view returns (Appointment storage apt) {
+        apt = appointments[_appointmentId];
+        require(_msgSender() == apt.patient || _msgSender() == apt.doctor, "Not your appointment");
+        require(apt.status == AppointmentStatus.Pending || apt.status == AppointmentStatus.Confirmed, "Not active");
+    }
+
+    // Accrues what the reward policy allows; an empty or exhausted pool accrues nothing rather than failing the step
+    function _monetizeData(address _patient, uint8 _action) private {
+        if (address(rewards) != address(0) && patients[_patient].dataSharing == DataSharingStatus.Enabled) {
+            rewards.accrue(_patient, _action);
+        }
+    }
+
+    // ERC-2771: calls relayed by the trusted forwarder carry the original sender in the last 20 bytes
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder != address(0) && _forwarder == trustedForwarder;
+    }
+
+    function _msgSender() internal view override returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
             }
+        } else {
+            sender = msg.sender;
         }
-        Appointment[] memory trimmed = new Appointment[](count);
-        for (uint256 i = 0; i < count; i++) {
-            trimmed[i] = result[i];
+    }
+
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
         }
-        return trimmed;
+        return msg.data;
     }
 
+    // View Functions
+    // Listing and filtering belong to the backend indexer
     function getLabTestDetails(uint256 _labTestId) external view returns (LabTestOrder memory) {
         return labTestOrders[_labTestId];
     }
@@ -390,9 +608,4 @@ contract TelemedicineSystem is Initializable, AccessControlUpgradeable, Reentran
     function getAIAnalysisDetails(uint256 _aiAnalysisId) external view returns (AISymptomAnalysis memory) {
         return aiAnalyses[_aiAnalysisId];
     }
-
-    function getPatientDataStatus(address _patient) external view returns (DataSharingStatus, uint256) {
-        Patient memory patient = patients[_patient];
-        return (patient.dataSharing, patient.lastRewardTimestamp);
-    }
 }
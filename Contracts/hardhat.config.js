@@ -1,9 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS } = require("hardhat/builtin-tasks/task-names");
 require("@nomicfoundation/hardhat-toolbox");
 require("@openzeppelin/hardhat-upgrades");
 require('dotenv').config();
 
+// The contracts sit at the package root, next to node_modules, with test mocks under test/; only those are compiled
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS, async (_, { config }) =>
+  [config.paths.sources, config.paths.tests].flatMap(dir =>
+    fs.readdirSync(dir).filter(file => file.endsWith(".sol")).map(file => path.join(dir, file))
+  )
+);
+
 module.exports = {
-  solidity: "0.8.20",
+  solidity: {
+    compilers: [
+      {
+        version: "0.8.20",
+        settings: {
+          optimizer: { enabled: true, runs: 200 }
+        }
+      }
+    ],
+    overrides: {
+      // TelemedicineSystem is close to the 24 KB contract size limit, so it is optimized for size over call cost.
+      // Overrides miss what plugins add to the compilers above; the upgrades plugin needs the storage layout
+      "TelemedicineSystem.sol": {
+        version: "0.8.20",
+        settings: {
+          optimizer: { enabled: true, runs: 1 },
+          outputSelection: { "*": { "*": ["storageLayout"] } }
+        }
+      }
+    }
+  },
+  paths: {
+    sources: "."
+  },
+  mocha: {
+    timeout: 120000
+  },
   networks: {
     sonicTestnet: {
       url: process.env.SONIC_RPC_URL || "https://sonic-testnet.rpc.soniclabs.io",
@@ -17,10 +17,19 @@ async function main() {
   await ethUsdPriceFeed.deployed();
   await sonicUsdPriceFeed.deployed();
 
-  const EntryPoint = await ethers.getContractFactory("MockEntryPoint");
+  const EntryPoint = await ethers.getContractFactory("EntryPoint");
   const entryPoint = await EntryPoint.deploy();
   await entryPoint.deployed();
 
+  // ERC-4337 smart accounts and the paymaster sponsoring patient operations signed off by the backend
+  const AccountFactory = await ethers.getContractFactory("SimpleAccountFactory");
+  const accountFactory = await AccountFactory.deploy(entryPoint.address);
+  await accountFactory.deployed();
+  const Paymaster = await ethers.getContractFactory("VerifyingPaymaster");
+  const paymaster = await Paymaster.deploy(entryPoint.address, process.env.PAYMASTER_SIGNER_ADDRESS || deployer.address);
+  await paymaster.deployed();
+  await paymaster.deposit({ value: ethers.utils.parseEther(process.env.PAYMASTER_DEPOSIT || "0.5") });
+
   // Deploy TelemedicineSystem
   const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
   const telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
@@ -32,15 +41,62 @@ async function main() {
   ], { initializer: "initialize" });
   await telemedicine.deployed();
 
+  const Forwarder = await ethers.getContractFactory("TelemedicineForwarder");
+  const forwarder = await Forwarder.deploy();
+  await forwarder.deployed();
+  await telemedicine.setTrustedForwarder(forwarder.address);
+
+  // Escrow for booking fees, payee balances and the platform fee
+  const TelemedicinePayments = await ethers.getContractFactory("TelemedicinePayments");
+  const payments = await upgrades.deployProxy(TelemedicinePayments, [telemedicine.address], { initializer: "initialize" });
+  await payments.deployed();
+  await telemedicine.setPayments(payments.address);
+  await payments.setPlatformFee(process.env.PLATFORM_FEE_BPS || 0);
+  if (process.env.MAX_PRICE_AGE) await payments.setMaxPriceAge(process.env.MAX_PRICE_AGE);
+
+  // Patients' consent grants, checked before providers act on their records
+  const TelemedicineConsent = await ethers.getContractFactory("TelemedicineConsent");
+  const consent = await upgrades.deployProxy(TelemedicineConsent, [telemedicine.address], { initializer: "initialize" });
+  await consent.deployed();
+  await telemedicine.setConsent(consent.address);
+
+  // Researchers' funded data requests, fulfilled by the backend's curator wallet
+  const TelemedicineMarketplace = await ethers.getContractFactory("TelemedicineMarketplace");
+  const marketplace = await upgrades.deployProxy(TelemedicineMarketplace, [telemedicine.address, process.env.CURATOR_ADDRESS || deployer.address], { initializer: "initialize" });
+  await marketplace.deployed();
+
+  // Data rewards: a funded pool accruing to sharing patients under the policy; every step at full weight
+  const TelemedicineRewards = await ethers.getContractFactory("TelemedicineRewards");
+  const rewards = await upgrades.deployProxy(TelemedicineRewards, [telemedicine.address], { initializer: "initialize" });
+  await rewards.deployed();
+  await telemedicine.setRewards(rewards.address, 0);
+  await rewards.setRewardPolicy(
+    ethers.utils.parseUnits(process.env.REWARD_AMOUNT || "1", 18),
+    process.env.REWARD_EPOCH || 86400,
+    ethers.utils.parseUnits(process.env.REWARD_EPOCH_BUDGET || "0", 18),
+    ethers.utils.parseUnits(process.env.REWARD_PATIENT_CAP || "0", 18),
+    ethers.utils.parseUnits(process.env.REWARD_LOW_BALANCE || "10", 18)
+  );
+  for (let action = 0; action < 4; action++) await rewards.setActionWeight(action, 10000);
+
   console.log("TelemedicineSystem deployed to:", telemedicine.address);
+  console.log("TelemedicineForwarder:", forwarder.address);
+  console.log("TelemedicinePayments:", payments.address);
+  console.log("TelemedicineConsent:", consent.address);
+  console.log("TelemedicineMarketplace:", marketplace.address);
+  console.log("TelemedicineRewards:", rewards.address);
   console.log("USDC Token:", usdcToken.address);
   console.log("SONIC Token:", sonicToken.address);
   console.log("ETH/USD Price Feed:", ethUsdPriceFeed.address);
   console.log("SONIC/USD Price Feed:", sonicUsdPriceFeed.address);
   console.log("EntryPoint:", entryPoint.address);
+  console.log("SimpleAccountFactory:", accountFactory.address);
+  console.log("VerifyingPaymaster:", paymaster.address);
 
-  // Fund contract with SONIC tokens for data monetization
-  await sonicToken.transfer(telemedicine.address, ethers.utils.parseUnits("100", 18));
+  // Fund the reward pool with SONIC tokens for data monetization
+  const rewardFunding = ethers.utils.parseUnits(process.env.REWARD_FUNDING || "100", 18);
+  await sonicToken.approve(rewards.address, rewardFunding);
+  await rewards.fund(rewardFunding);
 }
 
 main()
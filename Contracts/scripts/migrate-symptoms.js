@@ -0,0 +1,28 @@
+const { ethers, upgrades } = require("hardhat");
+
+// Upgrades a deployed TelemedicineSystem to the version that keeps symptom reports off-chain, then replaces the
+// plaintext symptoms of earlier AI analyses with their hash, in batches. Earlier transactions still carry the text;
+// the migration removes it from contract state and from getAIAnalysisDetails.
+async function main() {
+  const proxy = process.env.CONTRACT_ADDRESS;
+  const batchSize = Number(process.env.MIGRATION_BATCH_SIZE || 100);
+
+  const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+  const telemedicine = await upgrades.upgradeProxy(proxy, TelemedicineSystem);
+  await telemedicine.deployed();
+  console.log("TelemedicineSystem upgraded at:", telemedicine.address);
+
+  const count = (await telemedicine.aiAnalysisCounter()).toNumber();
+  for (let from = 1; from <= count; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, count);
+    await (await telemedicine.migrateAISymptomAnalyses(from, to)).wait();
+    console.log(`Migrated AI analyses ${from}-${to} of ${count}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,188 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const policy = require("../../backend/policy");
+const { SCOPES, createConsent } = require("../../backend/consent");
+
+// Exercises the backend authorization layer against contracts on the local Hardhat node
+describe("Backend access policy", function () {
+  let telemedicine, consent, sonicToken, owner, patient, otherPatient, doctor, labTech, pharmacy;
+
+  const asUser = async (signer) => ({
+    address: signer.address,
+    roles: await policy.resolveRoles(telemedicine, signer.address)
+  });
+
+  const runMiddleware = (middleware, user) => {
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; }
+    };
+    let called = false;
+    middleware({ user }, res, () => { called = true; });
+    return { called, res };
+  };
+
+  beforeEach(async function () {
+    [owner, patient, otherPatient, doctor, labTech, pharmacy] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const EntryPoint = await ethers.getContractFactory("EntryPoint");
+    const entryPoint = await EntryPoint.deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    consent = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineConsent"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setConsent(consent.address);
+    const payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.connect(otherPatient).registerPatient("encryptedKey456");
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", ethers.utils.parseEther("0.1"));
+    await telemedicine.verifyLabTechnician(labTech.address, "LAB123");
+    await telemedicine.registerPharmacy(pharmacy.address, "PHARM123");
+  });
+
+  describe("Role resolution", function () {
+    it("should resolve on-chain roles for each actor", async function () {
+      expect((await asUser(owner)).roles).to.deep.equal(["ADMIN_ROLE"]);
+      expect((await asUser(patient)).roles).to.deep.equal(["PATIENT_ROLE"]);
+      expect((await asUser(doctor)).roles).to.deep.equal(["DOCTOR_ROLE"]);
+      expect((await asUser(labTech)).roles).to.deep.equal(["LAB_TECH_ROLE"]);
+      expect((await asUser(pharmacy)).roles).to.deep.equal(["PHARMACY_ROLE"]);
+    });
+
+    it("should respond 403 when the caller lacks the route role", async function () {
+      const { called, res } = runMiddleware(policy.requireRole("DOCTOR_ROLE"), await asUser(patient));
+      expect(called).to.be.false;
+      expect(res.statusCode).to.equal(403);
+    });
+
+    it("should pass through when the caller holds the route role", async function () {
+      const { called } = runMiddleware(policy.requireRole("DOCTOR_ROLE", "ADMIN_ROLE"), await asUser(doctor));
+      expect(called).to.be.true;
+    });
+  });
+
+  describe("Record rules", function () {
+    let labTest;
+
+    beforeEach(async function () {
+      const expiresAt = (await time.latest()) + 86400;
+      for (const provider of [doctor, labTech]) await consent.connect(patient).grantConsent(provider.address, SCOPES.labs, expiresAt);
+      await telemedicine.connect(doctor).orderLabTest(patient.address, "CBC");
+      labTest = await telemedicine.getLabTestDetails(1);
+    });
+
+    it("should let a patient read only their own appointments", async function () {
+      const user = await asUser(patient);
+      expect(policy.canReadAppointments(user, patient.address)).to.be.true;
+      expect(policy.canReadAppointments(user, otherPatient.address)).to.be.false;
+      expect(policy.canReadAppointments(await asUser(owner), patient.address)).to.be.true;
+      expect(policy.canReadAppointments(await asUser(doctor), patient.address)).to.be.false;
+      expect(policy.canReadAppointments(await asUser(doctor), patient.address, true)).to.be.true;
+    });
+
+    it("should let a patient read only their own lab tests", async function () {
+      expect(policy.canReadLabTest(await asUser(patient), labTest)).to.be.true;
+      expect(policy.canReadLabTest(await asUser(otherPatient), labTest)).to.be.false;
+      expect(policy.canReadLabTest(await asUser(doctor), labTest)).to.be.true;
+    });
+
+    it("should show technicians a lab test once claimed or with the patient's consent", async function () {
+      const [, , , , , , otherLabTech] = await ethers.getSigners();
+      await telemedicine.verifyLabTechnician(otherLabTech.address, "LAB456");
+      expect(policy.canReadLabTest(await asUser(otherLabTech), labTest)).to.be.false;
+      expect(policy.canReadLabTest(await asUser(otherLabTech), labTest, true)).to.be.true;
+
+      await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+      const collected = await telemedicine.getLabTestDetails(1);
+      expect(policy.canReadLabTest(await asUser(labTech), collected)).to.be.true;
+      expect(policy.canReadLabTest(await asUser(otherLabTech), collected)).to.be.false;
+    });
+
+    it("should let a pharmacy read only prescriptions it verified", async function () {
+      const fee = ethers.utils.parseEther("0.1");
+      const code = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      await sonicToken.transfer(patient.address, fee);
+      await sonicToken.connect(patient).approve(telemedicine.address, fee);
+      await telemedicine.connect(patient).bookAppointment(doctor.address, (await time.latest()) + 2 * 3600, 2, false, "", fee);
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await telemedicine.connect(doctor).issuePrescription(1, "medications-commitment", "prescription-ipfs-hash", ethers.utils.keccak256(code));
+      let prescription = await telemedicine.getPrescriptionDetails(1);
+      expect(policy.canReadPrescription(await asUser(patient), prescription)).to.be.true;
+      expect(policy.canReadPrescription(await asUser(pharmacy), prescription)).to.be.false;
+      expect(policy.canReadPrescription(await asUser(pharmacy), prescription, true)).to.be.true;
+
+      await telemedicine.connect(pharmacy).verifyPrescription(1, code);
+      prescription = await telemedicine.getPrescriptionDetails(1);
+      expect(policy.canReadPrescription(await asUser(pharmacy), prescription)).to.be.true;
+      expect(policy.canReadPrescription(await asUser(otherPatient), prescription)).to.be.false;
+    });
+
+    it("should let only the patient and consented providers read an AI analysis", async function () {
+      await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache fever"));
+      const analysis = await telemedicine.getAIAnalysisDetails(1);
+      expect(policy.canReadAIAnalysis(await asUser(patient), analysis)).to.be.true;
+      expect(policy.canReadAIAnalysis(await asUser(doctor), analysis)).to.be.false;
+      expect(policy.canReadAIAnalysis(await asUser(doctor), analysis, true)).to.be.true;
+      expect(policy.canReadAIAnalysis(await asUser(otherPatient), analysis)).to.be.false;
+      expect(policy.canReadAIAnalysis(await asUser(pharmacy), analysis)).to.be.false;
+    });
+  });
+
+  describe("Consent and access log", function () {
+    let consents;
+
+    beforeEach(async function () {
+      consents = createConsent({ contract: consent, file: ":memory:" });
+    });
+
+    afterEach(function () {
+      consents.close();
+    });
+
+    it("should resolve grants made to the provider's wallet or smart account", async function () {
+      const [, , , , , , smartAccount] = await ethers.getSigners();
+      const expiresAt = (await time.latest()) + 30 * 86400;
+      await consent.connect(patient).grantConsent(smartAccount.address, SCOPES.labs | SCOPES.prescriptions, expiresAt);
+      await consent.connect(patient).grantConsent(pharmacy.address, SCOPES.prescriptions, expiresAt);
+      await consent.connect(patient).revokeConsent(pharmacy.address);
+
+      const user = { ...(await asUser(doctor)), smartAccount: smartAccount.address };
+      expect(await consents.hasConsent(user, patient.address, SCOPES.labs)).to.be.true;
+      expect(await consents.hasConsent(user, patient.address, SCOPES.aiAnalyses)).to.be.false;
+      expect(await consents.hasConsent(await asUser(doctor), patient.address, SCOPES.labs)).to.be.false;
+      expect(await consents.grants(patient.address)).to.deep.equal([
+        { provider: smartAccount.address.toLowerCase(), scopes: SCOPES.labs | SCOPES.prescriptions, expiresAt }
+      ]);
+    });
+
+    it("should log reads by anyone but the patient", async function () {
+      consents.logRead(await asUser(patient), patient.address, "labTest", 1);
+      consents.logRead(await asUser(doctor), patient.address, "labTest", 1);
+      consents.logRead(await asUser(doctor), patient.address, "appointments");
+      consents.logRead(await asUser(doctor), otherPatient.address, "appointments");
+
+      const log = consents.accessLog([patient.address], { limit: 1 });
+      expect(log.total).to.equal(2);
+      expect(log.items).to.have.length(1);
+      expect(log.items[0]).to.include({ reader: doctor.address.toLowerCase(), resource: "appointments", resourceId: null });
+      expect(consents.accessLog([patient.address], { offset: 1 }).items[0]).to.include({ resource: "labTest", resourceId: "1" });
+    });
+  });
+});
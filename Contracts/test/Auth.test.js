@@ -0,0 +1,82 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const auth = require("../../backend/auth");
+
+// Exercises the backend's Sign-In with Ethereum login and its rotating refresh tokens
+describe("Backend auth", function () {
+  let user;
+  const domain = "telemedicine.example";
+  const claims = { roles: ["PATIENT_ROLE"] };
+
+  // An EIP-4361 message as the frontend builds it
+  const signIn = async (nonce, { chainId = auth.CHAIN_ID } = {}) => {
+    const message = [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      user.address,
+      "",
+      "Sign in to the telemedicine platform",
+      "",
+      `URI: https://${domain}`,
+      "Version: 1",
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date().toISOString()}`,
+      `Expiration Time: ${new Date(Date.now() + 5 * 60 * 1000).toISOString()}`
+    ].join("\n");
+    return { message, signature: await user.signMessage(message) };
+  };
+
+  before(function () {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  beforeEach(async function () {
+    [, user] = await ethers.getSigners();
+  });
+
+  it("should accept a signed login once per nonce", async function () {
+    const { message, signature } = await signIn(auth.issueNonce());
+    expect(await auth.verifyLogin(message, signature, domain)).to.equal(user.address);
+    await expect(auth.verifyLogin(message, signature, domain)).to.be.rejectedWith("Unknown or expired nonce");
+  });
+
+  it("should refuse expired nonces, other domains and other chains", async function () {
+    const expired = await signIn(auth.issueNonce());
+    const now = Date.now;
+    Date.now = () => now() + 6 * 60 * 1000;
+    try {
+      await expect(auth.verifyLogin(expired.message, expired.signature, domain)).to.be.rejectedWith("Unknown or expired nonce");
+    } finally {
+      Date.now = now;
+    }
+
+    const phished = await signIn(auth.issueNonce());
+    const { error } = await auth.verifyLogin(phished.message, phished.signature, "attacker.example").catch(result => result);
+    expect(error).to.include({ expected: "attacker.example", received: domain });
+
+    const otherChain = await signIn(auth.issueNonce(), { chainId: 1 });
+    await expect(auth.verifyLogin(otherChain.message, otherChain.signature, domain)).to.be.rejectedWith("Wrong chain");
+  });
+
+  it("should rotate refresh tokens and revoke the session when a rotated one is reused", async function () {
+    const session = auth.createSession(user.address, claims);
+    const { sid } = auth.verifyAccessToken(session.accessToken);
+    const resolveClaims = async () => claims;
+
+    const rotated = await auth.rotateSession(session.refreshToken, resolveClaims);
+    expect(rotated.refreshToken).to.not.equal(session.refreshToken);
+    expect(auth.verifyAccessToken(rotated.accessToken)).to.include({ address: user.address, sid });
+
+    await expect(auth.rotateSession(session.refreshToken, resolveClaims)).to.be.rejectedWith("Refresh token reused");
+    expect(() => auth.verifyAccessToken(rotated.accessToken)).to.throw("Session revoked");
+    await expect(auth.rotateSession(rotated.refreshToken, resolveClaims)).to.be.rejectedWith("Invalid refresh token");
+  });
+
+  it("should stop honouring access tokens once the session is revoked", async function () {
+    const { accessToken } = auth.createSession(user.address, claims);
+    const { sid, roles } = auth.verifyAccessToken(accessToken);
+    expect(roles).to.deep.equal(claims.roles);
+    auth.revokeSession(sid);
+    expect(() => auth.verifyAccessToken(accessToken)).to.throw("Session revoked");
+  });
+});
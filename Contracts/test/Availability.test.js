@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createIndexer } = require("../../backend/indexer");
+const { createAvailability } = require("../../backend/availability");
+
+// Exercises the backend slot calendar against appointments indexed from the local Hardhat node
+describe("Backend availability", function () {
+  let telemedicine, indexer, availability, patient, doctor;
+  const consultationFee = ethers.utils.parseEther("0.1");
+  const utc = (...fields) => Date.UTC(...fields) / 1000;
+  const iso = (slots) => slots.map(slot => new Date(slot * 1000).toISOString().slice(0, 16));
+
+  // Monday 2030-03-11 follows the US switch to daylight saving time on Sunday 2030-03-10
+  const weekly = [{ day: 0, start: "01:30", end: "03:30" }, { day: 1, start: "09:00", end: "10:30" }];
+
+  beforeEach(async function () {
+    [, patient, doctor] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    const payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", consultationFee);
+
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0 });
+    availability = createAvailability({ indexer, file: ":memory:" });
+  });
+
+  afterEach(function () {
+    indexer.stop();
+    availability.close();
+  });
+
+  it("should cut weekly hours into slots in the doctor's time zone", async function () {
+    availability.setSchedule(doctor.address, { timeZone: "America/New_York", slotMinutes: 30, weekly });
+    // 02:00 and 02:30 do not exist on the night the clocks go forward
+    expect(iso(availability.slots(doctor.address, utc(2030, 2, 9), utc(2030, 2, 12)))).to.deep.equal([
+      "2030-03-10T06:30", "2030-03-10T07:00", "2030-03-11T13:00", "2030-03-11T13:30", "2030-03-11T14:00"
+    ]);
+
+    availability.setSchedule(doctor.address, { timeZone: "Asia/Kolkata", slotMinutes: 45, weekly: [weekly[1]] });
+    expect(iso(availability.slots(doctor.address, utc(2030, 2, 11), utc(2030, 2, 12)))).to.deep.equal([
+      "2030-03-11T03:30", "2030-03-11T04:15"
+    ]);
+  });
+
+  it("should leave out booked slots and time off", async function () {
+    availability.setSchedule(doctor.address, { timeZone: "America/New_York", slotMinutes: 30, weekly });
+    await telemedicine.connect(patient).bookAppointment(
+      doctor.address, utc(2030, 2, 11, 13, 30), 0, false, "", consultationFee, { value: consultationFee }
+    );
+    await indexer.sync();
+    availability.addTimeOff(doctor.address, { start: utc(2030, 2, 10), end: utc(2030, 2, 11), reason: "Conference" });
+
+    expect(iso(availability.slots(doctor.address, utc(2030, 2, 9), utc(2030, 2, 12)))).to.deep.equal([
+      "2030-03-11T13:00", "2030-03-11T14:00"
+    ]);
+    expect(availability.isFree(doctor.address, utc(2030, 2, 11, 13))).to.equal(true);
+    expect(availability.isFree(doctor.address, utc(2030, 2, 11, 13, 30))).to.equal(false);
+    expect(availability.isFree(doctor.address, utc(2030, 2, 11, 13, 10))).to.equal(false);
+
+    const [timeOff] = availability.listTimeOff(doctor.address);
+    expect(timeOff).to.include({ start: utc(2030, 2, 10), reason: "Conference" });
+    expect(availability.removeTimeOff(patient.address, timeOff.id)).to.equal(false);
+    expect(availability.removeTimeOff(doctor.address, timeOff.id)).to.equal(true);
+    expect(availability.slots(doctor.address, utc(2030, 2, 9), utc(2030, 2, 12))).to.have.length(4);
+  });
+
+  it("should reject invalid schedules and ranges", async function () {
+    expect(availability.slots(doctor.address, utc(2030, 2, 9), utc(2030, 2, 12))).to.deep.equal([]);
+    expect(() => availability.setSchedule(doctor.address, { timeZone: "Mars/Olympus", slotMinutes: 30, weekly }))
+      .to.throw("Unknown time zone");
+    expect(() => availability.setSchedule(doctor.address, { timeZone: "UTC", slotMinutes: 25, weekly }))
+      .to.throw("Slot length must be one of");
+    expect(() => availability.setSchedule(doctor.address, { timeZone: "UTC", slotMinutes: 30, weekly: [{ day: 1, start: "10:00", end: "09:00" }] }))
+      .to.throw("end after they start");
+    expect(() => availability.setSchedule(doctor.address, {
+      timeZone: "UTC", slotMinutes: 30, weekly: [{ day: 1, start: "09:00", end: "12:00" }, { day: 1, start: "11:00", end: "13:00" }]
+    })).to.throw("Opening hours overlap");
+
+    availability.setSchedule(doctor.address, { timeZone: "UTC", slotMinutes: 30, weekly });
+    expect(() => availability.slots(doctor.address, utc(2030, 2, 1), utc(2030, 3, 15))).to.throw("Range too long");
+    expect(() => availability.addTimeOff(doctor.address, { start: 2, end: 1 })).to.throw("Time off must end after it starts");
+  });
+});
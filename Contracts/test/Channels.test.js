@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EventEmitter } = require("events");
+const { createChannels } = require("../../backend/channels");
+
+// Exercises the backend's notification channels: typed events per party and role, indexed contract events,
+// authenticated sockets, and replay after reconnecting
+describe("Backend notification channels", function () {
+  let channels, wss, sockets, clock;
+
+  const patient = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const doctor = "0x90F79bf6EB2c8f870365E6D9a9C78C4b3eA7AbE3";
+  const labTech = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+  const zero = ethers.constants.AddressZero;
+  const channel = (address) => `user:${address.toLowerCase()}`;
+
+  // Access token claims as auth.verifyAccessToken returns them
+  const exp = () => Math.floor(Date.now() / 1000) + 3600;
+  const users = {
+    patient: { address: patient, roles: ["PATIENT_ROLE"] },
+    doctor: { address: doctor, roles: ["DOCTOR_ROLE"] },
+    labTech: { address: labTech, roles: ["LAB_TECH_ROLE"] }
+  };
+  const authenticate = (token) => {
+    if (!users[token]) throw new Error("Invalid or expired token");
+    return { ...users[token], exp: exp() };
+  };
+
+  // Stands in for a `ws` socket: records what it is sent and how it was closed
+  function connect() {
+    const ws = Object.assign(new EventEmitter(), {
+      readyState: 1,
+      received: [],
+      send: (message) => ws.received.push(JSON.parse(message)),
+      close: (code) => {
+        if (ws.readyState !== 1) return;
+        ws.readyState = 3;
+        ws.closeCode = code;
+        ws.emit("close");
+      },
+      tell: (message) => ws.emit("message", JSON.stringify(message))
+    });
+    sockets.push(ws);
+    wss.emit("connection", ws);
+    return ws;
+  }
+
+  const labOrder = (id, source) => channels.publish("labTestOrdered", { id, to: [patient, doctor, zero], roles: ["LAB_TECH_ROLE"], source });
+
+  beforeEach(function () {
+    clock = 1_700_000_000;
+    channels = createChannels({ file: ":memory:", authenticate, now: () => clock });
+    wss = new EventEmitter();
+    sockets = [];
+    channels.attach(wss);
+  });
+
+  afterEach(function () {
+    sockets.forEach(ws => ws.close(1000));
+    channels.close();
+  });
+
+  it("should store typed events for each party and role, once per source", function () {
+    const event = labOrder(1, "0xabc:0");
+    expect(event).to.deep.equal({ seq: 1, type: "labTestOrdered", id: "1", data: {}, at: clock });
+    expect(labOrder(1, "0xabc:0")).to.equal(null);
+    expect(channels.publish("labTestOverdue", { id: 1, to: [zero] })).to.equal(null);
+    expect(() => channels.publish("labTestLost", { to: [patient] })).to.throw("Unknown event type: labTestLost");
+
+    expect(channels.since([channel(patient)], 0)).to.deep.equal([event]);
+    expect(channels.since(["role:LAB_TECH_ROLE", channel(doctor)], 0)).to.deep.equal([event]);
+    expect(channels.since([channel(labTech)], 0)).to.deep.equal([]);
+    expect(channels.since([], 0)).to.deep.equal([]);
+  });
+
+  it("should publish indexed contract events to their records' parties", function () {
+    const log = (logIndex) => ({ transactionHash: `0x${"ab".repeat(32)}`, logIndex });
+    const events = [
+      { name: "AppointmentConfirmed", table: "appointments", id: 3, row: { patient: patient.toLowerCase(), doctor: doctor.toLowerCase(), status: 1, scheduled_timestamp: clock + 3600 }, args: {}, ...log(0) },
+      { name: "LabTestOrdered", table: "lab_tests", id: 1, row: { patient, doctor, lab_tech: zero, status: 0 }, args: {}, ...log(1) },
+      { name: "AISymptomAnalyzed", table: "ai_analyses", id: 2, row: { patient, status: 0 }, args: {}, ...log(2) },
+      { name: "DataRewardClaimed", args: { patient, amount: ethers.BigNumber.from(10) }, ...log(3) },
+      { name: "DataAccessLogged", args: { patient }, ...log(4) }
+    ];
+    channels.publishContractEvents(events, clock);
+    channels.publishContractEvents(events, clock);
+
+    expect(channels.since([channel(patient)], 0).map(({ type, id, data }) => [type, id, data])).to.deep.equal([
+      ["appointmentConfirmed", "3", { status: 1, scheduledAt: clock + 3600 }],
+      ["labTestOrdered", "1", { status: 0 }],
+      ["aiAnalysisRequested", "2", { status: 0 }],
+      ["rewardPaid", null, { amount: "10" }]
+    ]);
+    expect(channels.since(["role:LAB_TECH_ROLE"], 0).map(({ type, id, data }) => [type, id, data])).to.deep.equal([["labTestOrdered", "1", { status: 0 }]]);
+    expect(channels.since(["role:DOCTOR_ROLE"], 0).map(event => event.type)).to.deep.equal(["aiAnalysisRequested"]);
+
+    // Blocks from before the replay window, e.g. while indexing from scratch, are not published
+    channels.publishContractEvents([{ ...events[0], ...log(5) }], clock - 8 * 86400);
+    expect(channels.since([channel(doctor)], 0)).to.have.lengthOf(2);
+  });
+
+  it("should ask for a resync once missed events are pruned or too many", function () {
+    labOrder(1);
+    labOrder(2);
+    expect(channels.since([channel(patient)], 1).map(event => event.id)).to.deep.equal(["2"]);
+    expect(channels.since([channel(patient)], 3)).to.equal(null);
+
+    clock += 8 * 86400;
+    labOrder(3);
+    channels.publishContractEvents([], clock);
+    expect(channels.since([channel(patient)], 2).map(event => event.id)).to.deep.equal(["3"]);
+    expect(channels.since([channel(patient)], 0)).to.equal(null);
+
+    for (let id = 4; id <= 503; id++) labOrder(id);
+    expect(channels.since([channel(patient)], 2)).to.equal(null);
+    expect(channels.since([channel(patient)], 3)).to.have.lengthOf(500);
+  });
+
+  it("should only serve authenticated sockets, on their own and their roles' channels", function () {
+    const early = connect();
+    early.tell({ type: "subscribe", roles: ["LAB_TECH_ROLE"] });
+    expect(early.received).to.deep.equal([{ type: "error", error: "Authenticate first" }]);
+    expect(early.closeCode).to.equal(4001);
+
+    const forged = connect();
+    forged.tell({ type: "auth", token: "forged" });
+    expect(forged.received).to.deep.equal([{ type: "error", error: "Invalid or expired token" }]);
+    expect(forged.closeCode).to.equal(4001);
+
+    // Roles the user does not hold are ignored rather than refused
+    const patientSocket = connect();
+    patientSocket.tell({ type: "auth", token: "patient", roles: ["PATIENT_ROLE", "LAB_TECH_ROLE"] });
+    expect(patientSocket.received).to.deep.equal([{ type: "ready", seq: 0, channels: [channel(patient), "role:PATIENT_ROLE"] }]);
+    const labSocket = connect();
+    labSocket.tell({ type: "auth", token: "labTech" });
+    const doctorSocket = connect();
+    doctorSocket.tell({ type: "auth", token: "doctor" });
+
+    const order = labOrder(1);
+    expect(patientSocket.received.slice(1)).to.deep.equal([order]);
+    expect(labSocket.received.slice(1)).to.deep.equal([order]);
+    expect(doctorSocket.received.slice(1)).to.deep.equal([order]);
+    channels.publish("aiAnalysisRequested", { id: 1, to: [patient], roles: ["DOCTOR_ROLE"] });
+    expect(labSocket.received).to.have.lengthOf(2);
+    expect(doctorSocket.received).to.have.lengthOf(3);
+
+    labSocket.tell({ type: "subscribe", roles: [] });
+    expect(labSocket.received.at(-1)).to.deep.equal({ type: "subscribed", channels: [channel(labTech)] });
+    labOrder(2);
+    expect(labSocket.received).to.have.lengthOf(3);
+
+    labSocket.tell({ type: "auth", token: "labTech" });
+    expect(labSocket.received.at(-1)).to.deep.include({ type: "ready", channels: [channel(labTech)] });
+    labSocket.tell({ type: "auth", token: "doctor" });
+    expect(labSocket.received.at(-1)).to.deep.equal({ type: "error", error: "Token is for another user" });
+    expect(labSocket.closeCode).to.equal(4001);
+    labOrder(3);
+    expect(labSocket.received.at(-1).type).to.equal("error");
+  });
+
+  it("should replay what a reconnecting socket missed", function () {
+    const first = connect();
+    first.tell({ type: "auth", token: "patient" });
+    const { seq } = first.received[0];
+    first.close(1006);
+
+    const missed = [labOrder(1), channels.publish("prescriptionFilled", { id: 4, to: [patient, doctor], data: { complete: false } })];
+    channels.publish("labTestOverdue", { id: 2, to: [doctor] });
+
+    const again = connect();
+    again.tell({ type: "auth", token: "patient", lastSeq: seq });
+    expect(again.received).to.deep.equal([{ type: "ready", seq: 3, channels: [channel(patient), "role:PATIENT_ROLE"] }, ...missed]);
+
+    const stale = connect();
+    stale.tell({ type: "auth", token: "patient", lastSeq: 42 });
+    expect(stale.received.at(-1)).to.deep.equal({ type: "resync", seq: 3 });
+  });
+});
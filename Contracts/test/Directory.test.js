@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { createIndexer } = require("../../backend/indexer");
+const { createAvailability } = require("../../backend/availability");
+const { createDirectory } = require("../../backend/directory");
+
+// Exercises the backend doctor directory against doctors and appointments indexed from the local Hardhat node
+describe("Backend doctor directory", function () {
+  let telemedicine, indexer, availability, directory, patient, cardiologist, dermatologist, snapshot;
+  const usd = (amount) => ethers.utils.parseEther(String(amount));
+  const utc = (...fields) => Date.UTC(...fields) / 1000;
+  const profile = (overrides) => ({ name: "Dr. Ada", specialty: "Cardiology", languages: ["English", "French"], bio: "", ...overrides });
+
+  beforeEach(async function () {
+    // Completing appointments needs time travel; the snapshot keeps it from leaking into suites that schedule from the wall clock
+    snapshot = await takeSnapshot();
+    [, patient, cardiologist, dermatologist] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    const payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.verifyDoctor(cardiologist.address, "DOC123", usd(80));
+    await telemedicine.verifyDoctor(dermatologist.address, "DOC456", usd(40));
+
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0 });
+    availability = createAvailability({ indexer, file: ":memory:" });
+    directory = createDirectory({ indexer, availability, file: ":memory:" });
+    directory.saveProfile(cardiologist.address, profile());
+    directory.saveProfile(dermatologist.address, profile({ name: "Dr. Grace", specialty: "Dermatology", languages: ["Spanish"] }));
+  });
+
+  afterEach(async function () {
+    indexer.stop();
+    availability.close();
+    directory.close();
+    await snapshot.restore();
+  });
+
+  it("should index verified doctors and their USD fees", async function () {
+    await telemedicine.connect(dermatologist).setConsultationFee(usd(55));
+    await indexer.sync();
+    expect(indexer.doctor(dermatologist.address)).to.include({ isVerified: 1, consultationFee: usd(55).toString(), licenseNumber: "DOC456" });
+    expect(indexer.doctor(patient.address)).to.equal(undefined);
+  });
+
+  it("should search by specialty, language, fee and availability", async function () {
+    await indexer.sync();
+    const names = (filters) => directory.search(filters).items.map(doctor => doctor.name);
+
+    expect(names({})).to.have.members(["Dr. Ada", "Dr. Grace"]);
+    expect(names({ specialty: "cardiology" })).to.deep.equal(["Dr. Ada"]);
+    expect(names({ language: "spanish" })).to.deep.equal(["Dr. Grace"]);
+    expect(names({ maxFee: "50" })).to.deep.equal(["Dr. Grace"]);
+    expect(names({ minFee: "50", maxFee: "80" })).to.deep.equal(["Dr. Ada"]);
+
+    availability.setSchedule(cardiologist.address, { timeZone: "UTC", slotMinutes: 30, weekly: [{ day: 1, start: "09:00", end: "10:00" }] });
+    const [available] = directory.search({ availableFrom: utc(2030, 2, 11), availableTo: utc(2030, 2, 12) }).items;
+    expect(available).to.include({ name: "Dr. Ada", nextSlot: utc(2030, 2, 11, 9) });
+    expect(directory.search({ availableFrom: utc(2030, 2, 12), availableTo: utc(2030, 2, 13) }).total).to.equal(0);
+
+    expect(() => directory.saveProfile(cardiologist.address, profile({ languages: [] }))).to.throw("Between 1 and 10 languages required");
+    expect(() => directory.saveProfile(cardiologist.address, profile({ photoCid: "not-a-cid" }))).to.throw("Invalid photo CID");
+  });
+
+  it("should only accept one rating per completed appointment and rank by it", async function () {
+    const scheduled = (await time.latest()) + 2 * 3600;
+    await telemedicine.connect(patient).bookAppointment(dermatologist.address, scheduled, 0, false, "", usd(1), { value: usd(1) });
+    const pending = await telemedicine.appointments(1);
+    expect(() => directory.rate(pending, { stars: 5 })).to.throw("Appointment not completed");
+
+    await telemedicine.connect(dermatologist).confirmAppointment(1);
+    await time.increaseTo(scheduled);
+    await telemedicine.connect(dermatologist).completeAppointment(1);
+    const completed = await telemedicine.appointments(1);
+    expect(() => directory.rate(completed, { stars: 6 })).to.throw("Stars must be between 1 and 5");
+    directory.rate(completed, { stars: 4, comment: "Thorough" });
+    expect(() => directory.rate(completed, { stars: 5 })).to.throw("Already rated");
+
+    await indexer.sync();
+    const [top] = directory.search().items;
+    expect(top).to.include({ name: "Dr. Grace" });
+    expect(top.rating).to.deep.equal({ average: 4, count: 1 });
+    const { items, total } = directory.ratings(dermatologist.address);
+    expect(total).to.equal(1);
+    expect(items[0]).to.include({ appointmentId: 1, stars: 4, comment: "Thorough" });
+    expect(directory.profile(dermatologist.address)).to.include({ consultationFee: usd(40).toString(), specialty: "Dermatology" });
+  });
+});
@@ -0,0 +1,112 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { historyHash, createHistory } = require("../../backend/history");
+const { createFhirExport } = require("../../backend/fhir");
+const { createIndexer } = require("../../backend/indexer");
+
+// Exercises the backend medical history versions, encounter notes and FHIR export against the local Hardhat node
+describe("Backend medical history", function () {
+  let telemedicine, history, indexer, patient, doctor, otherDoctor, labTech, timestamp;
+  const consultationFee = ethers.utils.parseEther("0.1");
+  const cid = (n) => `Qm${String(n).padStart(44, "a")}`;
+
+  beforeEach(async function () {
+    [, patient, doctor, otherDoctor, labTech] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    const payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+    const consent = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineConsent"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setConsent(consent.address);
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", consultationFee);
+    await telemedicine.verifyDoctor(otherDoctor.address, "DOC456", consultationFee);
+    await telemedicine.verifyLabTechnician(labTech.address, "LAB123");
+    timestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    for (const provider of [doctor, labTech]) await consent.connect(patient).grantConsent(provider.address, 2, timestamp + 30 * 86400); // labs
+
+    history = createHistory({ contract: telemedicine, file: ":memory:" });
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0 });
+  });
+
+  afterEach(function () {
+    history.close();
+    indexer.stop();
+  });
+
+  it("should list versions and mark the one anchored on-chain", async function () {
+    expect(() => history.addVersion(patient.address, "not-a-cid", historyHash("not-a-cid"))).to.throw("Invalid CID");
+    expect(() => history.addVersion(patient.address, cid(1), historyHash(cid(2)))).to.throw("Hash does not match CID");
+
+    for (const n of [1, 2]) {
+      await telemedicine.connect(patient).updateMedicalHistory(historyHash(cid(n)));
+      expect(history.addVersion(patient.address, cid(n), historyHash(cid(n)))).to.equal(n);
+    }
+
+    const versions = await history.versions(patient.address.toLowerCase());
+    expect(versions.map(v => [v.version, v.cid, v.anchored])).to.deep.equal([[2, cid(2), true], [1, cid(1), false]]);
+  });
+
+  it("should only take notes from the doctor of a confirmed appointment", async function () {
+    await telemedicine.connect(patient).bookAppointment(doctor.address, timestamp, 0, false, "", consultationFee, { value: consultationFee });
+
+    let appointment = await telemedicine.appointments(1);
+    expect(() => history.addNote(appointment, doctor.address, cid(1))).to.throw("Appointment not confirmed");
+    await telemedicine.connect(doctor).confirmAppointment(1);
+    appointment = await telemedicine.appointments(1);
+    expect(() => history.addNote(appointment, otherDoctor.address, cid(1))).to.throw("Not your appointment");
+    expect(() => history.addNote(appointment, doctor.address, "plaintext note")).to.throw("Invalid CID");
+
+    const first = history.addNote(appointment, doctor.address, cid(1));
+    const second = history.addNote(appointment, doctor.address, cid(2));
+    expect(history.notes(1).map(note => [note.id, note.doctor, note.cid])).to.deep.equal([
+      [first, doctor.address.toLowerCase(), cid(1)],
+      [second, doctor.address.toLowerCase(), cid(2)]
+    ]);
+    expect(history.notes(2)).to.deep.equal([]);
+  });
+
+  it("should export the patient's record as a FHIR bundle", async function () {
+    await telemedicine.connect(patient).bookAppointment(doctor.address, timestamp, 0, true, "", consultationFee, { value: consultationFee });
+    await telemedicine.connect(doctor).confirmAppointment(1);
+    await telemedicine.connect(doctor).orderLabTest(patient.address, "CBC");
+    await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+    await indexer.sync();
+
+    const fhir = createFhirExport({ contract: telemedicine, indexer, baseUrl: "https://ehr.example/fhir" });
+    const bundle = await fhir.exportPatient(patient.address);
+    expect(bundle.resourceType).to.equal("Bundle");
+    expect(bundle.type).to.equal("collection");
+
+    const patientId = patient.address.toLowerCase();
+    expect(bundle.entry.map(entry => entry.fullUrl)).to.deep.equal([
+      `https://ehr.example/fhir/Patient/${patientId}`,
+      "https://ehr.example/fhir/Encounter/appointment-1",
+      "https://ehr.example/fhir/DiagnosticReport/lab-test-1"
+    ]);
+    const [, encounter, report] = bundle.entry.map(entry => entry.resource);
+    expect(encounter.status).to.equal("planned");
+    expect(encounter.class.code).to.equal("VR");
+    expect(encounter.subject.reference).to.equal(`Patient/${patientId}`);
+    expect(report.status).to.equal("partial");
+    expect(report.code.text).to.equal("CBC");
+    expect(report.performer.map(p => p.identifier.value)).to.deep.equal([doctor, labTech].map(u => `urn:ethereum:${u.address.toLowerCase()}`));
+  });
+});
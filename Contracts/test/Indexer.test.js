@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createIndexer } = require("../../backend/indexer");
+
+// Exercises the backend event indexer against the local Hardhat node
+describe("Backend event indexer", function () {
+  let telemedicine, indexer, patient, doctor, labTech, otherLabTech, timestamp;
+  const consultationFee = ethers.utils.parseEther("0.1");
+
+  const book = (offset = 0) => telemedicine.connect(patient).bookAppointment(
+    doctor.address, timestamp + offset, 0, false, "", consultationFee, { value: consultationFee }
+  );
+
+  beforeEach(async function () {
+    [, patient, doctor, labTech, otherLabTech] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    const payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+    const consent = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineConsent"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setConsent(consent.address);
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", consultationFee);
+    await telemedicine.verifyLabTechnician(labTech.address, "LAB123");
+    await telemedicine.verifyLabTechnician(otherLabTech.address, "LAB456");
+    timestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    for (const provider of [doctor, labTech]) await consent.connect(patient).grantConsent(provider.address, 2, timestamp + 30 * 86400); // labs
+
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0 });
+  });
+
+  afterEach(function () {
+    indexer.stop();
+  });
+
+  it("should follow appointment state changes", async function () {
+    await book();
+    await book(60);
+    await telemedicine.connect(doctor).confirmAppointment(1);
+    await indexer.sync();
+
+    const mine = indexer.appointments({ doctor: doctor.address });
+    expect(mine.total).to.equal(2);
+    expect(mine.items.map(apt => apt.id)).to.deep.equal([2, 1]);
+    expect(mine.items[1].status).to.equal(1);
+    expect(indexer.appointments({ patient: patient.address, status: 0 }).items.map(apt => apt.id)).to.deep.equal([2]);
+    expect(indexer.upcomingAppointments(timestamp - 1, timestamp + 60).map(apt => apt.id)).to.deep.equal([1]);
+    expect(indexer.upcomingAppointments(timestamp, timestamp + 60)).to.deep.equal([]);
+  });
+
+  it("should pass each range's events on with their records' state", async function () {
+    indexer.stop();
+    const ranges = [];
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0, onEvents: (events, at) => ranges.push({ events, at }) });
+    await book();
+    await telemedicine.connect(doctor).confirmAppointment(1);
+    await telemedicine.connect(patient).toggleDataMonetization(true);
+    await indexer.sync();
+
+    const events = ranges.flatMap(range => range.events).filter(event => event.name !== "DoctorVerified");
+    expect(events.map(event => event.name)).to.deep.equal(["AppointmentBooked", "AppointmentConfirmed", "DataMonetizationOptIn"]);
+    // Rows are read once the range is indexed, so earlier events already see later changes
+    expect(events[0]).to.deep.include({ table: "appointments", id: 1 });
+    expect(events[0].row).to.include({ patient: patient.address.toLowerCase(), doctor: doctor.address.toLowerCase(), status: 1 });
+    expect(events[2].args.enabled).to.equal(true);
+    expect(events[2]).to.not.have.property("row");
+    expect(events.every(event => /^0x[0-9a-f]{64}$/.test(event.transactionHash) && Number.isInteger(event.logIndex))).to.equal(true);
+    expect(ranges.at(-1).at).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+
+    const passed = ranges.length;
+    await indexer.sync();
+    expect(ranges).to.have.lengthOf(passed);
+  });
+
+  it("should paginate results", async function () {
+    for (let i = 0; i < 5; i++) await book(i * 60);
+    await indexer.sync();
+
+    const page = indexer.appointments({ patient: patient.address }, { limit: 2, offset: 2 });
+    expect(page.total).to.equal(5);
+    expect(page.items.map(apt => apt.id)).to.deep.equal([3, 2]);
+  });
+
+  it("should show technicians unclaimed orders and their own", async function () {
+    await telemedicine.connect(doctor).orderLabTest(patient.address, "CBC");
+    await telemedicine.connect(doctor).orderLabTest(patient.address, "LIPID");
+    await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+    await indexer.sync();
+
+    expect(indexer.labQueue([labTech.address]).items.map(test => test.id)).to.deep.equal([2, 1]);
+    expect(indexer.labQueue([otherLabTech.address]).items.map(test => test.id)).to.deep.equal([2]);
+
+    // Nothing identifies an order a doctor has not sent to the lab
+    const [unassigned, collected] = indexer.labQueue([labTech.address]).items;
+    expect(unassigned).to.have.all.keys("id", "status", "orderedTimestamp");
+    expect(collected).to.include({ patient: patient.address.toLowerCase(), testType: "CBC" });
+  });
+
+  it("should resume from its checkpoint", async function () {
+    await book();
+    await indexer.sync();
+    const { number } = indexer.checkpoint();
+
+    await book(60);
+    await indexer.sync();
+    expect(indexer.checkpoint().number).to.be.greaterThan(number);
+    expect(indexer.appointments({}).total).to.equal(2);
+  });
+
+  it("should drop records from orphaned blocks after a reorg", async function () {
+    await telemedicine.connect(doctor).orderLabTest(patient.address, "CBC");
+    await indexer.sync();
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await book();
+    await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+    await indexer.sync();
+    expect(indexer.appointments({}).total).to.equal(1);
+    expect(indexer.labTests({ status: 1 }).total).to.equal(1);
+
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await telemedicine.connect(doctor).orderLabTest(patient.address, "LIPID");
+    await ethers.provider.send("evm_mine", []);
+    await ethers.provider.send("evm_mine", []);
+    await indexer.sync();
+
+    expect(indexer.appointments({}).total).to.equal(0);
+    expect(indexer.labTests({}).items.map(test => [test.id, test.status])).to.deep.equal([[2, 0], [1, 0]]);
+  });
+});
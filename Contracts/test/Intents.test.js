@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { CHAIN_ID } = require("../../backend/auth");
+const { FORWARD_REQUEST_TYPES, createIntents, revertReason } = require("../../backend/intents");
+
+// Exercises the backend's checks on signed forward requests before it relays them to TelemedicineForwarder
+describe("Backend intents", function () {
+  let telemedicine, forwarder, intents, patient, other;
+
+  const domain = (chainId = CHAIN_ID) => ({ name: "TelemedicineForwarder", version: "1", chainId, verifyingContract: forwarder.address });
+
+  // A request as the frontend signs it; `chainId` other than the backend's is only for submitting to the local node
+  const sign = async (signer, functionName, args, { from = signer.address, to = telemedicine.address, deadline, nonce, chainId } = {}) => {
+    const request = {
+      from,
+      to,
+      value: 0,
+      gas: 1_000_000,
+      nonce: nonce ?? (await forwarder.getNonce(from)).toNumber(),
+      deadline: deadline ?? (await time.latest()) + 300,
+      data: telemedicine.interface.encodeFunctionData(functionName, args)
+    };
+    return { request, signature: await signer._signTypedData(domain(chainId), FORWARD_REQUEST_TYPES, request) };
+  };
+
+  beforeEach(async function () {
+    [, patient, other] = await ethers.getSigners();
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    forwarder = await (await ethers.getContractFactory("TelemedicineForwarder")).deploy();
+    await telemedicine.setTrustedForwarder(forwarder.address);
+    intents = createIntents({ contract: telemedicine, forwarder });
+  });
+
+  it("should return the arguments of a request the caller signed for the route", async function () {
+    const args = await intents.verifyIntent("registerPatient", await sign(patient, "registerPatient", ["encryptedKey123"]), patient.address);
+    expect(args._encryptedSymmetricKey).to.equal("encryptedKey123");
+  });
+
+  it("should refuse requests signed by someone else or for another caller", async function () {
+    const forged = await sign(other, "registerPatient", ["encryptedKey123"], { from: patient.address });
+    await expect(intents.verifyIntent("registerPatient", forged, patient.address)).to.be.rejectedWith("Request not signed by caller");
+
+    const theirs = await sign(other, "registerPatient", ["encryptedKey123"]);
+    await expect(intents.verifyIntent("registerPatient", theirs, patient.address)).to.be.rejectedWith("Request not signed by caller");
+    await expect(intents.verifyIntent("registerPatient", {}, patient.address)).to.be.rejectedWith("Signed request required");
+  });
+
+  it("should refuse requests for another route, contract or deadline", async function () {
+    const toggle = await sign(patient, "toggleDataMonetization", [true]);
+    await expect(intents.verifyIntent("registerPatient", toggle, patient.address)).to.be.rejectedWith("Request does not match route");
+
+    const elsewhere = await sign(patient, "registerPatient", ["encryptedKey123"], { to: forwarder.address });
+    await expect(intents.verifyIntent("registerPatient", elsewhere, patient.address)).to.be.rejectedWith("Wrong target contract");
+
+    const expired = await sign(patient, "registerPatient", ["encryptedKey123"], { deadline: Math.floor(Date.now() / 1000) - 1 });
+    await expect(intents.verifyIntent("registerPatient", expired, patient.address)).to.be.rejectedWith("Request expired");
+    const lasting = await sign(patient, "registerPatient", ["encryptedKey123"], { deadline: Math.floor(Date.now() / 1000) + 3600 });
+    await expect(intents.verifyIntent("registerPatient", lasting, patient.address)).to.be.rejectedWith("Request deadline too far");
+  });
+
+  it("should refuse a request whose nonce the forwarder has already used", async function () {
+    const first = await sign(patient, "registerPatient", ["encryptedKey123"]);
+    // The local node's chain id differs from the backend's, so submit with a request signed for it
+    const local = await sign(patient, "registerPatient", ["encryptedKey123"], { chainId: (await ethers.provider.getNetwork()).chainId });
+    await forwarder.execute(local.request, local.signature);
+    expect((await telemedicine.patients(patient.address)).isRegistered).to.equal(true);
+    await expect(intents.verifyIntent("registerPatient", first, patient.address)).to.be.rejectedWith("Stale nonce");
+  });
+
+  it("should surface the reason a relayed call reverted with", async function () {
+    const chainId = (await ethers.provider.getNetwork()).chainId;
+    await intents.relay(await sign(patient, "registerPatient", ["encryptedKey123"], { chainId }));
+    const again = await intents.relay(await sign(patient, "registerPatient", ["encryptedKey123"], { chainId })).catch(error => error);
+    expect(revertReason(again)).to.equal("Already registered");
+    expect(revertReason(new Error("socket hang up"))).to.equal(null);
+  });
+});
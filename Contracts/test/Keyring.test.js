@@ -0,0 +1,69 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { validateFileEnvelope, createKeyring } = require("../../backend/keyring");
+
+// Exercises the backend key directory that stores patients' data keys wrapped for each recipient
+describe("Backend keyring", function () {
+  let keyring, patient, doctor, lab;
+  const wrapped = (label) => JSON.stringify({ v: 1, epk: label, iv: "aXY=", ct: "Y3Q=" });
+
+  beforeEach(async function () {
+    [, patient, doctor, lab] = await ethers.getSigners();
+    keyring = createKeyring({ file: ":memory:" });
+    for (const user of [patient, doctor, lab]) {
+      keyring.setPublicKey(user.address, ethers.Wallet.createRandom().publicKey);
+    }
+  });
+
+  afterEach(function () {
+    keyring.close();
+  });
+
+  it("should store compressed public keys and reject invalid ones", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    expect(keyring.setPublicKey(patient.address, wallet.publicKey)).to.equal(ethers.utils.computePublicKey(wallet.publicKey, true));
+    expect(keyring.publicKey(patient.address.toLowerCase())).to.equal(ethers.utils.computePublicKey(wallet.publicKey, true));
+    expect(() => keyring.setPublicKey(patient.address, "0x1234")).to.throw("Invalid public key");
+  });
+
+  it("should share every key version and rotate away from revoked recipients", async function () {
+    expect(() => keyring.share(patient.address, doctor.address, { 1: wrapped("doctor-1") })).to.throw("No encryption key yet");
+    expect(() => keyring.rotate(patient.address, patient.address, { wraps: { [doctor.address]: wrapped("doctor-1") } }))
+      .to.throw("New key must be wrapped for the patient");
+    expect(keyring.rotate(patient.address, patient.address, { wraps: { [patient.address]: wrapped("patient-1") } })).to.equal(1);
+
+    keyring.share(patient.address, doctor.address, { 1: wrapped("doctor-1") });
+    keyring.share(patient.address, lab.address, { 1: wrapped("lab-1") });
+    expect(keyring.recipients(patient.address).recipients).to.have.members([patient, doctor, lab].map(u => u.address.toLowerCase()));
+
+    expect(() => keyring.rotate(patient.address, patient.address, { wraps: { [patient.address]: wrapped("patient-2"), [lab.address]: wrapped("lab-2") }, revoke: [lab.address] }))
+      .to.throw("New key wrapped for a revoked recipient");
+    expect(keyring.rotate(patient.address, patient.address, {
+      wraps: { [patient.address]: wrapped("patient-2"), [doctor.address]: wrapped("doctor-2") },
+      revoke: [lab.address]
+    })).to.equal(2);
+
+    expect(keyring.grants(patient.address, doctor.address)).to.deep.equal([
+      { version: 2, wrappedKey: wrapped("doctor-2") },
+      { version: 1, wrappedKey: wrapped("doctor-1") }
+    ]);
+    expect(keyring.grants(patient.address, lab.address)).to.deep.equal([]);
+    const { version, recipients } = keyring.recipients(patient.address);
+    expect(version).to.equal(2);
+    expect(recipients).to.have.members([patient, doctor].map(u => u.address.toLowerCase()));
+
+    expect(() => keyring.share(patient.address, lab.address, { 1: wrapped("lab-1") })).to.throw("Current key version required");
+    expect(() => keyring.share(patient.address, lab.address, { 2: wrapped("lab-2"), 3: wrapped("lab-3") })).to.throw("Unknown key version");
+    expect(() => keyring.share(patient.address, lab.address, { 2: "plaintext key" })).to.throw("Invalid wrapped key");
+    const stranger = ethers.Wallet.createRandom().address;
+    expect(() => keyring.share(patient.address, stranger, { 2: wrapped("stranger-2") })).to.throw(`No public key for ${stranger}`);
+  });
+
+  it("should only accept encrypted file envelopes", async function () {
+    const envelope = { v: 1, patient: patient.address, keyVersion: 1, iv: "aXY=", ct: "Y3Q=" };
+    expect(validateFileEnvelope({ ...envelope, extra: "dropped" })).to.deep.equal(envelope);
+    expect(() => validateFileEnvelope({ symptoms: "headache" })).to.throw("Files must be encrypted before upload");
+    expect(() => validateFileEnvelope({ ...envelope, keyVersion: 0 })).to.throw("Files must be encrypted before upload");
+    expect(() => validateFileEnvelope({ ...envelope, ct: "not base64!" })).to.throw("Files must be encrypted before upload");
+  });
+});
@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { isLoinc, createLabs } = require("../../backend/labs");
+
+// Exercises the backend lab catalog: admin-managed tests and panels, orders resolved from it, result flagging,
+// sample custody and turnaround SLAs
+describe("Backend lab catalog", function () {
+  let labs;
+  let clock;
+
+  const glucose = {
+    name: "Glucose", specimen: "serum", unit: "mg/dL", price: 8, turnaroundHours: 24,
+    referenceRanges: [{ low: 70, high: 99 }], criticalLow: 40, criticalHigh: 400
+  };
+  const creatinine = {
+    name: "Creatinine", specimen: "serum", unit: "mg/dL", price: 9.5, turnaroundHours: 48,
+    referenceRanges: [{ sex: "female", low: 0.59, high: 1.04 }, { sex: "male", low: 0.74, high: 1.35 }]
+  };
+  const covid = {
+    name: "SARS-CoV-2 RNA", specimen: "swab", resultType: "qualitative", price: 40, turnaroundHours: 72,
+    values: ["Not detected", "Detected", "Inconclusive"], normalValues: ["Not detected"]
+  };
+
+  beforeEach(function () {
+    clock = 1_700_000_000;
+    labs = createLabs({ file: ":memory:", now: () => clock });
+    labs.saveTest("2345-7", glucose);
+    labs.saveTest("2160-0", creatinine);
+    labs.saveTest("94500-6", covid);
+    labs.savePanel("24321-2", { name: "Basic metabolic panel", tests: ["2345-7", "2160-0"], price: 15 });
+  });
+
+  afterEach(function () {
+    labs.close();
+  });
+
+  it("should check LOINC codes", function () {
+    expect(["2345-7", "718-7", "58410-2", "24321-2"].every(isLoinc)).to.equal(true);
+    expect(isLoinc("2345-8")).to.equal(false);
+    expect(isLoinc("glucose")).to.equal(false);
+  });
+
+  it("should validate catalog entries", function () {
+    expect(() => labs.saveTest("2345-8", glucose)).to.throw("Invalid LOINC code");
+    expect(() => labs.saveTest("718-7", { ...glucose, specimen: "hair" })).to.throw("Specimen must be one of");
+    expect(() => labs.saveTest("718-7", { ...glucose, price: 1.005 })).to.throw("Invalid price");
+    expect(() => labs.saveTest("718-7", { ...glucose, turnaroundHours: 0 })).to.throw("Invalid turnaround");
+    expect(() => labs.saveTest("718-7", { ...glucose, referenceRanges: [{ low: 10, high: 5 }] })).to.throw("Invalid reference range");
+    expect(() => labs.saveTest("718-7", { ...glucose, referenceRanges: [{ sex: "female", low: 12, high: 15.5 }] }))
+      .to.throw("Reference ranges must cover both sexes or neither");
+    expect(() => labs.saveTest("718-7", { ...covid, normalValues: ["Negative"] })).to.throw("Normal values must be result values");
+    expect(() => labs.savePanel("58410-2", { name: "CBC", tests: ["2345-7"], price: 10 })).to.throw("A panel needs at least two distinct tests");
+    expect(() => labs.savePanel("58410-2", { name: "CBC", tests: ["2345-7", "718-7"], price: 10 })).to.throw("Unknown test: 718-7");
+    expect(() => labs.saveTest("24321-2", glucose)).to.throw("24321-2 is a panel");
+  });
+
+  it("should list the active catalog with panels' specimens and turnaround", function () {
+    const { tests, panels } = labs.catalog();
+    expect(tests.map(test => test.code)).to.deep.equal(["2160-0", "2345-7", "94500-6"]);
+    expect(panels).to.have.length(1);
+    expect(panels[0]).to.include({ code: "24321-2", price: 15, turnaroundHours: 48 });
+    expect(panels[0].specimens).to.deep.equal(["serum"]);
+
+    expect(labs.retire("94500-6")).to.equal(true);
+    expect(labs.retire("94500-6")).to.equal(false);
+    expect(labs.catalog().tests.map(test => test.code)).to.not.include("94500-6");
+  });
+
+  it("should resolve orders to their tests, price and turnaround", function () {
+    const order = labs.resolve("24321-2,94500-6");
+    expect(order.items.map(item => item.code)).to.deep.equal(["24321-2", "94500-6"]);
+    expect(order.tests.map(test => test.code)).to.deep.equal(["2345-7", "2160-0", "94500-6"]);
+    expect(order.price).to.equal(55);
+    expect(order.turnaroundHours).to.equal(72);
+
+    expect(labs.resolve("2345-7,2160-0").price).to.equal(17.5);
+    expect(() => labs.resolve("Complete blood count")).to.throw("Unknown test: Complete blood count");
+    expect(() => labs.resolve("2345-7,2345-7")).to.throw("Invalid test list");
+    labs.retire("2160-0");
+    expect(() => labs.resolve("24321-2")).to.throw("Unknown test: 2160-0");
+  });
+
+  it("should keep an order as placed", function () {
+    labs.recordOrder(3, labs.resolve("24321-2"));
+    labs.saveTest("2345-7", { ...glucose, referenceRanges: [{ low: 60, high: 110 }] });
+
+    const order = labs.order(3);
+    expect(order).to.include({ labTestId: 3, price: 15, orderedAt: clock, dueAt: clock + 48 * 3600, abnormal: null });
+    expect(order.tests[0].referenceRanges).to.deep.equal([{ low: 70, high: 99 }]);
+    expect(labs.order(4)).to.equal(null);
+  });
+
+  it("should check results against the order and flag abnormal values", function () {
+    labs.recordOrder(3, labs.resolve("24321-2,94500-6"));
+    const results = [
+      { code: "2345-7", value: 120 },
+      { code: "2160-0", value: 1.2 },
+      { code: "94500-6", value: "Detected" }
+    ];
+
+    const document = labs.interpret(3, { sex: "female", results, notes: "Fasting sample" });
+    expect(document.results.map(({ code, flag }) => [code, flag])).to.deep.equal([["2345-7", "H"], ["2160-0", "H"], ["94500-6", "A"]]);
+    expect(document.results[1]).to.include({ unit: "mg/dL", specimen: "serum" });
+    expect(document.results[1].referenceRange).to.deep.equal({ low: 0.59, high: 1.04 });
+    expect(labs.interpret(3, { sex: "male", results }).results[1].flag).to.equal("N");
+    expect(labs.interpret(3, { sex: "male", results: [{ code: "2345-7", value: 30 }, ...results.slice(1)] }).results[0].flag).to.equal("LL");
+    expect(labs.interpret(3, { sex: "male", results: [{ code: "2345-7", value: 450 }, ...results.slice(1)] }).results[0].flag).to.equal("HH");
+
+    expect(() => labs.interpret(3, { results })).to.throw("Creatinine: patient sex required");
+    expect(() => labs.interpret(3, { sex: "male", results: results.slice(1) })).to.throw("Glucose: result required");
+    expect(() => labs.interpret(3, { sex: "male", results: [...results, { code: "718-7", value: 14 }] })).to.throw("Not ordered: 718-7");
+    expect(() => labs.interpret(3, { sex: "male", results: [{ code: "2345-7", value: "high" }, ...results.slice(1)] })).to.throw("Glucose: result must be a number");
+    expect(() => labs.interpret(3, { sex: "male", results: [...results.slice(0, 2), { code: "94500-6", value: "Positive" }] }))
+      .to.throw("SARS-CoV-2 RNA: result must be one of");
+    expect(() => labs.interpret(4, { sex: "male", results })).to.throw("Order not from the catalog");
+
+    clock += 3600;
+    labs.recordResults(3, document);
+    expect(labs.order(3)).to.deep.include({
+      abnormal: [{ code: "2345-7", flag: "H" }, { code: "2160-0", flag: "H" }, { code: "94500-6", flag: "A" }],
+      resultedAt: clock
+    });
+  });
+
+  it("should log a sample's chain of custody through rejection and recollection", function () {
+    const lab = "0x90F79bf6EB2c8f870365E6D9a9C78C4b3eA7AbE3";
+    const sample = `Qm${"c".repeat(44)}`;
+    labs.recordOrder(3, labs.resolve("2345-7"));
+
+    expect(() => labs.recordCustody(3, lab, { stage: "received" })).to.throw("Sample cannot go from none to received");
+    labs.recordCustody(3, lab, { stage: "collected", cid: sample });
+    expect(() => labs.recordCustody(3, lab, { stage: "lost" })).to.throw("Stage must be one of");
+    expect(() => labs.recordCustody(3, lab, { stage: "processed" })).to.throw("Sample cannot go from collected to processed");
+    clock += 600;
+    labs.recordCustody(3, lab, { stage: "inTransit", note: "Courier 12" });
+    expect(() => labs.interpret(3, { results: [{ code: "2345-7", value: 90 }] })).to.throw("Sample not processed");
+    expect(() => labs.recordCustody(3, lab, { stage: "rejected" })).to.throw("Rejection reason required");
+    labs.recordCustody(3, lab, { stage: "rejected", note: "Hemolyzed" });
+    expect(() => labs.checkCustody(3, { stage: "received" })).to.throw("Sample cannot go from rejected to received");
+
+    labs.recordCustody(3, lab, { stage: "collected", cid: sample });
+    labs.recordCustody(3, lab, { stage: "received" });
+    labs.recordCustody(3, lab, { stage: "processed" });
+    expect(labs.interpret(3, { results: [{ code: "2345-7", value: 90 }] }).results[0].flag).to.equal("N");
+
+    const trail = labs.custody(3);
+    expect(trail.map(entry => entry.stage)).to.deep.equal(["collected", "inTransit", "rejected", "collected", "received", "processed"]);
+    expect(trail[0]).to.deep.equal({ stage: "collected", actor: lab.toLowerCase(), note: "", cid: sample, at: clock - 600 });
+    expect(trail[2]).to.include({ note: "Hemolyzed", at: clock });
+    expect(labs.custody(4)).to.deep.equal([]);
+    expect(() => labs.requireProcessed(4)).to.not.throw();
+  });
+
+  it("should report orders past their turnaround once", function () {
+    labs.recordOrder(3, labs.resolve("2345-7"));
+    labs.recordOrder(4, labs.resolve("24321-2"));
+    labs.recordOrder(5, labs.resolve("2345-7"));
+    clock += 24 * 3600;
+    expect(labs.takeOverdue()).to.deep.equal([]);
+
+    clock += 1;
+    labs.recordResults(5, { results: [] });
+    const overdue = labs.takeOverdue();
+    expect(overdue.map(order => order.labTestId)).to.deep.equal([3]);
+    expect(overdue[0].overdue).to.equal(true);
+    expect(labs.takeOverdue()).to.deep.equal([]);
+    expect(labs.order(4).overdue).to.equal(false);
+
+    clock += 24 * 3600;
+    expect(labs.takeOverdue().map(order => order.labTestId)).to.deep.equal([4]);
+    expect(labs.order(5).overdue).to.equal(false);
+  });
+});
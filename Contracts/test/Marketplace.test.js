@@ -0,0 +1,156 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { checkTerms, createMarketplace } = require("../../backend/marketplace");
+
+// Exercises the backend's research data marketplace against TelemedicineMarketplace on the local Hardhat node:
+// terms, de-identification, k-anonymity and revocations
+describe("Backend data marketplace", function () {
+  let telemedicine, marketplaceContract, marketplace, researcher, patients, clock, aiAnalyses, labResults;
+  const k = 3;
+  const budget = ethers.utils.parseUnits("90", 18);
+  const january = 1_705_276_800; // Mon, 15 Jan 2024
+  const purpose = "Calibrating triage urgency against doctors' reviews";
+
+  const analysis = (patient, urgency, overrides = {}) => ({
+    patient: patient.address, specialty: "Cardiology", urgency, modelVersion: "1.2.0", agreement: "agree", createdAt: january, ...overrides
+  });
+
+  const createRequest = async (criteria) => {
+    const checked = checkTerms({ purpose, criteria });
+    await marketplaceContract.connect(researcher).createDataRequest(checked.termsHash, budget, clock + 7 * 86400);
+    const requestId = (await marketplaceContract.requestCounter()).toNumber();
+    marketplace.recordRequest(requestId, researcher.address, checked);
+    return requestId;
+  };
+
+  beforeEach(async function () {
+    const signers = await ethers.getSigners();
+    researcher = signers[1];
+    patients = signers.slice(2, 7);
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    await telemedicine.grantRole(await telemedicine.ADMIN_ROLE(), signers[0].address);
+    marketplaceContract = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineMarketplace"), [telemedicine.address, signers[0].address], { initializer: "initialize" });
+    await marketplaceContract.setResearcher(researcher.address, true);
+    await sonicToken.transfer(researcher.address, budget.mul(3));
+    await sonicToken.connect(researcher).approve(marketplaceContract.address, budget.mul(3));
+
+    // The last patient keeps their data to themselves
+    for (const [i, patient] of patients.entries()) {
+      await telemedicine.connect(patient).registerPatient("encryptedKey123");
+      if (i < 4) await telemedicine.connect(patient).toggleDataMonetization(true);
+    }
+
+    clock = (await ethers.provider.getBlock("latest")).timestamp;
+    aiAnalyses = [];
+    labResults = [];
+    marketplace = createMarketplace({
+      contract: marketplaceContract,
+      telemedicine,
+      // Stand in for the triage and lab stores
+      sources: {
+        aiAnalyses: (from, to) => aiAnalyses.filter(row => row.createdAt >= from && row.createdAt < to),
+        labResults: (from, to) => labResults.filter(row => row.resultedAt >= from && row.resultedAt < to)
+      },
+      file: ":memory:",
+      k,
+      now: () => clock
+    });
+  });
+
+  afterEach(function () {
+    marketplace.close();
+  });
+
+  it("should normalize terms so the same terms always hash the same", function () {
+    expect(() => checkTerms({ purpose: "Research", criteria: { kinds: ["aiAnalyses"] } })).to.throw("Purpose must be 20 to 2000 characters");
+    expect(() => checkTerms({ purpose })).to.throw("Criteria required");
+    expect(() => checkTerms({ purpose, criteria: { kinds: ["genomes"] } })).to.throw("Invalid kinds");
+    expect(() => checkTerms({ purpose, criteria: {} })).to.throw("Kinds must be some of aiAnalyses, labResults");
+    expect(() => checkTerms({ purpose, criteria: { kinds: ["aiAnalyses"], urgencies: ["soon"] } })).to.throw("Invalid urgencies");
+    expect(() => checkTerms({ purpose, criteria: { kinds: ["labResults"], labTests: ["718-8"] } })).to.throw("Invalid lab tests");
+    expect(() => checkTerms({ purpose, criteria: { kinds: ["labResults"], from: 100, to: 50 } })).to.throw("Invalid to");
+
+    const checked = checkTerms({ purpose: ` ${purpose} `, criteria: { urgencies: ["urgent", "routine"], kinds: ["labResults", "aiAnalyses"], abnormalOnly: false } });
+    expect(checked.terms).to.deep.equal({ purpose, criteria: { kinds: ["aiAnalyses", "labResults"], urgencies: ["routine", "urgent"], abnormalOnly: false } });
+    const reordered = checkTerms({ purpose, criteria: { abnormalOnly: false, kinds: ["aiAnalyses", "labResults"], urgencies: ["routine", "urgent", "routine"] } });
+    expect(reordered.termsHash).to.equal(checked.termsHash);
+  });
+
+  it("should assemble de-identified records, suppressing groups of fewer than k patients", async function () {
+    const [p1, p2, p3, p4, unshared] = patients;
+    aiAnalyses = [
+      analysis(p1, "routine"), analysis(p1, "routine", { agreement: null }), analysis(p2, "routine"), analysis(p3, "routine", { agreement: "override" }),
+      analysis(unshared, "routine"),
+      analysis(p1, "urgent"), analysis(p2, "urgent")
+    ];
+    labResults = [p1, p2, p4].map((patient, i) => ({
+      patient: patient.address, codes: ["718-7", "2345-7"], abnormal: i === 0 ? [{ code: "718-7", flag: "L" }] : [], resultedAt: january + 86400
+    }));
+    const requestId = await createRequest({ kinds: ["aiAnalyses", "labResults"], labTests: ["718-7"] });
+    await marketplaceContract.connect(p4).revokeContribution(requestId);
+
+    // The urgent group has two patients, and the lab group only two once the opted-out patient is left out
+    const assembled = await marketplace.assemble(requestId);
+    expect(assembled.records).to.deep.equal([
+      { kind: "aiAnalysis", period: "2024-Q1", specialty: "Cardiology", urgency: "routine", modelVersion: "1.2.0", doctorAgreed: false },
+      { kind: "aiAnalysis", period: "2024-Q1", specialty: "Cardiology", urgency: "routine", modelVersion: "1.2.0", doctorAgreed: null },
+      { kind: "aiAnalysis", period: "2024-Q1", specialty: "Cardiology", urgency: "routine", modelVersion: "1.2.0", doctorAgreed: true },
+      { kind: "aiAnalysis", period: "2024-Q1", specialty: "Cardiology", urgency: "routine", modelVersion: "1.2.0", doctorAgreed: true }
+    ]);
+    expect(JSON.stringify(assembled.records)).to.not.match(/0x/);
+    expect(assembled.contributors).to.deep.equal([
+      { patient: p1.address.toLowerCase(), records: 2 }, { patient: p2.address.toLowerCase(), records: 1 }, { patient: p3.address.toLowerCase(), records: 1 }
+    ]);
+
+    // Cohort criteria that leave too few patients are refused
+    const narrow = await createRequest({ kinds: ["aiAnalyses"], urgencies: ["urgent"] });
+    await expect(marketplace.assemble(narrow)).to.be.rejectedWith("Fewer than 3 patients qualify");
+    await expect(marketplace.assemble(99)).to.be.rejectedWith("Unknown data request");
+  });
+
+  it("should drop revoked contributions from the dataset and show patients their studies", async function () {
+    const [p1, p2, p3, p4] = patients;
+    aiAnalyses = [p1, p2, p3, p4].map(patient => analysis(patient, "routine"));
+    const requestId = await createRequest({ kinds: ["aiAnalyses"] });
+    const assembled = await marketplace.assemble(requestId);
+    await marketplaceContract.fulfillDataRequest(
+      requestId, assembled.contributors.map(c => c.patient), assembled.contributors.map(c => c.records), assembled.datasetHash
+    );
+    marketplace.saveDataset(requestId, assembled);
+    await expect(marketplace.assemble(requestId)).to.be.rejectedWith("Data request not open");
+
+    const [request] = await marketplace.requests([researcher.address]);
+    expect(request).to.deep.include({ id: requestId, purpose, status: "fulfilled", budget: budget.toString(), contributors: 4 });
+    expect((await marketplace.dataset(requestId)).records).to.have.lengthOf(4);
+
+    // Three patients are still enough, two are not
+    await marketplaceContract.connect(p4).revokeContribution(requestId);
+    expect(await marketplace.dataset(requestId)).to.deep.include({ datasetHash: assembled.datasetHash, revokedContributors: 1 });
+    expect((await marketplace.dataset(requestId)).records).to.have.lengthOf(3);
+    await marketplaceContract.connect(p3).revokeContribution(requestId);
+    expect((await marketplace.dataset(requestId)).records).to.deep.equal([]);
+
+    const studies = await marketplace.studies([p3.address]);
+    expect(studies).to.deep.equal([{
+      requestId, patient: p3.address.toLowerCase(), records: 1, assembledAt: clock, purpose, researcher: researcher.address.toLowerCase(), revoked: true
+    }]);
+    expect(await marketplace.studies([patients[4].address])).to.deep.equal([]);
+  });
+});
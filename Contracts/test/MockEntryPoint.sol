@@ -1,5 +0,0 @@
-// SPDX-License-Identifier: MIT
-pragma solidity 0.8.20;
-contract MockEntryPoint {
-    function handleOps(bytes calldata, address payable) external {}
-}
@@ -2,8 +2,18 @@
 pragma solidity 0.8.20;
 contract MockPriceFeed {
     int256 public price;
+    uint80 public roundId = 1;
+    uint80 public answeredInRound = 1;
+    uint256 public updatedAt; // 0 reports the current block, so the answer never goes stale in tests
     constructor(int256 _price) { price = _price; }
+    function decimals() external pure returns (uint8) {
+        return 8;
+    }
+    function setRoundData(uint80 _roundId, int256 _price, uint256 _updatedAt, uint80 _answeredInRound) external {
+        (roundId, price, updatedAt, answeredInRound) = (_roundId, _price, _updatedAt, _answeredInRound);
+    }
     function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
-        return (0, price, 0, 0, 0);
+        uint256 timestamp = updatedAt == 0 ? block.timestamp : updatedAt;
+        return (roundId, price, timestamp, timestamp, answeredInRound);
     }
 }
@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { smtpTransport, smsGatewayTransport, createNotifier } = require("../../backend/notifier");
+const { createChannels } = require("../../backend/channels");
+const { startFakeSmtp, startFakeSmsGateway } = require("../../backend/stand-ins");
+
+// Exercises the backend's out-of-band notifications against the local SMTP and SMS stand-ins: preferences,
+// templates, retries and appointment reminders
+describe("Backend notifier", function () {
+  let notifier, smtp, sms, pushed, pushFailure, appointments, clock;
+
+  const patient = { address: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8", smartAccount: "0x9A676e781A523b5d0C0e43731313A708CB607508", roles: ["PATIENT_ROLE"] };
+  const doctor = { address: "0x90F79bf6EB2c8f870365E6D9a9C78C4b3eA7AbE3", roles: ["DOCTOR_ROLE"] };
+  const start = 1_700_085_600; // Wed, 15 Nov 2023, 22:00 UTC
+  const subscription = { endpoint: "https://push.example.com/send/abc", keys: { p256dh: "BPk3", auth: "x9Q" } };
+  const appUrl = "https://app.example.com";
+
+  // Records web pushes, failing while `pushFailure` is set
+  const push = {
+    publicKey: "BVapidPublicKey",
+    send: async (destination, message) => {
+      if (pushFailure) throw pushFailure;
+      pushed.push({ endpoint: destination.endpoint, message });
+    }
+  };
+
+  before(async function () {
+    smtp = await startFakeSmtp();
+    sms = await startFakeSmsGateway({ reject: ["+15005550001"] });
+  });
+
+  after(async function () {
+    await smtp.close();
+    await sms.close();
+  });
+
+  beforeEach(function () {
+    clock = 1_700_000_000;
+    smtp.messages.length = 0;
+    sms.messages.length = 0;
+    pushed = [];
+    pushFailure = null;
+    appointments = [];
+    notifier = createNotifier({
+      file: ":memory:",
+      transports: {
+        email: smtpTransport({ url: `smtp://127.0.0.1:${smtp.port}`, from: "Telemedicine <no-reply@example.com>" }),
+        sms: smsGatewayTransport({ url: `http://127.0.0.1:${sms.port}/messages`, token: "sms-token", from: "Telemed" }),
+        push
+      },
+      // Stands in for the indexer's confirmed appointments
+      indexer: { upcomingAppointments: (from, to) => appointments.filter(apt => apt.scheduledTimestamp > from && apt.scheduledTimestamp <= to) },
+      appUrl,
+      now: () => clock
+    });
+  });
+
+  afterEach(function () {
+    notifier.close();
+  });
+
+  it("should keep each user's contacts and preferences, with SMS kept for reminders by default", function () {
+    const defaults = notifier.settings(patient);
+    expect(defaults).to.deep.include({ email: null, phone: null, timeZone: "UTC", pushSubscriptions: 0, channels: ["email", "sms", "push"], pushKey: "BVapidPublicKey" });
+    expect(defaults.preferences.reminders).to.deep.equal({ email: true, sms: true, push: true });
+    expect(defaults.preferences.labs).to.deep.equal({ email: true, sms: false, push: true });
+
+    expect(() => notifier.updateSettings(patient, { email: "patient@" })).to.throw("Invalid email");
+    expect(() => notifier.updateSettings(patient, { phone: "555-0100" })).to.throw("Phone number must be in international format");
+    expect(() => notifier.updateSettings(patient, { timeZone: "Mars/Olympus" })).to.throw("Unknown time zone: Mars/Olympus");
+    expect(() => notifier.updateSettings(patient, { preferences: { billing: { email: true } } })).to.throw("Unknown topic: billing");
+    expect(() => notifier.updateSettings(patient, { preferences: { labs: { fax: true } } })).to.throw("Unknown channel: fax");
+    expect(() => notifier.updateSettings(patient, { preferences: { labs: { sms: "yes" } } })).to.throw("Invalid preferences");
+    expect(() => notifier.subscribePush(patient, { ...subscription, endpoint: "http://push.example.com" })).to.throw("Invalid push subscription");
+
+    const saved = notifier.updateSettings(patient, {
+      email: "patient@example.com", phone: "+14155550123", timeZone: "Europe/Paris", preferences: { labs: { sms: true, push: false } }
+    });
+    expect(saved).to.deep.include({ email: "patient@example.com", phone: "+14155550123", timeZone: "Europe/Paris" });
+    expect(saved.preferences.labs).to.deep.equal({ email: true, sms: true, push: false });
+
+    notifier.subscribePush(patient, subscription);
+    expect(notifier.settings(patient).pushSubscriptions).to.equal(1);
+    notifier.unsubscribePush(doctor, subscription.endpoint);
+    expect(notifier.settings(patient).pushSubscriptions).to.equal(1);
+    notifier.unsubscribePush(patient, subscription.endpoint);
+    expect(notifier.settings(patient).pushSubscriptions).to.equal(0);
+
+    // Transports left unconfigured are not offered
+    const emailOnly = createNotifier({ file: ":memory:", transports: { email: push }, indexer: {}, appUrl });
+    expect(emailOnly.settings(patient)).to.deep.include({ channels: ["email"], pushKey: null });
+    expect(emailOnly.settings(patient).preferences.reminders).to.deep.equal({ email: true });
+    emailOnly.close();
+  });
+
+  it("should send published events to their parties on the channels they keep", async function () {
+    notifier.updateSettings(patient, { email: "patient@example.com", phone: "+14155550123", timeZone: "Europe/Paris" });
+    notifier.subscribePush(patient, subscription);
+    notifier.updateSettings(doctor, { email: "doctor@example.com", phone: "+14155550124", preferences: { appointments: { sms: true, email: false } } });
+
+    // On-chain, the patient acts through their smart account
+    const sent = [];
+    const channels = createChannels({ file: ":memory:", authenticate: () => {}, onPublish: (event, addresses) => sent.push(notifier.notify(event, addresses)), now: () => clock });
+    channels.publishContractEvents([{
+      name: "AppointmentConfirmed", table: "appointments", id: 3, args: {}, transactionHash: `0x${"ab".repeat(32)}`, logIndex: 0,
+      row: { patient: patient.smartAccount.toLowerCase(), doctor: doctor.address.toLowerCase(), status: 1, scheduled_timestamp: start }
+    }], clock);
+    channels.publish("labTestAssigned", { id: 1, to: [patient.address] });
+    channels.close();
+    await Promise.all(sent);
+
+    expect(smtp.messages).to.have.lengthOf(1);
+    const [mail] = smtp.messages;
+    expect(mail.to).to.deep.equal(["patient@example.com"]);
+    expect(mail.data).to.include("Subject: Appointment confirmed");
+    expect(mail.data).to.include("Appointment #3 on Wed, 15 Nov 2023, 23:00 CET is confirmed.");
+    expect(mail.data).to.include(appUrl);
+    expect(sms.messages).to.deep.equal([{
+      from: "Telemed", to: "+14155550124", text: "Appointment confirmed: Appointment #3 on Wed, 15 Nov 2023, 22:00 UTC is confirmed.", authorization: "Bearer sms-token"
+    }]);
+    expect(pushed).to.deep.equal([{
+      endpoint: subscription.endpoint, message: { title: "Appointment confirmed", body: "Appointment #3 on Wed, 15 Nov 2023, 23:00 CET is confirmed.", url: appUrl }
+    }]);
+    expect(notifier.deliveries(patient).map(({ template, channel, status }) => [template, channel, status])).to.deep.equal([
+      ["appointmentConfirmed", "push", "sent"], ["appointmentConfirmed", "email", "sent"]
+    ]);
+  });
+
+  it("should retry failed deliveries with backoff, and drop what cannot be delivered", async function () {
+    notifier.updateSettings(patient, { phone: "+15005550001", preferences: { labs: { sms: true } } });
+    notifier.subscribePush(patient, subscription);
+
+    pushFailure = new Error("Push service unavailable");
+    await notifier.notify({ type: "labResultsReady", id: "7", data: {} }, [patient.address]);
+    let [smsDelivery, pushDelivery] = notifier.deliveries(patient).reverse();
+    expect(smsDelivery).to.include({ channel: "sms", status: "failed", attempts: 1, error: "SMS gateway responded 400" });
+    expect(pushDelivery).to.include({ channel: "push", status: "pending", attempts: 1, error: "Push service unavailable" });
+
+    pushFailure = null;
+    await notifier.flush();
+    expect(pushed).to.deep.equal([]);
+    clock += 60;
+    await notifier.flush();
+    expect(pushed.map(push => push.message.body)).to.deep.equal(["Results for lab test #7 are ready to review."]);
+
+    // The browser dropped the subscription
+    pushFailure = Object.assign(new Error("Received unexpected response code"), { permanent: true });
+    await notifier.notify({ type: "prescriptionIssued", id: "2", data: {} }, [patient.address]);
+    [pushDelivery] = notifier.deliveries(patient);
+    expect(pushDelivery).to.include({ template: "prescriptionIssued", status: "failed" });
+    expect(notifier.settings(patient).pushSubscriptions).to.equal(0);
+  });
+
+  it("should remind both parties of confirmed appointments once per lead time", async function () {
+    clock = start - 2 * 86400;
+    notifier.updateSettings(patient, { email: "patient@example.com", phone: "+14155550123" });
+    notifier.updateSettings(doctor, { email: "doctor@example.com", preferences: { reminders: { email: false } } });
+    appointments = [
+      { id: 1, patient: patient.smartAccount.toLowerCase(), doctor: doctor.address.toLowerCase(), scheduledTimestamp: start },
+      { id: 2, patient: patient.address.toLowerCase(), doctor: doctor.address.toLowerCase(), scheduledTimestamp: clock + 1800 }
+    ];
+
+    // The second starts within the hour, so only gets the nearest reminder
+    await notifier.remind();
+    expect(sms.messages.map(message => message.text)).to.deep.equal(["Appointment reminder: Appointment #2 starts at Mon, 13 Nov 2023, 22:30 UTC."]);
+    expect(smtp.messages.map(message => message.to)).to.deep.equal([["patient@example.com"]]);
+
+    clock = start - 86400;
+    await notifier.remind();
+    await notifier.remind();
+    expect(sms.messages.map(message => message.text)).to.have.lengthOf(2);
+    expect(sms.messages[1].text).to.equal("Appointment reminder: Appointment #1 starts at Wed, 15 Nov 2023, 22:00 UTC.");
+
+    clock = start - 3599;
+    await notifier.remind();
+    clock = start - 60;
+    await notifier.remind();
+    expect(sms.messages).to.have.lengthOf(3);
+    expect(smtp.messages).to.have.lengthOf(3);
+  });
+});
@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { createIndexer } = require("../../backend/indexer");
+const { createPayouts } = require("../../backend/payouts");
+
+// Exercises the backend payout views against escrow held by TelemedicinePayments
+describe("Backend payouts", function () {
+  let telemedicine, payments, sonicToken, indexer, payouts, patient, doctor, scheduled, snapshot;
+  const consultationFee = ethers.utils.parseEther("0.1"); // USD
+  const ethFee = consultationFee.div(2000); // the same fee in ETH at 2000 USD/ETH
+
+  const book = (paymentType, offset = 0) => telemedicine.connect(patient).bookAppointment(
+    doctor.address, scheduled + offset, paymentType, false, "", consultationFee, { value: paymentType === 0 ? ethFee : 0 }
+  );
+
+  beforeEach(async function () {
+    // Settling needs time travel; the snapshot keeps it from leaking into suites that schedule from the wall clock
+    snapshot = await takeSnapshot();
+    [, patient, doctor] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+    await payments.setPlatformFee(1000); // 10%
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", consultationFee);
+    await sonicToken.transfer(patient.address, consultationFee.mul(2));
+    await sonicToken.connect(patient).approve(telemedicine.address, consultationFee.mul(2));
+    scheduled = (await time.latest()) + 2 * 3600;
+
+    indexer = createIndexer({ contract: telemedicine, file: ":memory:", confirmations: 0 });
+    payouts = createPayouts({ contract: telemedicine, payments, indexer });
+  });
+
+  afterEach(async function () {
+    indexer.stop();
+    await snapshot.restore();
+  });
+
+  it("should report escrowed fees as pending and settled ones as withdrawable", async function () {
+    await book(2);
+    await book(2, 60);
+    await book(0, 120);
+    await telemedicine.connect(doctor).confirmAppointment(3);
+    await time.increaseTo(scheduled + 120);
+    await telemedicine.connect(doctor).completeAppointment(3);
+    await telemedicine.connect(patient).cancelAppointment(2);
+    await indexer.sync();
+
+    const { platformFeeBps, currencies } = await payouts.earnings(doctor.address);
+    expect(platformFeeBps).to.equal(1000);
+    const [eth, usdc, sonic] = currencies;
+    expect(eth).to.include({ currency: "ETH", token: ethers.constants.AddressZero, decimals: 18, pending: "0" });
+    expect(eth.withdrawable).to.equal(ethFee.mul(9).div(10).toString());
+    expect(usdc).to.include({ pending: "0", withdrawable: "0" });
+    // The patient cancelled appointment 2 inside the buffer, so only appointment 1 is still escrowed
+    expect(sonic.pending).to.equal(consultationFee.mul(9).div(10).toString());
+    expect(sonic.withdrawable).to.equal(consultationFee.mul(9).div(10).toString());
+  });
+
+  it("should show refunds and accrued platform fees", async function () {
+    await book(2);
+    await telemedicine.connect(doctor).cancelAppointment(1);
+    await book(0, 60);
+    await telemedicine.connect(doctor).confirmAppointment(2);
+    await time.increaseTo(scheduled + 60);
+    await telemedicine.connect(doctor).completeAppointment(2);
+
+    const refunds = await payouts.balances(patient.address);
+    expect(refunds.map(c => c.withdrawable)).to.deep.equal(["0", "0", consultationFee.toString()]);
+    const treasury = await payouts.platformBalances();
+    expect(treasury.currencies.map(c => c.withdrawable)).to.deep.equal([ethFee.div(10).toString(), "0", "0"]);
+  });
+
+  it("should quote the doctor's USD fee with a slippage bound", async function () {
+    const quote = await payouts.quote(doctor.address, 0);
+    expect(quote).to.include({ currency: "ETH", usdFee: consultationFee.toString(), amount: ethFee.toString(), slippageBps: 100 });
+    expect(quote.maxAmount).to.equal(ethFee.mul(101).div(100).toString());
+    await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 0, false, "", quote.maxAmount, { value: quote.maxAmount });
+    expect((await telemedicine.appointments(1)).fee).to.equal(ethFee);
+
+    expect((await payouts.quote(doctor.address, 2)).amount).to.equal(consultationFee.toString());
+    await expect(payouts.quote(patient.address, 2)).to.be.rejectedWith("Doctor not verified");
+    await expect(payouts.quote(doctor.address, 3)).to.be.rejectedWith("Unknown payment type");
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseMedications, medicationsCommitment, checkVerificationCode, screen, createPrescriptions } = require("../../backend/prescriptions");
+
+// Exercises the backend's structured prescriptions: medication lines, formulary interaction and allergy screening,
+// the patient's current medications, one-time verification codes behind QR tokens, and fills
+describe("Backend prescriptions", function () {
+  let prescriptions;
+  let clock;
+
+  const patient = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const doctor = "0x90F79bf6EB2c8f870365E6D9a9C78C4b3eA7AbE3";
+  const warfarin = { code: "11289", dose: 5, route: "oral", frequency: "once daily", quantity: 30, refills: 2 };
+  const ibuprofen = { code: "5640", dose: 400, route: "oral", frequency: "three times daily", quantity: 21 };
+  const amoxicillin = { code: "723", dose: 500, route: "oral", frequency: "three times daily", quantity: 21, instructions: " Take with food " };
+  const cephalexin = { code: "2231", dose: 500, route: "oral", frequency: "four times daily", quantity: 28 };
+
+  const pharmacy = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+  const salt = () => ethers.utils.hexlify(ethers.utils.randomBytes(32));
+  const code = ethers.utils.id("one-time code");
+  // Issues a screened prescription as /issue-prescription does once its transaction is mined
+  function issue(prescriptionId, lines, body = {}) {
+    const medications = JSON.stringify(lines);
+    const s = salt();
+    const checked = prescriptions.checkIssue(patient, medicationsCommitment(medications, s), { medications, salt: s, ...body });
+    prescriptions.record(prescriptionId, { patient, doctor, appointmentId: 4, verificationCode: code }, checked);
+    return checked;
+  }
+
+  beforeEach(function () {
+    clock = 1_700_000_000;
+    prescriptions = createPrescriptions({ file: ":memory:", qrSecret: "qr-secret", now: () => clock });
+  });
+
+  afterEach(function () {
+    prescriptions.close();
+  });
+
+  it("should validate medication lines against the formulary", function () {
+    expect(parseMedications(JSON.stringify([amoxicillin]))).to.deep.equal([{
+      code: "723", name: "Amoxicillin", dose: 500, unit: "mg", route: "oral", frequency: "three times daily", quantity: 21, refills: 0,
+      instructions: "Take with food"
+    }]);
+    expect(() => parseMedications("amoxicillin 500 mg")).to.throw("Invalid medications");
+    expect(() => parseMedications([])).to.throw("Medications required");
+    expect(() => parseMedications([{ ...amoxicillin, code: "999999" }])).to.throw("Unknown drug: 999999");
+    expect(() => parseMedications([{ ...amoxicillin, dose: "500" }])).to.throw("Amoxicillin: invalid dose");
+    expect(() => parseMedications([{ ...amoxicillin, route: "inhaled" }])).to.throw("Amoxicillin: route must be one of oral");
+    expect(() => parseMedications([{ ...amoxicillin, frequency: "tid" }])).to.throw("Amoxicillin: frequency must be one of");
+    expect(() => parseMedications([{ ...amoxicillin, quantity: 0 }])).to.throw("Amoxicillin: invalid quantity");
+    expect(() => parseMedications([{ ...amoxicillin, refills: 12 }])).to.throw("Amoxicillin: refills must be 0 to 11");
+    expect(() => parseMedications([amoxicillin, { ...amoxicillin, dose: 250 }])).to.throw("One line per drug");
+  });
+
+  it("should screen for interactions and allergies, most severe first", function () {
+    const lines = parseMedications([amoxicillin, cephalexin, ibuprofen]);
+    expect(screen(lines)).to.deep.equal([]);
+
+    const alerts = screen(lines, [], ["penicillin", "5640"]);
+    expect(alerts.map(({ type, severity, drugs }) => [type, severity, drugs])).to.deep.equal([
+      ["allergy", "major", ["723"]],
+      ["allergy", "major", ["5640"]],
+      ["allergy", "moderate", ["2231"]]
+    ]);
+    expect(alerts[1].description).to.equal("Patient is allergic to Ibuprofen");
+
+    const [interaction] = screen(parseMedications([ibuprofen, warfarin]));
+    expect(interaction).to.deep.equal({
+      type: "interaction", severity: "major", drugs: ["5640", "11289"], description: "NSAIDs raise the bleeding risk with warfarin"
+    });
+    expect(screen(parseMedications([{ code: "10689", dose: 50, route: "oral", frequency: "as needed", quantity: 10 },
+      { code: "2670", dose: 30, route: "oral", frequency: "every 6 hours", quantity: 12 }]))[0].description)
+      .to.equal("Combined opioids risk respiratory depression");
+  });
+
+  it("should only issue the committed lines, with a reason to override major alerts", function () {
+    const medications = JSON.stringify([ibuprofen, warfarin]);
+    const s = salt();
+    const commitment = medicationsCommitment(medications, s);
+    expect(commitment).to.equal(ethers.utils.solidityKeccak256(["bytes32", "string"], [s, medications]));
+
+    expect(() => prescriptions.checkIssue(patient, commitment, { medications: JSON.stringify([warfarin]), salt: s }))
+      .to.throw("Medications do not match the signed commitment");
+    expect(() => prescriptions.checkIssue(patient, commitment, { medications, salt: "0x1234" })).to.throw("Invalid medications");
+    expect(() => prescriptions.checkIssue(patient, commitment, { medications, salt: s })).to.throw("Major alerts need an override reason");
+    expect(() => prescriptions.checkIssue(patient, commitment, { medications, salt: s, allergies: ["latex"] })).to.throw("Unknown allergy: latex");
+
+    const checked = prescriptions.checkIssue(patient, commitment, { medications, salt: s, overrideReason: " INR monitored weekly " });
+    expect(checked.overrideReason).to.equal("INR monitored weekly");
+    prescriptions.record(7, { patient, doctor, appointmentId: 4, verificationCode: code }, checked);
+    expect(prescriptions.prescription(7)).to.deep.include({
+      prescriptionId: 7, appointmentId: 4, overrideReason: "INR monitored weekly", issuedAt: clock, activeUntil: clock + 90 * 86400
+    });
+    expect(prescriptions.prescription(7).medications.map(line => line.name)).to.deep.equal(["Ibuprofen", "Warfarin"]);
+    expect(prescriptions.prescription(7)).to.not.have.property("verificationCode");
+    expect(prescriptions.prescription(8)).to.equal(null);
+  });
+
+  it("should only accept the one-time code of the signed hash", function () {
+    const codeHash = ethers.utils.keccak256(code);
+    expect(checkVerificationCode(code, codeHash)).to.equal(code);
+    expect(() => checkVerificationCode(ethers.utils.id("another code"), codeHash)).to.throw("Verification code does not match the signed hash");
+    expect(() => checkVerificationCode("123456", codeHash)).to.throw("Invalid verification code");
+    expect(() => checkVerificationCode(undefined, codeHash)).to.throw("Invalid verification code");
+  });
+
+  it("should release the code to one scan of an unexpired QR token", function () {
+    issue(1, [amoxicillin]);
+    const { token, expiresAt } = prescriptions.issueQrToken(1);
+    expect(expiresAt).to.equal(clock + 600);
+    expect(token).to.not.include(code.slice(2));
+
+    expect(() => prescriptions.redeemQrToken(`${token}x`)).to.throw("Invalid or expired QR code");
+    const elsewhere = createPrescriptions({ file: ":memory:", qrSecret: "other-secret", now: () => clock });
+    expect(() => elsewhere.redeemQrToken(token)).to.throw("Invalid or expired QR code");
+    elsewhere.close();
+    expect(prescriptions.redeemQrToken(token)).to.deep.equal({ prescriptionId: 1, verificationCode: code });
+    expect(() => prescriptions.redeemQrToken(token)).to.throw("QR code already used");
+
+    const late = prescriptions.issueQrToken(1).token;
+    clock += 601;
+    expect(() => prescriptions.redeemQrToken(late)).to.throw("Invalid or expired QR code");
+    expect(() => prescriptions.issueQrToken(2)).to.throw("Prescription has no verification code");
+  });
+
+  it("should track partial fills and refills once due", function () {
+    issue(1, [warfarin, amoxicillin]);
+    expect(prescriptions.fills(1)).to.deep.include({ complete: false, history: [] });
+    expect(prescriptions.fills(2)).to.equal(null);
+
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "5640", quantity: 10 }])).to.throw("Not prescribed: 5640");
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 31 }])).to.throw("Warfarin: at most 30 in this fill");
+    expect(() => prescriptions.dispense(1, pharmacy, [])).to.throw("Fills required");
+
+    prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 20 }, { code: "723", quantity: 21 }]);
+    clock += 86400;
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 11 }])).to.throw("Warfarin: at most 10 in this fill");
+    let fills = prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 10 }]);
+    expect(fills.lines[0]).to.include({ dispensed: 30, remaining: 60, fill: 1, fills: 3, fillRemaining: 0, nextFillAt: clock - 86400 + 22.5 * 86400 });
+    expect(fills.lines[1]).to.include({ remaining: 0 });
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "723", quantity: 1 }])).to.throw("Amoxicillin: fully dispensed");
+
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 30 }])).to.throw("Warfarin: refill not due until");
+    clock += 22 * 86400;
+    fills = prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 30 }]);
+    expect(fills.history.map(fill => [fill.code, fill.quantity, fill.fill])).to.deep.equal([
+      ["11289", 20, 1], ["723", 21, 1], ["11289", 10, 1], ["11289", 30, 2]
+    ]);
+    expect(fills.complete).to.equal(false);
+
+    // Refills lapse a year after issue; what is left of them no longer holds up fulfilling
+    clock = 1_700_000_000 + 366 * 86400;
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 30 }])).to.throw("Warfarin: refills have lapsed");
+    expect(prescriptions.fills(1).complete).to.equal(true);
+  });
+
+  it("should only start filling before the prescription expires", function () {
+    issue(1, [warfarin]);
+    const expiresAt = clock + 30 * 86400;
+    clock = expiresAt + 1;
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 20 }], expiresAt)).to.throw("Prescription expired");
+
+    // A fill started in time is finished, and refilled, after expiry
+    clock = expiresAt;
+    prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 20 }], expiresAt);
+    clock += 86400;
+    expect(prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 10 }], expiresAt).lines[0]).to.include({ dispensed: 30 });
+  });
+
+  it("should stop filling and screening against cancelled prescriptions", function () {
+    issue(1, [warfarin]);
+    const { token } = prescriptions.issueQrToken(1);
+    prescriptions.cancel(1);
+    expect(prescriptions.prescription(1).cancelledAt).to.equal(clock);
+    expect(prescriptions.current(patient)).to.deep.equal([]);
+    expect(() => prescriptions.redeemQrToken(token)).to.throw("Prescription cancelled");
+    expect(() => prescriptions.issueQrToken(1)).to.throw("Prescription cancelled");
+    expect(() => prescriptions.dispense(1, pharmacy, [{ code: "11289", quantity: 30 }])).to.throw("Prescription cancelled");
+  });
+
+  it("should screen against the patient's current medications until they run out", function () {
+    issue(1, [warfarin]);
+    issue(2, [amoxicillin]);
+    expect(prescriptions.current(patient).map(line => [line.code, line.prescriptionId])).to.deep.equal([["11289", 1], ["723", 2]]);
+    expect(prescriptions.current(doctor)).to.deep.equal([]);
+
+    const { alerts } = prescriptions.check(patient, { medications: [ibuprofen, amoxicillin] });
+    expect(alerts).to.deep.equal([
+      { type: "interaction", severity: "major", drugs: ["5640", "11289"], description: "NSAIDs raise the bleeding risk with warfarin", prescriptionId: 1 },
+      { type: "duplicate", severity: "moderate", drugs: ["723"], description: "Patient already takes Amoxicillin", prescriptionId: 2 }
+    ]);
+
+    clock += 7 * 86400;
+    expect(prescriptions.current(patient).map(line => line.code)).to.deep.equal(["11289"]);
+    clock += 83 * 86400;
+    expect(prescriptions.check(patient, { medications: [ibuprofen] }).alerts).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { createRewards } = require("../../backend/rewards");
+
+// Exercises the backend's views of accrued and claimed data rewards and of the pool held by TelemedicineRewards
+describe("Backend data rewards", function () {
+  let telemedicine, rewardsContract, rewards, patient, clock, snapshot;
+  const DAY = 86400;
+  const sonic = (amount) => ethers.utils.parseUnits(String(amount), 18);
+
+  beforeEach(async function () {
+    // Epochs need time travel; the snapshot keeps it from leaking into suites that schedule from the wall clock
+    snapshot = await takeSnapshot();
+    const signers = await ethers.getSigners();
+    patient = signers[1];
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", sonic(1000));
+    const sonicToken = await ERC20.deploy("SONIC", "SONIC", sonic(1000));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    const entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    rewardsContract = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineRewards"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setRewards(rewardsContract.address, 0);
+    await rewardsContract.setRewardPolicy(sonic(10), DAY, 0, sonic(15), sonic(5));
+    await rewardsContract.setActionWeight(0, 10000);
+    await sonicToken.approve(rewardsContract.address, sonic(30));
+    await rewardsContract.fund(sonic(30));
+
+    await telemedicine.connect(patient).registerPatient("encryptedKey123");
+    await telemedicine.connect(patient).toggleDataMonetization(true);
+    // Start at the beginning of an epoch so none ends mid-test
+    await time.increaseTo((Math.floor((await time.latest()) / DAY) + 1) * DAY);
+    rewards = createRewards({ contract: telemedicine, rewards: rewardsContract, now: () => clock });
+  });
+
+  afterEach(async function () {
+    await snapshot.restore();
+  });
+
+  it("should show patients what they accrued, claimed and can claim", async function () {
+    await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache"));
+    await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("fever"));
+    await rewardsContract.connect(patient).claimRewards();
+    await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("cough"));
+
+    clock = await time.latest();
+    expect(await rewards.summary(patient.address)).to.deep.equal({
+      accrued: sonic(15).toString(), claimed: sonic(15).toString(), claimable: "0", epochAccrued: sonic(15).toString(), patientCap: sonic(15).toString()
+    });
+
+    // The cap counts afresh once the epoch is over, before the patient's next step
+    clock += DAY;
+    expect((await rewards.summary(patient.address)).epochAccrued).to.equal("0");
+  });
+
+  it("should report the pool's reserved and available balance, policy and weights", async function () {
+    await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache"));
+    await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("fever"));
+
+    expect(await rewards.pool()).to.deep.equal({
+      balance: sonic(30).toString(),
+      reserved: sonic(15).toString(),
+      available: sonic(15).toString(),
+      totalFunded: sonic(30).toString(),
+      totalAccrued: sonic(15).toString(),
+      totalClaimed: "0",
+      poolLow: false,
+      policy: { amount: sonic(10).toString(), epochLength: DAY, epochBudget: "0", patientCap: sonic(15).toString(), lowBalanceThreshold: sonic(5).toString() },
+      weights: { aiAnalysis: 10000, labOrder: 0, labResults: 0, labReview: 0 }
+    });
+  });
+});
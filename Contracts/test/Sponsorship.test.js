@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { createUserOps } = require("../../backend/userops");
+
+// Exercises the backend paymaster sponsorship policy against a local EntryPoint
+describe("Backend sponsorship policy", function () {
+  let telemedicine, payments, rewards, sonicToken, entryPoint, paymaster, options, sponsorship, owner, patient, doctor, sponsor, bundler;
+  const consultationFee = ethers.utils.parseEther("0.1");
+
+  const call = (functionName, args) => ({
+    target: telemedicine.address,
+    data: telemedicine.interface.encodeFunctionData(functionName, args)
+  });
+
+  // Prepares a sponsored operation and signs it as the patient
+  const signed = async (calls, signer = patient) => {
+    const { userOp, userOpHash } = await sponsorship.prepare(signer.address, calls);
+    return { ...userOp, signature: await signer.signMessage(ethers.utils.arrayify(userOpHash)) };
+  };
+
+  beforeEach(async function () {
+    [owner, patient, doctor, sponsor, bundler] = await ethers.getSigners();
+
+    const ERC20 = await ethers.getContractFactory("MockERC20");
+    const usdcToken = await ERC20.deploy("USDC", "USDC", ethers.utils.parseUnits("1000", 18));
+    sonicToken = await ERC20.deploy("SONIC", "SONIC", ethers.utils.parseUnits("1000", 18));
+    const PriceFeed = await ethers.getContractFactory("MockPriceFeed");
+    const ethUsdPriceFeed = await PriceFeed.deploy(2000 * 10**8);
+    const sonicUsdPriceFeed = await PriceFeed.deploy(1 * 10**8);
+    entryPoint = await (await ethers.getContractFactory("EntryPoint")).deploy();
+    const accountFactory = await (await ethers.getContractFactory("SimpleAccountFactory")).deploy(entryPoint.address);
+    paymaster = await (await ethers.getContractFactory("VerifyingPaymaster")).deploy(entryPoint.address, sponsor.address);
+    await paymaster.deposit({ value: ethers.utils.parseEther("1") });
+
+    const TelemedicineSystem = await ethers.getContractFactory("TelemedicineSystem");
+    telemedicine = await upgrades.deployProxy(TelemedicineSystem, [
+      usdcToken.address,
+      sonicToken.address,
+      ethUsdPriceFeed.address,
+      sonicUsdPriceFeed.address,
+      entryPoint.address
+    ], { initializer: "initialize" });
+    await telemedicine.deployed();
+    payments = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicinePayments"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setPayments(payments.address);
+    await telemedicine.verifyDoctor(doctor.address, "DOC123", consultationFee);
+    rewards = await upgrades.deployProxy(await ethers.getContractFactory("TelemedicineRewards"), [telemedicine.address], { initializer: "initialize" });
+    await telemedicine.setRewards(rewards.address, 0);
+
+    options = {
+      contract: telemedicine,
+      payments,
+      rewards,
+      entryPoint: entryPoint.connect(bundler),
+      accountFactory,
+      paymaster,
+      paymasterSigner: sponsor,
+      sponsoredOpsPerDay: 3
+    };
+    sponsorship = createUserOps(options);
+  });
+
+  it("should sponsor registration and an approve + book batch from the patient's account", async function () {
+    const account = await sponsorship.accountAddress(patient.address);
+    const register = await signed([call("registerPatient", ["encryptedKey123"])]);
+    expect((await sponsorship.verifyUserOp("registerPatient", register, patient.address))[0]).to.equal("encryptedKey123");
+    await sponsorship.submit(register, patient.address);
+    expect((await telemedicine.patients(account)).isRegistered).to.be.true;
+
+    await sonicToken.transfer(account, consultationFee);
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const book = await signed([
+      { target: sonicToken.address, data: sonicToken.interface.encodeFunctionData("approve", [telemedicine.address, consultationFee]) },
+      call("bookAppointment", [doctor.address, timestamp, 2, false, "", consultationFee])
+    ]);
+    expect((await sponsorship.verifyUserOp("bookAppointment", book, patient.address))[0]).to.equal(doctor.address);
+    await sponsorship.submit(book, patient.address);
+    expect((await telemedicine.appointments(1)).patient).to.equal(account);
+  });
+
+  it("should sponsor refund withdrawals from the payments contract", async function () {
+    const account = await sponsorship.accountAddress(patient.address);
+    await sponsorship.submit(await signed([call("registerPatient", ["encryptedKey123"])]), patient.address);
+    await sonicToken.transfer(account, consultationFee);
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    await sponsorship.submit(await signed([
+      { target: sonicToken.address, data: sonicToken.interface.encodeFunctionData("approve", [telemedicine.address, consultationFee]) },
+      call("bookAppointment", [doctor.address, timestamp, 2, false, "", consultationFee])
+    ]), patient.address);
+    await telemedicine.connect(doctor).cancelAppointment(1);
+
+    const withdraw = await signed([{ target: payments.address, data: payments.interface.encodeFunctionData("withdraw", [sonicToken.address]) }]);
+    expect((await sponsorship.verifyUserOp("withdraw", withdraw, patient.address))[0]).to.equal(sonicToken.address);
+    await expect(sponsorship.verifyUserOp("cancelAppointment", withdraw, patient.address)).to.be.rejectedWith("Request does not match route");
+    await sponsorship.submit(withdraw, patient.address);
+    expect(await sonicToken.balanceOf(account)).to.equal(consultationFee);
+  });
+
+  it("should sponsor opting the account in to data sharing and claiming the rewards it accrues", async function () {
+    const reward = ethers.utils.parseUnits("10", 18);
+    await rewards.setRewardPolicy(reward, 86400, 0, 0, 0);
+    await rewards.setActionWeight(0, 10000);
+    await sonicToken.approve(rewards.address, reward);
+    await rewards.fund(reward);
+    // Four operations, one more than the suite's daily allowance
+    sponsorship = createUserOps({ ...options, sponsoredOpsPerDay: 4 });
+
+    const account = await sponsorship.accountAddress(patient.address);
+    await sponsorship.submit(await signed([call("registerPatient", ["encryptedKey123"])]), patient.address);
+    const optIn = await signed([call("toggleDataMonetization", [true])]);
+    expect((await sponsorship.verifyUserOp("toggleDataMonetization", optIn, patient.address))[0]).to.equal(true);
+    await sponsorship.submit(optIn, patient.address);
+    expect((await telemedicine.patients(account)).dataSharing).to.equal(1);
+
+    await sponsorship.submit(await signed([call("requestAISymptomAnalysis", [ethers.utils.id("headache")])]), patient.address);
+    const claim = await signed([{ target: rewards.address, data: rewards.interface.encodeFunctionData("claimRewards") }]);
+    await sponsorship.submit(claim, patient.address);
+    expect(await sonicToken.balanceOf(account)).to.equal(reward);
+  });
+
+  it("should refuse calls outside the sponsorship policy", async function () {
+    await expect(sponsorship.prepare(patient.address, [call("confirmAppointment", [1])])).to.be.rejectedWith("Call not sponsored");
+    await expect(sponsorship.prepare(patient.address, [
+      { target: sonicToken.address, data: sonicToken.interface.encodeFunctionData("approve", [owner.address, consultationFee]) },
+      call("requestAISymptomAnalysis", [ethers.utils.id("headache")])
+    ])).to.be.rejectedWith("Approval not sponsored");
+  });
+
+  it("should reject an operation signed by someone else or submitted to another route", async function () {
+    const userOp = await signed([call("registerPatient", ["encryptedKey123"])]);
+    await expect(sponsorship.verifyUserOp("registerPatient", userOp, doctor.address)).to.be.rejectedWith("Operation not from caller account");
+    await expect(sponsorship.verifyUserOp("requestAISymptomAnalysis", userOp, patient.address)).to.be.rejectedWith("Request does not match route");
+
+    const forged = { ...userOp, signature: await doctor.signMessage(ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp))) };
+    await expect(sponsorship.verifyUserOp("registerPatient", forged, patient.address)).to.be.rejectedWith("Operation not signed by caller");
+  });
+
+  it("should enforce the per-user daily limit", async function () {
+    await sponsorship.submit(await signed([call("registerPatient", ["encryptedKey123"])]), patient.address);
+    await sponsorship.submit(await signed([call("requestAISymptomAnalysis", [ethers.utils.id("headache")])]), patient.address);
+    await sponsorship.submit(await signed([call("requestAISymptomAnalysis", [ethers.utils.id("cough")])]), patient.address);
+    await expect(sponsorship.prepare(patient.address, [call("requestAISymptomAnalysis", [ethers.utils.id("fever")])]))
+      .to.be.rejectedWith("Daily sponsorship limit reached");
+    // Other patients keep their own allowance
+    await sponsorship.prepare(doctor.address, [call("registerPatient", ["encryptedKey456"])]);
+  });
+});
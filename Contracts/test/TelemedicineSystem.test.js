@@ -1,15 +1,17 @@
 const { expect } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { time, setStorageAt, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("TelemedicineSystem", function () {
   let TelemedicineSystem, telemedicine, owner, patient, doctor, labTech, pharmacy;
-  let usdcToken, sonicToken, ethUsdPriceFeed, sonicUsdPriceFeed, entryPoint;
+  let usdcToken, sonicToken, ethUsdPriceFeed, sonicUsdPriceFeed, entryPoint, payments, consent;
 
   const encryptedSymmetricKey = "encryptedKey123";
   const doctorLicense = "DOC123";
   const labTechLicense = "LAB123";
   const pharmacyLicense = "PHARM123";
-  const consultationFee = ethers.utils.parseEther("0.1");
+  const consultationFee = ethers.utils.parseEther("0.1"); // USD
+  const ethFee = consultationFee.div(2000); // the same fee in ETH at 2000 USD/ETH
 
   beforeEach(async function () {
     [owner, patient, doctor, labTech, pharmacy] = await ethers.getSigners();
@@ -28,8 +30,8 @@ describe("TelemedicineSystem", function () {
     await ethUsdPriceFeed.deployed();
     await sonicUsdPriceFeed.deployed();
 
-    // Mock EntryPoint
-    const EntryPoint = await ethers.getContractFactory("MockEntryPoint");
+    // Local ERC-4337 EntryPoint
+    const EntryPoint = await ethers.getContractFactory("EntryPoint");
     entryPoint = await EntryPoint.deploy();
     await entryPoint.deployed();
 
@@ -44,6 +46,18 @@ describe("TelemedicineSystem", function () {
     ], { initializer: "initialize" });
     await telemedicine.deployed();
 
+    // Escrow and payouts
+    const TelemedicinePayments = await ethers.getContractFactory("TelemedicinePayments");
+    payments = await upgrades.deployProxy(TelemedicinePayments, [telemedicine.address], { initializer: "initialize" });
+    await payments.deployed();
+    await telemedicine.setPayments(payments.address);
+
+    // Patient consent
+    const TelemedicineConsent = await ethers.getContractFactory("TelemedicineConsent");
+    consent = await upgrades.deployProxy(TelemedicineConsent, [telemedicine.address], { initializer: "initialize" });
+    await consent.deployed();
+    await telemedicine.setConsent(consent.address);
+
     // Grant roles
     await telemedicine.grantRole(await telemedicine.ADMIN_ROLE(), owner.address);
   });
@@ -73,6 +87,15 @@ describe("TelemedicineSystem", function () {
       await expect(telemedicine.connect(patient).registerPatient(encryptedSymmetricKey))
         .to.be.revertedWith("Already registered");
     });
+
+    it("should anchor a new medical history version", async function () {
+      await expect(telemedicine.connect(patient).updateMedicalHistory(ethers.utils.id("QmHistory"))).to.be.reverted;
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      const hash = ethers.utils.id("QmHistory");
+      await expect(telemedicine.connect(patient).updateMedicalHistory(hash))
+        .to.emit(telemedicine, "MedicalHistoryUpdated").withArgs(patient.address, hash);
+      expect((await telemedicine.patients(patient.address)).medicalHistoryHash).to.equal(hash);
+    });
   });
 
   describe("Doctor Verification", function () {
@@ -95,60 +118,914 @@ describe("TelemedicineSystem", function () {
     it("should book an appointment with ETH", async function () {
       const timestamp = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
       await expect(telemedicine.connect(patient).bookAppointment(
-        doctor.address, timestamp, 0, true, "zoom.link", { value: consultationFee }
+        doctor.address, timestamp, 0, true, "zoom.link", consultationFee, { value: consultationFee }
       )).to.emit(telemedicine, "AppointmentBooked");
       const appointment = await telemedicine.appointments(1);
       expect(appointment.patient).to.equal(patient.address);
       expect(appointment.doctor).to.equal(doctor.address);
-      expect(appointment.fee).to.equal(consultationFee);
+      expect(appointment.fee).to.equal(ethFee);
     });
 
     it("should revert if doctor is not verified", async function () {
       const timestamp = Math.floor(Date.now() / 1000) + 3600;
       await expect(telemedicine.connect(patient).bookAppointment(
-        labTech.address, timestamp, 0, true, "zoom.link", { value: consultationFee }
+        labTech.address, timestamp, 0, true, "zoom.link", consultationFee, { value: consultationFee }
       )).to.be.revertedWith("Doctor not verified");
     });
   });
 
-  describe("Data Monetization", function () {
+  describe("Appointment Lifecycle", function () {
+    let scheduled;
+
+    beforeEach(async function () {
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      await sonicToken.transfer(patient.address, consultationFee);
+      await sonicToken.connect(patient).approve(telemedicine.address, consultationFee);
+      scheduled = (await time.latest()) + 2 * 3600;
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 2, false, "", consultationFee);
+    });
+
+    it("should refund the patient in full when cancelled before the buffer", async function () {
+      await expect(telemedicine.connect(patient).cancelAppointment(1))
+        .to.emit(telemedicine, "AppointmentCancelled").withArgs(1, patient.address, consultationFee);
+      expect((await telemedicine.appointments(1)).status).to.equal(3); // Cancelled
+      expect(await payments.balances(patient.address, sonicToken.address)).to.equal(consultationFee);
+    });
+
+    it("should pay the doctor when the patient cancels inside the buffer", async function () {
+      await time.increaseTo(scheduled - 1800);
+      await expect(telemedicine.connect(patient).cancelAppointment(1))
+        .to.emit(telemedicine, "AppointmentCancelled").withArgs(1, patient.address, 0);
+      expect(await payments.balances(doctor.address, sonicToken.address)).to.equal(consultationFee);
+    });
+
+    it("should always refund the patient when the doctor cancels", async function () {
+      await time.increaseTo(scheduled - 60);
+      await telemedicine.connect(doctor).cancelAppointment(1);
+      expect(await payments.balances(patient.address, sonicToken.address)).to.equal(consultationFee);
+    });
+
+    it("should only let the parties act on an appointment", async function () {
+      await expect(telemedicine.connect(labTech).cancelAppointment(1)).to.be.revertedWith("Not your appointment");
+      await telemedicine.connect(patient).cancelAppointment(1);
+      await expect(telemedicine.connect(patient).cancelAppointment(1)).to.be.revertedWith("Not active");
+    });
+
+    it("should hold one appointment per doctor per slot", async function () {
+      await sonicToken.transfer(patient.address, consultationFee.mul(2));
+      await sonicToken.connect(patient).approve(telemedicine.address, consultationFee.mul(2));
+      await expect(telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 2, false, "", consultationFee))
+        .to.be.revertedWith("Slot taken");
+      expect(await telemedicine.bookedSlots(doctor.address, scheduled)).to.equal(1);
+
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 1800, 2, false, "", consultationFee);
+      await expect(telemedicine.connect(patient).rescheduleAppointment(2, scheduled)).to.be.revertedWith("Slot taken");
+      await telemedicine.connect(patient).rescheduleAppointment(1, scheduled + 3600);
+      expect(await telemedicine.bookedSlots(doctor.address, scheduled)).to.equal(0);
+      expect(await telemedicine.bookedSlots(doctor.address, scheduled + 3600)).to.equal(1);
+
+      await telemedicine.connect(doctor).cancelAppointment(1);
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 3600, 2, false, "", consultationFee);
+      expect(await telemedicine.bookedSlots(doctor.address, scheduled + 3600)).to.equal(3);
+    });
+
+    it("should reschedule and require the doctor to re-confirm a patient's change", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await expect(telemedicine.connect(patient).rescheduleAppointment(1, scheduled + 86400))
+        .to.emit(telemedicine, "AppointmentRescheduled").withArgs(1, scheduled + 86400);
+      const appointment = await telemedicine.appointments(1);
+      expect(appointment.scheduledTimestamp).to.equal(scheduled + 86400);
+      expect(appointment.status).to.equal(0); // Pending
+
+      await time.increaseTo(scheduled + 86400 - 1800);
+      await expect(telemedicine.connect(doctor).rescheduleAppointment(1, scheduled + 2 * 86400))
+        .to.be.revertedWith("Too late to reschedule");
+    });
+
+    it("should release the fee to the doctor on completion", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await expect(telemedicine.connect(doctor).completeAppointment(1)).to.be.revertedWith("Not started");
+      await time.increaseTo(scheduled);
+      await expect(telemedicine.connect(doctor).completeAppointment(1))
+        .to.emit(telemedicine, "AppointmentCompleted").withArgs(1, doctor.address);
+      expect((await telemedicine.appointments(1)).status).to.equal(2); // Completed
+      expect(await payments.balances(doctor.address, sonicToken.address)).to.equal(consultationFee);
+    });
+
+    it("should let the doctor keep the fee when the patient does not show", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled + 60);
+      await expect(telemedicine.connect(doctor).markNoShow(1)).to.be.revertedWith("Too early");
+      await time.increaseTo(scheduled + 15 * 60);
+      await expect(telemedicine.connect(doctor).markNoShow(1))
+        .to.emit(telemedicine, "AppointmentNoShow").withArgs(1, patient.address);
+      expect((await telemedicine.appointments(1)).status).to.equal(5); // NoShow
+      expect(await payments.balances(doctor.address, sonicToken.address)).to.equal(consultationFee);
+    });
+
+    it("should refund the patient when the doctor never completes the appointment", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled + 3600);
+      await expect(telemedicine.connect(patient).markNoShow(1)).to.be.revertedWith("Too early");
+      await time.increaseTo(scheduled + 86400);
+      await expect(telemedicine.connect(patient).markNoShow(1))
+        .to.emit(telemedicine, "AppointmentNoShow").withArgs(1, doctor.address);
+      expect(await payments.balances(patient.address, sonicToken.address)).to.equal(consultationFee);
+    });
+  });
+
+  describe("Escrow and Payouts", function () {
+    let scheduled;
+
     beforeEach(async function () {
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
       await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
-      await sonicToken.transfer(telemedicine.address, ethers.utils.parseUnits("100", 18));
+      await sonicToken.transfer(patient.address, consultationFee.mul(2));
+      await sonicToken.connect(patient).approve(telemedicine.address, consultationFee.mul(2));
+      scheduled = (await time.latest()) + 2 * 3600;
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 2, false, "", consultationFee);
     });
 
-    it("should enable data monetization and claim reward", async function () {
-      await telemedicine.connect(patient).toggleDataMonetization(true);
-      const [dataSharing] = await telemedicine.getPatientDataStatus(patient.address);
-      expect(dataSharing).to.equal(1); // Enabled
+    it("should hold the fee in escrow until the appointment settles", async function () {
+      const escrow = await payments.escrows(1);
+      expect(escrow.token).to.equal(sonicToken.address);
+      expect(escrow.amount).to.equal(consultationFee);
+      expect(await sonicToken.balanceOf(payments.address)).to.equal(consultationFee);
 
-      await telemedicine.connect(patient).claimDataReward();
-      expect(await sonicToken.balanceOf(patient.address)).to.equal(ethers.utils.parseUnits("10", 18));
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled);
+      await expect(telemedicine.connect(doctor).completeAppointment(1))
+        .to.emit(payments, "EscrowReleased").withArgs(1, doctor.address, consultationFee, 0);
+      expect((await payments.escrows(1)).amount).to.equal(0);
     });
 
-    it("should revert if data sharing is not enabled", async function () {
-      await expect(telemedicine.connect(patient).claimDataReward())
-        .to.be.revertedWith("Data sharing not enabled");
+    it("should take the platform fee from doctor payouts only", async function () {
+      await payments.setPlatformFee(1000); // 10%
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 3600, 2, false, "", consultationFee);
+      await telemedicine.connect(patient).cancelAppointment(2);
+      expect(await payments.balances(patient.address, sonicToken.address)).to.equal(consultationFee);
+
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled);
+      await telemedicine.connect(doctor).completeAppointment(1);
+      expect(await payments.balances(doctor.address, sonicToken.address)).to.equal(consultationFee.mul(9).div(10));
+      expect(await payments.platformBalances(sonicToken.address)).to.equal(consultationFee.div(10));
+    });
+
+    it("should let payees withdraw their balance in each currency", async function () {
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 3600, 0, false, "", consultationFee, { value: ethFee });
+      await telemedicine.connect(doctor).cancelAppointment(1);
+      await telemedicine.connect(doctor).cancelAppointment(2);
+
+      await expect(payments.connect(patient).withdraw(sonicToken.address))
+        .to.emit(payments, "Withdrawal").withArgs(patient.address, sonicToken.address, consultationFee);
+      expect(await sonicToken.balanceOf(patient.address)).to.equal(consultationFee.mul(2));
+      await expect(payments.connect(patient).withdraw(ethers.constants.AddressZero))
+        .to.changeEtherBalances([payments, patient], [ethFee.mul(-1), ethFee]);
+      await expect(payments.connect(patient).withdraw(sonicToken.address)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("should restrict the platform fee and treasury to admins", async function () {
+      await expect(payments.connect(doctor).setPlatformFee(500)).to.be.revertedWith("Not an admin");
+      await expect(payments.setPlatformFee(2001)).to.be.revertedWith("Fee too high");
+      await payments.setPlatformFee(2000);
+
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled);
+      await telemedicine.connect(doctor).completeAppointment(1);
+      const accrued = consultationFee.div(5);
+      await expect(payments.connect(doctor).withdrawPlatformFees(sonicToken.address, doctor.address, accrued))
+        .to.be.revertedWith("Not an admin");
+      await expect(payments.withdrawPlatformFees(sonicToken.address, owner.address, accrued.add(1)))
+        .to.be.revertedWith("Insufficient balance");
+      await expect(payments.withdrawPlatformFees(sonicToken.address, pharmacy.address, accrued))
+        .to.emit(payments, "PlatformFeesWithdrawn").withArgs(pharmacy.address, sonicToken.address, accrued);
+      expect(await sonicToken.balanceOf(pharmacy.address)).to.equal(accrued);
+    });
+
+    it("should settle fees the previous version held itself through TelemedicinePayments", async function () {
+      await telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 3600, 0, false, "", consultationFee, { value: ethFee });
+      // As the previous version left them: both fees held by TelemedicineSystem, neither escrowed in TelemedicinePayments
+      const TelemedicinePayments = await ethers.getContractFactory("TelemedicinePayments");
+      const fresh = await upgrades.deployProxy(TelemedicinePayments, [telemedicine.address], { initializer: "initialize" });
+      await telemedicine.setPayments(fresh.address);
+      await sonicToken.transfer(telemedicine.address, consultationFee);
+      await setBalance(telemedicine.address, ethFee);
+
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await time.increaseTo(scheduled);
+      await expect(telemedicine.connect(doctor).completeAppointment(1))
+        .to.emit(fresh, "EscrowHeld").withArgs(1, sonicToken.address, consultationFee)
+        .and.to.emit(fresh, "EscrowReleased").withArgs(1, doctor.address, consultationFee, 0);
+      await expect(telemedicine.connect(doctor).cancelAppointment(2))
+        .to.emit(fresh, "EscrowReleased").withArgs(2, patient.address, ethFee, 0);
+      expect(await fresh.balances(doctor.address, sonicToken.address)).to.equal(consultationFee);
+      expect(await fresh.balances(patient.address, ethers.constants.AddressZero)).to.equal(ethFee);
+      expect(await sonicToken.balanceOf(telemedicine.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(telemedicine.address)).to.equal(0);
+    });
+
+    it("should only take escrow instructions from TelemedicineSystem", async function () {
+      await expect(payments.connect(patient).release(1, patient.address, false)).to.be.revertedWith("Only TelemedicineSystem");
+      await expect(payments.connect(patient).hold(2, ethers.constants.AddressZero, 1, { value: 1 }))
+        .to.be.revertedWith("Only TelemedicineSystem");
+    });
+  });
+
+  describe("Pricing", function () {
+    let scheduled;
+
+    beforeEach(async function () {
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      scheduled = (await time.latest()) + 2 * 3600;
+    });
+
+    it("should convert the USD fee into each payment token", async function () {
+      expect(await payments.quote(ethers.constants.AddressZero, consultationFee)).to.equal(ethFee);
+      expect(await payments.quote(usdcToken.address, consultationFee)).to.equal(consultationFee);
+      await sonicUsdPriceFeed.setRoundData(2, 5 * 10**7, 0, 2); // 0.5 USD/SONIC
+      expect(await payments.quote(sonicToken.address, consultationFee)).to.equal(consultationFee.mul(2));
+      await expect(payments.quote(pharmacy.address, consultationFee)).to.be.revertedWith("Unsupported token");
+    });
+
+    it("should charge the quoted amount and refund excess ETH", async function () {
+      await expect(telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 0, false, "", consultationFee, { value: consultationFee }))
+        .to.changeEtherBalances([patient, payments], [ethFee.mul(-1), ethFee]);
+      await expect(telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 1800, 0, false, "", ethFee.sub(1), { value: ethFee }))
+        .to.be.revertedWith("Price above maximum");
+      await expect(telemedicine.connect(patient).bookAppointment(doctor.address, scheduled + 3600, 2, false, "", consultationFee, { value: 1 }))
+        .to.be.revertedWith("ETH sent with token payment");
+    });
+
+    it("should reject stale, incomplete and invalid feed answers", async function () {
+      const now = await time.latest();
+      const book = () => telemedicine.connect(patient).bookAppointment(doctor.address, scheduled, 0, false, "", consultationFee, { value: consultationFee });
+      await ethUsdPriceFeed.setRoundData(2, 2000 * 10**8, now - 3601, 2);
+      await expect(book()).to.be.revertedWith("Stale price");
+      await payments.setMaxPriceAge(2 * 3600);
+      await expect(book()).to.emit(telemedicine, "AppointmentBooked");
+      await expect(payments.connect(patient).setMaxPriceAge(0)).to.be.revertedWith("Not an admin");
+      await ethUsdPriceFeed.setRoundData(3, 2000 * 10**8, now, 2);
+      await expect(book()).to.be.revertedWith("Incomplete round");
+      await ethUsdPriceFeed.setRoundData(3, 0, now, 3);
+      await expect(book()).to.be.revertedWith("Invalid price");
+    });
+
+    it("should let doctors set their own USD fee", async function () {
+      const fee = ethers.utils.parseEther("25");
+      await expect(telemedicine.connect(doctor).setConsultationFee(fee))
+        .to.emit(telemedicine, "ConsultationFeeUpdated").withArgs(doctor.address, fee);
+      expect((await telemedicine.doctors(doctor.address)).consultationFee).to.equal(fee);
+      expect(await payments.quote(ethers.constants.AddressZero, fee)).to.equal(ethers.utils.parseEther("0.0125"));
+      await expect(telemedicine.connect(patient).setConsultationFee(fee)).to.be.reverted;
+    });
+  });
+
+  describe("AI Symptom Analysis", function () {
+    // Slot of an analysis' `symptoms` string, from the compiler's storage layout
+    const symptomsSlot = async (id) => {
+      const name = (await artifacts.getAllFullyQualifiedNames()).find(n => n.endsWith(":TelemedicineSystem"));
+      const [sourceName, contractName] = name.split(":");
+      const { storageLayout } = (await artifacts.getBuildInfo(name)).output.contracts[sourceName][contractName];
+      const mapping = storageLayout.storage.find(v => v.label === "aiAnalyses");
+      const member = storageLayout.types[storageLayout.types[mapping.type].value].members.find(m => m.label === "symptoms");
+      const base = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode(["uint256", "uint256"], [id, mapping.slot]));
+      return ethers.BigNumber.from(base).add(member.slot);
+    };
+    // A string under 32 bytes as Solidity stores it: left-aligned with twice its length in the last byte
+    const shortString = (text) => {
+      const bytes = ethers.utils.toUtf8Bytes(text);
+      return ethers.utils.hexConcat([bytes, new Uint8Array(31 - bytes.length), [bytes.length * 2]]);
+    };
+
+    beforeEach(async function () {
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+    });
+
+    it("should keep only a commitment to the symptoms", async function () {
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const symptomsHash = ethers.utils.solidityKeccak256(["bytes32", "string"], [salt, '{"symptoms":["headache"],"age":30}']);
+      await expect(telemedicine.connect(patient).requestAISymptomAnalysis(symptomsHash))
+        .to.emit(telemedicine, "AISymptomAnalyzed").withArgs(1, patient.address);
+      const analysis = await telemedicine.getAIAnalysisDetails(1);
+      expect(analysis.symptoms).to.equal("");
+      expect(analysis.symptomsHash).to.equal(symptomsHash);
+    });
+
+    it("should migrate plaintext symptoms from the previous version to their hash", async function () {
+      const symptomsHash = ethers.utils.id("committed");
+      await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.constants.HashZero);
+      await telemedicine.connect(patient).requestAISymptomAnalysis(symptomsHash);
+      // Analysis 1 as the previous version stored it: plaintext symptoms, no hash
+      await setStorageAt(telemedicine.address, await symptomsSlot(1), shortString("headache fever"));
+      expect((await telemedicine.getAIAnalysisDetails(1)).symptoms).to.equal("headache fever");
+
+      await expect(telemedicine.connect(patient).migrateAISymptomAnalyses(1, 2)).to.be.reverted;
+      await telemedicine.migrateAISymptomAnalyses(1, 2);
+      const migrated = await telemedicine.getAIAnalysisDetails(1);
+      expect(migrated.symptoms).to.equal("");
+      expect(migrated.symptomsHash).to.equal(ethers.utils.id("headache fever"));
+      expect(migrated.symptomsMigrated).to.be.true;
+      const committed = await telemedicine.getAIAnalysisDetails(2);
+      expect(committed.symptomsHash).to.equal(symptomsHash);
+      expect(committed.symptomsMigrated).to.be.false;
+    });
+  });
+
+  describe("Consent", function () {
+    const LABS = 2;
+    const AI_ANALYSES = 8;
+
+    beforeEach(async function () {
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.verifyLabTechnician(labTech.address, labTechLicense);
+    });
+
+    it("should require the patient's consent to order and pick up lab tests", async function () {
+      await expect(telemedicine.connect(doctor).orderLabTest(patient.address, "CBC")).to.be.revertedWith("No consent");
+
+      const expiresAt = (await time.latest()) + 86400;
+      await expect(consent.connect(patient).grantConsent(doctor.address, LABS, expiresAt))
+        .to.emit(consent, "ConsentGranted").withArgs(patient.address, doctor.address, LABS, expiresAt);
+      await telemedicine.connect(doctor).orderLabTest(patient.address, "CBC");
+      await expect(telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash")).to.be.revertedWith("No consent");
+
+      await consent.connect(patient).grantConsent(labTech.address, LABS, expiresAt);
+      await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+      expect((await telemedicine.getLabTestDetails(1)).labTech).to.equal(labTech.address);
+    });
+
+    it("should only let doctors with consent review an AI analysis", async function () {
+      await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache fever"));
+      await telemedicine.connect(patient).assignAISymptomAnalysis(1, doctor.address);
+      await consent.connect(patient).grantConsent(doctor.address, LABS, (await time.latest()) + 86400);
+      await expect(telemedicine.connect(doctor).reviewAISymptomAnalysis(1, "analysis-ipfs-hash")).to.be.revertedWith("No consent");
+
+      await consent.connect(patient).grantConsent(doctor.address, LABS | AI_ANALYSES, (await time.latest()) + 86400);
+      await telemedicine.connect(doctor).reviewAISymptomAnalysis(1, "analysis-ipfs-hash");
+      expect((await telemedicine.getAIAnalysisDetails(1)).doctorReviewed).to.be.true;
+    });
+
+    it("should only let the assigned doctor review an AI analysis", async function () {
+      const [, , , , , otherDoctor] = await ethers.getSigners();
+      await telemedicine.verifyDoctor(otherDoctor.address, "DOC-002", consultationFee);
+      const expiresAt = (await time.latest()) + 86400;
+      await consent.connect(patient).grantConsent(doctor.address, AI_ANALYSES, expiresAt);
+      await consent.connect(patient).grantConsent(otherDoctor.address, AI_ANALYSES, expiresAt);
+      await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache fever"));
+      await telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("cough"));
+
+      await expect(telemedicine.connect(patient).assignAISymptomAnalysis(1, doctor.address))
+        .to.emit(telemedicine, "AIAnalysisAssigned").withArgs(1, doctor.address);
+      await expect(telemedicine.connect(otherDoctor).reviewAISymptomAnalysis(1, "analysis-ipfs-hash")).to.be.revertedWith("Not assigned to you");
+      await expect(telemedicine.connect(otherDoctor).assignAISymptomAnalysis(1, otherDoctor.address)).to.be.revertedWith("Not your analysis");
+
+      // A doctor may take an analysis nobody holds, for themselves only
+      await expect(telemedicine.connect(otherDoctor).assignAISymptomAnalysis(2, doctor.address)).to.be.revertedWith("Not your analysis");
+      await expect(telemedicine.connect(labTech).assignAISymptomAnalysis(2, labTech.address)).to.be.revertedWith("No consent");
+      await telemedicine.connect(otherDoctor).assignAISymptomAnalysis(2, otherDoctor.address);
+      await expect(telemedicine.connect(doctor).assignAISymptomAnalysis(2, doctor.address)).to.be.revertedWith("Not your analysis");
+
+      // The patient may send it elsewhere until it is reviewed
+      await telemedicine.connect(patient).assignAISymptomAnalysis(1, otherDoctor.address);
+      await expect(telemedicine.connect(doctor).reviewAISymptomAnalysis(1, "analysis-ipfs-hash")).to.be.revertedWith("Not assigned to you");
+      await telemedicine.connect(otherDoctor).reviewAISymptomAnalysis(1, "analysis-ipfs-hash");
+      expect((await telemedicine.getAIAnalysisDetails(1)).assignedDoctor).to.equal(otherDoctor.address);
+      await expect(telemedicine.connect(patient).assignAISymptomAnalysis(1, doctor.address)).to.be.revertedWith("Already reviewed");
+    });
+
+    it("should end access on revocation or expiry", async function () {
+      await consent.connect(patient).grantConsent(doctor.address, LABS, (await time.latest()) + 3600);
+      await expect(consent.connect(patient).revokeConsent(doctor.address))
+        .to.emit(consent, "ConsentRevoked").withArgs(patient.address, doctor.address);
+      expect(await consent.hasConsent(patient.address, doctor.address, LABS)).to.be.false;
+      await expect(consent.connect(patient).revokeConsent(doctor.address)).to.be.revertedWith("No consent");
+
+      await consent.connect(patient).grantConsent(doctor.address, LABS, (await time.latest()) + 3600);
+      expect(await consent.hasConsent(patient.address, doctor.address, LABS)).to.be.true;
+      expect(await consent.hasConsent(patient.address, doctor.address, AI_ANALYSES)).to.be.false;
+      await time.increase(3600);
+      expect(await consent.hasConsent(patient.address, doctor.address, LABS)).to.be.false;
+      await expect(telemedicine.connect(doctor).orderLabTest(patient.address, "CBC")).to.be.revertedWith("No consent");
+
+      const [providers] = await consent.getGrants(patient.address);
+      expect(providers).to.deep.equal([doctor.address]);
+    });
+
+    it("should validate grants", async function () {
+      const expiresAt = (await time.latest()) + 3600;
+      await expect(consent.connect(doctor).grantConsent(labTech.address, LABS, expiresAt)).to.be.revertedWith("Not a patient");
+      await expect(consent.connect(patient).grantConsent(doctor.address, 0, expiresAt)).to.be.revertedWith("Invalid scopes");
+      await expect(consent.connect(patient).grantConsent(doctor.address, 32, expiresAt)).to.be.revertedWith("Invalid scopes");
+      await expect(consent.connect(patient).grantConsent(patient.address, LABS, expiresAt)).to.be.revertedWith("Invalid provider");
+      await expect(consent.connect(patient).grantConsent(doctor.address, LABS, await time.latest())).to.be.revertedWith("Expiry in the past");
+    });
+  });
+
+  describe("Lab Tests", function () {
+    const LABS = 2;
+    let otherLab;
+
+    beforeEach(async function () {
+      [, , , , , , otherLab] = await ethers.getSigners();
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.verifyLabTechnician(labTech.address, labTechLicense);
+      await telemedicine.verifyLabTechnician(otherLab.address, "LAB-002");
+      const expiresAt = (await time.latest()) + 86400;
+      for (const provider of [doctor, labTech, otherLab]) await consent.connect(patient).grantConsent(provider.address, LABS, expiresAt);
+      await telemedicine.connect(doctor).orderLabTest(patient.address, "2345-7");
+    });
+
+    it("should only let the assigned lab collect the sample", async function () {
+      await expect(telemedicine.connect(otherLab).assignLabTest(1, labTech.address)).to.be.reverted;
+      await expect(telemedicine.connect(doctor).assignLabTest(1, otherLab.address))
+        .to.emit(telemedicine, "LabTestAssigned").withArgs(1, otherLab.address);
+      await telemedicine.connect(doctor).assignLabTest(1, labTech.address);
+      await expect(telemedicine.connect(otherLab).collectSample(1, "sample-ipfs-hash")).to.be.revertedWith("Not your order");
+
+      await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+      await expect(telemedicine.connect(doctor).assignLabTest(1, otherLab.address)).to.be.revertedWith("Invalid status");
+    });
+
+    it("should send a rejected sample back to the same lab for recollection", async function () {
+      await expect(telemedicine.connect(labTech).rejectSample(1)).to.be.revertedWith("Not your order");
+      await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+      await expect(telemedicine.connect(otherLab).rejectSample(1)).to.be.revertedWith("Not your order");
+
+      await expect(telemedicine.connect(labTech).rejectSample(1))
+        .to.emit(telemedicine, "LabSampleRejected").withArgs(1, labTech.address);
+      const rejected = await telemedicine.getLabTestDetails(1);
+      expect(rejected.status).to.equal(0);
+      expect(rejected.labTech).to.equal(labTech.address);
+      await expect(telemedicine.connect(labTech).rejectSample(1)).to.be.revertedWith("Sample not collected");
+      await expect(telemedicine.connect(otherLab).collectSample(1, "sample-ipfs-hash")).to.be.revertedWith("Not your order");
+
+      await telemedicine.connect(labTech).collectSample(1, "recollected-ipfs-hash");
+      await telemedicine.connect(labTech).uploadLabResults(1, "results-ipfs-hash");
+      expect((await telemedicine.getLabTestDetails(1)).sampleCollectionIpfsHash).to.equal("recollected-ipfs-hash");
+    });
+  });
+
+  describe("Prescriptions", function () {
+    const commitment = ethers.utils.id("salted medication lines");
+    const code = ethers.utils.id("one-time code");
+    const codeHash = ethers.utils.keccak256(code);
+    let otherDoctor;
+
+    beforeEach(async function () {
+      [, , , , , , otherDoctor] = await ethers.getSigners();
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.verifyDoctor(otherDoctor.address, "DOC-002", consultationFee);
+      await telemedicine.registerPharmacy(pharmacy.address, pharmacyLicense);
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      await sonicToken.transfer(patient.address, consultationFee);
+      await sonicToken.connect(patient).approve(telemedicine.address, consultationFee);
+      await telemedicine.connect(patient).bookAppointment(doctor.address, (await time.latest()) + 2 * 3600, 2, false, "", consultationFee);
+    });
+
+    it("should let the doctor of a confirmed appointment prescribe for its patient", async function () {
+      await expect(telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash)).to.be.revertedWith("Not confirmed");
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await expect(telemedicine.connect(otherDoctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash)).to.be.revertedWith("Not your appointment");
+      await expect(telemedicine.connect(patient).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash)).to.be.reverted;
+
+      await expect(telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash))
+        .to.emit(telemedicine, "PrescriptionGenerated").withArgs(1, patient.address);
+      const prescription = await telemedicine.getPrescriptionDetails(1);
+      expect(prescription.patient).to.equal(patient.address);
+      expect(prescription.doctor).to.equal(doctor.address);
+      expect(prescription.medicationDetails).to.equal(commitment);
+      expect(prescription.verificationCodeHash).to.equal(codeHash);
+      expect(prescription.status).to.equal(0);
+    });
+
+    it("should verify a prescription once, with its one-time code, before it expires", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash);
+      await telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash);
+
+      await expect(telemedicine.connect(pharmacy).verifyPrescription(1, codeHash)).to.be.revertedWith("Invalid code");
+      await expect(telemedicine.connect(pharmacy).verifyPrescription(1, code))
+        .to.emit(telemedicine, "PrescriptionVerified").withArgs(1, pharmacy.address);
+      await expect(telemedicine.connect(pharmacy).verifyPrescription(1, code)).to.be.revertedWith("Invalid status");
+
+      await time.increase(31 * 86400);
+      await expect(telemedicine.connect(pharmacy).verifyPrescription(2, code)).to.be.revertedWith("Expired");
+      await telemedicine.connect(pharmacy).fulfillPrescription(1);
+      expect((await telemedicine.getPrescriptionDetails(1)).status).to.equal(2);
+    });
+
+    it("should not fulfil a prescription once its refills have lapsed", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash);
+      await telemedicine.connect(pharmacy).verifyPrescription(1, code);
+
+      await time.increase(366 * 86400);
+      await expect(telemedicine.connect(pharmacy).fulfillPrescription(1)).to.be.revertedWith("Expired");
+      expect((await telemedicine.getPrescriptionDetails(1)).status).to.equal(1);
+    });
+
+    it("should let the prescribing doctor cancel a prescription until it is fulfilled", async function () {
+      await telemedicine.connect(doctor).confirmAppointment(1);
+      await telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash);
+      await telemedicine.connect(doctor).issuePrescription(1, commitment, "prescription-ipfs-hash", codeHash);
+      await telemedicine.connect(pharmacy).verifyPrescription(1, code);
+
+      await expect(telemedicine.connect(otherDoctor).cancelPrescription(1)).to.be.revertedWith("Not your prescription");
+      await expect(telemedicine.connect(doctor).cancelPrescription(1))
+        .to.emit(telemedicine, "PrescriptionCancelled").withArgs(1, doctor.address);
+      expect((await telemedicine.getPrescriptionDetails(1)).status).to.equal(3);
+      await expect(telemedicine.connect(pharmacy).fulfillPrescription(1)).to.be.revertedWith("Not verified");
+      await expect(telemedicine.connect(doctor).cancelPrescription(1)).to.be.revertedWith("Invalid status");
+
+      await telemedicine.connect(doctor).cancelPrescription(2);
+      await expect(telemedicine.connect(pharmacy).verifyPrescription(2, code)).to.be.revertedWith("Invalid status");
+    });
+
+    it("should review lab results without prescribing", async function () {
+      await consent.connect(patient).grantConsent(doctor.address, 2, (await time.latest()) + 86400);
+      await consent.connect(patient).grantConsent(labTech.address, 2, (await time.latest()) + 86400);
+      await telemedicine.verifyLabTechnician(labTech.address, labTechLicense);
+      await telemedicine.connect(doctor).orderLabTest(patient.address, "2345-7");
+      await telemedicine.connect(labTech).collectSample(1, "sample-ipfs-hash");
+      await telemedicine.connect(labTech).uploadLabResults(1, "results-ipfs-hash");
+
+      await expect(telemedicine.connect(doctor).reviewLabResults(1))
+        .to.emit(telemedicine, "LabTestReviewed").withArgs(1, doctor.address)
+        .and.not.to.emit(telemedicine, "PrescriptionGenerated");
+      expect(await telemedicine.prescriptionCounter()).to.equal(0);
+      expect((await telemedicine.getLabTestDetails(1)).status).to.equal(3);
+    });
+  });
+
+  describe("Data Rewards", function () {
+    let rewards, otherPatient;
+    const DAY = 86400;
+    const AI_ANALYSIS = 0;
+    const LAB_ORDER = 1;
+    const sonic = (amount) => ethers.utils.parseUnits(String(amount), 18);
+    const fund = async (amount) => {
+      await sonicToken.approve(rewards.address, amount);
+      await rewards.fund(amount);
+    };
+
+    beforeEach(async function () {
+      [, , , , , otherPatient] = await ethers.getSigners();
+      const TelemedicineRewards = await ethers.getContractFactory("TelemedicineRewards");
+      rewards = await upgrades.deployProxy(TelemedicineRewards, [telemedicine.address], { initializer: "initialize" });
+      await rewards.deployed();
+      // SONIC left on TelemedicineSystem from before moves to the pool; what stands for escrowed bookings stays
+      await sonicToken.transfer(telemedicine.address, sonic(30));
+      await expect(telemedicine.setRewards(rewards.address, sonic(20)))
+        .to.emit(telemedicine, "RewardsUpdated").withArgs(rewards.address)
+        .and.to.emit(rewards, "RewardPoolFunded").withArgs(telemedicine.address, sonic(20));
+      expect(await sonicToken.balanceOf(rewards.address)).to.equal(sonic(20));
+      expect(await rewards.totalFunded()).to.equal(sonic(20));
+      expect(await sonicToken.balanceOf(telemedicine.address)).to.equal(sonic(10));
+
+      for (const signer of [patient, otherPatient]) {
+        await telemedicine.connect(signer).registerPatient(encryptedSymmetricKey);
+        await telemedicine.connect(signer).toggleDataMonetization(true);
+      }
+      await rewards.setActionWeight(AI_ANALYSIS, 10000);
+      // Start at the beginning of an epoch so none ends mid-test
+      await time.increaseTo((Math.floor((await time.latest()) / DAY) + 1) * DAY);
+    });
+
+    it("should accrue weighted rewards within the patient cap and epoch budget, to be claimed at will", async function () {
+      await fund(sonic(80));
+      await expect(rewards.setRewardPolicy(sonic(10), DAY, sonic(25), sonic(15), 0))
+        .to.emit(rewards, "RewardPolicyUpdated").withArgs(sonic(10), DAY, sonic(25), sonic(15), 0);
+
+      await expect(telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache")))
+        .to.emit(rewards, "RewardAccrued").withArgs(patient.address, AI_ANALYSIS, sonic(10), 0);
+      await expect(telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("fever")))
+        .to.emit(rewards, "RewardAccrued").withArgs(patient.address, AI_ANALYSIS, sonic(5), sonic(5));
+      await telemedicine.connect(otherPatient).requestAISymptomAnalysis(ethers.utils.id("cough"));
+      await expect(telemedicine.connect(otherPatient).requestAISymptomAnalysis(ethers.utils.id("rash")))
+        .to.emit(rewards, "RewardAccrued").withArgs(otherPatient.address, AI_ANALYSIS, 0, sonic(10));
+      expect(await rewards.totalAccrued()).to.equal(sonic(25));
+      expect(await rewards.available()).to.equal(sonic(75));
+
+      // A new epoch renews the budget and the cap; weights scale the amount per step
+      await time.increase(DAY);
+      await rewards.setActionWeight(AI_ANALYSIS, 2500);
+      await expect(telemedicine.connect(otherPatient).requestAISymptomAnalysis(ethers.utils.id("cough")))
+        .to.emit(rewards, "RewardAccrued").withArgs(otherPatient.address, AI_ANALYSIS, sonic("2.5"), 0);
+
+      await expect(rewards.connect(patient).claimRewards()).to.emit(rewards, "DataRewardClaimed").withArgs(patient.address, sonic(15));
+      expect(await sonicToken.balanceOf(patient.address)).to.equal(sonic(15));
+      const { accrued, claimed } = await rewards.rewards(patient.address);
+      expect(accrued).to.equal(sonic(15));
+      expect(claimed).to.equal(sonic(15));
+      await expect(rewards.connect(patient).claimRewards()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("should accrue what the pool can cover rather than fail the step, and signal once when it runs low", async function () {
+      await rewards.setActionWeight(LAB_ORDER, 10000);
+      await rewards.setRewardPolicy(sonic(10), DAY, 0, 0, sonic(15));
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await consent.connect(patient).grantConsent(doctor.address, 2, (await time.latest()) + DAY);
+
+      await expect(telemedicine.connect(doctor).orderLabTest(patient.address, "CBC"))
+        .to.emit(rewards, "RewardPoolLow").withArgs(sonic(10), sonic(15));
+      await expect(telemedicine.connect(doctor).orderLabTest(patient.address, "CBC")).to.not.emit(rewards, "RewardPoolLow");
+      await expect(telemedicine.connect(doctor).orderLabTest(patient.address, "CBC"))
+        .to.emit(rewards, "RewardAccrued").withArgs(patient.address, LAB_ORDER, 0, sonic(10));
+      expect(await rewards.available()).to.equal(0);
+
+      // What patients are owed stays in the pool
+      await expect(rewards.withdrawPool(owner.address, 1)).to.be.revertedWith("Exceeds unreserved balance");
+      await fund(sonic(20));
+      expect(await rewards.poolLow()).to.equal(false);
+      await expect(rewards.withdrawPool(owner.address, sonic(10)))
+        .to.emit(rewards, "RewardPoolLow").withArgs(sonic(10), sonic(15));
+      await rewards.connect(patient).claimRewards();
+      expect(await sonicToken.balanceOf(patient.address)).to.equal(sonic(20));
+      expect(await sonicToken.balanceOf(rewards.address)).to.equal(sonic(10));
+    });
+
+    it("should only accrue for patients sharing their data, from TelemedicineSystem, under an admin's policy", async function () {
+      await rewards.setRewardPolicy(sonic(10), DAY, 0, 0, 0);
+      await telemedicine.connect(patient).toggleDataMonetization(false);
+      await expect(telemedicine.connect(patient).requestAISymptomAnalysis(ethers.utils.id("headache"))).to.not.emit(rewards, "RewardAccrued");
+      await expect(rewards.connect(patient).claimRewards()).to.be.revertedWith("Nothing to claim");
+      await expect(rewards.accrue(patient.address, AI_ANALYSIS)).to.be.revertedWith("Only TelemedicineSystem");
+      await expect(rewards.fundLeftover(sonic(1))).to.be.revertedWith("Only TelemedicineSystem");
+
+      await expect(rewards.connect(patient).setRewardPolicy(sonic(10), DAY, 0, 0, 0)).to.be.revertedWith("Not an admin");
+      await expect(rewards.connect(patient).withdrawPool(patient.address, 1)).to.be.revertedWith("Not an admin");
+      await expect(rewards.setRewardPolicy(sonic(10), 0, 0, 0, 0)).to.be.revertedWith("Invalid epoch");
+      await expect(rewards.setActionWeight(4, 10000)).to.be.revertedWith("Unknown action");
+    });
+  });
+
+  describe("Data Marketplace", function () {
+    let marketplace, researcher, otherPatient, deadline;
+    const budget = ethers.utils.parseUnits("100", 18);
+    const termsHash = ethers.utils.id("terms");
+    const datasetHash = ethers.utils.id("dataset");
+
+    beforeEach(async function () {
+      [, , , , , researcher, otherPatient] = await ethers.getSigners();
+      const TelemedicineMarketplace = await ethers.getContractFactory("TelemedicineMarketplace");
+      marketplace = await upgrades.deployProxy(TelemedicineMarketplace, [telemedicine.address, owner.address], { initializer: "initialize" });
+      await marketplace.deployed();
+      await marketplace.setResearcher(researcher.address, true);
+
+      for (const signer of [patient, otherPatient]) {
+        await telemedicine.connect(signer).registerPatient(encryptedSymmetricKey);
+        await telemedicine.connect(signer).toggleDataMonetization(true);
+      }
+      await sonicToken.transfer(researcher.address, budget);
+      await sonicToken.connect(researcher).approve(marketplace.address, budget);
+      deadline = (await time.latest()) + 7 * 86400;
+    });
+
+    it("should split a fulfilled request's budget in proportion to the records contributed", async function () {
+      await expect(marketplace.connect(researcher).createDataRequest(termsHash, budget, deadline))
+        .to.emit(marketplace, "DataRequestCreated").withArgs(1, researcher.address, budget, termsHash, deadline);
+      expect(await sonicToken.balanceOf(marketplace.address)).to.equal(budget);
+
+      const share = budget.div(3);
+      await expect(marketplace.fulfillDataRequest(1, [patient.address, otherPatient.address], [1, 2], datasetHash))
+        .to.emit(marketplace, "DataContributed").withArgs(1, patient.address, 1, share)
+        .and.to.emit(marketplace, "DataContributed").withArgs(1, otherPatient.address, 2, budget.mul(2).div(3))
+        .and.to.emit(marketplace, "DataRequestFulfilled").withArgs(1, datasetHash, 2, 1);
+      expect(await sonicToken.balanceOf(researcher.address)).to.equal(1); // rounding dust
+      const request = await marketplace.requests(1);
+      expect(request.status).to.equal(1); // Fulfilled
+      expect(request.contributors).to.equal(2);
+      expect(await marketplace.contributions(1, otherPatient.address)).to.equal(2);
+
+      await expect(marketplace.connect(patient).withdrawEarnings()).to.emit(marketplace, "EarningsWithdrawn").withArgs(patient.address, share);
+      expect(await sonicToken.balanceOf(patient.address)).to.equal(share);
+      await expect(marketplace.connect(patient).withdrawEarnings()).to.be.revertedWith("Nothing to withdraw");
+      await expect(marketplace.fulfillDataRequest(1, [patient.address], [1], datasetHash)).to.be.revertedWith("Not open");
+    });
+
+    it("should only let approved researchers fund requests and the curator fulfil them", async function () {
+      await expect(marketplace.connect(doctor).createDataRequest(termsHash, budget, deadline)).to.be.revertedWith("Not a researcher");
+      await expect(marketplace.connect(researcher).createDataRequest(termsHash, 0, deadline)).to.be.revertedWith("Budget required");
+      await expect(marketplace.connect(researcher).createDataRequest(termsHash, budget, await time.latest())).to.be.revertedWith("Deadline in the past");
+      await expect(marketplace.connect(doctor).setResearcher(doctor.address, true)).to.be.revertedWith("Not an admin");
+
+      await marketplace.connect(researcher).createDataRequest(termsHash, budget, deadline);
+      await expect(marketplace.connect(researcher).fulfillDataRequest(1, [patient.address], [1], datasetHash)).to.be.revertedWith("Not the curator");
+      await expect(marketplace.fulfillDataRequest(1, [patient.address, patient.address], [1, 1], datasetHash)).to.be.revertedWith("Invalid contributors");
+      await expect(marketplace.fulfillDataRequest(1, [patient.address], [0], datasetHash)).to.be.revertedWith("Invalid contributors");
+      await telemedicine.connect(otherPatient).toggleDataMonetization(false);
+      await expect(marketplace.fulfillDataRequest(1, [otherPatient.address], [1], datasetHash)).to.be.revertedWith("Data sharing not enabled");
+
+      await expect(marketplace.connect(doctor).cancelDataRequest(1)).to.be.revertedWith("Not your request");
+      await expect(marketplace.connect(researcher).cancelDataRequest(1)).to.emit(marketplace, "DataRequestCancelled").withArgs(1, budget);
+      expect(await sonicToken.balanceOf(researcher.address)).to.equal(budget);
+
+      await sonicToken.connect(researcher).approve(marketplace.address, budget);
+      await marketplace.connect(researcher).createDataRequest(termsHash, budget, deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(marketplace.fulfillDataRequest(2, [patient.address], [1], datasetHash)).to.be.revertedWith("Expired");
+    });
+
+    it("should leave out patients who revoked their contribution", async function () {
+      await expect(marketplace.connect(patient).revokeContribution(1)).to.be.revertedWith("Unknown request");
+      await marketplace.connect(researcher).createDataRequest(termsHash, budget, deadline);
+      await expect(marketplace.connect(patient).revokeContribution(1)).to.emit(marketplace, "ContributionRevoked").withArgs(1, patient.address);
+      await expect(marketplace.connect(patient).revokeContribution(1)).to.be.revertedWith("Already revoked");
+      await expect(marketplace.fulfillDataRequest(1, [patient.address, otherPatient.address], [1, 1], datasetHash)).to.be.revertedWith("Contribution revoked");
+
+      // Revoking after fulfilment keeps what was credited
+      await marketplace.fulfillDataRequest(1, [otherPatient.address], [1], datasetHash);
+      await marketplace.connect(otherPatient).revokeContribution(1);
+      expect(await marketplace.revoked(1, otherPatient.address)).to.be.true;
+      expect(await marketplace.earnings(otherPatient.address)).to.equal(budget);
+    });
+  });
+
+  describe("Meta-Transactions", function () {
+    let forwarder, relayer;
+
+    const signForwardRequest = async (signer, data, overrides = {}) => {
+      const request = {
+        from: signer.address,
+        to: telemedicine.address,
+        value: 0,
+        gas: 500000,
+        nonce: (await forwarder.getNonce(signer.address)).toNumber(),
+        deadline: (await time.latest()) + 3600,
+        data,
+        ...overrides
+      };
+      const domain = {
+        name: "TelemedicineForwarder",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: forwarder.address
+      };
+      const types = {
+        ForwardRequest: [
+          { name: "from", type: "address" },
+          { name: "to", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "gas", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+          { name: "data", type: "bytes" }
+        ]
+      };
+      return { request, signature: await signer._signTypedData(domain, types, request) };
+    };
+
+    beforeEach(async function () {
+      [, , , , , relayer] = await ethers.getSigners();
+      const Forwarder = await ethers.getContractFactory("TelemedicineForwarder");
+      forwarder = await Forwarder.deploy();
+      await forwarder.deployed();
+      await telemedicine.setTrustedForwarder(forwarder.address);
+    });
+
+    it("should execute a relayed call under the signer's address", async function () {
+      const data = telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey]);
+      const { request, signature } = await signForwardRequest(patient, data);
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.emit(telemedicine, "PatientRegistered").withArgs(patient.address);
+      expect(await telemedicine.hasRole(await telemedicine.PATIENT_ROLE(), patient.address)).to.be.true;
+      expect(await telemedicine.hasRole(await telemedicine.PATIENT_ROLE(), relayer.address)).to.be.false;
+    });
+
+    it("should enforce on-chain roles for the relayed sender", async function () {
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+      await telemedicine.connect(patient).registerPatient(encryptedSymmetricKey);
+      await consent.connect(patient).grantConsent(doctor.address, 2, (await time.latest()) + 3600);
+      const data = telemedicine.interface.encodeFunctionData("orderLabTest", [patient.address, "CBC"]);
+
+      const asPatient = await signForwardRequest(patient, data);
+      await expect(forwarder.connect(relayer).execute(asPatient.request, asPatient.signature)).to.be.reverted;
+
+      const asDoctor = await signForwardRequest(doctor, data);
+      await forwarder.connect(relayer).execute(asDoctor.request, asDoctor.signature);
+      expect((await telemedicine.getLabTestDetails(1)).doctor).to.equal(doctor.address);
+    });
+
+    it("should reject replayed and expired requests", async function () {
+      const data = telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey]);
+      const { request, signature } = await signForwardRequest(patient, data);
+      await forwarder.connect(relayer).execute(request, signature);
+      await expect(forwarder.connect(relayer).execute(request, signature)).to.be.revertedWith("Invalid signature");
+
+      const expired = await signForwardRequest(labTech, data, { deadline: (await time.latest()) - 1 });
+      await expect(forwarder.connect(relayer).execute(expired.request, expired.signature)).to.be.revertedWith("Request expired");
+    });
+
+    it("should ignore appended senders from untrusted callers", async function () {
+      const data = telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey]);
+      await relayer.sendTransaction({ to: telemedicine.address, data: ethers.utils.hexConcat([data, patient.address]) });
+      expect((await telemedicine.patients(relayer.address)).isRegistered).to.be.true;
+      expect((await telemedicine.patients(patient.address)).isRegistered).to.be.false;
     });
   });
 
   describe("Account Abstraction", function () {
-    it("should handle user operation", async function () {
+    let accountFactory, paymaster, sponsor, bundler, account;
+
+    // Builds a UserOperation from the patient's smart account, sponsored by the paymaster and signed by the patient
+    const buildUserOp = async (callData, { sponsorSigner = sponsor } = {}) => {
+      const deployed = (await ethers.provider.getCode(account)) !== "0x";
       const userOp = {
-        sender: patient.address,
-        nonce: 0,
-        callData: telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey]),
-        callGasLimit: 200000,
-        verificationGasLimit: 100000,
-        preVerificationGas: 21000,
-        maxFeePerGas: ethers.utils.parseUnits("1", "gwei"),
+        sender: account,
+        nonce: deployed ? await (await ethers.getContractAt("SimpleAccount", account)).nonce() : 0,
+        initCode: deployed ? "0x" : ethers.utils.hexConcat([
+          accountFactory.address,
+          accountFactory.interface.encodeFunctionData("createAccount", [patient.address, 0])
+        ]),
+        callData,
+        callGasLimit: 500000,
+        verificationGasLimit: 500000,
+        preVerificationGas: 50000,
+        maxFeePerGas: ethers.utils.parseUnits("2", "gwei"),
         maxPriorityFeePerGas: ethers.utils.parseUnits("1", "gwei"),
+        paymasterAndData: "0x",
         signature: "0x"
       };
-      await expect(telemedicine.connect(entryPoint).handleUserOp(userOp))
-        .to.not.be.reverted;
-      const patientData = await telemedicine.patients(patient.address);
-      expect(patientData.isRegistered).to.be.true;
+      const validUntil = (await time.latest()) + 3600;
+      const validity = ethers.utils.defaultAbiCoder.encode(["uint48", "uint48"], [validUntil, 0]);
+      // The paymaster hash covers the encoded op up to paymasterAndData, so sign over a placeholder of the final length
+      userOp.paymasterAndData = ethers.utils.hexConcat([paymaster.address, validity, ethers.utils.hexZeroPad("0x", 65)]);
+      const sponsorHash = await paymaster.getHash(userOp, validUntil, 0);
+      userOp.paymasterAndData = ethers.utils.hexConcat([
+        paymaster.address,
+        validity,
+        await sponsorSigner.signMessage(ethers.utils.arrayify(sponsorHash))
+      ]);
+      userOp.signature = await patient.signMessage(ethers.utils.arrayify(await entryPoint.getUserOpHash(userOp)));
+      return userOp;
+    };
+
+    const accountInterface = new ethers.utils.Interface([
+      "function execute(address dest, uint256 value, bytes func)",
+      "function executeBatch(address[] dest, bytes[] func)"
+    ]);
+    const execute = (data) => accountInterface.encodeFunctionData("execute", [telemedicine.address, 0, data]);
+
+    beforeEach(async function () {
+      [, , , , , sponsor, bundler] = await ethers.getSigners();
+      const Factory = await ethers.getContractFactory("SimpleAccountFactory");
+      accountFactory = await Factory.deploy(entryPoint.address);
+      await accountFactory.deployed();
+      const Paymaster = await ethers.getContractFactory("VerifyingPaymaster");
+      paymaster = await Paymaster.deploy(entryPoint.address, sponsor.address);
+      await paymaster.deployed();
+      await paymaster.deposit({ value: ethers.utils.parseEther("1") });
+      account = await accountFactory.getAddress(patient.address, 0);
+      await telemedicine.verifyDoctor(doctor.address, doctorLicense, consultationFee);
+    });
+
+    it("should register a patient's smart account without the patient paying gas", async function () {
+      const balanceBefore = await ethers.provider.getBalance(patient.address);
+      const userOp = await buildUserOp(execute(telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey])));
+      await entryPoint.connect(bundler).handleOps([userOp], bundler.address);
+
+      expect((await telemedicine.patients(account)).isRegistered).to.be.true;
+      expect(await telemedicine.hasRole(await telemedicine.PATIENT_ROLE(), account)).to.be.true;
+      expect(await ethers.provider.getBalance(patient.address)).to.equal(balanceBefore);
+      expect(await ethers.provider.getBalance(account)).to.equal(0);
+    });
+
+    it("should book an appointment and request AI analysis through sponsored operations", async function () {
+      await entryPoint.connect(bundler).handleOps([
+        await buildUserOp(execute(telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey])))
+      ], bundler.address);
+      await sonicToken.transfer(account, consultationFee);
+
+      const timestamp = (await time.latest()) + 3600;
+      const batch = accountInterface.encodeFunctionData("executeBatch", [
+        [sonicToken.address, telemedicine.address],
+        [
+          sonicToken.interface.encodeFunctionData("approve", [telemedicine.address, consultationFee]),
+          telemedicine.interface.encodeFunctionData("bookAppointment", [doctor.address, timestamp, 2, false, "", consultationFee])
+        ]
+      ]);
+      await expect(entryPoint.connect(bundler).handleOps([await buildUserOp(batch)], bundler.address))
+        .to.emit(telemedicine, "AppointmentBooked").withArgs(1, account);
+      expect((await telemedicine.appointments(1)).patient).to.equal(account);
+      expect(await sonicToken.balanceOf(payments.address)).to.equal(consultationFee);
+
+      await expect(entryPoint.connect(bundler).handleOps([
+        await buildUserOp(execute(telemedicine.interface.encodeFunctionData("requestAISymptomAnalysis", [ethers.utils.id("headache fever")])))
+      ], bundler.address)).to.emit(telemedicine, "AISymptomAnalyzed").withArgs(1, account);
+    });
+
+    it("should reject operations the sponsor did not sign", async function () {
+      const userOp = await buildUserOp(
+        execute(telemedicine.interface.encodeFunctionData("registerPatient", [encryptedSymmetricKey])),
+        { sponsorSigner: labTech }
+      );
+      await expect(entryPoint.connect(bundler).handleOps([userOp], bundler.address))
+        .to.be.revertedWithCustomError(entryPoint, "FailedOp");
     });
   });
 });
@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseInput, symptomsCommitment, validateReview, createTriage } = require("../../backend/triage");
+const cases = require("./fixtures/triage-cases.json");
+
+// Exercises the backend symptom triage engine and its bundled model against fixture presentations
+describe("Backend symptom triage", function () {
+  let triage;
+  const cid = `Qm${"a".repeat(44)}`;
+  const patient = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  beforeEach(function () {
+    triage = createTriage({ file: ":memory:" });
+  });
+
+  afterEach(function () {
+    triage.close();
+  });
+
+  for (const { name, input, expected } of cases) {
+    it(`should triage ${name}`, async function () {
+      const result = await triage.analyze(parseInput(input));
+      expect(result.modelVersion).to.match(/^triage-/);
+      expect(result.urgency).to.equal(expected.urgency);
+      expect(result.specialty).to.equal(expected.specialty);
+      expect(result.redFlags.map(flag => flag.id)).to.deep.equal(expected.redFlags);
+      if (expected.topCondition) expect(result.conditions[0].id).to.equal(expected.topCondition);
+      const probabilities = result.conditions.map(condition => condition.probability);
+      expect(probabilities).to.deep.equal([...probabilities].sort((a, b) => b - a));
+    });
+  }
+
+  it("should validate symptom reports", function () {
+    expect(parseInput(JSON.stringify({ symptoms: ["cough", "fever", "cough"], age: 30 })))
+      .to.deep.equal({ symptoms: ["cough", "fever"], age: 30, sex: "other", severity: "moderate", durationDays: 0 });
+    expect(() => parseInput("headache and fever")).to.throw("Invalid symptom report");
+    expect(() => parseInput({ symptoms: [], age: 30 })).to.throw("Symptoms required");
+    expect(() => parseInput({ symptoms: ["headache", "bad vibes"], age: 30 })).to.throw("Unknown symptom: bad vibes");
+    expect(() => parseInput({ symptoms: ["headache"], age: "30" })).to.throw("Invalid age");
+    expect(() => parseInput({ symptoms: ["headache"], age: 30, severity: "awful" })).to.throw("Invalid severity");
+    expect(() => parseInput({ symptoms: ["headache"], age: 30, durationDays: 1.5 })).to.throw("Invalid duration");
+  });
+
+  it("should commit to a report with a salt", function () {
+    const report = JSON.stringify({ symptoms: ["headache"], age: 30 });
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    expect(symptomsCommitment(report, salt)).to.equal(ethers.utils.keccak256(ethers.utils.concat([salt, ethers.utils.toUtf8Bytes(report)])));
+    expect(symptomsCommitment(report, salt)).to.not.equal(symptomsCommitment(report, ethers.utils.hexlify(ethers.utils.randomBytes(32))));
+    expect(() => symptomsCommitment(report, "0x1234")).to.throw("Invalid symptom report");
+  });
+
+  it("should keep the outcome and let the patient attach their report once", async function () {
+    const result = await triage.analyze(parseInput({ symptoms: ["chest_pain", "shortness_of_breath"], age: 55 }));
+    triage.record(7, patient, result);
+    expect(triage.report(7)).to.include({ analysisId: 7, modelVersion: result.modelVersion, urgency: "emergency", cid: null });
+
+    expect(() => triage.attachReport(8, [patient], cid)).to.throw("Unknown analysis");
+    expect(() => triage.attachReport(7, ["0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"], cid)).to.throw("Not your analysis");
+    expect(() => triage.attachReport(7, [patient], "ipfs-hash")).to.throw("Invalid CID");
+    triage.attachReport(7, [patient.toLowerCase()], cid);
+    expect(triage.report(7).cid).to.equal(cid);
+    expect(() => triage.attachReport(7, [patient], cid)).to.throw("Report already attached");
+  });
+
+  describe("review workflow", function () {
+    const doctor = "0x90F79bf6EB2c8f870365E6D9a9C78C4b3eA7AbE3";
+    const other = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+    const reviewCid = `Qm${"b".repeat(44)}`;
+
+    async function recordAnalysis(id, input) {
+      triage.record(id, patient, await triage.analyze(parseInput(input)));
+      triage.attachReport(id, [patient], cid);
+    }
+
+    it("should queue analyses by specialty or assigned doctor, most urgent first", async function () {
+      await recordAnalysis(1, { symptoms: ["rash", "itching"], age: 40, severity: "mild" });
+      await recordAnalysis(2, { symptoms: ["rash", "itching"], age: 40, severity: "severe" });
+      await recordAnalysis(3, { symptoms: ["headache", "light_sensitivity", "nausea"], age: 25 });
+      triage.record(4, patient, await triage.analyze(parseInput({ symptoms: ["rash"], age: 40 })));
+
+      const queue = triage.queue([doctor], "dermatology");
+      expect(queue.items.map(item => item.analysisId)).to.deep.equal([2, 1]);
+      expect(queue.total).to.equal(2);
+
+      expect(() => triage.assign(3, [other], doctor)).to.throw("Not your analysis");
+      triage.assign(3, [patient], doctor);
+      expect(triage.queue([doctor], "Dermatology").items.map(item => item.analysisId)).to.deep.equal([2, 3, 1]);
+      expect(triage.queue([other], "Neurology").total).to.equal(0);
+
+      expect(() => triage.claim(3, other)).to.throw("Assigned to another doctor");
+      triage.claim(1, other);
+      expect(triage.report(1).assignedDoctor).to.equal(other.toLowerCase());
+      expect(triage.queue([doctor], "Dermatology").items.map(item => item.analysisId)).to.deep.equal([2, 3]);
+    });
+
+    it("should only take a review from the assigned doctor of the patient's report", async function () {
+      await recordAnalysis(5, { symptoms: ["cough", "fever"], age: 30 });
+      const review = { cid: reviewCid, reportCid: cid, agreement: "override", followUp: [{ action: "orderLabTest", testType: " CBC " }] };
+
+      expect(() => triage.checkReview(5, [doctor], review)).to.throw("Claim the analysis first");
+      triage.claim(5, doctor);
+      expect(() => triage.checkReview(5, [other], review)).to.throw("Assigned to another doctor");
+      expect(() => triage.checkReview(5, [doctor], { ...review, reportCid: reviewCid })).to.throw("Review must reference the analysis report");
+      expect(() => triage.checkReview(5, [doctor], { ...review, cid: "ipfs-hash" })).to.throw("Invalid CID");
+
+      const checked = triage.checkReview(5, [doctor], review);
+      expect(checked).to.deep.equal({ cid: reviewCid, agreement: "override", followUp: [{ action: "orderLabTest", testType: "CBC" }] });
+      triage.recordReview(5, doctor, checked);
+      expect(triage.report(5).review).to.deep.include({ cid: reviewCid, doctor: doctor.toLowerCase(), agreement: "override" });
+      expect(triage.queue([doctor], "General Practice").total).to.equal(0);
+      expect(() => triage.checkReview(5, [doctor], review)).to.throw("Already reviewed");
+      expect(() => triage.assign(5, [patient], other)).to.throw("Already reviewed");
+    });
+
+    it("should validate review outcomes", function () {
+      expect(validateReview({ agreement: "agree" })).to.deep.equal({ agreement: "agree", followUp: [] });
+      expect(() => validateReview({ agreement: "maybe" })).to.throw("Agreement must be one of agree, override");
+      expect(() => validateReview({ agreement: "agree", followUp: "call" })).to.throw("Invalid follow-up");
+      expect(() => validateReview({ agreement: "agree", followUp: [{ action: "refer" }] })).to.throw("Unknown follow-up: refer");
+      expect(() => validateReview({ agreement: "agree", followUp: [{ action: "orderLabTest" }] })).to.throw("Test type required");
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { SiweMessage, generateNonce } = require('siwe');
+
+const CHAIN_ID = 64165; // Sonic Testnet
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000;
+const NONCE_TTL = 5 * 60 * 1000;
+
+// In-memory stores; a single backend instance owns all sessions
+const nonces = new Map(); // nonce => expiresAt
+const sessions = new Map(); // sessionId => { address, refreshTokenHash, expiresAt }
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+function issueNonce() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of nonces) if (expiresAt < now) nonces.delete(nonce);
+    const nonce = generateNonce();
+    nonces.set(nonce, now + NONCE_TTL);
+    return nonce;
+}
+
+// Verifies an EIP-4361 message and consumes its nonce; returns the signing address
+async function verifyLogin(message, signature, domain) {
+    const siweMessage = new SiweMessage(message);
+    const expiresAt = nonces.get(siweMessage.nonce);
+    if (!expiresAt || expiresAt < Date.now()) throw new Error('Unknown or expired nonce');
+    nonces.delete(siweMessage.nonce);
+
+    if (siweMessage.chainId !== CHAIN_ID) throw new Error('Wrong chain');
+    if (!siweMessage.expirationTime) throw new Error('Expiration time required');
+    await siweMessage.verify({ signature, domain, nonce: siweMessage.nonce });
+    return siweMessage.address;
+}
+
+// `claims` carries what the caller is allowed to act as: on-chain roles and smart account
+function signAccessToken(sessionId, address, claims) {
+    return jwt.sign({ ...claims, address, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function issueRefreshToken(sessionId, session) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    session.refreshTokenHash = hashToken(secret);
+    session.expiresAt = Date.now() + REFRESH_TOKEN_TTL;
+    return `${sessionId}.${secret}`;
+}
+
+function createSession(address, claims) {
+    const now = Date.now();
+    for (const [id, { expiresAt }] of sessions) if (expiresAt < now) sessions.delete(id);
+    const sessionId = crypto.randomUUID();
+    const session = { address };
+    sessions.set(sessionId, session);
+    return { accessToken: signAccessToken(sessionId, address, claims), refreshToken: issueRefreshToken(sessionId, session) };
+}
+
+// Exchanges a refresh token for a new token pair; reusing a rotated token revokes the whole session
+async function rotateSession(refreshToken, resolveClaims) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    const session = sessions.get(sessionId);
+    if (!session || !secret || session.expiresAt < Date.now()) throw new Error('Invalid refresh token');
+    if (session.refreshTokenHash !== hashToken(secret)) {
+        sessions.delete(sessionId);
+        throw new Error('Refresh token reused');
+    }
+    const claims = await resolveClaims(session.address);
+    return { accessToken: signAccessToken(sessionId, session.address, claims), refreshToken: issueRefreshToken(sessionId, session) };
+}
+
+function revokeSession(sessionId) {
+    sessions.delete(sessionId);
+}
+
+// Access tokens stop working as soon as their session is revoked
+function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!sessions.has(decoded.sid)) throw new Error('Session revoked');
+    return decoded;
+}
+
+module.exports = {
+    CHAIN_ID,
+    issueNonce,
+    verifyLogin,
+    createSession,
+    rotateSession,
+    revokeSession,
+    verifyAccessToken
+};
@@ -0,0 +1,150 @@
+const Database = require('better-sqlite3');
+
+// Doctor calendars: weekly opening hours in the doctor's own time zone, time off, and a fixed slot length.
+// Free slots are those hours cut into slots, minus time off and appointments already booked on-chain
+// (read from the indexer). Slot starts are Unix seconds; TelemedicineSystem holds one appointment per start.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS schedules (
+        doctor TEXT PRIMARY KEY, time_zone TEXT NOT NULL, slot_minutes INTEGER NOT NULL, weekly TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS time_off (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, doctor TEXT NOT NULL, starts_at INTEGER NOT NULL, ends_at INTEGER NOT NULL,
+        reason TEXT NOT NULL DEFAULT ''
+    );
+    CREATE INDEX IF NOT EXISTS time_off_doctor ON time_off (doctor, ends_at);
+`;
+
+const SLOT_MINUTES = [15, 20, 30, 45, 60, 90, 120];
+const MIN_BOOKING_BUFFER = 15 * 60; // seconds; matches TelemedicineSystem
+const MAX_RANGE = 31 * 86400; // longest window a slot query may cover
+const DAY = 86400;
+
+const address = (value) => value.toLowerCase();
+
+// 'HH:MM' => minutes after midnight; '24:00' closes a window at midnight
+function parseTime(value) {
+    const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(value || '');
+    const minutes = match && Number(match[1]) * 60 + Number(match[2]);
+    if (match === null || minutes > 24 * 60) throw new Error(`Invalid time: ${value}`);
+    return minutes;
+}
+
+// Wall-clock fields of a UTC instant in the given IANA time zone
+function zonedParts(seconds, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+    }).formatToParts(new Date(seconds * 1000));
+    const field = (type) => Number(parts.find(part => part.type === type).value);
+    return { year: field('year'), month: field('month'), day: field('day'), hour: field('hour'), minute: field('minute') };
+}
+
+// Unix seconds of a wall-clock time in the zone, or null if DST skips it
+function zonedTime(year, month, day, minutes, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, 0, minutes) / 1000;
+    let utc = wall;
+    for (let i = 0; i < 2; i++) {
+        const local = zonedParts(utc, timeZone);
+        utc = wall - (Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) / 1000 - utc);
+    }
+    const local = zonedParts(utc, timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) / 1000 === wall ? utc : null;
+}
+
+function validateSchedule({ timeZone, slotMinutes, weekly }) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+    }
+    if (!SLOT_MINUTES.includes(Number(slotMinutes))) throw new Error(`Slot length must be one of ${SLOT_MINUTES.join(', ')} minutes`);
+    if (!Array.isArray(weekly)) throw new Error('Weekly hours required');
+    const windows = weekly.map(({ day, start, end }) => {
+        if (!Number.isInteger(day) || day < 0 || day > 6) throw new Error(`Invalid weekday: ${day}`);
+        if (parseTime(start) >= parseTime(end)) throw new Error('Opening hours must end after they start');
+        return { day, start, end };
+    });
+    for (const a of windows) {
+        const overlapping = windows.some(b => b !== a && b.day === a.day && parseTime(a.start) < parseTime(b.end) && parseTime(b.start) < parseTime(a.end));
+        if (overlapping) throw new Error('Opening hours overlap');
+    }
+    return { timeZone, slotMinutes: Number(slotMinutes), weekly: windows };
+}
+
+function createAvailability({ indexer, file = 'availability.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    function getSchedule(doctor) {
+        const row = db.prepare('SELECT time_zone AS timeZone, slot_minutes AS slotMinutes, weekly FROM schedules WHERE doctor = ?')
+            .get(address(doctor));
+        return row ? { ...row, weekly: JSON.parse(row.weekly) } : null;
+    }
+
+    function setSchedule(doctor, schedule) {
+        const { timeZone, slotMinutes, weekly } = validateSchedule(schedule);
+        db.prepare(`INSERT INTO schedules (doctor, time_zone, slot_minutes, weekly) VALUES (?, ?, ?, ?)
+            ON CONFLICT (doctor) DO UPDATE SET time_zone = excluded.time_zone, slot_minutes = excluded.slot_minutes, weekly = excluded.weekly`)
+            .run(address(doctor), timeZone, slotMinutes, JSON.stringify(weekly));
+        return getSchedule(doctor);
+    }
+
+    // Upcoming and ongoing time off
+    function listTimeOff(doctor) {
+        return db.prepare('SELECT id, starts_at AS start, ends_at AS end, reason FROM time_off WHERE doctor = ? AND ends_at > ? ORDER BY starts_at')
+            .all(address(doctor), now());
+    }
+
+    function addTimeOff(doctor, { start, end, reason = '' }) {
+        if (!(Number.isInteger(start) && Number.isInteger(end) && start < end)) throw new Error('Time off must end after it starts');
+        const { lastInsertRowid } = db.prepare('INSERT INTO time_off (doctor, starts_at, ends_at, reason) VALUES (?, ?, ?, ?)')
+            .run(address(doctor), start, end, String(reason));
+        return Number(lastInsertRowid);
+    }
+
+    function removeTimeOff(doctor, id) {
+        return db.prepare('DELETE FROM time_off WHERE id = ? AND doctor = ?').run(id, address(doctor)).changes > 0;
+    }
+
+    // Free slot starts in [from, to), bookable no sooner than the contract's booking buffer
+    function slots(doctor, from, to) {
+        const schedule = getSchedule(doctor);
+        if (!schedule) return [];
+        if (!(to > from)) throw new Error('Invalid range');
+        if (to - from > MAX_RANGE) throw new Error('Range too long');
+        const { timeZone, slotMinutes, weekly } = schedule;
+        const length = slotMinutes * 60;
+        const earliest = Math.max(from, now() + MIN_BOOKING_BUFFER + 1);
+
+        const timeOff = db.prepare('SELECT starts_at AS start, ends_at AS end FROM time_off WHERE doctor = ? AND ends_at > ? AND starts_at < ?')
+            .all(address(doctor), from, to + length);
+        const booked = indexer.bookedTimestamps(doctor, from - length, to + length);
+        const isFree = (start) => !timeOff.some(off => start < off.end && off.start < start + length)
+            && !booked.some(taken => Math.abs(taken - start) < length);
+
+        // Walk the doctor's local calendar days covering the range; a day either side absorbs the zone offset
+        const free = [];
+        const first = zonedParts(from - DAY, timeZone);
+        for (let date = Date.UTC(first.year, first.month - 1, first.day) / 1000; date < to + DAY; date += DAY) {
+            const day = new Date(date * 1000);
+            const [year, month, dayOfMonth] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+            for (const window of weekly.filter(w => w.day === day.getUTCDay())) {
+                for (let minutes = parseTime(window.start); minutes + slotMinutes <= parseTime(window.end); minutes += slotMinutes) {
+                    const start = zonedTime(year, month, dayOfMonth, minutes, timeZone);
+                    if (start !== null && start >= earliest && start < to && isFree(start)) free.push(start);
+                }
+            }
+        }
+        return free.sort((a, b) => a - b);
+    }
+
+    // Whether `timestamp` is the start of one of the doctor's free slots
+    function isFree(doctor, timestamp) {
+        const schedule = getSchedule(doctor);
+        return Boolean(schedule) && slots(doctor, timestamp, timestamp + schedule.slotMinutes * 60).includes(timestamp);
+    }
+
+    return { getSchedule, setSchedule, listTimeOff, addTimeOff, removeTimeOff, slots, isFree, close: () => db.close() };
+}
+
+module.exports = { SLOT_MINUTES, createAvailability };
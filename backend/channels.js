@@ -0,0 +1,219 @@
+const Database = require('better-sqlite3');
+const { ownAddresses } = require('./policy');
+
+// Per-user notification channels over WebSocket. Every workflow step is stored as a typed event with a sequence
+// number and the channels it goes to: `user:<address>` for each party to the record, and `role:<ROLE>` for work open
+// to anyone holding the role. A socket authenticates with an access token, always hears its user's own channels and
+// picks which of the user's roles it follows, and after reconnecting names the last sequence number it saw to be sent
+// what it missed.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS events (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT, type TEXT NOT NULL, record_id TEXT, data TEXT NOT NULL, source TEXT UNIQUE,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS events_created ON events (created_at);
+    CREATE TABLE IF NOT EXISTS event_channels (
+        channel TEXT NOT NULL, seq INTEGER NOT NULL, PRIMARY KEY (channel, seq)
+    );
+`;
+
+// Contract events, once indexed, and the typed event each is published as
+const CONTRACT_EVENTS = {
+    DoctorVerified: 'doctorVerified',
+    ConsultationFeeUpdated: 'consultationFeeUpdated',
+    AppointmentBooked: 'appointmentBooked',
+    AppointmentConfirmed: 'appointmentConfirmed',
+    AppointmentCancelled: 'appointmentCancelled',
+    AppointmentRescheduled: 'appointmentRescheduled',
+    AppointmentCompleted: 'appointmentCompleted',
+    AppointmentNoShow: 'appointmentNoShow',
+    LabTestOrdered: 'labTestOrdered',
+    LabTestAssigned: 'labTestAssigned',
+    LabSampleCollected: 'labSampleCollected',
+    LabSampleRejected: 'labSampleRejected',
+    LabTestResultsUploaded: 'labResultsReady',
+    LabTestReviewed: 'labTestReviewed',
+    PrescriptionGenerated: 'prescriptionIssued',
+    PrescriptionVerified: 'prescriptionVerified',
+    PrescriptionFulfilled: 'prescriptionFulfilled',
+    PrescriptionCancelled: 'prescriptionCancelled',
+    AISymptomAnalyzed: 'aiAnalysisRequested',
+    AIAnalysisReviewed: 'aiAnalysisReviewed',
+    DataMonetizationOptIn: 'dataSharingUpdated',
+    DataRewardClaimed: 'rewardPaid'
+};
+
+// Steps only the backend sees
+const BACKEND_EVENTS = ['aiAnalysisAssigned', 'labCustodyLogged', 'labTestOverdue', 'prescriptionFilled'];
+
+const EVENT_TYPES = [...Object.values(CONTRACT_EVENTS), ...BACKEND_EVENTS];
+
+const RETENTION = 7 * 86400; // replayable for a week; older cursors resync
+const REPLAY_LIMIT = 500;
+const AUTH_TIMEOUT_MS = 10 * 1000;
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+const userChannel = (address) => `user:${address.toLowerCase()}`;
+const roleChannel = (role) => `role:${role}`;
+
+// The parties to a contract event's record, from its indexed row, and the roles open work is offered to
+function contractAudience({ name, table, id, row, args }) {
+    switch (table) {
+        case 'appointments':
+            return { to: [row.patient, row.doctor] };
+        case 'lab_tests':
+            // Unassigned orders wait in every lab's queue; like the queue, the role's channel hears only their id and status
+            return { to: [row.patient, row.doctor, row.lab_tech], roles: row.lab_tech === ZERO_ADDRESS ? ['LAB_TECH_ROLE'] : [] };
+        case 'prescriptions':
+            return { to: [row.patient, row.doctor, row.pharmacy] };
+        case 'ai_analyses':
+            return name === 'AISymptomAnalyzed' ? { to: [row.patient], roles: ['DOCTOR_ROLE'] } : { to: [row.patient, args.doctor] };
+        case 'doctors':
+            return { to: [id] };
+        default:
+            return { to: [args.patient] };
+    }
+}
+
+// What a contract event carries besides its record: the record's new status, and an appointment's start, or the
+// notice's own values
+function contractData({ name, table, row, args }) {
+    if (name === 'DataRewardClaimed') return { amount: args.amount.toString() };
+    if (name === 'DataMonetizationOptIn') return { enabled: args.enabled };
+    if (table === 'appointments') return { status: row.status, scheduledAt: row.scheduled_timestamp };
+    return row && row.status !== undefined ? { status: row.status } : {};
+}
+
+// `authenticate(token)` returns the token's claims or throws; `onPublish(event, addresses)` hears of each new event
+// with the addresses it is for, e.g. to send it out of band
+function createChannels({ file = 'events.db', authenticate, onPublish = () => {}, now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const clients = new Set(); // { ws, user, channels }
+
+    const readEvent = (row) => ({ seq: row.seq, type: row.type, id: row.record_id, data: JSON.parse(row.data), at: row.created_at });
+    const lastSeq = () => db.prepare('SELECT MAX(seq) AS seq FROM events').get().seq || 0;
+    const send = (ws, message) => ws.readyState === 1 && ws.send(JSON.stringify(message));
+
+    function prune() {
+        const before = now() - RETENTION;
+        db.prepare('DELETE FROM event_channels WHERE seq IN (SELECT seq FROM events WHERE created_at < ?)').run(before);
+        db.prepare('DELETE FROM events WHERE created_at < ?').run(before);
+    }
+
+    // Stores an event for the given addresses and roles and sends it to the sockets subscribed to any of them.
+    // `source` dedupes events published more than once, e.g. a contract log indexed again after a restart
+    function publish(type, { id, to = [], roles = [], data = {}, source } = {}) {
+        if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown event type: ${type}`);
+        const addresses = to.filter(address => address && address !== ZERO_ADDRESS);
+        const channels = [...new Set([...addresses.map(userChannel), ...roles.map(roleChannel)])];
+        if (channels.length === 0) return null;
+        const event = db.transaction(() => {
+            const { changes, lastInsertRowid } = db.prepare('INSERT OR IGNORE INTO events (type, record_id, data, source, created_at) VALUES (?, ?, ?, ?, ?)')
+                .run(type, id === undefined || id === null ? null : String(id), JSON.stringify(data), source ?? null, now());
+            if (changes === 0) return null;
+            const insert = db.prepare('INSERT INTO event_channels (channel, seq) VALUES (?, ?)');
+            for (const channel of channels) insert.run(channel, lastInsertRowid);
+            return readEvent(db.prepare('SELECT * FROM events WHERE seq = ?').get(lastInsertRowid));
+        })();
+        if (!event) return null;
+        for (const client of clients) {
+            if (channels.some(channel => client.channels.has(channel))) send(client.ws, event);
+        }
+        onPublish(event, addresses);
+        return event;
+    }
+
+    // The indexer's events, as they are confirmed. Those from further back than replays reach are not published,
+    // so indexing from scratch does not replay history
+    function publishContractEvents(events, timestamp) {
+        if (timestamp < now() - RETENTION) return;
+        for (const event of events) {
+            const type = CONTRACT_EVENTS[event.name];
+            if (!type) continue;
+            publish(type, {
+                id: event.table ? event.id : undefined,
+                ...contractAudience(event),
+                data: contractData(event),
+                source: `${event.transactionHash}:${event.logIndex}`
+            });
+        }
+        prune();
+    }
+
+    // Events on `channels` after `seq`; null when some have been pruned, there are too many, or the cursor is from
+    // another store, and the caller should reload instead
+    function since(channels, seq) {
+        const oldest = db.prepare('SELECT MIN(seq) AS seq FROM events').get().seq;
+        if ((oldest !== null && seq < oldest - 1) || seq > lastSeq()) return null;
+        if (channels.length === 0) return [];
+        const rows = db.prepare(`SELECT DISTINCT events.* FROM events JOIN event_channels ON event_channels.seq = events.seq
+            WHERE event_channels.channel IN (${channels.map(() => '?').join(', ')}) AND events.seq > ? ORDER BY events.seq LIMIT ?`)
+            .all(...channels, seq, REPLAY_LIMIT + 1);
+        return rows.length > REPLAY_LIMIT ? null : rows.map(readEvent);
+    }
+
+    // The user's own addresses, and those of `roles` (all by default) they hold
+    function subscribe(client, roles = client.user.roles || []) {
+        if (!Array.isArray(roles)) throw new Error('Invalid roles');
+        const held = roles.filter(role => client.user.roles?.includes(role));
+        client.channels = new Set([...ownAddresses(client.user).map(userChannel), ...held.map(roleChannel)]);
+    }
+
+    // { type: 'auth', token, roles?, lastSeq? } first, and again with each refreshed token; then
+    // { type: 'subscribe', roles } to change which roles' work is followed
+    function handle(client, message) {
+        if (message.type === 'auth') {
+            const user = authenticate(message.token);
+            if (client.user && client.user.address !== user.address) throw new Error('Token is for another user');
+            client.user = user;
+            clearTimeout(client.timer);
+            // Sockets close when their token expires unless it is refreshed; the client reconnects and replays
+            client.timer = setTimeout(() => client.ws.close(4001, 'Token expired'), Math.max(user.exp * 1000 - Date.now(), 0));
+            if (!clients.has(client) || message.roles) subscribe(client, message.roles);
+            clients.add(client);
+            send(client.ws, { type: 'ready', seq: lastSeq(), channels: [...client.channels] });
+            if (message.lastSeq !== undefined && message.lastSeq !== null) {
+                const missed = since([...client.channels], Number(message.lastSeq) || 0);
+                if (missed) missed.forEach(event => send(client.ws, event));
+                else send(client.ws, { type: 'resync', seq: lastSeq() });
+            }
+        } else if (message.type === 'subscribe' && client.user) {
+            subscribe(client, message.roles);
+            send(client.ws, { type: 'subscribed', channels: [...client.channels] });
+        } else {
+            throw new Error('Authenticate first');
+        }
+    }
+
+    function attach(wss) {
+        wss.on('connection', (ws) => {
+            const client = { ws, user: null, channels: new Set() };
+            client.timer = setTimeout(() => ws.close(4001, 'Authentication required'), AUTH_TIMEOUT_MS);
+            ws.on('message', (raw) => {
+                let message;
+                try {
+                    message = JSON.parse(raw);
+                } catch {
+                    return send(ws, { type: 'error', error: 'Invalid message' });
+                }
+                try {
+                    handle(client, message);
+                } catch (error) {
+                    send(ws, { type: 'error', error: error.message });
+                    if (!client.user || message.type === 'auth') ws.close(4001, 'Authentication failed');
+                }
+            });
+            ws.on('close', () => {
+                clearTimeout(client.timer);
+                clients.delete(client);
+            });
+        });
+    }
+
+    return { publish, publishContractEvents, since, attach, close: () => db.close() };
+}
+
+module.exports = { CONTRACT_EVENTS, EVENT_TYPES, createChannels };
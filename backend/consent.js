@@ -0,0 +1,68 @@
+const Database = require('better-sqlite3');
+const { isSelf, ownAddresses } = require('./policy');
+
+const CONSENT_ABI = [
+    'function grantConsent(address provider, uint8 scopes, uint48 expiresAt)',
+    'function revokeConsent(address provider)',
+    'function hasConsent(address patient, address provider, uint8 scope) view returns (bool)',
+    'function getGrants(address patient) view returns (address[] providers, tuple(uint8 scopes, uint48 expiresAt)[] grants)'
+];
+
+// Scopes of a patient's record, matching TelemedicineConsent's bitmask
+const SCOPES = { appointments: 1, labs: 2, prescriptions: 4, aiAnalyses: 8, history: 16 };
+
+// Patients' grants live on TelemedicineConsent; this log records every read of a patient's records by someone else,
+// so patients can see who looked at what and when.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS access_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, patient TEXT NOT NULL, reader TEXT NOT NULL, resource TEXT NOT NULL,
+        resource_id TEXT, read_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS access_log_patient ON access_log (patient, read_at);
+`;
+
+const MAX_PAGE_SIZE = 100;
+
+const address = (value) => value.toLowerCase();
+
+function createConsent({ contract, file = 'access-log.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    // Whether the patient has granted the scope to the user's wallet or smart account
+    async function hasConsent(user, patient, scope) {
+        const granted = await Promise.all(ownAddresses(user).map(provider => contract.hasConsent(patient, provider, scope)));
+        return granted.some(Boolean);
+    }
+
+    // The patient's unexpired grants
+    async function grants(patient) {
+        const [providers, patientGrants] = await contract.getGrants(patient);
+        return providers
+            .map((provider, i) => ({ provider: address(provider), scopes: patientGrants[i].scopes, expiresAt: Number(patientGrants[i].expiresAt) }))
+            .filter(grant => grant.scopes !== 0 && grant.expiresAt > now());
+    }
+
+    function logRead(user, patient, resource, resourceId = null) {
+        if (isSelf(user, patient)) return;
+        db.prepare('INSERT INTO access_log (patient, reader, resource, resource_id, read_at) VALUES (?, ?, ?, ?, ?)')
+            .run(address(patient), address(user.address), resource, resourceId === null ? null : String(resourceId), now());
+    }
+
+    // Reads of the given patient addresses' records, newest first
+    function accessLog(patients, { limit = 20, offset = 0 } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(Number(offset) || 0, 0);
+        const owners = patients.map(address);
+        const where = `patient IN (${owners.map(() => '?').join(', ')})`;
+        const items = db.prepare(`SELECT patient, reader, resource, resource_id AS resourceId, read_at AS readAt FROM access_log
+            WHERE ${where} ORDER BY read_at DESC, id DESC LIMIT ? OFFSET ?`).all(...owners, pageSize, skip);
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM access_log WHERE ${where}`).get(...owners);
+        return { items, total, limit: pageSize, offset: skip };
+    }
+
+    return { hasConsent, grants, logRead, accessLog, close: () => db.close() };
+}
+
+module.exports = { CONSENT_ABI, SCOPES, createConsent };
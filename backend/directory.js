@@ -0,0 +1,136 @@
+const Database = require('better-sqlite3');
+
+// Doctor directory: profiles kept off-chain alongside the verification and USD fee indexed from TelemedicineSystem,
+// and patient ratings, at most one per completed appointment.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS profiles (
+        doctor TEXT PRIMARY KEY, name TEXT NOT NULL, specialty TEXT NOT NULL, languages TEXT NOT NULL, bio TEXT NOT NULL,
+        photo_cid TEXT NOT NULL, updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS ratings (
+        appointment_id INTEGER PRIMARY KEY, doctor TEXT NOT NULL, patient TEXT NOT NULL, stars INTEGER NOT NULL,
+        comment TEXT NOT NULL, created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS ratings_doctor ON ratings (doctor, created_at);
+`;
+
+const APPOINTMENT_COMPLETED = 2;
+const MAX_PAGE_SIZE = 100;
+const USD = 1e18; // fees are USD with 18 decimals
+const CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+const address = (value) => value.toLowerCase();
+const sameText = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }) === 0;
+
+function requireText(value, field, maxLength, required = true) {
+    if (typeof value !== 'string' || (required && !value.trim())) throw new Error(`${field} required`);
+    if (value.length > maxLength) throw new Error(`${field} too long`);
+    return value.trim();
+}
+
+function validateProfile({ name, specialty, languages, bio = '', photoCid = '' } = {}) {
+    if (!Array.isArray(languages) || languages.length === 0 || languages.length > 10) throw new Error('Between 1 and 10 languages required');
+    if (photoCid && !CID.test(photoCid)) throw new Error('Invalid photo CID');
+    return {
+        name: requireText(name, 'Name', 100),
+        specialty: requireText(specialty, 'Specialty', 100),
+        languages: languages.map(language => requireText(language, 'Language', 50)),
+        bio: requireText(bio, 'Bio', 2000, false),
+        photoCid
+    };
+}
+
+function createDirectory({ indexer, availability, file = 'directory.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const readProfile = (row) => row && {
+        name: row.name, specialty: row.specialty, languages: JSON.parse(row.languages), bio: row.bio, photoCid: row.photo_cid
+    };
+
+    function saveProfile(doctor, profile) {
+        const { name, specialty, languages, bio, photoCid } = validateProfile(profile);
+        db.prepare(`INSERT INTO profiles (doctor, name, specialty, languages, bio, photo_cid, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (doctor) DO UPDATE SET name = excluded.name, specialty = excluded.specialty, languages = excluded.languages,
+            bio = excluded.bio, photo_cid = excluded.photo_cid, updated_at = excluded.updated_at`)
+            .run(address(doctor), name, specialty, JSON.stringify(languages), bio, photoCid, now());
+        return readProfile(db.prepare('SELECT * FROM profiles WHERE doctor = ?').get(address(doctor)));
+    }
+
+    function ratingSummaries() {
+        const rows = db.prepare('SELECT doctor, AVG(stars) AS average, COUNT(*) AS count FROM ratings GROUP BY doctor').all();
+        return new Map(rows.map(({ doctor, average, count }) => [doctor, { average: Math.round(average * 10) / 10, count }]));
+    }
+
+    // A verified doctor's listing: profile, USD fee and rating
+    function profile(doctor) {
+        const record = indexer.doctor(doctor);
+        const row = db.prepare('SELECT * FROM profiles WHERE doctor = ?').get(address(doctor));
+        if (!record?.isVerified || !row) return null;
+        return {
+            address: record.address,
+            consultationFee: record.consultationFee,
+            ...readProfile(row),
+            rating: ratingSummaries().get(record.address) || { average: null, count: 0 }
+        };
+    }
+
+    // Verified doctors with a profile, best rated first. Fees are USD amounts; with `availableFrom`/`availableTo`
+    // only doctors with a free slot in that window are listed, along with their next slot.
+    function search({ specialty, language, minFee, maxFee, availableFrom, availableTo } = {}, { limit = 20, offset = 0 } = {}) {
+        const profiles = new Map(db.prepare('SELECT * FROM profiles').all().map(row => [row.doctor, readProfile(row)]));
+        const ratings = ratingSummaries();
+        const fees = {
+            minFee: minFee !== undefined && minFee !== '' ? Number(minFee) * USD : undefined,
+            maxFee: maxFee !== undefined && maxFee !== '' ? Number(maxFee) * USD : undefined
+        };
+        const byAvailability = Boolean(availableFrom && availableTo);
+
+        const matches = [];
+        for (const record of indexer.verifiedDoctors(fees)) {
+            const listing = profiles.get(record.address);
+            if (!listing) continue;
+            if (specialty && !sameText(listing.specialty, specialty)) continue;
+            if (language && !listing.languages.some(known => sameText(known, language))) continue;
+            const nextSlot = byAvailability ? availability.slots(record.address, Number(availableFrom), Number(availableTo))[0] : undefined;
+            if (byAvailability && nextSlot === undefined) continue;
+            matches.push({
+                address: record.address,
+                consultationFee: record.consultationFee,
+                ...listing,
+                rating: ratings.get(record.address) || { average: null, count: 0 },
+                ...(byAvailability && { nextSlot })
+            });
+        }
+        matches.sort((a, b) => (b.rating.average ?? 0) - (a.rating.average ?? 0) || b.rating.count - a.rating.count || a.name.localeCompare(b.name));
+
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(Number(offset) || 0, 0);
+        return { items: matches.slice(skip, skip + pageSize), total: matches.length, limit: pageSize, offset: skip };
+    }
+
+    // The patient of a completed appointment may rate it once
+    function rate(appointment, { stars, comment = '' }) {
+        if (appointment.status !== APPOINTMENT_COMPLETED) throw new Error('Appointment not completed');
+        if (!Number.isInteger(stars) || stars < 1 || stars > 5) throw new Error('Stars must be between 1 and 5');
+        const text = requireText(comment, 'Comment', 1000, false);
+        const id = Number(appointment.id.toString());
+        if (db.prepare('SELECT 1 FROM ratings WHERE appointment_id = ?').get(id)) throw new Error('Already rated');
+        db.prepare('INSERT INTO ratings (appointment_id, doctor, patient, stars, comment, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(id, address(appointment.doctor), address(appointment.patient), stars, text, now());
+    }
+
+    function ratings(doctor, { limit = 20, offset = 0 } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(Number(offset) || 0, 0);
+        const items = db.prepare(`SELECT appointment_id AS appointmentId, stars, comment, created_at AS createdAt FROM ratings
+            WHERE doctor = ? ORDER BY created_at DESC, appointment_id DESC LIMIT ? OFFSET ?`).all(address(doctor), pageSize, skip);
+        const { total } = db.prepare('SELECT COUNT(*) AS total FROM ratings WHERE doctor = ?').get(address(doctor));
+        return { items, total, limit: pageSize, offset: skip };
+    }
+
+    return { saveProfile, profile, search, rate, ratings, close: () => db.close() };
+}
+
+module.exports = { validateProfile, createDirectory };
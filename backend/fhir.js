@@ -0,0 +1,136 @@
+// HL7 FHIR R4 export of a patient's record, for handing over to other hospital systems. Appointments become
+// Encounters, lab orders DiagnosticReports and prescriptions MedicationRequests. Providers are referenced by their
+// wallet address as a logical identifier; lab results are the encrypted documents on IPFS, so they are attached by URL.
+// Lab orders from the catalog are coded with the LOINC codes ordered, and structured prescriptions become one
+// MedicationRequest per medication line, coded with RxNorm and grouped by prescription.
+const ADDRESS_SYSTEM = 'urn:ietf:rfc:3986'; // identifiers are urn:ethereum: URIs
+const ACT_CODES = 'http://terminology.hl7.org/CodeSystem/v3-ActCode';
+const LOINC = 'http://loinc.org';
+const RXNORM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+const ENCOUNTER_STATUSES = ['planned', 'planned', 'finished', 'cancelled', 'in-progress', 'cancelled'];
+const REPORT_STATUSES = ['registered', 'partial', 'preliminary', 'final'];
+const PRESCRIPTION_FULFILLED = 2;
+const PAGE_SIZE = 100;
+
+const address = (value) => value.toLowerCase();
+const instant = (timestamp) => new Date(Number(timestamp) * 1000).toISOString();
+const identifier = (value) => ({ system: ADDRESS_SYSTEM, value: `urn:ethereum:${address(value)}` });
+const practitioner = (value) => ({ type: 'Practitioner', identifier: identifier(value) });
+const organization = (value) => ({ type: 'Organization', identifier: identifier(value) });
+const hasAddress = (value) => Boolean(value) && !/^0x0{40}$/.test(value);
+
+function patientResource(patient) {
+    return { resourceType: 'Patient', id: address(patient), identifier: [identifier(patient)], active: true };
+}
+
+function encounterResource(apt) {
+    return {
+        resourceType: 'Encounter',
+        id: `appointment-${apt.id}`,
+        status: ENCOUNTER_STATUSES[apt.status],
+        class: apt.isVideoCall
+            ? { system: ACT_CODES, code: 'VR', display: 'virtual' }
+            : { system: ACT_CODES, code: 'AMB', display: 'ambulatory' },
+        subject: { reference: `Patient/${address(apt.patient)}` },
+        participant: [{ individual: practitioner(apt.doctor) }],
+        period: { start: instant(apt.scheduledTimestamp) }
+    };
+}
+
+function diagnosticReportResource(test, order) {
+    return {
+        resourceType: 'DiagnosticReport',
+        id: `lab-test-${test.id}`,
+        status: REPORT_STATUSES[test.status],
+        code: order
+            ? { coding: order.items.map(item => ({ system: LOINC, code: item.code, display: item.name })), text: order.items.map(item => item.name).join(', ') }
+            : { text: test.testType },
+        subject: { reference: `Patient/${address(test.patient)}` },
+        effectiveDateTime: instant(test.orderedTimestamp),
+        ...(Number(test.completedTimestamp) > 0 && { issued: instant(test.completedTimestamp) }),
+        performer: [practitioner(test.doctor), ...(hasAddress(test.labTech) ? [organization(test.labTech)] : [])],
+        ...(test.resultsIpfsHash && {
+            presentedForm: [{ contentType: 'application/json', url: `ipfs://${test.resultsIpfsHash}`, title: 'Encrypted results' }]
+        })
+    };
+}
+
+function medicationRequestResource(prescription, now) {
+    const expired = Number(prescription.expirationTimestamp) <= now;
+    const fulfilled = prescription.status === PRESCRIPTION_FULFILLED;
+    return {
+        resourceType: 'MedicationRequest',
+        id: `prescription-${prescription.id}`,
+        status: fulfilled ? 'completed' : expired ? 'stopped' : 'active',
+        intent: 'order',
+        medicationCodeableConcept: { text: prescription.medicationDetails },
+        subject: { reference: `Patient/${address(prescription.patient)}` },
+        authoredOn: instant(prescription.generatedTimestamp),
+        requester: practitioner(prescription.doctor),
+        dispenseRequest: {
+            validityPeriod: { start: instant(prescription.generatedTimestamp), end: instant(prescription.expirationTimestamp) },
+            ...(hasAddress(prescription.pharmacy) && { performer: organization(prescription.pharmacy) })
+        }
+    };
+}
+
+// A structured prescription's lines, each with its dosage and the quantity and refills to dispense
+function medicationLineResources(prescription, details, now) {
+    const request = medicationRequestResource(prescription, now);
+    return details.medications.map((line, i) => ({
+        ...request,
+        id: `prescription-${prescription.id}-${i + 1}`,
+        groupIdentifier: { value: `prescription-${prescription.id}` },
+        medicationCodeableConcept: { coding: [{ system: RXNORM, code: line.code, display: line.name }], text: line.name },
+        encounter: { reference: `Encounter/appointment-${details.appointmentId}` },
+        dosageInstruction: [{
+            text: `${line.dose} ${line.unit} ${line.route} ${line.frequency}${line.instructions ? `; ${line.instructions}` : ''}`,
+            route: { text: line.route },
+            timing: { code: { text: line.frequency } },
+            ...(line.frequency === 'as needed' && { asNeededBoolean: true }),
+            doseAndRate: [{ doseQuantity: { value: line.dose, unit: line.unit } }]
+        }],
+        dispenseRequest: { ...request.dispenseRequest, quantity: { value: line.quantity }, numberOfRepeatsAllowed: line.refills }
+    }));
+}
+
+// `baseUrl` is the FHIR base the resources' full URLs resolve against; `labs` gives the catalog orders and
+// `prescriptions` the structured medication lines
+function createFhirExport({ contract, indexer, labs = null, prescriptions = null, baseUrl, now = () => Math.floor(Date.now() / 1000) }) {
+    // Every indexed record for the patient, oldest first
+    function all(list, patient) {
+        const items = [];
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const page = list({ patient }, { limit: PAGE_SIZE, offset });
+            items.push(...page.items);
+            if (items.length >= page.total || page.items.length === 0) return items.reverse();
+        }
+    }
+
+    // Lab results and medication details are only on-chain, so those records are re-read from the contract
+    async function exportPatient(patient) {
+        const appointments = all(indexer.appointments, patient);
+        const labTests = await Promise.all(all(indexer.labTests, patient).map(test => contract.getLabTestDetails(test.id)));
+        const prescriptionDetails = await Promise.all(all(indexer.prescriptions, patient).map(p => contract.getPrescriptionDetails(p.id)));
+        const resources = [
+            patientResource(patient),
+            ...appointments.map(encounterResource),
+            ...labTests.map(test => diagnosticReportResource(test, labs && labs.order(test.id.toString()))),
+            ...prescriptionDetails.flatMap(prescription => {
+                const details = prescriptions && prescriptions.prescription(prescription.id.toString());
+                return details ? medicationLineResources(prescription, details, now()) : [medicationRequestResource(prescription, now())];
+            })
+        ];
+        return {
+            resourceType: 'Bundle',
+            type: 'collection',
+            timestamp: instant(now()),
+            entry: resources.map(resource => ({ fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`, resource }))
+        };
+    }
+
+    return { exportPatient };
+}
+
+module.exports = { createFhirExport };
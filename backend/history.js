@@ -0,0 +1,78 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+// Medical history: each version of a patient's history is an encrypted document on IPFS, anchored on-chain as the
+// patient's medicalHistoryHash (keccak256 of the CID); earlier versions stay listed here. Encounter notes are
+// encrypted documents written by the appointment's doctor and linked to the appointment.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS history_versions (
+        patient TEXT NOT NULL, version INTEGER NOT NULL, cid TEXT NOT NULL, created_at INTEGER NOT NULL,
+        PRIMARY KEY (patient, version)
+    );
+    CREATE TABLE IF NOT EXISTS encounter_notes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, appointment_id INTEGER NOT NULL, patient TEXT NOT NULL, doctor TEXT NOT NULL,
+        cid TEXT NOT NULL, created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS encounter_notes_appointment ON encounter_notes (appointment_id, created_at);
+`;
+
+const CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+const APPOINTMENT_CONFIRMED = 1;
+const APPOINTMENT_COMPLETED = 2;
+
+const address = (value) => value.toLowerCase();
+const historyHash = (cid) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(cid));
+
+function requireCid(cid) {
+    if (typeof cid !== 'string' || !CID.test(cid)) throw new Error('Invalid CID');
+    return cid;
+}
+
+// A history version is anchored by the hash of its CID
+function verifyVersion(cid, medicalHistoryHash) {
+    requireCid(cid);
+    if (historyHash(cid) !== medicalHistoryHash) throw new Error('Hash does not match CID');
+}
+
+function createHistory({ contract, file = 'history.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    // Records the version a patient anchored with `medicalHistoryHash`
+    function addVersion(patient, cid, medicalHistoryHash) {
+        verifyVersion(cid, medicalHistoryHash);
+        const { latest } = db.prepare('SELECT MAX(version) AS latest FROM history_versions WHERE patient = ?').get(address(patient));
+        const version = (latest || 0) + 1;
+        db.prepare('INSERT INTO history_versions (patient, version, cid, created_at) VALUES (?, ?, ?, ?)')
+            .run(address(patient), version, cid, now());
+        return version;
+    }
+
+    // Versions newest first; `anchored` marks the one matching the on-chain hash
+    async function versions(patient) {
+        const { medicalHistoryHash } = await contract.patients(patient);
+        return db.prepare('SELECT version, cid, created_at AS createdAt FROM history_versions WHERE patient = ? ORDER BY version DESC')
+            .all(address(patient))
+            .map(row => ({ ...row, anchored: historyHash(row.cid) === medicalHistoryHash }));
+    }
+
+    // The appointment's doctor may add notes once it is confirmed; later notes amend earlier ones
+    function addNote(appointment, doctor, cid) {
+        requireCid(cid);
+        if (address(appointment.doctor) !== address(doctor)) throw new Error('Not your appointment');
+        if (![APPOINTMENT_CONFIRMED, APPOINTMENT_COMPLETED].includes(appointment.status)) throw new Error('Appointment not confirmed');
+        const { lastInsertRowid } = db.prepare(`INSERT INTO encounter_notes (appointment_id, patient, doctor, cid, created_at)
+            VALUES (?, ?, ?, ?, ?)`).run(Number(appointment.id.toString()), address(appointment.patient), address(doctor), cid, now());
+        return Number(lastInsertRowid);
+    }
+
+    function notes(appointmentId) {
+        return db.prepare(`SELECT id, doctor, cid, created_at AS createdAt FROM encounter_notes WHERE appointment_id = ?
+            ORDER BY created_at, id`).all(Number(appointmentId));
+    }
+
+    return { addVersion, versions, addNote, notes, close: () => db.close() };
+}
+
+module.exports = { historyHash, verifyVersion, createHistory };
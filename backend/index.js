@@ -4,13 +4,29 @@ const https = require('https');
 const fs = require('fs');
 const WebSocket = require('ws');
 const { ethers } = require('ethers');
-const jwt = require('jsonwebtoken');
 const winston = require('winston');
 const cors = require('cors');
 const { create } = require('ipfs-http-client');
 const QRCode = require('qrcode');
-const tf = require('@tensorflow/tfjs-node');
-const { UserOperation } = require('@account-abstraction/utils');
+const policy = require('./policy');
+const auth = require('./auth');
+const { createIntents, revertReason } = require('./intents');
+const userOps = require('./userops');
+const { createIndexer } = require('./indexer');
+const { PAYMENTS_ABI, createPayouts } = require('./payouts');
+const { createAvailability } = require('./availability');
+const { validateProfile, createDirectory } = require('./directory');
+const { validateFileEnvelope, createKeyring } = require('./keyring');
+const { CONSENT_ABI, SCOPES, createConsent } = require('./consent');
+const { verifyVersion, createHistory } = require('./history');
+const { createFhirExport } = require('./fhir');
+const { createLabs } = require('./labs');
+const { catalog: formulary, checkVerificationCode, createPrescriptions } = require('./prescriptions');
+const { parseInput, symptomsCommitment, createTriage } = require('./triage');
+const { createChannels } = require('./channels');
+const { smtpTransport, smsGatewayTransport, webPushTransport, createNotifier } = require('./notifier');
+const { MARKETPLACE_ABI, checkTerms, createMarketplace } = require('./marketplace');
+const { REWARDS_ABI, createRewards } = require('./rewards');
 
 const app = express();
 const server = https.createServer({
@@ -23,31 +39,182 @@ const ipfs = create({ host: 'ipfs.infura.io', port: 5001, protocol: 'https' });
 const provider = new ethers.providers.JsonRpcProvider(process.env.SONIC_RPC_URL);
 const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
 const contract = new ethers.Contract(process.env.CONTRACT_ADDRESS, [
-    'function registerPatient(string)',
-    'function verifyDoctor(address, string, uint256)',
-    'function verifyLabTechnician(address, string)',
-    'function registerPharmacy(address, string)',
-    'function bookAppointment(address, uint48, uint8, bool, string) payable',
-    'function confirmAppointment(uint256)',
-    'function requestAISymptomAnalysis(string)',
-    'function reviewAISymptomAnalysis(uint256, string)',
-    'function orderLabTest(address, string)',
-    'function collectSample(uint256, string)',
-    'function uploadLabResults(uint256, string)',
-    'function reviewLabResults(uint256, string, string)',
-    'function verifyPrescription(uint256, bytes32)',
-    'function fulfillPrescription(uint256)',
-    'function toggleDataMonetization(bool)',
-    'function claimDataReward()',
-    'function handleUserOp(tuple(address, uint256, bytes, uint256, uint256, uint256, uint256, uint256, bytes))',
-    'function getPatientAppointments(address) view returns (tuple(uint256, address, address, uint48, uint8, uint256, uint8, string, bool)[])',
-    'function getLabTestDetails(uint256) view returns (tuple(uint256, address, address, address, uint8, string, string, string, uint48, uint48))',
-    'function getPrescriptionDetails(uint256) view returns (tuple(uint256, address, address, bytes32, string, string, uint8, address, uint48, uint48))',
-    'function getAIAnalysisDetails(uint256) view returns (tuple(uint256, address, string, string, bool))',
-    'function getPatientDataStatus(address) view returns (uint8, uint256)'
+    'function registerPatient(string encryptedSymmetricKey)',
+    'function verifyDoctor(address doctor, string licenseNumber, uint256 fee)',
+    'function verifyLabTechnician(address labTech, string licenseNumber)',
+    'function registerPharmacy(address pharmacy, string licenseNumber)',
+    'function bookAppointment(address doctor, uint48 timestamp, uint8 paymentType, bool isVideoCall, string videoCallLink, uint256 maxAmount) payable',
+    'function setConsultationFee(uint256 fee)',
+    'function confirmAppointment(uint256 appointmentId)',
+    'function completeAppointment(uint256 appointmentId)',
+    'function cancelAppointment(uint256 appointmentId)',
+    'function rescheduleAppointment(uint256 appointmentId, uint48 timestamp)',
+    'function markNoShow(uint256 appointmentId)',
+    'function requestAISymptomAnalysis(bytes32 symptomsHash)',
+    'function assignAISymptomAnalysis(uint256 aiAnalysisId, address doctor)',
+    'function reviewAISymptomAnalysis(uint256 aiAnalysisId, string analysisIpfsHash)',
+    'function orderLabTest(address patient, string testType)',
+    'function assignLabTest(uint256 labTestId, address labTech)',
+    'function collectSample(uint256 labTestId, string ipfsHash)',
+    'function rejectSample(uint256 labTestId)',
+    'function uploadLabResults(uint256 labTestId, string resultsIpfsHash)',
+    'function reviewLabResults(uint256 labTestId)',
+    'function issuePrescription(uint256 appointmentId, string medicationDetails, string prescriptionIpfsHash, bytes32 verificationCodeHash)',
+    'function cancelPrescription(uint256 prescriptionId)',
+    'function verifyPrescription(uint256 prescriptionId, bytes32 verificationCode)',
+    'function fulfillPrescription(uint256 prescriptionId)',
+    'function toggleDataMonetization(bool enable)',
+    'function usdcToken() view returns (address)',
+    'function sonicToken() view returns (address)',
+    'function hasRole(bytes32, address) view returns (bool)',
+    'function doctors(address) view returns (bool isVerified, uint256 consultationFee, string licenseNumber)',
+    'function appointments(uint256) view returns (uint256 id, address patient, address doctor, uint48 scheduledTimestamp, uint8 status, uint256 fee, uint8 paymentType, string videoCallLink, bool isVideoCall)',
+    'function getLabTestDetails(uint256) view returns (tuple(uint256 id, address patient, address doctor, address labTech, uint8 status, string testType, string sampleCollectionIpfsHash, string resultsIpfsHash, uint48 orderedTimestamp, uint48 completedTimestamp))',
+    'function getPrescriptionDetails(uint256) view returns (tuple(uint256 id, address patient, address doctor, bytes32 verificationCodeHash, string medicationDetails, string prescriptionIpfsHash, uint8 status, address pharmacy, uint48 generatedTimestamp, uint48 expirationTimestamp))',
+    'function getAIAnalysisDetails(uint256) view returns (tuple(uint256 id, address patient, string symptoms, string analysisIpfsHash, bool doctorReviewed, bytes32 symptomsHash, bool symptomsMigrated, address assignedDoctor))',
+    'function updateMedicalHistory(bytes32 medicalHistoryHash)',
+    'function patients(address) view returns (bool isRegistered, string encryptedSymmetricKey, bytes32 medicalHistoryHash, tuple(uint96 mediPoints, uint8 currentLevel) gamification, uint8 dataSharing, uint256 lastRewardTimestamp)',
+    'event DoctorVerified(address indexed doctor)',
+    'event ConsultationFeeUpdated(address indexed doctor, uint256 fee)',
+    'event AppointmentBooked(uint256 indexed id, address indexed patient)',
+    'event AppointmentConfirmed(uint256 indexed id, address indexed doctor)',
+    'event AppointmentCancelled(uint256 indexed id, address indexed cancelledBy, uint256 refund)',
+    'event AppointmentRescheduled(uint256 indexed id, uint48 scheduledTimestamp)',
+    'event AppointmentCompleted(uint256 indexed id, address indexed doctor)',
+    'event AppointmentNoShow(uint256 indexed id, address indexed absentee)',
+    'event LabTestOrdered(uint256 indexed id, address indexed patient)',
+    'event LabTestAssigned(uint256 indexed id, address indexed labTech)',
+    'event LabSampleCollected(uint256 indexed id, address indexed labTech)',
+    'event LabSampleRejected(uint256 indexed id, address indexed labTech)',
+    'event LabTestResultsUploaded(uint256 indexed id, string ipfsHash)',
+    'event LabTestReviewed(uint256 indexed id, address indexed doctor)',
+    'event PrescriptionGenerated(uint256 indexed id, address indexed patient)',
+    'event PrescriptionVerified(uint256 indexed id, address indexed pharmacy)',
+    'event PrescriptionFulfilled(uint256 indexed id, address indexed pharmacy)',
+    'event PrescriptionCancelled(uint256 indexed id, address indexed doctor)',
+    'event AISymptomAnalyzed(uint256 indexed id, address indexed patient)',
+    'event AIAnalysisReviewed(uint256 indexed id, address indexed doctor)',
+    'event DataMonetizationOptIn(address indexed patient, bool enabled)',
+    'event DataRewardClaimed(address indexed patient, uint256 amount)'
 ], wallet);
+const forwarder = new ethers.Contract(process.env.FORWARDER_ADDRESS, [
+    'function getNonce(address) view returns (uint256)',
+    'function execute(tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data), bytes) payable returns (bytes)'
+], wallet);
+const payments = new ethers.Contract(process.env.PAYMENTS_ADDRESS, PAYMENTS_ABI, wallet);
+const intents = createIntents({ contract, forwarder });
+const paymentIntents = createIntents({ contract: payments, forwarder });
+const consentContract = new ethers.Contract(process.env.CONSENT_ADDRESS, CONSENT_ABI, wallet);
+const consentIntents = createIntents({ contract: consentContract, forwarder });
+// The server wallet is the marketplace's curator, which fulfils data requests
+const marketplaceContract = new ethers.Contract(process.env.MARKETPLACE_ADDRESS, MARKETPLACE_ABI, wallet);
+const marketplaceIntents = createIntents({ contract: marketplaceContract, forwarder });
+const rewardsContract = new ethers.Contract(process.env.REWARDS_ADDRESS, REWARDS_ABI, wallet);
+const rewardsIntents = createIntents({ contract: rewardsContract, forwarder });
+const sponsorship = userOps.createUserOps({
+    contract,
+    payments,
+    consent: consentContract,
+    marketplace: marketplaceContract,
+    rewards: rewardsContract,
+    entryPoint: new ethers.Contract(process.env.ENTRY_POINT_ADDRESS, userOps.ENTRY_POINT_ABI, wallet),
+    accountFactory: new ethers.Contract(process.env.ACCOUNT_FACTORY_ADDRESS, userOps.ACCOUNT_FACTORY_ABI, provider),
+    paymaster: new ethers.Contract(process.env.PAYMASTER_ADDRESS, userOps.PAYMASTER_ABI, provider),
+    paymasterSigner: new ethers.Wallet(process.env.PAYMASTER_SIGNER_KEY),
+    sponsoredOpsPerDay: Number(process.env.SPONSORED_OPS_PER_DAY || 5)
+});
+
+// Notifications follow the indexer, so lists re-read on an event already show the change. Each is also sent out of
+// band to those parties who asked for it
+const channels = createChannels({
+    file: process.env.EVENTS_DB_PATH || 'events.db',
+    authenticate: auth.verifyAccessToken,
+    onPublish: (event, addresses) => notifier.notify(event, addresses).catch(error => logger.error('Notification error:', error))
+});
+const indexer = createIndexer({
+    contract,
+    file: process.env.INDEXER_DB_PATH || 'indexer.db',
+    startBlock: Number(process.env.INDEXER_START_BLOCK || 0),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2),
+    onEvents: channels.publishContractEvents
+});
+// Channels whose settings are missing are not offered
+const notifier = createNotifier({
+    file: process.env.NOTIFICATIONS_DB_PATH || 'notifications.db',
+    indexer,
+    appUrl: process.env.FRONTEND_URL,
+    transports: {
+        email: process.env.SMTP_URL && smtpTransport({ url: process.env.SMTP_URL, from: process.env.NOTIFICATION_EMAIL_FROM }),
+        sms: process.env.SMS_GATEWAY_URL && smsGatewayTransport({
+            url: process.env.SMS_GATEWAY_URL, token: process.env.SMS_GATEWAY_TOKEN, from: process.env.SMS_FROM
+        }),
+        push: process.env.VAPID_PRIVATE_KEY && webPushTransport({
+            publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject: process.env.VAPID_SUBJECT
+        })
+    }
+});
+const availability = createAvailability({ indexer, file: process.env.AVAILABILITY_DB_PATH || 'availability.db' });
+const consent = createConsent({ contract: consentContract, file: process.env.ACCESS_LOG_DB_PATH || 'access-log.db' });
+const history = createHistory({ contract, file: process.env.HISTORY_DB_PATH || 'history.db' });
+const labs = createLabs({ file: process.env.LABS_DB_PATH || 'labs.db' });
+const prescriptions = createPrescriptions({
+    file: process.env.PRESCRIPTIONS_DB_PATH || 'prescriptions.db',
+    qrSecret: process.env.PRESCRIPTION_QR_SECRET || process.env.JWT_SECRET
+});
+const fhir = createFhirExport({ contract, indexer, labs, prescriptions, baseUrl: process.env.FHIR_BASE_URL || 'https://localhost:8080/fhir' });
+const triage = createTriage({ file: process.env.TRIAGE_DB_PATH || 'triage.db' });
+const keyring = createKeyring({ file: process.env.KEYRING_DB_PATH || 'keyring.db' });
+const directory = createDirectory({ indexer, availability, file: process.env.DIRECTORY_DB_PATH || 'directory.db' });
+// Research datasets draw on the outcome of AI analyses and on which lab results came back abnormal
+const marketplace = createMarketplace({
+    contract: marketplaceContract,
+    telemedicine: contract,
+    sources: {
+        aiAnalyses: (from, to) => triage.researchRecords(from, to),
+        labResults: (from, to) => {
+            const orders = labs.resulted(from, to);
+            const patients = indexer.labTestPatients(orders.map(order => order.labTestId));
+            return orders.filter(order => patients.has(order.labTestId)).map(order => ({ ...order, patient: patients.get(order.labTestId) }));
+        }
+    },
+    file: process.env.MARKETPLACE_DB_PATH || 'marketplace.db',
+    k: Number(process.env.MARKETPLACE_K || 5)
+});
+const rewards = createRewards({ contract, rewards: rewardsContract });
+const payouts = createPayouts({ contract, payments, indexer, slippageBps: Number(process.env.QUOTE_SLIPPAGE_BPS || 100) });
+
+// Patient actions arrive either as a forward request or as a sponsored UserOperation from their smart account
+const requireAction = (functionName, actionIntents = intents) => (req, res, next) =>
+    (req.body.userOp ? sponsorship.requireUserOp(functionName) : actionIntents.requireIntent(functionName))(req, res, next);
+const submitAction = (req, actionIntents = intents) =>
+    req.body.userOp ? sponsorship.submit(req.body.userOp, req.user.address) : actionIntents.relay(req.body);
+
+// Passes what an async handler or middleware throws to the error handler instead of leaving the promise rejected
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// The arguments of an event the emitting contract logged for a submitted action, from its receipt
+async function emittedArgs(txHash, eventName, emitter = contract) {
+    const { logs } = await provider.getTransactionReceipt(txHash);
+    const topic = emitter.interface.getEventTopic(eventName);
+    const log = logs.find(entry => policy.sameAddress(entry.address, emitter.address) && entry.topics[0] === topic);
+    return emitter.interface.parseLog(log).args;
+}
+
+// The id of the record a submitted action created
+const createdId = async (txHash, eventName, emitter = contract) => (await emittedArgs(txHash, eventName, emitter)).id.toNumber();
+
+// A contract struct with its field names; as returned by ethers it serializes to a bare array
+const fields = (struct) => Object.fromEntries(Object.keys(struct).filter(key => Number.isNaN(Number(key))).map(key => [key, struct[key]]));
+
+// Session claims: roles held by the wallet or its smart account. Researchers are approved on TelemedicineMarketplace
+async function resolveClaims(address) {
+    const smartAccount = await sponsorship.accountAddress(address);
+    const [roles, researcher] = await Promise.all([policy.resolveRoles(contract, address, smartAccount), marketplaceContract.researchers(address)]);
+    return { roles: researcher ? [...roles, 'RESEARCHER_ROLE'] : roles, smartAccount };
+}
 
 app.use(cors({ origin: process.env.FRONTEND_URL }));
+app.use('/files', express.json({ limit: process.env.MAX_FILE_SIZE || '10mb' }));
 app.use(express.json());
 
 const logger = winston.createLogger({
@@ -63,8 +230,7 @@ const authMiddleware = async (req, res, next) => {
     try {
         const token = req.headers['authorization']?.split(' ')[1];
         if (!token) throw new Error('Token required');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        req.user = auth.verifyAccessToken(token);
         next();
     } catch (error) {
         logger.error('Auth error:', error);
@@ -72,181 +238,976 @@ const authMiddleware = async (req, res, next) => {
     }
 };
 
-// AI Symptom Analysis (Simple Mock Model)
-async function analyzeSymptoms(symptoms) {
-    const tensor = tf.tensor([symptoms.split(' ').length]);
-    const prediction = tensor.add(0.5); // Mock AI logic
-    return { diagnosis: "Possible condition based on: " + symptoms, confidence: prediction.dataSync()[0] };
-}
-
-// Account Abstraction Helper
-async function submitUserOperation(userOp) {
-    const tx = await contract.handleUserOp(userOp);
-    await tx.wait();
-    return tx.hash;
-}
+// Steps that never reach the contract are published here, to the record's parties; contract events come from the indexer
+const notifyLabTest = (type, labTest, data) => {
+    channels.publish(type, { id: labTest.id.toString(), to: [labTest.patient, labTest.doctor, labTest.labTech], data });
+};
 
 // Routes
+app.get('/nonce', (req, res) => {
+    res.json({ nonce: auth.issueNonce(), chainId: auth.CHAIN_ID });
+});
+
 app.post('/login', async (req, res) => {
     try {
-        const { address, signature } = req.body;
-        const recovered = ethers.utils.verifyMessage('Telemedicine Login', signature);
-        if (recovered !== address) throw new Error('Invalid signature');
-        const token = jwt.sign({ address }, process.env.JWT_SECRET, { expiresIn: '1h' });
-        res.json({ token });
+        const { message, signature } = req.body;
+        const address = await auth.verifyLogin(message, signature, new URL(process.env.FRONTEND_URL).host);
+        res.json(auth.createSession(address, await resolveClaims(address)));
     } catch (error) {
+        logger.error('Login error:', error);
         res.status(401).json({ error: 'Login failed' });
     }
 });
 
-app.post('/register-patient', authMiddleware, async (req, res) => {
-    const tx = await contract.registerPatient(req.body.encryptedSymmetricKey);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.post('/refresh', async (req, res) => {
+    try {
+        res.json(await auth.rotateSession(req.body.refreshToken, resolveClaims));
+    } catch (error) {
+        res.status(401).json({ error: 'Refresh failed' });
+    }
+});
+
+app.post('/logout', authMiddleware, (req, res) => {
+    auth.revokeSession(req.user.sid);
+    res.json({ success: true });
 });
 
-app.post('/book-appointment', authMiddleware, async (req, res) => {
-    const { doctorAddress, timestamp, paymentType, isVideoCall, videoCallLink, userOp } = req.body;
-    if (userOp) {
-        const txHash = await submitUserOperation(userOp);
-        res.json({ txHash });
-    } else {
-        const tx = await contract.bookAppointment(doctorAddress, timestamp, paymentType, isVideoCall, videoCallLink || "", {
-            value: paymentType === 0 ? ethers.utils.parseEther("0.1") : 0
-        });
-        await tx.wait();
-        wss.clients.forEach(client => client.send(JSON.stringify({ type: 'appointment', id: tx.hash })));
-        res.json({ txHash: tx.hash });
+// Out-of-band notifications: where each user is reached and which topics go to which channel
+app.get('/notifications/settings', authMiddleware, (req, res) => {
+    res.json({ ...notifier.settings(req.user), deliveries: notifier.deliveries(req.user) });
+});
+
+app.put('/notifications/settings', authMiddleware, (req, res) => {
+    try {
+        res.json(notifier.updateSettings(req.user, req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.post('/confirm-appointment', authMiddleware, async (req, res) => {
-    const { appointmentId } = req.body;
-    const tx = await contract.confirmAppointment(appointmentId);
-    await tx.wait();
-    wss.clients.forEach(client => client.send(JSON.stringify({ type: 'appointmentConfirmed', id: appointmentId })));
-    res.json({ txHash: tx.hash });
+app.post('/notifications/push-subscriptions', authMiddleware, (req, res) => {
+    try {
+        notifier.subscribePush(req.user, req.body.subscription);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.post('/analyze-symptoms', authMiddleware, async (req, res) => {
-    const { symptoms, userOp } = req.body;
-    if (userOp) {
-        const txHash = await submitUserOperation(userOp);
-        res.json({ txHash });
-    } else {
-        const analysis = await analyzeSymptoms(symptoms);
-        const ipfsResult = await ipfs.add(JSON.stringify(analysis));
-        const tx = await contract.requestAISymptomAnalysis(symptoms);
-        await tx.wait();
-        res.json({ txHash: tx.hash, ipfsHash: ipfsResult.path });
+app.delete('/notifications/push-subscriptions', authMiddleware, (req, res) => {
+    notifier.unsubscribePush(req.user, req.body.endpoint);
+    res.json({ success: true });
+});
+
+// Admin Routes
+// The doctor's directory profile is registered along with the verification
+app.post('/verify-doctor', authMiddleware, policy.requireRole('ADMIN_ROLE'), intents.requireIntent('verifyDoctor'), asyncRoute(async (req, res) => {
+    try {
+        validateProfile(req.body.profile);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    directory.saveProfile(req.intent.doctor, req.body.profile);
+    res.json({ txHash });
+}));
+
+app.post('/verify-lab-technician', authMiddleware, policy.requireRole('ADMIN_ROLE'), intents.requireIntent('verifyLabTechnician'), asyncRoute(async (req, res) => {
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/register-pharmacy', authMiddleware, policy.requireRole('ADMIN_ROLE'), intents.requireIntent('registerPharmacy'), asyncRoute(async (req, res) => {
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/set-platform-fee', authMiddleware, policy.requireRole('ADMIN_ROLE'), paymentIntents.requireIntent('setPlatformFee'), asyncRoute(async (req, res) => {
+    const txHash = await paymentIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Treasury: platform fees accrued per currency, withdrawn by an admin
+app.get('/platform-balances', authMiddleware, policy.requireRole('ADMIN_ROLE'), asyncRoute(async (req, res) => {
+    res.json(await payouts.platformBalances());
+}));
+
+app.post('/withdraw-platform-fees', authMiddleware, policy.requireRole('ADMIN_ROLE'), paymentIntents.requireIntent('withdrawPlatformFees'), asyncRoute(async (req, res) => {
+    const txHash = await paymentIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Reward pool: its balance, what is owed to patients and the policy, which admins set along with per-action weights.
+// Only what no patient is owed may be withdrawn
+app.get('/reward-pool', authMiddleware, policy.requireRole('ADMIN_ROLE'), asyncRoute(async (req, res) => {
+    res.json(await rewards.pool());
+}));
+
+app.post('/set-reward-policy', authMiddleware, policy.requireRole('ADMIN_ROLE'), rewardsIntents.requireIntent('setRewardPolicy'), asyncRoute(async (req, res) => {
+    const txHash = await rewardsIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/set-action-weight', authMiddleware, policy.requireRole('ADMIN_ROLE'), rewardsIntents.requireIntent('setActionWeight'), asyncRoute(async (req, res) => {
+    const txHash = await rewardsIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/withdraw-reward-pool', authMiddleware, policy.requireRole('ADMIN_ROLE'), rewardsIntents.requireIntent('withdrawPool'), asyncRoute(async (req, res) => {
+    const txHash = await rewardsIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/approve-researcher', authMiddleware, policy.requireRole('ADMIN_ROLE'), marketplaceIntents.requireIntent('setResearcher'), asyncRoute(async (req, res) => {
+    const txHash = await marketplaceIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Smart account patients: the address their operations will come from, and whether it exists yet
+app.get('/smart-account', authMiddleware, asyncRoute(async (req, res) => {
+    const address = await sponsorship.accountAddress(req.user.address);
+    res.json({ address, deployed: await sponsorship.isDeployed(address) });
+}));
+
+// Builds a paymaster-sponsored UserOperation for the caller to sign and submit to the matching route
+app.post('/user-operations/prepare', authMiddleware, asyncRoute(async (req, res) => {
+    try {
+        res.json(await sponsorship.prepare(req.user.address, req.body.calls || []));
+    } catch (error) {
+        res.status(403).json({ error: error.message });
+    }
+}));
+
+app.post('/register-patient', authMiddleware, requireAction('registerPatient'), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+// Current price of a consultation in the chosen currency; book with the returned maxAmount
+app.get('/quote', authMiddleware, asyncRoute(async (req, res) => {
+    try {
+        res.json(await payouts.quote(req.query.doctor, Number(req.query.paymentType)));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}));
+
+app.post('/book-appointment', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('bookAppointment'), asyncRoute(async (req, res) => {
+    // The relayer cannot front the fee, so ETH bookings are sent from the patient's wallet
+    if (req.intent.paymentType === 0) return res.status(400).json({ error: 'ETH payments must be sent from the wallet' });
+    if (!availability.isFree(req.intent.doctor, Number(req.intent.timestamp))) return res.status(409).json({ error: 'Slot not available' });
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+// End-to-end encryption: users publish the public key their browser derives; patients' data keys are only stored
+// wrapped for the patient and the recipients they share with, and files only reach IPFS already encrypted
+app.put('/keys/public', authMiddleware, (req, res) => {
+    try {
+        res.json({ publicKey: keyring.setPublicKey(req.user.address, req.body.publicKey) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.post('/toggle-data-monetization', authMiddleware, async (req, res) => {
-    const { enable } = req.body;
-    const tx = await contract.toggleDataMonetization(enable);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.get('/keys/public/:address', authMiddleware, (req, res) => {
+    const publicKey = keyring.publicKey(req.params.address);
+    if (!publicKey) return res.status(404).json({ error: 'No public key' });
+    res.json({ publicKey });
 });
 
-app.post('/claim-data-reward', authMiddleware, async (req, res) => {
-    const tx = await contract.claimDataReward();
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+// The caller's wrapped copies of a patient's data key
+app.get('/keys/:patient', authMiddleware, (req, res) => {
+    res.json({ version: keyring.currentVersion(req.params.patient), grants: keyring.grants(req.params.patient, req.user.address) });
 });
 
-app.post('/review-ai-analysis', authMiddleware, async (req, res) => {
-    const { aiAnalysisId, analysisIpfsHash } = req.body;
-    const tx = await contract.reviewAISymptomAnalysis(aiAnalysisId, analysisIpfsHash);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+const requireKeyOwner = (req, res, next) => {
+    if (!policy.isSelf(req.user, req.params.patient)) return res.status(403).json({ error: 'Forbidden' });
+    next();
+};
+
+app.get('/keys/:patient/recipients', authMiddleware, requireKeyOwner, (req, res) => {
+    res.json(keyring.recipients(req.params.patient));
 });
 
-app.post('/order-lab-test', authMiddleware, async (req, res) => {
-    const { patientAddress, testType } = req.body;
-    const tx = await contract.orderLabTest(patientAddress, testType);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+// A new key version, on registration and whenever access is revoked
+app.post('/keys/:patient/rotate', authMiddleware, requireKeyOwner, (req, res) => {
+    try {
+        res.json({ version: keyring.rotate(req.params.patient, req.user.address, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.post('/collect-sample', authMiddleware, async (req, res) => {
-    const { labTestId, ipfsHash } = req.body;
-    const tx = await contract.collectSample(labTestId, ipfsHash);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.post('/keys/:patient/share', authMiddleware, requireKeyOwner, (req, res) => {
+    try {
+        keyring.share(req.params.patient, req.body.recipient, req.body.wraps || {});
+        res.json({ success: true });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.post('/upload-lab-results', authMiddleware, async (req, res) => {
-    const { labTestId, resultsIpfsHash } = req.body;
-    const tx = await contract.uploadLabResults(labTestId, resultsIpfsHash);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.post('/files', authMiddleware, asyncRoute(async (req, res) => {
+    let envelope;
+    try {
+        envelope = validateFileEnvelope(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const { path } = await ipfs.add(JSON.stringify(envelope));
+    res.json({ cid: path });
+}));
+
+// Consent: patients grant providers time-limited access to scopes of their record on TelemedicineConsent, and see
+// every read of their records by someone else
+app.post('/consents', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('grantConsent', consentIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, consentIntents);
+    res.json({ txHash });
+}));
+
+app.post('/consents/revoke', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('revokeConsent', consentIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, consentIntents);
+    res.json({ txHash });
+}));
+
+app.get('/consents/:patient', authMiddleware, asyncRoute(async (req, res) => {
+    if (!policy.isSelf(req.user, req.params.patient)) return res.status(403).json({ error: 'Forbidden' });
+    res.json({ grants: await consent.grants(req.params.patient) });
+}));
+
+app.get('/access-log', authMiddleware, policy.requireRole('PATIENT_ROLE'), (req, res) => {
+    res.json(consent.accessLog(policy.ownAddresses(req.user), page(req.query)));
 });
 
-app.post('/review-lab-results', authMiddleware, async (req, res) => {
-    const { labTestId, medicationDetails, prescriptionIpfsHash } = req.body;
-    const tx = await contract.reviewLabResults(labTestId, medicationDetails, prescriptionIpfsHash);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+// Medical history: patients anchor each version of their encrypted history document on-chain; doctors attach
+// encrypted notes to their appointments
+app.post('/medical-history', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('updateMedicalHistory'), asyncRoute(async (req, res) => {
+    try {
+        verifyVersion(req.body.cid, req.intent.medicalHistoryHash);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await submitAction(req);
+    const patient = req.body.userOp ? req.user.smartAccount : req.user.address;
+    res.json({ txHash, version: history.addVersion(patient, req.body.cid, req.intent.medicalHistoryHash) });
+}));
+
+app.get('/medical-history/:patient', authMiddleware, asyncRoute(async (req, res) => {
+    const consented = await consent.hasConsent(req.user, req.params.patient, SCOPES.history);
+    if (!policy.canReadAppointments(req.user, req.params.patient, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, req.params.patient, 'medicalHistory');
+    res.json({ versions: await history.versions(req.params.patient) });
+}));
+
+app.post('/appointments/:id/notes', authMiddleware, policy.requireRole('DOCTOR_ROLE'), asyncRoute(async (req, res) => {
+    const appointment = await contract.appointments(req.params.id);
+    try {
+        res.json({ id: history.addNote(appointment, req.user.address, req.body.cid) });
+    } catch (error) {
+        res.status(error.message === 'Not your appointment' ? 403 : 400).json({ error: error.message });
+    }
+}));
+
+app.get('/appointments/:id/notes', authMiddleware, asyncRoute(async (req, res) => {
+    const appointment = await contract.appointments(req.params.id);
+    const consented = await consent.hasConsent(req.user, appointment.patient, SCOPES.history);
+    if (!policy.isSelf(req.user, appointment.doctor) && !policy.canReadAppointments(req.user, appointment.patient, consented)) {
+        return res.status(403).json({ error: 'Forbidden' });
+    }
+    consent.logRead(req.user, appointment.patient, 'encounterNotes', req.params.id);
+    res.json({ notes: history.notes(req.params.id) });
+}));
+
+// HL7 FHIR R4 Bundle of the patient's encounters, lab reports and prescriptions, for other hospital systems
+app.get('/patients/:address/fhir', authMiddleware, asyncRoute(async (req, res) => {
+    const scopes = SCOPES.appointments | SCOPES.labs | SCOPES.prescriptions;
+    const consented = await consent.hasConsent(req.user, req.params.address, scopes);
+    if (!policy.canReadAppointments(req.user, req.params.address, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, req.params.address, 'fhirExport');
+    res.type('application/fhir+json').send(JSON.stringify(await fhir.exportPatient(req.params.address)));
+}));
+
+// Directory: verified doctors' profiles, searchable by specialty, language, USD fee and free slots in a window
+app.get('/doctors', authMiddleware, (req, res) => {
+    const { specialty, language, minFee, maxFee, availableFrom, availableTo } = req.query;
+    try {
+        res.json(directory.search({ specialty, language, minFee, maxFee, availableFrom, availableTo }, page(req.query)));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.post('/verify-prescription', authMiddleware, async (req, res) => {
-    const { prescriptionId, verificationCodeHash } = req.body;
-    const tx = await contract.verifyPrescription(prescriptionId, ethers.utils.hexlify(verificationCodeHash));
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.get('/doctors/:address', authMiddleware, (req, res) => {
+    const profile = directory.profile(req.params.address);
+    if (!profile) return res.status(404).json({ error: 'Doctor not found' });
+    res.json({ ...profile, ratings: directory.ratings(req.params.address, page(req.query)) });
 });
 
-app.post('/fulfill-prescription', authMiddleware, async (req, res) => {
-    const { prescriptionId } = req.body;
-    const tx = await contract.fulfillPrescription(prescriptionId);
-    await tx.wait();
-    res.json({ txHash: tx.hash });
+app.put('/doctor/profile', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    try {
+        res.json({ profile: directory.saveProfile(req.user.address, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-app.get('/generate-qr/:prescriptionId', authMiddleware, async (req, res) => {
-    const prescription = await contract.getPrescriptionDetails(req.params.prescriptionId);
-    const qrData = JSON.stringify({
-        id: prescription[0].toString(),
-        verificationCodeHash: ethers.utils.hexlify(prescription[3])
-    });
-    const qrCode = await QRCode.toDataURL(qrData);
-    res.json({ qrCode });
+// Patients rate their own appointments once they are completed
+app.post('/appointments/:id/rating', authMiddleware, policy.requireRole('PATIENT_ROLE'), asyncRoute(async (req, res) => {
+    const appointment = await contract.appointments(req.params.id);
+    if (!policy.isSelf(req.user, appointment.patient)) return res.status(403).json({ error: 'Not your appointment' });
+    try {
+        directory.rate(appointment, req.body);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.message === 'Already rated' ? 409 : 400).json({ error: error.message });
+    }
+}));
+
+// Lab catalog: admins keep the tests and panels doctors order from
+app.get('/lab-catalog', authMiddleware, (req, res) => {
+    res.json(labs.catalog());
 });
 
-app.get('/appointments/:address', authMiddleware, async (req, res) => {
-    const appointments = await contract.getPatientAppointments(req.params.address);
-    res.json({ appointments });
+app.put('/lab-catalog/tests/:code', authMiddleware, policy.requireRole('ADMIN_ROLE'), (req, res) => {
+    try {
+        res.json({ test: labs.saveTest(req.params.code, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/lab-catalog/panels/:code', authMiddleware, policy.requireRole('ADMIN_ROLE'), (req, res) => {
+    try {
+        res.json({ panel: labs.savePanel(req.params.code, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/lab-catalog/:code', authMiddleware, policy.requireRole('ADMIN_ROLE'), (req, res) => {
+    if (!labs.retire(req.params.code)) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true });
+});
+
+// Availability: doctors publish weekly hours in their time zone, a slot length and time off; patients book free slots
+app.get('/doctors/:address/slots', authMiddleware, (req, res) => {
+    const from = Number(req.query.from) || Math.floor(Date.now() / 1000);
+    const to = Number(req.query.to) || from + 7 * 86400;
+    try {
+        res.json({ schedule: availability.getSchedule(req.params.address), slots: availability.slots(req.params.address, from, to) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/doctor/availability', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    res.json({ schedule: availability.getSchedule(req.user.address), timeOff: availability.listTimeOff(req.user.address) });
+});
+
+app.put('/doctor/availability', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    try {
+        res.json({ schedule: availability.setSchedule(req.user.address, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/doctor/time-off', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    try {
+        res.json({ id: availability.addTimeOff(req.user.address, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/doctor/time-off/:id', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    if (!availability.removeTimeOff(req.user.address, Number(req.params.id))) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true });
+});
+
+// Doctors price their consultations in USD (18 decimals)
+app.post('/set-consultation-fee', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('setConsultationFee'), asyncRoute(async (req, res) => {
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/confirm-appointment', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('confirmAppointment'), asyncRoute(async (req, res) => {
+    const { appointmentId } = req.intent;
+    const appointment = await contract.appointments(appointmentId);
+    if (!policy.isSelf(req.user, appointment.doctor)) return res.status(403).json({ error: 'Not your appointment' });
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.post('/complete-appointment', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('completeAppointment'), asyncRoute(async (req, res) => {
+    const { appointmentId } = req.intent;
+    const appointment = await contract.appointments(appointmentId);
+    if (!policy.isSelf(req.user, appointment.doctor)) return res.status(403).json({ error: 'Not your appointment' });
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Either party may cancel, reschedule or report a no-show; the contract applies the timing and refund rules
+const requireAppointmentParty = asyncRoute(async (req, res, next) => {
+    const appointment = await contract.appointments(req.intent.appointmentId);
+    if (!policy.isSelf(req.user, appointment.patient) && !policy.isSelf(req.user, appointment.doctor)) {
+        return res.status(403).json({ error: 'Not your appointment' });
+    }
+    req.appointment = appointment;
+    next();
 });
 
-app.get('/lab-test/:id', async (req, res) => {
+app.post('/cancel-appointment', authMiddleware, policy.requireRole('PATIENT_ROLE', 'DOCTOR_ROLE'), requireAction('cancelAppointment'), requireAppointmentParty, asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+app.post('/reschedule-appointment', authMiddleware, policy.requireRole('PATIENT_ROLE', 'DOCTOR_ROLE'), requireAction('rescheduleAppointment'), requireAppointmentParty, asyncRoute(async (req, res) => {
+    if (!availability.isFree(req.appointment.doctor, Number(req.intent.timestamp))) return res.status(409).json({ error: 'Slot not available' });
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+app.post('/mark-no-show', authMiddleware, policy.requireRole('PATIENT_ROLE', 'DOCTOR_ROLE'), requireAction('markNoShow'), requireAppointmentParty, asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+// The structured symptom report (see triage.parseInput) comes in the body with the salt of the patient's on-chain
+// commitment to it, and is not stored here. The result goes back to the patient, whose browser encrypts report and
+// result together and attaches the IPFS copy for the reviewing doctor
+app.post('/analyze-symptoms', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('requestAISymptomAnalysis'), asyncRoute(async (req, res) => {
+    let input;
+    try {
+        if (symptomsCommitment(req.body.symptoms, req.body.salt) !== req.intent.symptomsHash) throw new Error('Symptoms do not match the signed commitment');
+        input = parseInput(req.body.symptoms);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const analysis = await triage.analyze(input);
+    const txHash = await submitAction(req);
+    const analysisId = await createdId(txHash, 'AISymptomAnalyzed');
+    triage.record(analysisId, req.body.userOp ? req.user.smartAccount : req.user.address, analysis);
+    res.json({ txHash, analysisId, analysis });
+}));
+
+app.post('/ai-analysis/:id/report', authMiddleware, policy.requireRole('PATIENT_ROLE'), (req, res) => {
+    try {
+        triage.attachReport(req.params.id, policy.ownAddresses(req.user), req.body.cid);
+        res.json({ report: triage.report(req.params.id) });
+    } catch (error) {
+        res.status(error.message === 'Not your analysis' ? 403 : 400).json({ error: error.message });
+    }
+});
+
+app.get('/triage/symptoms', authMiddleware, (req, res) => {
+    res.json({ symptoms: triage.symptoms });
+});
+
+app.post('/toggle-data-monetization', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('toggleDataMonetization'), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req);
+    res.json({ txHash });
+}));
+
+// Data rewards accrue on TelemedicineRewards as the patient's data is used; claims pay out everything accrued so far.
+// The indexer follows TelemedicineSystem only, so the payout is published here
+app.post('/claim-data-reward', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('claimRewards', rewardsIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, rewardsIntents);
+    const { patient, amount } = await emittedArgs(txHash, 'DataRewardClaimed', rewardsContract);
+    channels.publish('rewardPaid', { to: [patient], data: { amount: amount.toString() } });
+    res.json({ txHash, amount: amount.toString() });
+}));
+
+// Data marketplace: approved researchers fund requests for de-identified data under terms (purpose and cohort
+// criteria) fixed by hash on TelemedicineMarketplace. Researchers first normalize their terms here and sign the
+// request with the returned hash, having approved the marketplace for the budget in SONIC from their wallet
+app.post('/data-requests/terms', authMiddleware, policy.requireRole('RESEARCHER_ROLE'), (req, res) => {
+    try {
+        res.json(checkTerms(req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/data-requests', authMiddleware, policy.requireRole('RESEARCHER_ROLE'), marketplaceIntents.requireIntent('createDataRequest'), asyncRoute(async (req, res) => {
+    let checked;
+    try {
+        checked = checkTerms(req.body.terms);
+        if (checked.termsHash !== req.intent.termsHash) throw new Error('Terms do not match the signed hash');
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await marketplaceIntents.relay(req.body);
+    const requestId = await createdId(txHash, 'DataRequestCreated', marketplaceContract);
+    marketplace.recordRequest(requestId, req.user.address, checked);
+    res.json({ txHash, requestId });
+}));
+
+// Every request's purpose and criteria are public, so patients can opt out of those they object to; `mine` lists
+// only the caller's
+app.get('/data-requests', authMiddleware, asyncRoute(async (req, res) => {
+    res.json({ requests: await marketplace.requests(req.query.mine ? policy.ownAddresses(req.user) : undefined) });
+}));
+
+app.post('/cancel-data-request', authMiddleware, policy.requireRole('RESEARCHER_ROLE'), marketplaceIntents.requireIntent('cancelDataRequest'), asyncRoute(async (req, res) => {
+    const txHash = await marketplaceIntents.relay(req.body);
+    res.json({ txHash });
+}));
+
+const requireOwnDataRequest = (req, res, next) => {
+    const request = marketplace.request(req.params.id);
+    if (!request) return res.status(404).json({ error: 'Unknown data request' });
+    if (!policy.isSelf(req.user, request.researcher)) return res.status(403).json({ error: 'Not your data request' });
+    next();
+};
+
+// The researcher closes their request: the dataset is assembled from the patients who qualify now, and the curator
+// fulfils it on-chain, paying each their share of the budget
+app.post('/data-requests/:id/fulfil', authMiddleware, policy.requireRole('RESEARCHER_ROLE'), requireOwnDataRequest, asyncRoute(async (req, res) => {
+    let assembled;
+    try {
+        assembled = await marketplace.assemble(req.params.id);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const patients = assembled.contributors.map(contributor => contributor.patient);
+    const records = assembled.contributors.map(contributor => contributor.records);
+    // A patient who revoked or stopped sharing since assembly reverts the fulfilment; retrying assembles afresh
+    let tx;
+    try {
+        tx = await marketplaceContract.fulfillDataRequest(req.params.id, patients, records, assembled.datasetHash);
+        await tx.wait();
+    } catch (error) {
+        const reason = revertReason(error);
+        if (!reason) throw error;
+        return res.status(409).json({ error: reason });
+    }
+    marketplace.saveDataset(req.params.id, assembled);
+    res.json({ txHash: tx.hash, datasetHash: assembled.datasetHash, records: assembled.records.length, contributors: patients.length });
+}));
+
+app.get('/data-requests/:id/dataset', authMiddleware, policy.requireRole('RESEARCHER_ROLE'), requireOwnDataRequest, asyncRoute(async (req, res) => {
+    const dataset = await marketplace.dataset(req.params.id);
+    if (!dataset) return res.status(404).json({ error: 'Dataset not assembled yet' });
+    res.json(dataset);
+}));
+
+// Patients see the studies their data went into and their unwithdrawn earnings, and may revoke a contribution to
+// any request, open or fulfilled
+app.get('/patient/data-studies', authMiddleware, policy.requireRole('PATIENT_ROLE'), asyncRoute(async (req, res) => {
+    const owners = policy.ownAddresses(req.user);
+    const earnings = await Promise.all(owners.map(owner => marketplaceContract.earnings(owner)));
+    res.json({
+        studies: await marketplace.studies(owners),
+        earnings: Object.fromEntries(owners.map((owner, i) => [owner.toLowerCase(), earnings[i].toString()]))
+    });
+}));
+
+app.post('/revoke-contribution', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('revokeContribution', marketplaceIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, marketplaceIntents);
+    res.json({ txHash });
+}));
+
+app.post('/withdraw-data-earnings', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('withdrawEarnings', marketplaceIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, marketplaceIntents);
+    res.json({ txHash });
+}));
+
+// Whoever holds the analysis now, and the patient
+const notifyAIAnalysisAssigned = (analysisId) => {
+    const report = triage.report(analysisId);
+    channels.publish('aiAnalysisAssigned', { id: analysisId, to: [report.patient, report.assignedDoctor] });
+};
+
+// The patient sends an analysis to a doctor, or a doctor takes one from their specialty's queue. Either way the
+// signed request records the assignment on-chain, where only the assigned doctor may review the analysis.
+const requireAnalysisIntent = (req, res, next) =>
+    String(req.intent.aiAnalysisId) === req.params.id ? next() : res.status(400).json({ error: 'Request does not match analysis' });
+
+app.post('/ai-analysis/:id/assign', authMiddleware, policy.requireRole('PATIENT_ROLE'), requireAction('assignAISymptomAnalysis'), requireAnalysisIntent, asyncRoute(async (req, res) => {
+    if (!indexer.doctor(String(req.intent.doctor))?.isVerified) return res.status(400).json({ error: 'Not a verified doctor' });
+    const txHash = await submitAction(req);
+    triage.assign(req.params.id, policy.ownAddresses(req.user), req.intent.doctor);
+    notifyAIAnalysisAssigned(req.params.id);
+    res.json({ txHash, report: triage.report(req.params.id) });
+}));
+
+app.post('/ai-analysis/:id/claim', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('assignAISymptomAnalysis'), requireAnalysisIntent, asyncRoute(async (req, res) => {
+    const txHash = await intents.relay(req.body);
+    triage.claim(req.params.id, req.intent.doctor);
+    notifyAIAnalysisAssigned(req.params.id);
+    res.json({ txHash, report: triage.report(req.params.id) });
+}));
+
+// The assigned doctor reviews the patient's stored report of the model's output in an encrypted document of their
+// own: the intent's analysisIpfsHash is the review's CID, and the body carries the report's CID, whether they agree
+// with the model and follow-ups for the patient
+app.post('/review-ai-analysis', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('reviewAISymptomAnalysis'), asyncRoute(async (req, res) => {
+    let review;
+    try {
+        review = triage.checkReview(req.intent.aiAnalysisId, policy.ownAddresses(req.user), { ...req.body, cid: req.intent.analysisIpfsHash });
+    } catch (error) {
+        return res.status(error.message === 'Assigned to another doctor' ? 403 : 400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    triage.recordReview(req.intent.aiAnalysisId, req.user.address, review);
+    res.json({ txHash });
+}));
+
+// The order's testType lists catalog codes; the tests they resolve to are kept with the order
+app.post('/order-lab-test', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('orderLabTest'), asyncRoute(async (req, res) => {
+    let order;
+    try {
+        order = labs.resolve(req.intent.testType);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    const labTestId = await createdId(txHash, 'LabTestOrdered');
+    labs.recordOrder(labTestId, order);
+    res.json({ txHash, labTestId, order: labs.order(labTestId) });
+}));
+
+const LAB_COLLECTED = 1;
+const LAB_SLA_CHECK_MS = 60 * 1000;
+const REMINDER_CHECK_MS = 60 * 1000;
+
+// The ordering doctor assigns the order to a lab technician, the only one who may then collect the sample
+app.post('/assign-lab-test', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('assignLabTest'), asyncRoute(async (req, res) => {
+    if (!await contract.hasRole(policy.ROLE_IDS.LAB_TECH_ROLE, req.intent.labTech)) return res.status(400).json({ error: 'Not a lab technician' });
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Collection starts the sample's chain of custody, with the sample record's CID
+app.post('/collect-sample', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), intents.requireIntent('collectSample'), asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.intent.labTestId);
+    if (labTest.labTech !== ethers.constants.AddressZero && !policy.isSelf(req.user, labTest.labTech)) {
+        return res.status(403).json({ error: 'Not your order' });
+    }
+    const collection = { stage: 'collected', cid: req.intent.ipfsHash, note: req.body.note };
+    try {
+        labs.checkCustody(req.intent.labTestId, collection);
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    labs.recordCustody(req.intent.labTestId, req.user.address, collection);
+    res.json({ txHash });
+}));
+
+// In transit, received and processed are logged by the lab holding the sample
+app.post('/lab-tests/:id/custody', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.params.id);
+    if (!policy.isSelf(req.user, labTest.labTech)) return res.status(403).json({ error: 'Not your order' });
+    if (labTest.status !== LAB_COLLECTED) return res.status(409).json({ error: 'Sample not collected' });
+    if (!['inTransit', 'received', 'processed'].includes(req.body.stage)) return res.status(400).json({ error: 'Invalid stage' });
+    try {
+        labs.recordCustody(req.params.id, req.user.address, req.body);
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+    notifyLabTest('labCustodyLogged', labTest, { stage: req.body.stage });
+    res.json({ custody: labs.custody(req.params.id) });
+}));
+
+// A rejected sample, with the reason why, goes back to be collected again
+app.post('/reject-sample', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), intents.requireIntent('rejectSample'), asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.intent.labTestId);
+    if (!policy.isSelf(req.user, labTest.labTech)) return res.status(403).json({ error: 'Not your order' });
+    const rejection = { stage: 'rejected', note: req.body.reason };
+    try {
+        labs.checkCustody(req.intent.labTestId, rejection);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    labs.recordCustody(req.intent.labTestId, req.user.address, rejection);
+    res.json({ txHash });
+}));
+
+// The lab checks its results against the order before encrypting the flagged document this returns for the patient
+app.post('/lab-tests/:id/results/check', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), asyncRoute(async (req, res) => {
     const labTest = await contract.getLabTestDetails(req.params.id);
-    res.json({ labTest });
+    if (!policy.isSelf(req.user, labTest.labTech)) return res.status(403).json({ error: 'Not your order' });
+    try {
+        res.json({ document: labs.interpret(req.params.id, req.body) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}));
+
+// Catalog orders are resulted with the same results, which are checked again and their abnormal flags kept; the
+// intent's resultsIpfsHash is the encrypted document
+app.post('/upload-lab-results', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), intents.requireIntent('uploadLabResults'), asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.intent.labTestId);
+    if (!policy.isSelf(req.user, labTest.labTech)) return res.status(403).json({ error: 'Not your order' });
+    const fromCatalog = labs.order(req.intent.labTestId) !== null;
+    let document;
+    try {
+        labs.requireProcessed(req.intent.labTestId);
+        if (fromCatalog) document = labs.interpret(req.intent.labTestId, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    if (fromCatalog) labs.recordResults(req.intent.labTestId, document);
+    res.json({ txHash });
+}));
+
+// Reviewing results does not prescribe; prescriptions are issued from an appointment, where they are screened
+app.post('/review-lab-results', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('reviewLabResults'), asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.intent.labTestId);
+    if (!policy.isSelf(req.user, labTest.doctor)) return res.status(403).json({ error: 'Not your order' });
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+app.get('/formulary', authMiddleware, (req, res) => {
+    res.json(formulary());
 });
 
-app.get('/prescription/:id', async (req, res) => {
+const APPOINTMENT_CONFIRMED = 1;
+const APPOINTMENT_COMPLETED = 2;
+
+// The appointment's doctor screens medication lines for its patient: interactions with each other and with the
+// patient's current medications, and the allergies the doctor lists
+app.post('/appointments/:id/prescriptions/check', authMiddleware, policy.requireRole('DOCTOR_ROLE'), asyncRoute(async (req, res) => {
+    const appointment = await contract.appointments(req.params.id);
+    if (!policy.isSelf(req.user, appointment.doctor)) return res.status(403).json({ error: 'Not your appointment' });
+    try {
+        res.json(prescriptions.check(appointment.patient, req.body));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}));
+
+// The medication lines (JSON) and salt of the signed medicationDetails commitment come in the body with the allergies
+// screened for, and a reason when major alerts are overridden. So does the one-time code whose hash is signed: the
+// doctor's browser generates it, and it is only released to the pharmacy the patient's QR code is scanned at
+app.post('/issue-prescription', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('issuePrescription'), asyncRoute(async (req, res) => {
+    const appointment = await contract.appointments(req.intent.appointmentId);
+    if (!policy.isSelf(req.user, appointment.doctor)) return res.status(403).json({ error: 'Not your appointment' });
+    if (![APPOINTMENT_CONFIRMED, APPOINTMENT_COMPLETED].includes(appointment.status)) return res.status(409).json({ error: 'Appointment not confirmed' });
+    let checked, verificationCode;
+    try {
+        verificationCode = checkVerificationCode(req.body.verificationCode, req.intent.verificationCodeHash);
+        checked = prescriptions.checkIssue(appointment.patient, req.intent.medicationDetails, req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const txHash = await intents.relay(req.body);
+    const prescriptionId = await createdId(txHash, 'PrescriptionGenerated');
+    prescriptions.record(prescriptionId, {
+        patient: appointment.patient, doctor: req.user.address, appointmentId: req.intent.appointmentId, verificationCode
+    }, checked);
+    res.json({ txHash, prescriptionId, details: prescriptions.prescription(prescriptionId) });
+}));
+
+const PRESCRIPTION_GENERATED = 0;
+const PRESCRIPTION_VERIFIED = 1;
+
+// Until a pharmacy verifies it, and while it is filled, the prescribing doctor may cancel a prescription
+app.post('/cancel-prescription', authMiddleware, policy.requireRole('DOCTOR_ROLE'), intents.requireIntent('cancelPrescription'), asyncRoute(async (req, res) => {
+    const prescription = await contract.getPrescriptionDetails(req.intent.prescriptionId);
+    if (!policy.isSelf(req.user, prescription.doctor)) return res.status(403).json({ error: 'Not your prescription' });
+    if (![PRESCRIPTION_GENERATED, PRESCRIPTION_VERIFIED].includes(prescription.status)) return res.status(409).json({ error: 'Prescription already closed' });
+    const txHash = await intents.relay(req.body);
+    prescriptions.cancel(req.intent.prescriptionId);
+    res.json({ txHash });
+}));
+
+// A signed, short-lived token naming the prescription, shown as a QR code and redeemed once by the pharmacy scanning it
+app.get('/generate-qr/:prescriptionId', authMiddleware, asyncRoute(async (req, res) => {
+    const prescription = await contract.getPrescriptionDetails(req.params.prescriptionId);
+    if (!policy.isSelf(req.user, prescription.patient)) return res.status(403).json({ error: 'Forbidden' });
+    if (prescription.status !== PRESCRIPTION_GENERATED) return res.status(409).json({ error: 'Prescription is not awaiting verification' });
+    if (prescription.expirationTimestamp < Math.floor(Date.now() / 1000)) return res.status(409).json({ error: 'Prescription expired' });
+    let qrToken;
+    try {
+        qrToken = prescriptions.issueQrToken(req.params.prescriptionId);
+    } catch (error) {
+        return res.status(409).json({ error: error.message });
+    }
+    const qrCode = await QRCode.toDataURL(qrToken.token);
+    res.json({ qrCode, ...qrToken });
+}));
+
+// The scanned token buys the pharmacy the prescription and its one-time code, to sign verifyPrescription with
+app.post('/pharmacy/scan', authMiddleware, policy.requireRole('PHARMACY_ROLE'), asyncRoute(async (req, res) => {
+    let redeemed;
+    try {
+        redeemed = prescriptions.redeemQrToken(req.body.token);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    const prescription = await contract.getPrescriptionDetails(redeemed.prescriptionId);
+    if (prescription.status !== PRESCRIPTION_GENERATED) return res.status(409).json({ error: 'Prescription is not awaiting verification' });
+    if (prescription.expirationTimestamp < Math.floor(Date.now() / 1000)) return res.status(409).json({ error: 'Prescription expired' });
+    consent.logRead(req.user, prescription.patient, 'prescription', redeemed.prescriptionId);
+    res.json({
+        prescription: fields(prescription),
+        details: prescriptions.prescription(redeemed.prescriptionId),
+        verificationCode: redeemed.verificationCode
+    });
+}));
+
+app.post('/verify-prescription', authMiddleware, policy.requireRole('PHARMACY_ROLE'), intents.requireIntent('verifyPrescription'), asyncRoute(async (req, res) => {
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// The verifying pharmacy records what it hands over, [{ code, quantity }] per fill, partial fills and refills included
+app.post('/prescriptions/:id/fills', authMiddleware, policy.requireRole('PHARMACY_ROLE'), asyncRoute(async (req, res) => {
     const prescription = await contract.getPrescriptionDetails(req.params.id);
-    res.json({ prescription });
+    if (!policy.isSelf(req.user, prescription.pharmacy)) return res.status(403).json({ error: 'Not your prescription' });
+    if (prescription.status !== PRESCRIPTION_VERIFIED) return res.status(409).json({ error: 'Prescription not being filled' });
+    let fills;
+    try {
+        fills = prescriptions.dispense(req.params.id, req.user.address, req.body.fills, prescription.expirationTimestamp);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    channels.publish('prescriptionFilled', { id: req.params.id, to: [prescription.patient, prescription.doctor, prescription.pharmacy] });
+    res.json(fills);
+}));
+
+// Structured prescriptions are fulfilled once every line is dispensed, or only lapsed refills are left
+app.post('/fulfill-prescription', authMiddleware, policy.requireRole('PHARMACY_ROLE'), intents.requireIntent('fulfillPrescription'), asyncRoute(async (req, res) => {
+    const prescription = await contract.getPrescriptionDetails(req.intent.prescriptionId);
+    if (!policy.isSelf(req.user, prescription.pharmacy)) return res.status(403).json({ error: 'Not your prescription' });
+    const filled = prescriptions.fills(req.intent.prescriptionId);
+    if (filled && !filled.complete) return res.status(409).json({ error: 'Fills remaining' });
+    const txHash = await intents.relay(req.body);
+    res.json({ txHash });
+}));
+
+// Payouts: settled fees and refunds are withdrawn by the payee, per currency
+app.get('/balances/:address', authMiddleware, asyncRoute(async (req, res) => {
+    if (!policy.isSelf(req.user, req.params.address)) return res.status(403).json({ error: 'Forbidden' });
+    res.json(await payouts.balances(req.params.address));
+}));
+
+app.get('/doctor/earnings', authMiddleware, policy.requireRole('DOCTOR_ROLE'), asyncRoute(async (req, res) => {
+    res.json(await payouts.earnings(req.user.address));
+}));
+
+app.post('/withdraw', authMiddleware, requireAction('withdraw', paymentIntents), asyncRoute(async (req, res) => {
+    const txHash = await submitAction(req, paymentIntents);
+    res.json({ txHash });
+}));
+
+// Indexed lists: each role sees its own records, filterable by `status` and paged with `limit`/`offset`
+const page = ({ limit, offset }) => ({ limit, offset });
+
+app.get('/appointments/:address', authMiddleware, asyncRoute(async (req, res) => {
+    const consented = await consent.hasConsent(req.user, req.params.address, SCOPES.appointments);
+    if (!policy.canReadAppointments(req.user, req.params.address, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, req.params.address, 'appointments');
+    res.json(indexer.appointments({ patient: req.params.address, status: req.query.status }, page(req.query)));
+}));
+
+// Lab test lists carry each test's catalog order and sample custody
+const withOrder = (test) => ({ ...test, order: labs.order(test.id), custody: labs.custody(test.id) });
+const withOrders = (labTests) => ({ ...labTests, items: labTests.items.map(withOrder) });
+
+app.get('/patient/lab-tests', authMiddleware, policy.requireRole('PATIENT_ROLE'), (req, res) => {
+    res.json(withOrders(indexer.labTests({ patient: policy.ownAddresses(req.user), status: req.query.status }, page(req.query))));
 });
 
-app.get('/ai-analysis/:id', async (req, res) => {
-    const analysis = await contract.getAIAnalysisDetails(req.params.id);
-    res.json({ analysis });
+app.get('/patient/prescriptions', authMiddleware, policy.requireRole('PATIENT_ROLE'), (req, res) => {
+    res.json(indexer.prescriptions({ patient: policy.ownAddresses(req.user), status: req.query.status }, page(req.query)));
 });
 
-app.get('/data-status/:address', async (req, res) => {
-    const [dataSharing, lastRewardTimestamp] = await contract.getPatientDataStatus(req.params.address);
-    res.json({ dataSharing: dataSharing === 1, lastRewardTimestamp });
+app.get('/patient/ai-analyses', authMiddleware, policy.requireRole('PATIENT_ROLE'), (req, res) => {
+    const analyses = indexer.aiAnalyses({ patient: policy.ownAddresses(req.user) }, page(req.query));
+    res.json({ ...analyses, items: analyses.items.map(analysis => ({ ...analysis, report: triage.report(analysis.id) })) });
 });
 
-wss.on('connection', (ws) => {
-    ws.on('message', async (message) => {
-        const data = JSON.parse(message);
-        if (data.type === 'appointment') {
-            const appointment = await contract.getPatientAppointments(data.address);
-            ws.send(JSON.stringify({ type: 'appointmentUpdate', data: appointment }));
-        }
-    });
+app.get('/doctor/appointments', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    res.json(indexer.appointments({ doctor: policy.ownAddresses(req.user), status: req.query.status }, page(req.query)));
 });
 
+app.get('/doctor/lab-tests', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    res.json(withOrders(indexer.labTests({ doctor: policy.ownAddresses(req.user), status: req.query.status }, page(req.query))));
+});
+
+app.get('/doctor/prescriptions', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    res.json(indexer.prescriptions({ doctor: policy.ownAddresses(req.user), status: req.query.status }, page(req.query)));
+});
+
+// Open analyses assigned to the doctor or waiting in the specialty of their directory profile. Reading or reviewing
+// one needs the patient's consent
+app.get('/doctor/ai-analyses', authMiddleware, policy.requireRole('DOCTOR_ROLE'), (req, res) => {
+    res.json(triage.queue(policy.ownAddresses(req.user), directory.profile(req.user.address)?.specialty, page(req.query)));
+});
+
+// Unassigned orders are listed without their patient, so without their catalog order and custody too
+app.get('/lab/queue', authMiddleware, policy.requireRole('LAB_TECH_ROLE'), (req, res) => {
+    const queue = indexer.labQueue(policy.ownAddresses(req.user), { status: req.query.status }, page(req.query));
+    res.json({ ...queue, items: queue.items.map(test => (test.patient ? withOrder(test) : test)) });
+});
+
+// Pending by default: verified here and not yet fulfilled
+app.get('/pharmacy/prescriptions', authMiddleware, policy.requireRole('PHARMACY_ROLE'), (req, res) => {
+    res.json(indexer.prescriptions({ pharmacy: policy.ownAddresses(req.user), status: req.query.status ?? PRESCRIPTION_VERIFIED }, page(req.query)));
+});
+
+app.get('/lab-test/:id', authMiddleware, asyncRoute(async (req, res) => {
+    const labTest = await contract.getLabTestDetails(req.params.id);
+    const consented = await consent.hasConsent(req.user, labTest.patient, SCOPES.labs);
+    if (!policy.canReadLabTest(req.user, labTest, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, labTest.patient, 'labTest', req.params.id);
+    res.json({ labTest: fields(labTest), order: labs.order(req.params.id), custody: labs.custody(req.params.id) });
+}));
+
+app.get('/prescription/:id', authMiddleware, asyncRoute(async (req, res) => {
+    const prescription = await contract.getPrescriptionDetails(req.params.id);
+    const consented = await consent.hasConsent(req.user, prescription.patient, SCOPES.prescriptions);
+    if (!policy.canReadPrescription(req.user, prescription, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, prescription.patient, 'prescription', req.params.id);
+    res.json({ prescription: fields(prescription), details: prescriptions.prescription(req.params.id), fills: prescriptions.fills(req.params.id) });
+}));
+
+app.get('/ai-analysis/:id', authMiddleware, asyncRoute(async (req, res) => {
+    const analysis = await contract.getAIAnalysisDetails(req.params.id);
+    const consented = await consent.hasConsent(req.user, analysis.patient, SCOPES.aiAnalyses);
+    if (!policy.canReadAIAnalysis(req.user, analysis, consented)) return res.status(403).json({ error: 'Forbidden' });
+    consent.logRead(req.user, analysis.patient, 'aiAnalysis', req.params.id);
+    res.json({ analysis: fields(analysis), report: triage.report(req.params.id) });
+}));
+
+app.get('/data-status/:address', authMiddleware, asyncRoute(async (req, res) => {
+    if (!policy.canReadAppointments(req.user, req.params.address)) return res.status(403).json({ error: 'Forbidden' });
+    const [{ dataSharing }, summary] = await Promise.all([contract.patients(req.params.address), rewards.summary(req.params.address)]);
+    res.json({ dataSharing: dataSharing === 1, rewards: summary });
+}));
+
+// Calls the contracts refused come back with their revert reason; anything else is logged
+app.use((error, req, res, next) => {
+    const reason = revertReason(error);
+    if (reason) return res.status(400).json({ error: reason });
+    logger.error(`${req.method} ${req.path} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+channels.attach(wss);
+
+indexer.start(5000, error => logger.error('Indexer error:', error));
+
+// Turnaround SLAs: each catalog order still without results when due is logged and its parties told once
+setInterval(async () => {
+    for (const order of labs.takeOverdue()) {
+        logger.warn(`Lab test ${order.labTestId} overdue since ${new Date(order.dueAt * 1000).toISOString()}`);
+        try {
+            notifyLabTest('labTestOverdue', await contract.getLabTestDetails(order.labTestId), { dueAt: order.dueAt });
+        } catch (error) {
+            logger.error('Overdue notification error:', error);
+        }
+    }
+}, LAB_SLA_CHECK_MS);
+
+// Appointment reminders, and retries of notifications that could not be sent
+setInterval(() => notifier.remind().catch(error => logger.error('Reminder error:', error)), REMINDER_CHECK_MS);
 server.listen(8080, () => logger.info('Server running on port 8080'));
@@ -0,0 +1,320 @@
+const Database = require('better-sqlite3');
+
+// Follows TelemedicineSystem events into SQLite so list queries never loop on-chain.
+// Events only say which record changed; the record itself is re-read from the contract at the indexed block.
+const RECORD_EVENTS = {
+    appointments: [
+        'AppointmentBooked', 'AppointmentConfirmed', 'AppointmentCancelled',
+        'AppointmentRescheduled', 'AppointmentCompleted', 'AppointmentNoShow'
+    ],
+    lab_tests: ['LabTestOrdered', 'LabTestAssigned', 'LabSampleCollected', 'LabSampleRejected', 'LabTestResultsUploaded', 'LabTestReviewed'],
+    prescriptions: ['PrescriptionGenerated', 'PrescriptionVerified', 'PrescriptionFulfilled', 'PrescriptionCancelled'],
+    ai_analyses: ['AISymptomAnalyzed', 'AIAnalysisReviewed'],
+    doctors: ['DoctorVerified', 'ConsultationFeeUpdated']
+};
+
+// Event argument identifying the changed record; doctors are keyed by address
+const RECORD_KEYS = { doctors: 'doctor' };
+
+// Events that change no indexed record; they are only passed on to `onEvents`
+const NOTICE_EVENTS = ['DataMonetizationOptIn', 'DataRewardClaimed'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS appointments (
+        id INTEGER PRIMARY KEY, patient TEXT NOT NULL, doctor TEXT NOT NULL, scheduled_timestamp INTEGER NOT NULL,
+        status INTEGER NOT NULL, fee TEXT NOT NULL, payment_type INTEGER NOT NULL, is_video_call INTEGER NOT NULL,
+        video_call_link TEXT NOT NULL, created_block INTEGER NOT NULL, updated_block INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS appointments_patient ON appointments (patient, status);
+    CREATE INDEX IF NOT EXISTS appointments_doctor ON appointments (doctor, status);
+    CREATE TABLE IF NOT EXISTS lab_tests (
+        id INTEGER PRIMARY KEY, patient TEXT NOT NULL, doctor TEXT NOT NULL, lab_tech TEXT NOT NULL, status INTEGER NOT NULL,
+        test_type TEXT NOT NULL, ordered_timestamp INTEGER NOT NULL, completed_timestamp INTEGER NOT NULL,
+        created_block INTEGER NOT NULL, updated_block INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS lab_tests_status ON lab_tests (status, lab_tech);
+    CREATE TABLE IF NOT EXISTS prescriptions (
+        id INTEGER PRIMARY KEY, patient TEXT NOT NULL, doctor TEXT NOT NULL, pharmacy TEXT NOT NULL, status INTEGER NOT NULL,
+        generated_timestamp INTEGER NOT NULL, expiration_timestamp INTEGER NOT NULL,
+        created_block INTEGER NOT NULL, updated_block INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS prescriptions_pharmacy ON prescriptions (pharmacy, status);
+    CREATE TABLE IF NOT EXISTS ai_analyses (
+        id INTEGER PRIMARY KEY, patient TEXT NOT NULL, doctor_reviewed INTEGER NOT NULL,
+        created_block INTEGER NOT NULL, updated_block INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS doctors (
+        id TEXT PRIMARY KEY, is_verified INTEGER NOT NULL, consultation_fee TEXT NOT NULL, license_number TEXT NOT NULL,
+        created_block INTEGER NOT NULL, updated_block INTEGER NOT NULL
+    );
+`;
+
+// Columns each list endpoint may filter on, mapped to their API names
+const FILTERS = {
+    appointments: { patient: 'patient', doctor: 'doctor', status: 'status' },
+    lab_tests: { patient: 'patient', doctor: 'doctor', labTech: 'lab_tech', status: 'status' },
+    prescriptions: { patient: 'patient', doctor: 'doctor', pharmacy: 'pharmacy', status: 'status' },
+    ai_analyses: { patient: 'patient', doctorReviewed: 'doctor_reviewed' },
+    doctors: { address: 'id', isVerified: 'is_verified' }
+};
+
+const SELECTS = {
+    appointments: `id, patient, doctor, scheduled_timestamp AS scheduledTimestamp, status, fee, payment_type AS paymentType,
+        is_video_call AS isVideoCall, video_call_link AS videoCallLink`,
+    lab_tests: `id, patient, doctor, lab_tech AS labTech, status, test_type AS testType,
+        ordered_timestamp AS orderedTimestamp, completed_timestamp AS completedTimestamp`,
+    prescriptions: `id, patient, doctor, pharmacy, status, generated_timestamp AS generatedTimestamp,
+        expiration_timestamp AS expirationTimestamp`,
+    ai_analyses: 'id, patient, doctor_reviewed AS doctorReviewed',
+    doctors: 'id AS address, is_verified AS isVerified, consultation_fee AS consultationFee, license_number AS licenseNumber'
+};
+
+const MAX_PAGE_SIZE = 100;
+const BLOCK_RANGE = 2000; // blocks per eth_getLogs call
+const KEPT_BLOCKS = 256; // recent checkpoints kept for finding a common ancestor after a reorg
+
+const address = (value) => value.toLowerCase();
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+// `onEvents(events, timestamp)` is told of each range's events once indexed, each with the state its record was left
+// in, so that listeners re-reading lists see the change
+function createIndexer({ contract, file = 'indexer.db', startBlock = 0, confirmations = 2, onEvents = () => {} }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const provider = contract.provider;
+    const tableOf = {};
+    for (const [table, events] of Object.entries(RECORD_EVENTS)) for (const event of events) tableOf[event] = table;
+    const topics = [...Object.keys(tableOf), ...NOTICE_EVENTS].map(event => contract.interface.getEventTopic(event));
+
+    // Reads a record as of `blockTag` and maps it to its row
+    const readers = {
+        appointments: async (id, blockTag) => {
+            const apt = await contract.appointments(id, { blockTag });
+            return {
+                patient: address(apt.patient), doctor: address(apt.doctor), scheduled_timestamp: Number(apt.scheduledTimestamp),
+                status: apt.status, fee: apt.fee.toString(), payment_type: apt.paymentType, is_video_call: apt.isVideoCall ? 1 : 0,
+                video_call_link: apt.videoCallLink
+            };
+        },
+        lab_tests: async (id, blockTag) => {
+            const test = await contract.getLabTestDetails(id, { blockTag });
+            return {
+                patient: address(test.patient), doctor: address(test.doctor), lab_tech: address(test.labTech), status: test.status,
+                test_type: test.testType, ordered_timestamp: Number(test.orderedTimestamp), completed_timestamp: Number(test.completedTimestamp)
+            };
+        },
+        prescriptions: async (id, blockTag) => {
+            const prescription = await contract.getPrescriptionDetails(id, { blockTag });
+            return {
+                patient: address(prescription.patient), doctor: address(prescription.doctor), pharmacy: address(prescription.pharmacy),
+                status: prescription.status, generated_timestamp: Number(prescription.generatedTimestamp),
+                expiration_timestamp: Number(prescription.expirationTimestamp)
+            };
+        },
+        ai_analyses: async (id, blockTag) => {
+            const analysis = await contract.getAIAnalysisDetails(id, { blockTag });
+            return { patient: address(analysis.patient), doctor_reviewed: analysis.doctorReviewed ? 1 : 0 };
+        },
+        doctors: async (id, blockTag) => {
+            const doctor = await contract.doctors(id, { blockTag });
+            return { is_verified: doctor.isVerified ? 1 : 0, consultation_fee: doctor.consultationFee.toString(), license_number: doctor.licenseNumber };
+        }
+    };
+
+    function upsert(table, id, row, blockNumber) {
+        const columns = Object.keys(row);
+        db.prepare(`
+            INSERT INTO ${table} (id, ${columns.join(', ')}, created_block, updated_block)
+            VALUES (@id, ${columns.map(c => `@${c}`).join(', ')}, @block, @block)
+            ON CONFLICT (id) DO UPDATE SET ${columns.map(c => `${c} = excluded.${c}`).join(', ')}, updated_block = excluded.updated_block
+        `).run({ ...row, id, block: blockNumber });
+    }
+
+    const checkpoint = () => db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1').get();
+
+    // Walks back through stored checkpoints until one is still on the canonical chain
+    async function findCommonAncestor() {
+        const stored = db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC').all();
+        for (const { number, hash } of stored) {
+            const block = await provider.getBlock(number);
+            if (block && block.hash === hash) return number;
+        }
+        return startBlock - 1;
+    }
+
+    // Drops everything indexed after `ancestor`; records only touched there are re-read so their state is canonical again
+    async function rewind(ancestor) {
+        const stale = [];
+        for (const table of Object.keys(RECORD_EVENTS)) {
+            const ids = db.prepare(`SELECT id FROM ${table} WHERE created_block <= ? AND updated_block > ?`).all(ancestor, ancestor);
+            for (const { id } of ids) stale.push({ table, id, row: await readers[table](id, ancestor) });
+        }
+        db.transaction(() => {
+            for (const table of Object.keys(RECORD_EVENTS)) db.prepare(`DELETE FROM ${table} WHERE created_block > ?`).run(ancestor);
+            for (const { table, id, row } of stale) upsert(table, id, row, ancestor);
+            db.prepare('DELETE FROM blocks WHERE number > ?').run(ancestor);
+        })();
+    }
+
+    // Indexes one range of blocks; rows and the checkpoint are written in the same transaction
+    async function indexRange(fromBlock, toBlock) {
+        const logs = await provider.getLogs({ address: contract.address, topics: [topics], fromBlock, toBlock });
+        const changed = new Map(); // `${table}:${id}` => { table, id, blockNumber }
+        const events = [];
+        for (const log of logs) {
+            const event = contract.interface.parseLog(log);
+            const source = { name: event.name, args: event.args, transactionHash: log.transactionHash, logIndex: log.logIndex };
+            const table = tableOf[event.name];
+            if (!table) {
+                events.push(source);
+                continue;
+            }
+            const key = event.args[RECORD_KEYS[table] || 'id'];
+            const id = typeof key === 'string' ? address(key) : key.toNumber();
+            changed.set(`${table}:${id}`, { table, id, blockNumber: log.blockNumber });
+            events.push({ ...source, table, id });
+        }
+        const rows = await Promise.all([...changed.values()].map(async change => ({
+            ...change,
+            row: await readers[change.table](change.id, toBlock)
+        })));
+        const { hash, timestamp } = await provider.getBlock(toBlock);
+        db.transaction(() => {
+            for (const { table, id, row, blockNumber } of rows) upsert(table, id, row, blockNumber);
+            db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)').run(toBlock, hash);
+            db.prepare('DELETE FROM blocks WHERE number < ?').run(toBlock - KEPT_BLOCKS);
+        })();
+        if (events.length) {
+            const state = new Map(rows.map(({ table, id, row }) => [`${table}:${id}`, row]));
+            onEvents(events.map(event => (event.table ? { ...event, row: state.get(`${event.table}:${event.id}`) } : event)), timestamp);
+        }
+    }
+
+    // Catches up to the confirmed head, resuming from the stored checkpoint
+    async function sync() {
+        const last = checkpoint();
+        if (last) {
+            const block = await provider.getBlock(last.number);
+            if (!block || block.hash !== last.hash) await rewind(await findCommonAncestor());
+        }
+        const head = (await provider.getBlockNumber()) - confirmations;
+        let fromBlock = checkpoint() ? checkpoint().number + 1 : startBlock;
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, head);
+            await indexRange(fromBlock, toBlock);
+            fromBlock = toBlock + 1;
+        }
+    }
+
+    let timer;
+    function start(intervalMs = 5000, onError = () => {}) {
+        const tick = async () => {
+            try {
+                await sync();
+            } catch (error) {
+                onError(error);
+            }
+            timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+    }
+
+    function stop() {
+        clearTimeout(timer);
+        db.close();
+    }
+
+    // Paginated, newest-first listing. Filter values may be arrays (any of); `where` adds a clause that doesn't fit
+    // a single column filter.
+    function list(table, filters = {}, { limit = 20, offset = 0 } = {}, where) {
+        const clauses = [];
+        const params = [];
+        for (const [name, column] of Object.entries(FILTERS[table])) {
+            const value = filters[name];
+            if (value === undefined || value === '') continue;
+            const values = (Array.isArray(value) ? value : [value]).map(v => (typeof v === 'string' && v.startsWith('0x') ? address(v) : v));
+            clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+            params.push(...values);
+        }
+        if (where) {
+            clauses.push(`(${where.sql})`);
+            params.push(...where.params);
+        }
+        const condition = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(Number(offset) || 0, 0);
+        const items = db.prepare(`SELECT ${SELECTS[table]} FROM ${table} ${condition} ORDER BY id DESC LIMIT ? OFFSET ?`)
+            .all(...params, pageSize, skip);
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${condition}`).get(...params);
+        return { items, total, limit: pageSize, offset: skip };
+    }
+
+    // Technicians see the orders assigned to them or that they collected, and unassigned orders only by id, status and
+    // when they were placed: whose they are and what they test for waits until a doctor assigns one to their lab
+    function labQueue(labTechs, filters, page) {
+        const queue = list('lab_tests', filters, page, {
+            sql: `(status = 0 AND lab_tech = ?) OR lab_tech IN (${labTechs.map(() => '?').join(', ')})`,
+            params: [ZERO_ADDRESS, ...labTechs.map(address)]
+        });
+        return {
+            ...queue,
+            items: queue.items.map(test => (test.labTech === ZERO_ADDRESS ? { id: test.id, status: test.status, orderedTimestamp: test.orderedTimestamp } : test))
+        };
+    }
+
+    // Fees still held in escrow for a doctor's pending and confirmed appointments, summed per payment type.
+    // Amounts are kept as text, so they are added up here rather than with SUM().
+    function escrowedFees(doctor) {
+        const totals = [0n, 0n, 0n];
+        const rows = db.prepare('SELECT payment_type AS paymentType, fee FROM appointments WHERE doctor = ? AND status IN (0, 1)')
+            .all(address(doctor));
+        for (const { paymentType, fee } of rows) totals[paymentType] += BigInt(fee);
+        return totals.map(String);
+    }
+
+    // Start times of a doctor's pending and confirmed appointments within [from, to)
+    function bookedTimestamps(doctor, from, to) {
+        return db.prepare(`SELECT scheduled_timestamp AS scheduledTimestamp FROM appointments
+            WHERE doctor = ? AND status IN (0, 1) AND scheduled_timestamp >= ? AND scheduled_timestamp < ?`)
+            .all(address(doctor), from, to).map(row => row.scheduledTimestamp);
+    }
+
+    // Confirmed appointments starting within (from, to], soonest first
+    function upcomingAppointments(from, to) {
+        return db.prepare(`SELECT ${SELECTS.appointments} FROM appointments
+            WHERE status = 1 AND scheduled_timestamp > ? AND scheduled_timestamp <= ? ORDER BY scheduled_timestamp`).all(from, to);
+    }
+
+    // Patients of the given lab tests, by id
+    function labTestPatients(ids) {
+        if (ids.length === 0) return new Map();
+        return new Map(db.prepare(`SELECT id, patient FROM lab_tests WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids)
+            .map(row => [row.id, row.patient]));
+    }
+
+    return {
+        sync,
+        start,
+        stop,
+        checkpoint,
+        appointments: (filters, page) => list('appointments', filters, page),
+        labTests: (filters, page) => list('lab_tests', filters, page),
+        labQueue,
+        prescriptions: (filters, page) => list('prescriptions', filters, page),
+        aiAnalyses: (filters, page) => list('ai_analyses', filters, page),
+        doctor: (doctor) => db.prepare(`SELECT ${SELECTS.doctors} FROM doctors WHERE id = ?`).get(address(doctor)),
+        // Verified doctors, optionally within a USD fee range (18-decimal amounts compared as numbers)
+        verifiedDoctors: ({ minFee, maxFee } = {}) => db.prepare(`SELECT ${SELECTS.doctors} FROM doctors WHERE is_verified = 1
+            AND (@minFee IS NULL OR CAST(consultation_fee AS REAL) >= @minFee) AND (@maxFee IS NULL OR CAST(consultation_fee AS REAL) <= @maxFee)`)
+            .all({ minFee: minFee ?? null, maxFee: maxFee ?? null }),
+        escrowedFees,
+        bookedTimestamps,
+        upcomingAppointments,
+        labTestPatients
+    };
+}
+
+module.exports = { RECORD_EVENTS, createIndexer };
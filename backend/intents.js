@@ -0,0 +1,83 @@
+const { ethers } = require('ethers');
+const { CHAIN_ID } = require('./auth');
+const { sameAddress } = require('./policy');
+
+// ERC-2771 forward requests; the signed calldata carries the full action payload
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+        { name: 'data', type: 'bytes' }
+    ]
+};
+
+const MAX_DEADLINE = 15 * 60; // seconds a signed request may stay valid
+
+function createIntents({ contract, forwarder }) {
+    const domain = {
+        name: 'TelemedicineForwarder',
+        version: '1',
+        chainId: CHAIN_ID,
+        verifyingContract: forwarder.address
+    };
+
+    // Checks that a forward request was signed by the caller and calls the expected contract function;
+    // returns the decoded call arguments
+    async function verifyIntent(functionName, { request, signature }, expectedSigner) {
+        if (!request) throw new Error('Signed request required');
+        const now = Math.floor(Date.now() / 1000);
+        const deadline = Number(request.deadline);
+        if (!(deadline > now)) throw new Error('Request expired');
+        if (deadline > now + MAX_DEADLINE) throw new Error('Request deadline too far');
+        if (!sameAddress(request.to, contract.address)) throw new Error('Wrong target contract');
+        if (!ethers.BigNumber.from(request.value).isZero()) throw new Error('Relayed requests cannot carry value');
+
+        const signer = ethers.utils.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+        if (!sameAddress(signer, expectedSigner) || !sameAddress(request.from, expectedSigner)) {
+            throw new Error('Request not signed by caller');
+        }
+
+        const call = contract.interface.parseTransaction({ data: request.data });
+        if (call.name !== functionName) throw new Error('Request does not match route');
+        if (!(await forwarder.getNonce(request.from)).eq(request.nonce)) throw new Error('Stale nonce');
+        return call.args;
+    }
+
+    const requireIntent = (functionName) => async (req, res, next) => {
+        try {
+            req.intent = await verifyIntent(functionName, req.body, req.user.address);
+            next();
+        } catch (error) {
+            res.status(403).json({ error: error.message });
+        }
+    };
+
+    // Submits a verified request through the forwarder; the server wallet only pays gas
+    async function relay({ request, signature }) {
+        const tx = await forwarder.execute(request, signature);
+        await tx.wait();
+        return tx.hash;
+    }
+
+    return { verifyIntent, requireIntent, relay };
+}
+
+// The reason a submitted call reverted with, or null when the error is not a revert. The forwarder bubbles up the
+// target's reason, which nodes word differently; a transaction that reverted once mined carries none
+const REVERT_PATTERNS = [/execution reverted:\s*(.+)/, /reverted with reason string '(.*)'/];
+
+function revertReason(error) {
+    const messages = [error.reason, error.error?.reason, error.error?.message, error.message].filter(Boolean);
+    for (const message of messages) {
+        const match = REVERT_PATTERNS.map(pattern => message.match(pattern)).find(Boolean);
+        if (match) return match[1];
+    }
+    if (error.code === 'CALL_EXCEPTION') return error.reason || 'Transaction reverted';
+    return error.code === 'UNPREDICTABLE_GAS_LIMIT' ? 'Transaction reverted' : null;
+}
+
+module.exports = { FORWARD_REQUEST_TYPES, createIntents, revertReason };
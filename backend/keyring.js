@@ -0,0 +1,132 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+
+// Key directory for client-side encryption. Each user publishes a secp256k1 public key derived in their browser;
+// each patient's medical files are encrypted with a symmetric data key that is wrapped, in the browser, for the
+// patient and for every doctor, lab or pharmacy they share it with. The server only stores the wrapped copies.
+// Revoking access rotates to a new key version wrapped for the remaining recipients, so files written afterwards
+// are unreadable to the revoked party; earlier versions stay available to those still granted.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS public_keys (address TEXT PRIMARY KEY, public_key TEXT NOT NULL, updated_at INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS key_versions (patient TEXT PRIMARY KEY, version INTEGER NOT NULL, rotated_at INTEGER NOT NULL);
+    CREATE TABLE IF NOT EXISTS key_grants (
+        patient TEXT NOT NULL, version INTEGER NOT NULL, recipient TEXT NOT NULL, wrapped_key TEXT NOT NULL, created_at INTEGER NOT NULL,
+        PRIMARY KEY (patient, version, recipient)
+    );
+`;
+
+const MAX_WRAPPED_KEY_LENGTH = 1024;
+
+const address = (value) => ethers.utils.getAddress(value).toLowerCase();
+
+// Wrapped keys are opaque JSON envelopes produced by the browser: { v, epk, iv, ct }
+function validateWrappedKey(wrapped) {
+    if (typeof wrapped !== 'string' || wrapped.length > MAX_WRAPPED_KEY_LENGTH) throw new Error('Invalid wrapped key');
+    let envelope;
+    try {
+        envelope = JSON.parse(wrapped);
+    } catch (error) {
+        throw new Error('Invalid wrapped key');
+    }
+    if (!envelope || ['epk', 'iv', 'ct'].some(field => typeof envelope[field] !== 'string')) throw new Error('Invalid wrapped key');
+    return wrapped;
+}
+
+// Encrypted files as uploaded to IPFS: { v, patient, keyVersion, iv, ct }, with `ct` the AES-GCM ciphertext
+function validateFileEnvelope(envelope) {
+    const base64 = /^[A-Za-z0-9+/]+={0,2}$/;
+    if (!envelope || envelope.v !== 1 || !ethers.utils.isAddress(envelope.patient) || !Number.isInteger(envelope.keyVersion)
+        || envelope.keyVersion < 1 || !base64.test(envelope.iv || '') || !base64.test(envelope.ct || '')) {
+        throw new Error('Files must be encrypted before upload');
+    }
+    return { v: 1, patient: envelope.patient, keyVersion: envelope.keyVersion, iv: envelope.iv, ct: envelope.ct };
+}
+
+function createKeyring({ file = 'keyring.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    // Stored compressed; computePublicKey rejects anything that isn't a point on secp256k1
+    function setPublicKey(owner, publicKey) {
+        let compressed;
+        try {
+            compressed = ethers.utils.computePublicKey(publicKey, true);
+        } catch (error) {
+            throw new Error('Invalid public key');
+        }
+        db.prepare(`INSERT INTO public_keys (address, public_key, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT (address) DO UPDATE SET public_key = excluded.public_key, updated_at = excluded.updated_at`)
+            .run(address(owner), compressed, now());
+        return compressed;
+    }
+
+    function publicKey(owner) {
+        return db.prepare('SELECT public_key AS publicKey FROM public_keys WHERE address = ?').get(address(owner))?.publicKey || null;
+    }
+
+    const currentVersion = (patient) => db.prepare('SELECT version FROM key_versions WHERE patient = ?').get(address(patient))?.version || 0;
+
+    function insertGrants(patient, version, wraps) {
+        const insert = db.prepare('INSERT OR REPLACE INTO key_grants (patient, version, recipient, wrapped_key, created_at) VALUES (?, ?, ?, ?, ?)');
+        for (const [recipient, wrapped] of Object.entries(wraps)) insert.run(address(patient), version, address(recipient), wrapped, now());
+    }
+
+    function requirePublicKeys(recipients) {
+        const missing = recipients.filter(recipient => !publicKey(recipient));
+        if (missing.length) throw new Error(`No public key for ${missing.join(', ')}`);
+    }
+
+    // Starts the next key version (the first on registration). `wraps` maps each recipient to the new key wrapped for
+    // them and must include `owner`, the wallet the patient decrypts with; `revoke` drops recipients' existing grants.
+    function rotate(patient, owner, { wraps = {}, revoke = [] }) {
+        const recipients = Object.keys(wraps).map(address);
+        if (!recipients.includes(address(owner))) throw new Error('New key must be wrapped for the patient');
+        if (revoke.map(address).some(revoked => recipients.includes(revoked))) throw new Error('New key wrapped for a revoked recipient');
+        Object.values(wraps).forEach(validateWrappedKey);
+        requirePublicKeys(recipients);
+
+        const version = currentVersion(patient) + 1;
+        db.transaction(() => {
+            for (const revoked of revoke) db.prepare('DELETE FROM key_grants WHERE patient = ? AND recipient = ?').run(address(patient), address(revoked));
+            db.prepare(`INSERT INTO key_versions (patient, version, rotated_at) VALUES (?, ?, ?)
+                ON CONFLICT (patient) DO UPDATE SET version = excluded.version, rotated_at = excluded.rotated_at`)
+                .run(address(patient), version, now());
+            insertGrants(patient, version, wraps);
+        })();
+        return version;
+    }
+
+    // Grants a recipient existing key versions; `wraps` maps versions to the key wrapped for them and must cover the
+    // current one so new files are readable too
+    function share(patient, recipient, wraps) {
+        const version = currentVersion(patient);
+        if (!version) throw new Error('No encryption key yet');
+        const versions = Object.keys(wraps).map(Number);
+        if (!versions.includes(version)) throw new Error('Current key version required');
+        if (versions.some(v => !Number.isInteger(v) || v < 1 || v > version)) throw new Error('Unknown key version');
+        Object.values(wraps).forEach(validateWrappedKey);
+        requirePublicKeys([recipient]);
+        db.transaction(() => {
+            for (const [v, wrapped] of Object.entries(wraps)) insertGrants(patient, Number(v), { [recipient]: wrapped });
+        })();
+    }
+
+    // The recipient's wrapped copies of a patient's key, newest version first
+    function grants(patient, recipient) {
+        return db.prepare(`SELECT version, wrapped_key AS wrappedKey FROM key_grants WHERE patient = ? AND recipient = ?
+            ORDER BY version DESC`).all(address(patient), address(recipient));
+    }
+
+    // Who holds the current key version
+    function recipients(patient) {
+        const version = currentVersion(patient);
+        const rows = db.prepare('SELECT recipient FROM key_grants WHERE patient = ? AND version = ? ORDER BY created_at, recipient')
+            .all(address(patient), version);
+        return { version, recipients: rows.map(row => row.recipient) };
+    }
+
+    return { setPublicKey, publicKey, currentVersion, rotate, share, grants, recipients, close: () => db.close() };
+}
+
+module.exports = { validateWrappedKey, validateFileEnvelope, createKeyring };
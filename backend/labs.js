@@ -0,0 +1,328 @@
+const Database = require('better-sqlite3');
+
+// Lab test catalog and orders. Admins keep the catalog of tests (LOINC code, specimen, unit or result values,
+// reference ranges, price in USD, turnaround) and panels grouping them. Doctors order a comma-separated list of
+// catalog codes, which is the order's testType on-chain; the tests it resolves to are kept with the order, so
+// results are checked against the catalog as it was when ordered. Results themselves are encrypted documents on
+// IPFS; only which tests came back abnormal is kept here. Each sample's chain of custody is logged from collection to
+// processing, and orders still without results past their turnaround are flagged once as overdue.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS lab_catalog (
+        code TEXT PRIMARY KEY, kind TEXT NOT NULL, name TEXT NOT NULL, definition TEXT NOT NULL,
+        active INTEGER NOT NULL DEFAULT 1, updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS lab_orders (
+        lab_test_id INTEGER PRIMARY KEY, items TEXT NOT NULL, tests TEXT NOT NULL, price_cents INTEGER NOT NULL,
+        ordered_at INTEGER NOT NULL, due_at INTEGER NOT NULL, abnormal TEXT, resulted_at INTEGER, alerted_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS lab_orders_due ON lab_orders (resulted_at, alerted_at, due_at);
+    CREATE TABLE IF NOT EXISTS lab_custody (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, lab_test_id INTEGER NOT NULL, stage TEXT NOT NULL, actor TEXT NOT NULL,
+        note TEXT NOT NULL, cid TEXT, at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS lab_custody_test ON lab_custody (lab_test_id, id);
+`;
+
+const SPECIMENS = ['blood', 'serum', 'plasma', 'urine', 'stool', 'saliva', 'swab', 'sputum', 'csf', 'tissue'];
+const SEXES = ['female', 'male'];
+// HL7 abnormal flags, as FHIR's ObservationInterpretation uses them
+const FLAGS = { normal: 'N', low: 'L', high: 'H', criticalLow: 'LL', criticalHigh: 'HH', abnormal: 'A' };
+const MAX_ORDER_ITEMS = 10;
+const MAX_NOTES_LENGTH = 2000;
+// Custody stages each stage may be followed by; a rejected sample is collected again
+const CUSTODY_NEXT = {
+    none: ['collected'],
+    collected: ['inTransit', 'received', 'rejected'],
+    inTransit: ['received', 'rejected'],
+    received: ['processed', 'rejected'],
+    processed: ['rejected'],
+    rejected: ['collected']
+};
+const CUSTODY_STAGES = Object.keys(CUSTODY_NEXT).filter(stage => stage !== 'none');
+
+const address = (value) => value.toLowerCase();
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const optionalNumber = (value, name) => {
+    if (value !== undefined && value !== null && !isNumber(value)) throw new Error(`Invalid ${name}`);
+    return isNumber(value) ? value : null;
+};
+
+// LOINC codes end in a mod 10 check digit
+function isLoinc(code) {
+    const match = /^(\d{1,7})-(\d)$/.exec(code);
+    if (!match) return false;
+    const digits = match[1].split('').reverse();
+    const odd = digits.filter((_, i) => i % 2 === 0).join('');
+    const even = digits.filter((_, i) => i % 2 === 1).join('');
+    const sum = `${even}${Number(odd) * 2}`.split('').reduce((total, digit) => total + Number(digit), 0);
+    return (10 - (sum % 10)) % 10 === Number(match[2]);
+}
+
+function requireCode(code) {
+    if (typeof code !== 'string' || !isLoinc(code)) throw new Error('Invalid LOINC code');
+    return code;
+}
+
+function requireName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) throw new Error('Name required');
+    return name.trim();
+}
+
+function requirePrice(price) {
+    if (!isNumber(price) || price < 0 || Math.round(price * 100) !== price * 100) throw new Error('Invalid price');
+    return price;
+}
+
+// A catalog test. Quantitative tests have a unit and reference ranges (optionally per sex) with optional critical
+// limits; qualitative ones a list of result values and which of them are normal
+function parseTest(body = {}) {
+    const test = {
+        name: requireName(body.name),
+        specimen: body.specimen,
+        resultType: body.resultType || 'quantitative',
+        price: requirePrice(body.price),
+        turnaroundHours: body.turnaroundHours
+    };
+    if (!SPECIMENS.includes(test.specimen)) throw new Error(`Specimen must be one of ${SPECIMENS.join(', ')}`);
+    if (!Number.isInteger(test.turnaroundHours) || test.turnaroundHours < 1 || test.turnaroundHours > 24 * 90) {
+        throw new Error('Invalid turnaround');
+    }
+    if (test.resultType === 'qualitative') {
+        const { values, normalValues } = body;
+        if (!Array.isArray(values) || values.length < 2 || !values.every(value => typeof value === 'string' && value.trim())) {
+            throw new Error('Qualitative tests need at least two result values');
+        }
+        if (!Array.isArray(normalValues) || !normalValues.length || !normalValues.every(value => values.includes(value))) {
+            throw new Error('Normal values must be result values');
+        }
+        return { ...test, values, normalValues };
+    }
+    if (test.resultType !== 'quantitative') throw new Error('Result type must be quantitative or qualitative');
+    if (typeof body.unit !== 'string' || !body.unit.trim()) throw new Error('Unit required');
+    if (!Array.isArray(body.referenceRanges) || !body.referenceRanges.length) throw new Error('Reference range required');
+    const referenceRanges = body.referenceRanges.map(range => {
+        if (range.sex !== undefined && !SEXES.includes(range.sex)) throw new Error('Invalid reference range sex');
+        const low = optionalNumber(range.low, 'reference range');
+        const high = optionalNumber(range.high, 'reference range');
+        if ((low === null && high === null) || (low !== null && high !== null && low >= high)) throw new Error('Invalid reference range');
+        return { ...(range.sex && { sex: range.sex }), low, high };
+    });
+    if (!referenceRanges.some(range => !range.sex) && !SEXES.every(sex => referenceRanges.some(range => range.sex === sex))) {
+        throw new Error('Reference ranges must cover both sexes or neither');
+    }
+    const criticalLow = optionalNumber(body.criticalLow, 'critical limit');
+    const criticalHigh = optionalNumber(body.criticalHigh, 'critical limit');
+    return { ...test, unit: body.unit.trim(), referenceRanges, criticalLow, criticalHigh };
+}
+
+// The range that applies to a patient of `sex`, falling back to the one for either sex
+function referenceRange(test, sex) {
+    return test.referenceRanges.find(range => range.sex === sex) || test.referenceRanges.find(range => !range.sex) || null;
+}
+
+// Flags a result against its test as ordered
+function interpretResult(test, value, sex) {
+    if (test.resultType === 'qualitative') {
+        if (!test.values.includes(value)) throw new Error(`${test.name}: result must be one of ${test.values.join(', ')}`);
+        return { value, normalValues: test.normalValues, flag: test.normalValues.includes(value) ? FLAGS.normal : FLAGS.abnormal };
+    }
+    if (!isNumber(value)) throw new Error(`${test.name}: result must be a number`);
+    const range = referenceRange(test, sex);
+    if (!range) throw new Error(`${test.name}: patient sex required`);
+    let flag = FLAGS.normal;
+    if (test.criticalLow !== null && value < test.criticalLow) flag = FLAGS.criticalLow;
+    else if (test.criticalHigh !== null && value > test.criticalHigh) flag = FLAGS.criticalHigh;
+    else if (range.low !== null && value < range.low) flag = FLAGS.low;
+    else if (range.high !== null && value > range.high) flag = FLAGS.high;
+    return { value, unit: test.unit, referenceRange: { low: range.low, high: range.high }, flag };
+}
+
+function createLabs({ file = 'labs.db', now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const entry = (code) => db.prepare('SELECT * FROM lab_catalog WHERE code = ?').get(code);
+    const readEntry = (row) => ({ code: row.code, kind: row.kind, ...JSON.parse(row.definition), active: row.active === 1 });
+
+    function save(code, kind, definition) {
+        const existing = entry(code);
+        if (existing && existing.kind !== kind) throw new Error(`${code} is a ${existing.kind}`);
+        db.prepare(`INSERT INTO lab_catalog (code, kind, name, definition, active, updated_at) VALUES (?, ?, ?, ?, 1, ?)
+            ON CONFLICT (code) DO UPDATE SET name = excluded.name, definition = excluded.definition, active = 1, updated_at = excluded.updated_at`)
+            .run(code, kind, definition.name, JSON.stringify(definition), now());
+        return readEntry(entry(code));
+    }
+
+    // Adds or replaces a test; orders already placed keep the definition they were placed with
+    function saveTest(code, body) {
+        return save(requireCode(code), 'test', parseTest(body));
+    }
+
+    // A panel orders its tests together at its own price; they must be active tests in the catalog
+    function savePanel(code, body = {}) {
+        requireCode(code);
+        const { tests } = body;
+        if (!Array.isArray(tests) || tests.length < 2 || new Set(tests).size !== tests.length) throw new Error('A panel needs at least two distinct tests');
+        for (const test of tests) {
+            const row = entry(test);
+            if (!row || row.kind !== 'test' || !row.active) throw new Error(`Unknown test: ${test}`);
+        }
+        return save(code, 'panel', { name: requireName(body.name), tests, price: requirePrice(body.price) });
+    }
+
+    // Retired entries can no longer be ordered
+    function retire(code) {
+        return db.prepare('UPDATE lab_catalog SET active = 0, updated_at = ? WHERE code = ? AND active = 1').run(now(), code).changes > 0;
+    }
+
+    // Active tests and panels, each panel with its specimens and turnaround derived from its tests
+    function catalog() {
+        const rows = db.prepare('SELECT * FROM lab_catalog WHERE active = 1 ORDER BY name').all().map(readEntry);
+        const tests = rows.filter(row => row.kind === 'test');
+        const byCode = new Map(tests.map(test => [test.code, test]));
+        const panels = rows.filter(row => row.kind === 'panel').map(panel => {
+            const members = panel.tests.map(code => byCode.get(code)).filter(Boolean);
+            return {
+                ...panel,
+                specimens: [...new Set(members.map(test => test.specimen))],
+                turnaroundHours: Math.max(...members.map(test => test.turnaroundHours))
+            };
+        });
+        return { tests, panels };
+    }
+
+    // Resolves an order's testType to its catalog items and the tests to run, priced and with a turnaround
+    function resolve(testType) {
+        if (typeof testType !== 'string' || !testType) throw new Error('Order tests from the catalog');
+        const codes = testType.split(',');
+        if (codes.length > MAX_ORDER_ITEMS || new Set(codes).size !== codes.length) throw new Error('Invalid test list');
+        const items = [];
+        const tests = new Map();
+        for (const code of codes) {
+            const row = entry(code);
+            if (!row || !row.active) throw new Error(`Unknown test: ${code}`);
+            const item = readEntry(row);
+            items.push({ code, kind: item.kind, name: item.name, price: item.price });
+            for (const testCode of item.kind === 'panel' ? item.tests : [code]) {
+                const { active, kind, ...test } = readEntry(entry(testCode));
+                if (!active) throw new Error(`Unknown test: ${testCode}`);
+                tests.set(testCode, test);
+            }
+        }
+        return {
+            items,
+            tests: [...tests.values()],
+            price: items.reduce((total, item) => total + Math.round(item.price * 100), 0) / 100,
+            turnaroundHours: Math.max(...[...tests.values()].map(test => test.turnaroundHours))
+        };
+    }
+
+    function recordOrder(labTestId, { items, tests, price, turnaroundHours }) {
+        const orderedAt = now();
+        db.prepare(`INSERT INTO lab_orders (lab_test_id, items, tests, price_cents, ordered_at, due_at) VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(Number(labTestId), JSON.stringify(items), JSON.stringify(tests), Math.round(price * 100), orderedAt, orderedAt + turnaroundHours * 3600);
+    }
+
+    // The order as placed, or null for orders from before the catalog
+    function order(labTestId) {
+        const row = db.prepare('SELECT * FROM lab_orders WHERE lab_test_id = ?').get(Number(labTestId));
+        return row ? {
+            labTestId: row.lab_test_id,
+            items: JSON.parse(row.items),
+            tests: JSON.parse(row.tests),
+            price: row.price_cents / 100,
+            orderedAt: row.ordered_at,
+            dueAt: row.due_at,
+            abnormal: row.abnormal === null ? null : JSON.parse(row.abnormal),
+            resultedAt: row.resulted_at,
+            overdue: row.resulted_at === null && row.due_at < now()
+        } : null;
+    }
+
+    // Overdue orders not yet alerted on, marked as alerted so each is reported once
+    const takeOverdue = db.transaction(() => {
+        const at = now();
+        const rows = db.prepare('SELECT lab_test_id FROM lab_orders WHERE resulted_at IS NULL AND alerted_at IS NULL AND due_at < ?').all(at);
+        const mark = db.prepare('UPDATE lab_orders SET alerted_at = ? WHERE lab_test_id = ?');
+        for (const row of rows) mark.run(at, row.lab_test_id);
+        return rows.map(row => order(row.lab_test_id));
+    });
+
+    function custody(labTestId) {
+        return db.prepare('SELECT stage, actor, note, cid, at FROM lab_custody WHERE lab_test_id = ? ORDER BY id').all(Number(labTestId));
+    }
+
+    const lastStage = (labTestId) => db.prepare('SELECT stage FROM lab_custody WHERE lab_test_id = ? ORDER BY id DESC LIMIT 1')
+        .get(Number(labTestId))?.stage;
+
+    // Whether the sample may go to `stage` next. Rejection needs a reason
+    function checkCustody(labTestId, { stage, note = '' } = {}) {
+        if (!CUSTODY_STAGES.includes(stage)) throw new Error(`Stage must be one of ${CUSTODY_STAGES.join(', ')}`);
+        if (typeof note !== 'string' || note.length > MAX_NOTES_LENGTH) throw new Error('Invalid note');
+        if (stage === 'rejected' && !note.trim()) throw new Error('Rejection reason required');
+        const last = lastStage(labTestId) || 'none';
+        if (!CUSTODY_NEXT[last].includes(stage)) throw new Error(`Sample cannot go from ${last} to ${stage}`);
+    }
+
+    // Logs the sample's next custody stage by `actor`; collection carries the sample record's CID
+    function recordCustody(labTestId, actor, { stage, note = '', cid = null } = {}) {
+        checkCustody(labTestId, { stage, note });
+        db.prepare('INSERT INTO lab_custody (lab_test_id, stage, actor, note, cid, at) VALUES (?, ?, ?, ?, ?, ?)')
+            .run(Number(labTestId), stage, address(actor), note.trim(), cid, now());
+    }
+
+    // Results are entered from a processed sample; samples collected before custody was logged have no trail
+    function requireProcessed(labTestId) {
+        const last = lastStage(labTestId);
+        if (last !== undefined && last !== 'processed') throw new Error('Sample not processed');
+    }
+
+    // Checks a lab's results, one per ordered test, and flags them. The result is the document the lab encrypts and
+    // stores for the patient. `sex` picks sex-specific reference ranges.
+    function interpret(labTestId, { sex, results, notes = '' } = {}) {
+        const placed = order(labTestId);
+        if (!placed) throw new Error('Order not from the catalog');
+        requireProcessed(labTestId);
+        if (sex !== undefined && sex !== '' && !SEXES.includes(sex)) throw new Error('Invalid sex');
+        if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) throw new Error('Invalid notes');
+        if (!Array.isArray(results)) throw new Error('Results required');
+        const byCode = new Map(results.map(result => [result?.code, result?.value]));
+        if (byCode.size !== results.length) throw new Error('One result per test');
+        for (const code of byCode.keys()) {
+            if (!placed.tests.some(test => test.code === code)) throw new Error(`Not ordered: ${code}`);
+        }
+        return {
+            labTestId: placed.labTestId,
+            results: placed.tests.map(test => {
+                if (!byCode.has(test.code)) throw new Error(`${test.name}: result required`);
+                return { code: test.code, name: test.name, specimen: test.specimen, ...interpretResult(test, byCode.get(test.code), sex || undefined) };
+            }),
+            notes
+        };
+    }
+
+    function recordResults(labTestId, { results }) {
+        const abnormal = results.filter(result => result.flag !== FLAGS.normal).map(({ code, flag }) => ({ code, flag }));
+        db.prepare('UPDATE lab_orders SET abnormal = ?, resulted_at = ? WHERE lab_test_id = ?').run(JSON.stringify(abnormal), now(), Number(labTestId));
+    }
+
+    // Orders resulted within [from, to): the codes of the tests run and those that came back abnormal
+    function resulted(from, to) {
+        return db.prepare('SELECT * FROM lab_orders WHERE resulted_at >= ? AND resulted_at < ? ORDER BY lab_test_id').all(from, to)
+            .map(row => ({
+                labTestId: row.lab_test_id,
+                codes: JSON.parse(row.tests).map(test => test.code),
+                abnormal: JSON.parse(row.abnormal),
+                resultedAt: row.resulted_at
+            }));
+    }
+
+    return {
+        saveTest, savePanel, retire, catalog, resolve, recordOrder, order, takeOverdue, custody, checkCustody, recordCustody, requireProcessed,
+        interpret, recordResults, resulted, close: () => db.close()
+    };
+}
+
+module.exports = { SPECIMENS, FLAGS, CUSTODY_STAGES, isLoinc, parseTest, createLabs };
@@ -0,0 +1,248 @@
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const { URGENCY_LEVELS } = require('./urgency');
+const { isLoinc } = require('./labs');
+
+const MARKETPLACE_ABI = [
+    'function createDataRequest(bytes32 termsHash, uint256 budget, uint48 deadline)',
+    'function cancelDataRequest(uint256 id)',
+    'function fulfillDataRequest(uint256 id, address[] patients, uint256[] records, bytes32 datasetHash)',
+    'function revokeContribution(uint256 id)',
+    'function withdrawEarnings()',
+    'function setResearcher(address researcher, bool approved)',
+    'function researchers(address) view returns (bool)',
+    'function requests(uint256) view returns (address researcher, uint256 budget, bytes32 termsHash, uint48 deadline, uint8 status, bytes32 datasetHash, uint32 contributors)',
+    'function contributions(uint256, address) view returns (uint256)',
+    'function revoked(uint256, address) view returns (bool)',
+    'function earnings(address) view returns (uint256)',
+    'event DataRequestCreated(uint256 indexed id, address indexed researcher, uint256 budget, bytes32 termsHash, uint48 deadline)'
+];
+
+// Kinds of record a request may draw on, each from its own source
+const KINDS = ['aiAnalyses', 'labResults'];
+const REQUEST_STATUSES = ['open', 'fulfilled', 'cancelled'];
+const DATA_SHARING_ENABLED = 1;
+const MIN_PURPOSE_LENGTH = 20;
+const MAX_PURPOSE_LENGTH = 2000;
+const MAX_CRITERIA_VALUES = 50;
+
+// Researchers' requests live on TelemedicineMarketplace, which holds their budget and commits to the terms (purpose and
+// cohort criteria) by hash; the terms are kept here. Datasets are assembled from the AI analyses and lab results of
+// patients sharing their data and not opted out of the request, reduced to de-identified records: no addresses or
+// record ids, dates coarsened to the quarter. Records are grouped by their quasi-identifiers (kind, quarter, and
+// specialty and urgency or LOINC code) and any group drawn from fewer than `k` patients is suppressed, so every record
+// released is shared by at least k patients. Which patient contributed which record is kept here only to drop their
+// records when they revoke, and to show them the studies that used their data.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS data_requests (
+        id INTEGER PRIMARY KEY, researcher TEXT NOT NULL, terms TEXT NOT NULL, terms_hash TEXT NOT NULL, created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS datasets (
+        request_id INTEGER PRIMARY KEY, dataset_hash TEXT NOT NULL, assembled_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS dataset_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, request_id INTEGER NOT NULL, patient TEXT NOT NULL, record TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS dataset_records_request ON dataset_records (request_id);
+    CREATE INDEX IF NOT EXISTS dataset_records_patient ON dataset_records (patient, request_id);
+`;
+
+const address = (value) => value.toLowerCase();
+
+const isTimestamp = (value) => Number.isInteger(value) && value >= 0;
+
+function stringList(value, name, check = (item) => typeof item === 'string' && item.trim().length > 0) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_CRITERIA_VALUES || !value.every(check)) {
+        throw new Error(`Invalid ${name}`);
+    }
+    return [...new Set(value.map(item => item.trim()))].sort();
+}
+
+// Normalizes a request's terms, so that the same terms always hash the same
+function checkTerms({ purpose, criteria } = {}) {
+    if (typeof purpose !== 'string' || purpose.trim().length < MIN_PURPOSE_LENGTH || purpose.length > MAX_PURPOSE_LENGTH) {
+        throw new Error(`Purpose must be ${MIN_PURPOSE_LENGTH} to ${MAX_PURPOSE_LENGTH} characters`);
+    }
+    if (!criteria || typeof criteria !== 'object') throw new Error('Criteria required');
+    const kinds = stringList(criteria.kinds, 'kinds', kind => KINDS.includes(kind));
+    if (!kinds) throw new Error(`Kinds must be some of ${KINDS.join(', ')}`);
+    const specialties = stringList(criteria.specialties, 'specialties');
+    const urgencies = stringList(criteria.urgencies, 'urgencies', urgency => URGENCY_LEVELS.includes(urgency));
+    const labTests = stringList(criteria.labTests, 'lab tests', isLoinc);
+    if (criteria.abnormalOnly !== undefined && typeof criteria.abnormalOnly !== 'boolean') throw new Error('Invalid abnormalOnly');
+    const { from, to } = criteria;
+    if (from !== undefined && !isTimestamp(from)) throw new Error('Invalid from');
+    if (to !== undefined && !(isTimestamp(to) && to > (from ?? 0))) throw new Error('Invalid to');
+    const normalized = Object.fromEntries(Object.entries({
+        kinds, specialties, urgencies, labTests, abnormalOnly: criteria.abnormalOnly, from, to
+    }).filter(([, value]) => value !== undefined));
+    const terms = { purpose: purpose.trim(), criteria: normalized };
+    return { terms, termsHash: ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(terms))) };
+}
+
+// Calendar quarter of a timestamp, e.g. 2024-Q3
+function quarter(timestamp) {
+    const date = new Date(timestamp * 1000);
+    return `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+}
+
+// The de-identified records of the source rows matching the criteria, each with the patient it came from
+function deidentify(criteria, { aiAnalyses = [], labResults = [] }) {
+    const entries = [];
+    if (criteria.kinds.includes('aiAnalyses')) {
+        for (const row of aiAnalyses) {
+            if (criteria.specialties && !criteria.specialties.some(specialty => specialty.toLowerCase() === row.specialty.toLowerCase())) continue;
+            if (criteria.urgencies && !criteria.urgencies.includes(row.urgency)) continue;
+            entries.push({
+                patient: address(row.patient),
+                record: {
+                    kind: 'aiAnalysis', period: quarter(row.createdAt), specialty: row.specialty, urgency: row.urgency,
+                    modelVersion: row.modelVersion, doctorAgreed: row.agreement ? row.agreement === 'agree' : null
+                }
+            });
+        }
+    }
+    if (criteria.kinds.includes('labResults')) {
+        for (const row of labResults) {
+            const flags = new Map(row.abnormal.map(result => [result.code, result.flag]));
+            for (const code of row.codes) {
+                const flag = flags.get(code) || 'N';
+                if (criteria.labTests && !criteria.labTests.includes(code)) continue;
+                if (criteria.abnormalOnly && flag === 'N') continue;
+                entries.push({ patient: address(row.patient), record: { kind: 'labResult', period: quarter(row.resultedAt), loinc: code, flag } });
+            }
+        }
+    }
+    return entries;
+}
+
+const QUASI_IDENTIFIERS = { aiAnalysis: ['period', 'specialty', 'urgency'], labResult: ['period', 'loinc'] };
+
+const equivalenceClass = (record) => JSON.stringify([record.kind, ...QUASI_IDENTIFIERS[record.kind].map(field => record[field])]);
+
+// Suppresses the records of every equivalence class drawn from fewer than k distinct patients
+function suppress(entries, k) {
+    const patients = new Map();
+    for (const { patient, record } of entries) {
+        const key = equivalenceClass(record);
+        if (!patients.has(key)) patients.set(key, new Set());
+        patients.get(key).add(patient);
+    }
+    return entries.filter(({ record }) => patients.get(equivalenceClass(record)).size >= k);
+}
+
+// Released records carry nothing of their order in the sources
+const release = (entries) => entries.map(entry => entry.record).sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+
+const datasetHash = (records) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(JSON.stringify(records)));
+
+// `contract` is TelemedicineMarketplace and `telemedicine` TelemedicineSystem, for patients' data sharing opt-in.
+// `sources` read the rows records are drawn from within [from, to): `aiAnalyses` as { patient, specialty, urgency,
+// modelVersion, agreement, createdAt }, `labResults` as { patient, codes, abnormal, resultedAt }.
+function createMarketplace({ contract, telemedicine, sources, file = 'marketplace.db', k = 5, now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const readRequest = (row) => ({ id: row.id, researcher: row.researcher, ...JSON.parse(row.terms), termsHash: row.terms_hash, createdAt: row.created_at });
+
+    function recordRequest(requestId, researcher, { terms, termsHash }) {
+        db.prepare('INSERT INTO data_requests (id, researcher, terms, terms_hash, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(Number(requestId), address(researcher), JSON.stringify(terms), termsHash, now());
+    }
+
+    function request(requestId) {
+        const row = db.prepare('SELECT * FROM data_requests WHERE id = ?').get(Number(requestId));
+        return row ? readRequest(row) : null;
+    }
+
+    // Requests with their on-chain state, newest first; optionally only the given researchers'
+    async function requests(researchers) {
+        const rows = researchers
+            ? db.prepare(`SELECT * FROM data_requests WHERE researcher IN (${researchers.map(() => '?').join(', ')}) ORDER BY id DESC`).all(...researchers.map(address))
+            : db.prepare('SELECT * FROM data_requests ORDER BY id DESC').all();
+        return Promise.all(rows.map(async row => {
+            const onChain = await contract.requests(row.id);
+            return {
+                ...readRequest(row), budget: onChain.budget.toString(), deadline: Number(onChain.deadline),
+                status: REQUEST_STATUSES[onChain.status], contributors: onChain.contributors
+            };
+        }));
+    }
+
+    async function sharing(patient) {
+        const { dataSharing } = await telemedicine.patients(patient);
+        return dataSharing === DATA_SHARING_ENABLED;
+    }
+
+    // Patients among `patients` who revoked their contribution to the request
+    async function revokedPatients(requestId, patients) {
+        const revoked = await Promise.all(patients.map(patient => contract.revoked(requestId, patient)));
+        return new Set(patients.filter((_, i) => revoked[i]));
+    }
+
+    // Assembles an open request's dataset from the patients still sharing their data and not opted out of it. Returns
+    // the released records, their hash, and each contributor's count of released records, which their share is paid on
+    async function assemble(requestId) {
+        const stored = request(requestId);
+        if (!stored) throw new Error('Unknown data request');
+        const onChain = await contract.requests(requestId);
+        if (REQUEST_STATUSES[onChain.status] !== 'open') throw new Error('Data request not open');
+        const at = now();
+        if (onChain.deadline <= at) throw new Error('Data request expired');
+
+        const { criteria } = stored;
+        const [from, to] = [criteria.from ?? 0, criteria.to ?? at];
+        const rows = {
+            aiAnalyses: criteria.kinds.includes('aiAnalyses') ? sources.aiAnalyses(from, to) : [],
+            labResults: criteria.kinds.includes('labResults') ? sources.labResults(from, to) : []
+        };
+        const candidates = deidentify(criteria, rows);
+        const patients = [...new Set(candidates.map(entry => entry.patient))];
+        const [shared, revoked] = await Promise.all([Promise.all(patients.map(sharing)), revokedPatients(requestId, patients)]);
+        const eligible = new Set(patients.filter((patient, i) => shared[i] && !revoked.has(patient)));
+        const entries = suppress(candidates.filter(entry => eligible.has(entry.patient)), k);
+
+        const counts = new Map();
+        for (const { patient } of entries) counts.set(patient, (counts.get(patient) || 0) + 1);
+        if (counts.size < k) throw new Error(`Fewer than ${k} patients qualify`);
+        const records = release(entries);
+        return { entries, records, datasetHash: datasetHash(records), contributors: [...counts].map(([patient, records]) => ({ patient, records })) };
+    }
+
+    // Keeps an assembled dataset once its request is fulfilled on-chain
+    const saveDataset = db.transaction((requestId, { entries, datasetHash: hash }) => {
+        db.prepare('INSERT INTO datasets (request_id, dataset_hash, assembled_at) VALUES (?, ?, ?)').run(Number(requestId), hash, now());
+        const insert = db.prepare('INSERT INTO dataset_records (request_id, patient, record) VALUES (?, ?, ?)');
+        for (const { patient, record } of entries) insert.run(Number(requestId), patient, JSON.stringify(record));
+    });
+
+    // The dataset as it stands: contributions revoked since it was assembled are dropped, and with them any group
+    // left with fewer than k patients
+    async function dataset(requestId) {
+        const assembled = db.prepare('SELECT * FROM datasets WHERE request_id = ?').get(Number(requestId));
+        if (!assembled) return null;
+        const entries = db.prepare('SELECT patient, record FROM dataset_records WHERE request_id = ? ORDER BY id').all(Number(requestId))
+            .map(row => ({ patient: row.patient, record: JSON.parse(row.record) }));
+        const revoked = await revokedPatients(requestId, [...new Set(entries.map(entry => entry.patient))]);
+        const records = release(suppress(entries.filter(entry => !revoked.has(entry.patient)), k));
+        return { requestId: Number(requestId), k, datasetHash: assembled.dataset_hash, assembledAt: assembled.assembled_at, revokedContributors: revoked.size, records };
+    }
+
+    // The studies the given patient addresses contributed to, newest first, and whether each contribution was revoked
+    async function studies(patients) {
+        const owners = patients.map(address);
+        const rows = db.prepare(`SELECT r.request_id AS requestId, r.patient, COUNT(*) AS records, d.assembled_at AS assembledAt
+            FROM dataset_records r JOIN datasets d ON d.request_id = r.request_id
+            WHERE r.patient IN (${owners.map(() => '?').join(', ')}) GROUP BY r.request_id, r.patient ORDER BY r.request_id DESC`).all(...owners);
+        return Promise.all(rows.map(async row => {
+            const { purpose, researcher } = request(row.requestId);
+            return { ...row, purpose, researcher, revoked: await contract.revoked(row.requestId, row.patient) };
+        }));
+    }
+
+    return { checkTerms, recordRequest, request, requests, assemble, saveDataset, dataset, studies, close: () => db.close() };
+}
+
+module.exports = { MARKETPLACE_ABI, KINDS, checkTerms, createMarketplace };
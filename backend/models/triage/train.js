@@ -0,0 +1,70 @@
+// Trains the bundled triage model from knowledge.json: presentations are sampled from each condition's symptom
+// profile, with occasional unrelated symptoms as noise, and a small softmax network is fitted to them. Run
+// `node models/triage/train.js` from backend/ after editing the knowledge base, and bump its version.
+const tf = require('@tensorflow/tfjs-node');
+const knowledge = require('./knowledge.json');
+const { encodeSymptoms } = require('../../triage');
+
+const SAMPLES_PER_CONDITION = 600;
+const NOISE = 0.03;
+const EPOCHS = 40;
+
+// Deterministic sampling, so retraining an unchanged knowledge base gives the same data
+function mulberry32(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function samples(random) {
+    const xs = [];
+    const ys = [];
+    knowledge.conditions.forEach((condition, label) => {
+        for (let n = 0; n < SAMPLES_PER_CONDITION; n++) {
+            let symptoms = [];
+            while (symptoms.length === 0) {
+                symptoms = knowledge.symptoms
+                    .map(({ id }) => id)
+                    .filter(id => random() < (condition.profile[id] ?? NOISE));
+            }
+            xs.push(encodeSymptoms(symptoms));
+            ys.push(label);
+        }
+    });
+    // Shuffled before fitting so the validation split covers every condition
+    for (let i = xs.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [xs[i], xs[j]] = [xs[j], xs[i]];
+        [ys[i], ys[j]] = [ys[j], ys[i]];
+    }
+    return { xs, ys };
+}
+
+async function main() {
+    const { xs, ys } = samples(mulberry32(1));
+    const model = tf.sequential({
+        layers: [
+            tf.layers.dense({ inputShape: [knowledge.symptoms.length], units: 32, activation: 'relu', kernelInitializer: tf.initializers.glorotUniform({ seed: 1 }) }),
+            tf.layers.dense({ units: knowledge.conditions.length, activation: 'softmax', kernelInitializer: tf.initializers.glorotUniform({ seed: 2 }) })
+        ]
+    });
+    model.compile({ optimizer: tf.train.adam(0.01), loss: 'sparseCategoricalCrossentropy', metrics: ['accuracy'] });
+    const history = await model.fit(tf.tensor2d(xs), tf.tensor1d(ys, 'float32'), {
+        epochs: EPOCHS,
+        batchSize: 64,
+        shuffle: true,
+        validationSplit: 0.1,
+        verbose: 0
+    });
+    const accuracy = history.history.val_acc.at(-1);
+    await model.save(tf.io.fileSystem(__dirname));
+    console.log(`${knowledge.version}: validation accuracy ${accuracy.toFixed(3)}`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
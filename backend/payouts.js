@@ -0,0 +1,89 @@
+const { ethers } = require('ethers');
+
+// Payout views over TelemedicinePayments. Currencies follow TelemedicineSystem's PaymentType order;
+// ETH balances are kept under the zero address.
+const CURRENCIES = ['ETH', 'USDC', 'SONIC'];
+const BPS = 10000;
+
+const PAYMENTS_ABI = [
+    'function withdraw(address token)',
+    'function setPlatformFee(uint16 feeBps)',
+    'function withdrawPlatformFees(address token, address to, uint256 amount)',
+    'function platformFeeBps() view returns (uint16)',
+    'function quote(address token, uint256 usdAmount) view returns (uint256)',
+    'function balances(address payee, address token) view returns (uint256)',
+    'function platformBalances(address token) view returns (uint256)',
+    'function escrows(uint256 appointmentId) view returns (address token, uint256 amount)'
+];
+const ERC20_DECIMALS_ABI = ['function decimals() view returns (uint8)'];
+
+function createPayouts({ contract, payments, indexer, slippageBps = 100 }) {
+    let currencies;
+
+    // Token and decimals per payment type, read once from TelemedicineSystem
+    async function paymentCurrencies() {
+        if (!currencies) {
+            const tokens = [ethers.constants.AddressZero, await contract.usdcToken(), await contract.sonicToken()];
+            currencies = await Promise.all(tokens.map(async (token, paymentType) => ({
+                currency: CURRENCIES[paymentType],
+                token,
+                decimals: paymentType === 0 ? 18 : await new ethers.Contract(token, ERC20_DECIMALS_ABI, contract.provider).decimals()
+            })));
+        }
+        return currencies;
+    }
+
+    // What the payee can withdraw right now, per currency
+    async function balances(payee) {
+        return Promise.all((await paymentCurrencies()).map(async currency => ({
+            ...currency,
+            withdrawable: (await payments.balances(payee, currency.token)).toString()
+        })));
+    }
+
+    // A doctor's withdrawable balances plus the fees their active appointments still hold in escrow,
+    // net of the current platform fee
+    async function earnings(doctor) {
+        const platformFeeBps = await payments.platformFeeBps();
+        const escrowed = indexer.escrowedFees(doctor);
+        return {
+            platformFeeBps,
+            currencies: (await balances(doctor)).map((currency, paymentType) => ({
+                ...currency,
+                pending: ethers.BigNumber.from(escrowed[paymentType]).mul(BPS - platformFeeBps).div(BPS).toString()
+            }))
+        };
+    }
+
+    async function platformBalances() {
+        const platformFeeBps = await payments.platformFeeBps();
+        return {
+            platformFeeBps,
+            currencies: await Promise.all((await paymentCurrencies()).map(async currency => ({
+                ...currency,
+                withdrawable: (await payments.platformBalances(currency.token)).toString()
+            })))
+        };
+    }
+
+    // What a booking with the doctor costs in the chosen currency at the current feed price, and the
+    // `maxAmount` to book with so a small price move before the transaction is mined does not fail it
+    async function quote(doctor, paymentType) {
+        const currency = (await paymentCurrencies())[paymentType];
+        if (!currency) throw new Error('Unknown payment type');
+        const { isVerified, consultationFee } = await contract.doctors(doctor);
+        if (!isVerified) throw new Error('Doctor not verified');
+        const amount = await payments.quote(currency.token, consultationFee);
+        return {
+            ...currency,
+            usdFee: consultationFee.toString(),
+            amount: amount.toString(),
+            maxAmount: amount.mul(BPS + slippageBps).div(BPS).toString(),
+            slippageBps
+        };
+    }
+
+    return { currencies: paymentCurrencies, balances, earnings, platformBalances, quote };
+}
+
+module.exports = { CURRENCIES, PAYMENTS_ABI, createPayouts };
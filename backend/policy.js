@@ -0,0 +1,63 @@
+const { ethers } = require('ethers');
+
+const ROLES = ['ADMIN_ROLE', 'DOCTOR_ROLE', 'PATIENT_ROLE', 'LAB_TECH_ROLE', 'PHARMACY_ROLE'];
+const ROLE_IDS = Object.fromEntries(ROLES.map(role => [role, ethers.utils.id(role)]));
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+const hasRole = (user, role) => Boolean(user?.roles?.includes(role));
+// A user acts on-chain either from their wallet or from their ERC-4337 smart account
+const isSelf = (user, address) => sameAddress(user.address, address) || sameAddress(user.smartAccount, address);
+const ownAddresses = (user) => [user.address, user.smartAccount].filter(Boolean);
+
+// Resolves the on-chain roles held by any of the given addresses via AccessControl.hasRole
+async function resolveRoles(contract, ...addresses) {
+    const granted = await Promise.all(ROLES.map(async role => {
+        const holders = await Promise.all(addresses.filter(Boolean).map(address => contract.hasRole(ROLE_IDS[role], address)));
+        return holders.some(Boolean);
+    }));
+    return ROLES.filter((_, i) => granted[i]);
+}
+
+const requireRole = (...roles) => (req, res, next) => {
+    if (roles.some(role => hasRole(req.user, role))) return next();
+    res.status(403).json({ error: 'Forbidden' });
+};
+
+// Per-record rules. A record's parties may always read it; anyone else needs `consented`, i.e. an unexpired grant
+// from the patient covering the record's scope.
+function canReadAppointments(user, patientAddress, consented = false) {
+    return hasRole(user, 'ADMIN_ROLE') || isSelf(user, patientAddress) || consented;
+}
+
+function canReadLabTest(user, labTest, consented = false) {
+    if (hasRole(user, 'ADMIN_ROLE')) return true;
+    if (isSelf(user, labTest.patient) || isSelf(user, labTest.doctor)) return true;
+    if (hasRole(user, 'LAB_TECH_ROLE') && isSelf(user, labTest.labTech)) return true;
+    return consented;
+}
+
+function canReadPrescription(user, prescription, consented = false) {
+    if (hasRole(user, 'ADMIN_ROLE')) return true;
+    if (isSelf(user, prescription.patient) || isSelf(user, prescription.doctor)) return true;
+    if (hasRole(user, 'PHARMACY_ROLE') && isSelf(user, prescription.pharmacy)) return true;
+    return consented;
+}
+
+function canReadAIAnalysis(user, analysis, consented = false) {
+    return hasRole(user, 'ADMIN_ROLE') || isSelf(user, analysis.patient) || consented;
+}
+
+module.exports = {
+    ROLES,
+    ROLE_IDS,
+    sameAddress,
+    hasRole,
+    isSelf,
+    ownAddresses,
+    resolveRoles,
+    requireRole,
+    canReadAppointments,
+    canReadLabTest,
+    canReadPrescription,
+    canReadAIAnalysis
+};
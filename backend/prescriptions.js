@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const jwt = require('jsonwebtoken');
+const formulary = require('./formulary.json');
+
+// Structured prescriptions. A prescription lists medication lines (RxNorm drug code, dose, route, frequency, quantity,
+// refills); on-chain its medicationDetails is only a salted commitment to them, and its encrypted IPFS document
+// carries them for the patient and pharmacy. The lines are kept here with the appointment they were issued from.
+// Before issuing, they are screened against the bundled formulary for interactions with each other and with the
+// patient's current medications, and against the allergies the doctor reports from the patient's history.
+//
+// The pharmacy verifies a prescription on-chain with a one-time code whose hash the doctor signed. The code is only
+// released to a pharmacy scanning the patient's QR token, which is signed, short-lived and redeemed once. Fills are
+// recorded here line by line, partial fills and refills included, until the prescription is fulfilled.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS prescriptions (
+        prescription_id INTEGER PRIMARY KEY, patient TEXT NOT NULL, doctor TEXT NOT NULL, appointment_id INTEGER NOT NULL,
+        medications TEXT NOT NULL, alerts TEXT NOT NULL, override_reason TEXT, issued_at INTEGER NOT NULL,
+        active_until INTEGER NOT NULL, verification_code TEXT NOT NULL, cancelled_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS prescriptions_patient ON prescriptions (patient, active_until);
+    CREATE TABLE IF NOT EXISTS prescription_qr_tokens (
+        jti TEXT PRIMARY KEY, prescription_id INTEGER NOT NULL, expires_at INTEGER NOT NULL, redeemed_at INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS prescription_fills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, prescription_id INTEGER NOT NULL, pharmacy TEXT NOT NULL, code TEXT NOT NULL,
+        quantity INTEGER NOT NULL, fill_number INTEGER NOT NULL, filled_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS prescription_fills_prescription ON prescription_fills (prescription_id, code);
+`;
+
+// Doses a day, for how long a prescription lasts; as-needed lines count as one a day
+const FREQUENCIES = {
+    'once daily': 1,
+    'twice daily': 2,
+    'three times daily': 3,
+    'four times daily': 4,
+    'every 4 hours': 6,
+    'every 6 hours': 4,
+    'every 8 hours': 3,
+    'at bedtime': 1,
+    'once weekly': 1 / 7,
+    'as needed': 1
+};
+const SEVERITIES = ['minor', 'moderate', 'major'];
+const MAX_LINES = 10;
+const MAX_QUANTITY = 1000;
+const MAX_REFILLS = 11;
+const MAX_TEXT_LENGTH = 500;
+const QR_AUDIENCE = 'prescription-qr';
+const QR_TOKEN_TTL = 10 * 60;
+// A refill is due once three quarters of the previous fill's supply is used, and refills lapse a year after issue
+const REFILL_DUE_FRACTION = 0.75;
+const REFILL_WINDOW = 365 * 86400;
+
+const DRUGS = new Map(formulary.drugs.map(drug => [drug.code, drug]));
+
+const address = (value) => value.toLowerCase();
+// An interaction or allergy names a drug by its code or by one of its classes
+const names = (name, drug) => name === drug.code || drug.classes.includes(name);
+const allergyName = (allergy) => DRUGS.get(allergy)?.name || allergy.replace(/_/g, ' ');
+
+function optionalText(value, name) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) throw new Error(`Invalid ${name}`);
+    return value.trim();
+}
+
+function parseLine(line) {
+    const drug = DRUGS.get(line?.code);
+    if (!drug) throw new Error(`Unknown drug: ${line?.code}`);
+    const { dose, route, frequency, quantity, refills = 0 } = line;
+    if (typeof dose !== 'number' || !Number.isFinite(dose) || dose <= 0) throw new Error(`${drug.name}: invalid dose`);
+    if (!drug.routes.includes(route)) throw new Error(`${drug.name}: route must be one of ${drug.routes.join(', ')}`);
+    if (!Object.hasOwn(FREQUENCIES, frequency)) throw new Error(`${drug.name}: frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) throw new Error(`${drug.name}: invalid quantity`);
+    if (!Number.isInteger(refills) || refills < 0 || refills > MAX_REFILLS) throw new Error(`${drug.name}: refills must be 0 to ${MAX_REFILLS}`);
+    return {
+        code: drug.code, name: drug.name, dose, unit: drug.doseUnit, route, frequency, quantity, refills,
+        instructions: optionalText(line.instructions, 'instructions')
+    };
+}
+
+// A prescription's medication lines, from the JSON its salted commitment is over
+function parseMedications(value) {
+    let lines;
+    try {
+        lines = typeof value === 'string' ? JSON.parse(value) : value;
+    } catch {
+        throw new Error('Invalid medications');
+    }
+    if (!Array.isArray(lines) || lines.length === 0) throw new Error('Medications required');
+    if (lines.length > MAX_LINES) throw new Error(`At most ${MAX_LINES} medications`);
+    const medications = lines.map(parseLine);
+    if (new Set(medications.map(line => line.code)).size !== medications.length) throw new Error('One line per drug');
+    return medications;
+}
+
+// What issuePrescription records as medicationDetails: keccak256 of a random salt and the medication lines' JSON
+function medicationsCommitment(medications, salt) {
+    if (typeof medications !== 'string' || !ethers.utils.isHexString(salt, 32)) throw new Error('Invalid medications');
+    return ethers.utils.solidityKeccak256(['bytes32', 'string'], [salt, medications]);
+}
+
+// issuePrescription records keccak256 of the one-time code, which is 32 random bytes
+function checkVerificationCode(code, verificationCodeHash) {
+    if (!ethers.utils.isHexString(code, 32)) throw new Error('Invalid verification code');
+    if (ethers.utils.keccak256(code) !== verificationCodeHash) throw new Error('Verification code does not match the signed hash');
+    return code.toLowerCase();
+}
+
+// Allergies are formulary allergy classes or drug codes
+function parseAllergies(allergies = []) {
+    if (!Array.isArray(allergies)) throw new Error('Invalid allergies');
+    for (const allergy of allergies) {
+        if (!formulary.allergyClasses.includes(allergy) && !DRUGS.has(allergy)) throw new Error(`Unknown allergy: ${allergy}`);
+    }
+    return [...new Set(allergies)];
+}
+
+const interaction = (a, b) => formulary.interactions.find(({ between: [x, y] }) => (names(x, a) && names(y, b)) || (names(x, b) && names(y, a)));
+
+// Alerts for new medication lines, most severe first: allergies, the same drug already taken, and interactions with
+// each other and with `current` lines, which carry the prescription they are from
+function screen(medications, current = [], allergies = []) {
+    const alerts = [];
+    medications.forEach((line, i) => {
+        const drug = DRUGS.get(line.code);
+        for (const allergy of allergies.filter(allergy => names(allergy, drug))) {
+            alerts.push({ type: 'allergy', severity: 'major', drugs: [drug.code], description: `Patient is allergic to ${allergyName(allergy)}` });
+        }
+        for (const cross of formulary.crossReactivity) {
+            if (allergies.includes(cross.allergy) && drug.classes.includes(cross.class)) {
+                alerts.push({ type: 'allergy', severity: cross.severity, drugs: [drug.code], description: cross.description });
+            }
+        }
+        for (const other of [...medications.slice(i + 1), ...current]) {
+            const from = other.prescriptionId ? { prescriptionId: other.prescriptionId } : {};
+            if (other.code === drug.code) {
+                alerts.push({ type: 'duplicate', severity: 'moderate', drugs: [drug.code], description: `Patient already takes ${drug.name}`, ...from });
+                continue;
+            }
+            const found = DRUGS.has(other.code) && interaction(drug, DRUGS.get(other.code));
+            if (found) alerts.push({ type: 'interaction', severity: found.severity, drugs: [drug.code, other.code], description: found.description, ...from });
+        }
+    });
+    return alerts.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+// Days until the last dose, refills included
+const daysSupply = (line) => Math.ceil(line.quantity * (line.refills + 1) / FREQUENCIES[line.frequency]);
+// Seconds one fill of a line lasts
+const fillPeriod = (line) => Math.ceil(line.quantity / FREQUENCIES[line.frequency]) * 86400;
+
+// `qrSecret` signs the QR tokens patients show at the pharmacy
+function createPrescriptions({ file = 'prescriptions.db', qrSecret, now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const readPrescription = (row) => ({
+        prescriptionId: row.prescription_id,
+        appointmentId: row.appointment_id,
+        medications: JSON.parse(row.medications),
+        alerts: JSON.parse(row.alerts),
+        overrideReason: row.override_reason,
+        issuedAt: row.issued_at,
+        activeUntil: row.active_until,
+        cancelledAt: row.cancelled_at
+    });
+
+    // Medication lines the patient is still taking, each with the prescription it is from
+    function current(patient) {
+        return db.prepare('SELECT * FROM prescriptions WHERE patient = ? AND active_until > ? AND cancelled_at IS NULL ORDER BY prescription_id')
+            .all(address(patient), now())
+            .flatMap(row => JSON.parse(row.medications).map(line => ({ ...line, prescriptionId: row.prescription_id })));
+    }
+
+    // Screens new lines for the patient before the doctor signs them
+    function check(patient, { medications, allergies } = {}) {
+        const lines = parseMedications(medications);
+        return { medications: lines, alerts: screen(lines, current(patient), parseAllergies(allergies)) };
+    }
+
+    // Checks the lines against the signed medicationDetails commitment and screens them. Major alerts are only
+    // overridden with the doctor's reason, kept with the prescription
+    function checkIssue(patient, medicationDetails, { medications, salt, allergies, overrideReason } = {}) {
+        if (medicationsCommitment(medications, salt) !== medicationDetails) throw new Error('Medications do not match the signed commitment');
+        const checked = check(patient, { medications, allergies });
+        const reason = optionalText(overrideReason, 'override reason');
+        if (checked.alerts.some(alert => alert.severity === 'major') && !reason) throw new Error('Major alerts need an override reason');
+        return { ...checked, overrideReason: reason || null };
+    }
+
+    // `verificationCode` is the checked preimage of the signed verificationCodeHash
+    function record(prescriptionId, { patient, doctor, appointmentId, verificationCode }, { medications, alerts, overrideReason }) {
+        const issuedAt = now();
+        const activeUntil = issuedAt + Math.max(...medications.map(daysSupply)) * 86400;
+        db.prepare(`INSERT INTO prescriptions (prescription_id, patient, doctor, appointment_id, medications, alerts, override_reason, issued_at,
+            active_until, verification_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+            .run(Number(prescriptionId), address(patient), address(doctor), Number(appointmentId), JSON.stringify(medications), JSON.stringify(alerts),
+                overrideReason, issuedAt, activeUntil, verificationCode);
+    }
+
+    const row = (prescriptionId) => db.prepare('SELECT * FROM prescriptions WHERE prescription_id = ?').get(Number(prescriptionId));
+
+    // The prescription as issued, or null for prescriptions from before structured medications
+    function prescription(prescriptionId) {
+        const found = row(prescriptionId);
+        return found ? readPrescription(found) : null;
+    }
+
+    // Cancelled prescriptions no longer count as current medications, and are not filled
+    function cancel(prescriptionId) {
+        db.prepare('UPDATE prescriptions SET cancelled_at = ? WHERE prescription_id = ? AND cancelled_at IS NULL').run(now(), Number(prescriptionId));
+    }
+
+    // A signed token for the patient's QR code. It names the prescription only; the code stays here until redeemed
+    function issueQrToken(prescriptionId) {
+        const found = row(prescriptionId);
+        if (!found) throw new Error('Prescription has no verification code; ask the doctor to reissue it');
+        if (found.cancelled_at) throw new Error('Prescription cancelled');
+        const jti = crypto.randomUUID();
+        const expiresAt = now() + QR_TOKEN_TTL;
+        db.prepare('INSERT INTO prescription_qr_tokens (jti, prescription_id, expires_at) VALUES (?, ?, ?)').run(jti, found.prescription_id, expiresAt);
+        db.prepare('DELETE FROM prescription_qr_tokens WHERE expires_at < ?').run(now() - QR_TOKEN_TTL);
+        const token = jwt.sign({ prescriptionId: found.prescription_id, exp: expiresAt }, qrSecret, { audience: QR_AUDIENCE, jwtid: jti, noTimestamp: true });
+        return { token, expiresAt };
+    }
+
+    // Checks a scanned token and uses it up; returns the prescription and its one-time code
+    function redeemQrToken(token) {
+        let claims;
+        try {
+            claims = jwt.verify(String(token), qrSecret, { audience: QR_AUDIENCE, clockTimestamp: now() });
+        } catch {
+            throw new Error('Invalid or expired QR code');
+        }
+        const { changes } = db.prepare('UPDATE prescription_qr_tokens SET redeemed_at = ? WHERE jti = ? AND prescription_id = ? AND redeemed_at IS NULL')
+            .run(now(), String(claims.jti), Number(claims.prescriptionId));
+        if (changes === 0) throw new Error('QR code already used');
+        const found = row(claims.prescriptionId);
+        if (found.cancelled_at) throw new Error('Prescription cancelled');
+        return { prescriptionId: found.prescription_id, verificationCode: found.verification_code };
+    }
+
+    // What has been dispensed of each line, and what is left: the rest of the current fill, then whole refills
+    function fills(prescriptionId) {
+        const found = row(prescriptionId);
+        if (!found) return null;
+        const history = db.prepare('SELECT * FROM prescription_fills WHERE prescription_id = ? ORDER BY id').all(found.prescription_id);
+        const refillsUntil = found.issued_at + REFILL_WINDOW;
+        const lines = JSON.parse(found.medications).map(line => {
+            const dispensed = history.filter(fill => fill.code === line.code);
+            const total = dispensed.reduce((sum, fill) => sum + fill.quantity, 0);
+            const started = dispensed.filter(fill => fill.fill_number === Math.ceil(total / line.quantity))[0];
+            const fillComplete = total % line.quantity === 0;
+            return {
+                code: line.code,
+                name: line.name,
+                prescribed: line.quantity * (line.refills + 1),
+                dispensed: total,
+                remaining: line.quantity * (line.refills + 1) - total,
+                fill: Math.ceil(total / line.quantity),
+                fillRemaining: fillComplete ? 0 : line.quantity - total % line.quantity,
+                fills: line.refills + 1,
+                // The next whole fill: the first right away, refills once the previous one is mostly used
+                nextFillAt: total === 0 ? found.issued_at : started ? started.filled_at + Math.ceil(fillPeriod(line) * REFILL_DUE_FRACTION) : null
+            };
+        });
+        const lapsed = now() > refillsUntil;
+        return {
+            lines,
+            history: history.map(fill => ({ code: fill.code, quantity: fill.quantity, fill: fill.fill_number, pharmacy: fill.pharmacy, at: fill.filled_at })),
+            refillsUntil,
+            // Fully dispensed, or only refills left and they have lapsed
+            complete: lines.every(line => line.remaining === 0 || (lapsed && line.fillRemaining === 0))
+        };
+    }
+
+    // Records what the pharmacy hands over now, [{ code, quantity }]. A fill may be partial; the rest of it is handed
+    // over before a refill starts, and refills only when due. Dispensing starts before the prescription's on-chain
+    // expirationTimestamp, `expiresAt`
+    const dispense = (prescriptionId, pharmacy, items, expiresAt) => db.transaction(() => {
+        const found = row(prescriptionId);
+        if (!found) throw new Error('Prescription not found');
+        if (found.cancelled_at) throw new Error('Prescription cancelled');
+        if (!Array.isArray(items) || items.length === 0) throw new Error('Fills required');
+        if (new Set(items.map(item => item?.code)).size !== items.length) throw new Error('One fill per drug');
+        const medications = JSON.parse(found.medications);
+        const status = fills(prescriptionId);
+        if (status.history.length === 0 && now() > expiresAt) throw new Error('Prescription expired');
+        for (const { code, quantity } of items) {
+            const line = medications.find(medication => medication.code === code);
+            if (!line) throw new Error(`Not prescribed: ${code}`);
+            const progress = status.lines.find(entry => entry.code === code);
+            if (!Number.isInteger(quantity) || quantity < 1) throw new Error(`${line.name}: invalid quantity`);
+            if (progress.remaining === 0) throw new Error(`${line.name}: fully dispensed`);
+            let fillNumber = progress.fill;
+            if (progress.fillRemaining === 0) {
+                if (now() > status.refillsUntil) throw new Error(`${line.name}: refills have lapsed`);
+                if (now() < progress.nextFillAt) throw new Error(`${line.name}: refill not due until ${new Date(progress.nextFillAt * 1000).toISOString()}`);
+                fillNumber++;
+            }
+            const allowed = progress.fillRemaining || line.quantity;
+            if (quantity > allowed) throw new Error(`${line.name}: at most ${allowed} in this fill`);
+            db.prepare('INSERT INTO prescription_fills (prescription_id, pharmacy, code, quantity, fill_number, filled_at) VALUES (?, ?, ?, ?, ?, ?)')
+                .run(found.prescription_id, address(pharmacy), code, quantity, fillNumber, now());
+        }
+        return fills(prescriptionId);
+    })();
+
+    return {
+        current, check, checkIssue, record, prescription, cancel, issueQrToken, redeemQrToken, fills, dispense, close: () => db.close()
+    };
+}
+
+// What the prescribing form offers
+const catalog = () => ({
+    version: formulary.version,
+    drugs: formulary.drugs,
+    allergyClasses: formulary.allergyClasses,
+    frequencies: Object.keys(FREQUENCIES)
+});
+
+module.exports = { FREQUENCIES, catalog, parseMedications, medicationsCommitment, checkVerificationCode, screen, createPrescriptions };
@@ -0,0 +1,77 @@
+const { ethers } = require('ethers');
+
+// Data reward views over TelemedicineRewards. Actions follow the contract's REWARD_* order.
+const ACTIONS = ['aiAnalysis', 'labOrder', 'labResults', 'labReview'];
+
+const REWARDS_ABI = [
+    'function claimRewards()',
+    'function fund(uint256 amount)',
+    'function setRewardPolicy(uint256 amount, uint48 epochLength, uint256 epochBudget, uint256 patientCap, uint256 lowBalanceThreshold)',
+    'function setActionWeight(uint8 action, uint16 weight)',
+    'function withdrawPool(address to, uint256 amount)',
+    'function available() view returns (uint256)',
+    'function policy() view returns (uint256 amount, uint48 epochLength, uint256 epochBudget, uint256 patientCap, uint256 lowBalanceThreshold)',
+    'function weights(uint8 action) view returns (uint16)',
+    'function rewards(address patient) view returns (uint256 accrued, uint256 claimed, uint256 epoch, uint256 epochAccrued)',
+    'function totalFunded() view returns (uint256)',
+    'function totalAccrued() view returns (uint256)',
+    'function totalClaimed() view returns (uint256)',
+    'function epoch() view returns (uint256)',
+    'function epochAccrued() view returns (uint256)',
+    'function poolLow() view returns (bool)',
+    'event RewardAccrued(address indexed patient, uint8 indexed action, uint256 amount, uint256 withheld)',
+    'event DataRewardClaimed(address indexed patient, uint256 amount)',
+    'event RewardPoolLow(uint256 available, uint256 threshold)'
+];
+const ERC20_BALANCE_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+function createRewards({ contract, rewards, now = () => Math.floor(Date.now() / 1000) }) {
+    let sonicToken;
+
+    async function poolBalance() {
+        if (!sonicToken) sonicToken = new ethers.Contract(await contract.sonicToken(), ERC20_BALANCE_ABI, contract.provider);
+        return sonicToken.balanceOf(rewards.address);
+    }
+
+    // What the patient accrued, claimed and can claim now, and what they accrued this epoch against the cap
+    async function summary(patient) {
+        const [{ accrued, claimed, epoch, epochAccrued }, policy] = await Promise.all([rewards.rewards(patient), rewards.policy()]);
+        const current = policy.epochLength > 0 ? Math.floor(now() / policy.epochLength) : 0;
+        return {
+            accrued: accrued.toString(),
+            claimed: claimed.toString(),
+            claimable: accrued.sub(claimed).toString(),
+            epochAccrued: epoch.eq(current) ? epochAccrued.toString() : '0',
+            patientCap: policy.patientCap.toString()
+        };
+    }
+
+    // The pool's balance, the part owed to patients, the policy and the weight of each action
+    async function pool() {
+        const [balance, available, totalFunded, totalAccrued, totalClaimed, poolLow, policy, weights] = await Promise.all([
+            poolBalance(), rewards.available(), rewards.totalFunded(), rewards.totalAccrued(), rewards.totalClaimed(), rewards.poolLow(),
+            rewards.policy(), Promise.all(ACTIONS.map((_, action) => rewards.weights(action)))
+        ]);
+        return {
+            balance: balance.toString(),
+            reserved: totalAccrued.sub(totalClaimed).toString(),
+            available: available.toString(),
+            totalFunded: totalFunded.toString(),
+            totalAccrued: totalAccrued.toString(),
+            totalClaimed: totalClaimed.toString(),
+            poolLow,
+            policy: {
+                amount: policy.amount.toString(),
+                epochLength: Number(policy.epochLength),
+                epochBudget: policy.epochBudget.toString(),
+                patientCap: policy.patientCap.toString(),
+                lowBalanceThreshold: policy.lowBalanceThreshold.toString()
+            },
+            weights: Object.fromEntries(ACTIONS.map((action, i) => [action, weights[i]]))
+        };
+    }
+
+    return { summary, pool };
+}
+
+module.exports = { ACTIONS, REWARDS_ABI, createRewards };
@@ -0,0 +1,108 @@
+const net = require('net');
+const http = require('http');
+
+// Local stand-ins for the notification transports' services, for development and tests: an SMTP server and an SMS
+// gateway that accept everything and keep what they are sent. `node stand-ins.js` runs both and logs each message;
+// point SMTP_URL at smtp://localhost:2525 and SMS_GATEWAY_URL at http://localhost:2526/messages.
+
+const listen = (server, port) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+});
+
+// Enough of SMTP for nodemailer without TLS or authentication. Messages are `{ from, to, data }`, `data` being the
+// raw message with headers
+async function startFakeSmtp({ port = 0, onMessage = () => {} } = {}) {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let envelope = { from: null, to: [] };
+        let data = null; // lines of the message while in DATA
+        let buffer = '';
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        const command = (line) => {
+            const verb = line.slice(0, 4).toUpperCase();
+            if (verb === 'EHLO' || verb === 'HELO') {
+                reply('250 fake-smtp');
+            } else if (verb === 'MAIL') {
+                envelope = { from: /<(.*)>/.exec(line)?.[1] ?? null, to: [] };
+                reply('250 OK');
+            } else if (verb === 'RCPT') {
+                envelope.to.push(/<(.*)>/.exec(line)?.[1]);
+                reply('250 OK');
+            } else if (verb === 'DATA') {
+                data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (verb === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else if (verb === 'NOOP') {
+                reply('250 OK');
+            } else if (verb === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        };
+
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (data === null) {
+                    command(line);
+                } else if (line === '.') {
+                    const message = { ...envelope, data: data.join('\r\n') };
+                    messages.push(message);
+                    onMessage(message);
+                    data = null;
+                    reply('250 OK: queued');
+                } else {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 fake-smtp ready');
+    });
+    return { port: await listen(server, port), messages, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// Takes `{ from, to, text }` as JSON on any path, as smsGatewayTransport sends it. Numbers in `reject` get a 400
+async function startFakeSmsGateway({ port = 0, reject = [], onMessage = () => {} } = {}) {
+    const messages = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch {
+                res.writeHead(400).end();
+                return;
+            }
+            if (reject.includes(message.to)) {
+                res.writeHead(400, { 'Content-Type': 'application/json' }).end(JSON.stringify({ error: 'Invalid number' }));
+                return;
+            }
+            messages.push({ ...message, authorization: req.headers.authorization });
+            onMessage(message);
+            res.writeHead(202, { 'Content-Type': 'application/json' }).end(JSON.stringify({ id: messages.length }));
+        });
+    });
+    return { port: await listen(server, port), messages, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+if (require.main === module) {
+    (async () => {
+        const smtp = await startFakeSmtp({ port: 2525, onMessage: message => console.log(`Mail to ${message.to.join(', ')}\n${message.data}\n`) });
+        const sms = await startFakeSmsGateway({ port: 2526, onMessage: message => console.log(`SMS to ${message.to}: ${message.text}\n`) });
+        console.log(`Fake SMTP on port ${smtp.port}, fake SMS gateway on port ${sms.port}`);
+    })();
+}
+
+module.exports = { startFakeSmtp, startFakeSmsGateway };
@@ -0,0 +1,295 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const { ethers } = require('ethers');
+const tf = require('@tensorflow/tfjs-node');
+const knowledge = require('./models/triage/knowledge.json');
+const { URGENCY_LEVELS } = require('./urgency');
+
+// Symptom triage: a small network bundled under models/triage ranks the conditions of the knowledge base for a
+// structured symptom report, and red-flag rules escalate presentations that need emergency care whatever the model
+// says. The full result goes back to the patient, who stores it encrypted; only the outcome doctors triage by (model
+// version, urgency, specialty) and the report's CID are kept here. Analyses are then routed to a doctor, who reviews
+// them in an encrypted document of their own; its CID, whether the doctor agreed with the model and the follow-ups
+// to prompt the patient with are kept alongside.
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS ai_reports (
+        analysis_id INTEGER PRIMARY KEY, patient TEXT NOT NULL, model_version TEXT NOT NULL, urgency TEXT NOT NULL,
+        specialty TEXT NOT NULL, cid TEXT, created_at INTEGER NOT NULL, assigned_doctor TEXT, review_cid TEXT,
+        reviewed_by TEXT, agreement TEXT, follow_up TEXT, reviewed_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS ai_reports_queue ON ai_reports (reviewed_at, assigned_doctor, specialty);
+`;
+
+const MODEL_DIR = path.join(__dirname, 'models', 'triage');
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+const SEXES = ['female', 'male', 'other'];
+const MAX_CONDITIONS = 5;
+const MIN_PROBABILITY = 0.01;
+const SAFETY_PROBABILITY = 0.2; // a more urgent condition at least this likely sets the urgency
+const LONG_STANDING_DAYS = 14;
+const AGREEMENTS = ['agree', 'override'];
+const FOLLOW_UPS = ['bookAppointment', 'orderLabTest'];
+const MAX_PAGE_SIZE = 100;
+const CID = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{58,})$/;
+
+const SYMPTOM_IDS = knowledge.symptoms.map(symptom => symptom.id);
+
+// Checked in order; each matching rule is reported and the most urgent one sets the floor. Emergencies go to
+// Emergency Medicine; otherwise a rule's specialty overrides the model's.
+const RED_FLAGS = [
+    {
+        id: 'stroke', urgency: 'emergency', message: 'Signs of a stroke: call emergency services now.',
+        test: (s) => s.has('facial_droop') || s.has('slurred_speech') || s.has('one_sided_weakness')
+    },
+    {
+        id: 'cardiac', urgency: 'emergency', message: 'Chest pain with breathlessness, fainting or over 40 can be a heart attack: call emergency services now.',
+        test: (s, { age }) => s.has('chest_pain') && (s.has('shortness_of_breath') || s.has('loss_of_consciousness') || age >= 40)
+    },
+    {
+        id: 'meningitis', urgency: 'emergency', message: 'Fever with a stiff neck can be meningitis: go to an emergency department now.',
+        test: (s) => s.has('fever') && s.has('stiff_neck')
+    },
+    {
+        id: 'breathing', urgency: 'emergency', message: 'Severe difficulty breathing: call emergency services now.',
+        test: (s, { severity }) => s.has('shortness_of_breath') && severity === 'severe'
+    },
+    {
+        id: 'unconscious', urgency: 'emergency', message: 'Loss of consciousness needs emergency assessment.',
+        test: (s) => s.has('loss_of_consciousness')
+    },
+    {
+        id: 'bleeding', urgency: 'emergency', message: 'Heavy bleeding: apply pressure and call emergency services now.',
+        test: (s) => s.has('severe_bleeding')
+    },
+    {
+        id: 'self_harm', urgency: 'emergency', message: 'You deserve support right now: call emergency services or a crisis line.',
+        test: (s) => s.has('suicidal_thoughts')
+    },
+    {
+        id: 'infant_fever', urgency: 'urgent', specialty: 'Pediatrics', message: 'Fever in a baby under 3 months needs to be seen by a doctor today.',
+        test: (s, { age }) => s.has('fever') && age < 0.25
+    },
+    {
+        id: 'confusion', urgency: 'urgent', message: 'New confusion needs to be seen by a doctor today.',
+        test: (s) => s.has('confusion')
+    }
+];
+
+const address = (value) => value.toLowerCase();
+const level = (urgency) => URGENCY_LEVELS.indexOf(urgency);
+
+// A structured symptom report: known symptom ids, age in years, sex, self-rated severity and days since onset.
+// Accepts the object or its JSON, as committed to in requestAISymptomAnalysis.
+function parseInput(value) {
+    let input = value;
+    if (typeof value === 'string') {
+        try {
+            input = JSON.parse(value);
+        } catch (error) {
+            throw new Error('Invalid symptom report');
+        }
+    }
+    const { symptoms, age, sex = 'other', severity = 'moderate', durationDays = 0 } = input || {};
+    if (!Array.isArray(symptoms) || symptoms.length === 0) throw new Error('Symptoms required');
+    const unknown = symptoms.find(symptom => !SYMPTOM_IDS.includes(symptom));
+    if (unknown !== undefined) throw new Error(`Unknown symptom: ${unknown}`);
+    if (typeof age !== 'number' || !(age >= 0 && age <= 120)) throw new Error('Invalid age');
+    if (!SEXES.includes(sex)) throw new Error('Invalid sex');
+    if (!SEVERITIES.includes(severity)) throw new Error('Invalid severity');
+    if (!Number.isInteger(durationDays) || durationDays < 0 || durationDays > 3650) throw new Error('Invalid duration');
+    return { symptoms: [...new Set(symptoms)].sort(), age, sex, severity, durationDays };
+}
+
+// What requestAISymptomAnalysis records instead of the report: keccak256 of a random salt and the report's JSON
+function symptomsCommitment(symptoms, salt) {
+    if (typeof symptoms !== 'string' || !ethers.utils.isHexString(salt, 32)) throw new Error('Invalid symptom report');
+    return ethers.utils.solidityKeccak256(['bytes32', 'string'], [salt, symptoms]);
+}
+
+// The model's input: one slot per symptom of the knowledge base
+function encodeSymptoms(symptoms) {
+    return SYMPTOM_IDS.map(id => (symptoms.includes(id) ? 1 : 0));
+}
+
+function redFlags(input) {
+    const present = new Set(input.symptoms);
+    return RED_FLAGS.filter(rule => rule.test(present, input)).map(({ test, ...flag }) => flag);
+}
+
+function requireCid(cid) {
+    if (typeof cid !== 'string' || !CID.test(cid)) throw new Error('Invalid CID');
+    return cid;
+}
+
+// What a review records besides its encrypted document: whether the doctor agreed with the model, and follow-ups
+// ({ action: 'bookAppointment' } or { action: 'orderLabTest', testType }) the patient is prompted with
+function validateReview({ agreement, followUp = [] } = {}) {
+    if (!AGREEMENTS.includes(agreement)) throw new Error(`Agreement must be one of ${AGREEMENTS.join(', ')}`);
+    if (!Array.isArray(followUp)) throw new Error('Invalid follow-up');
+    return {
+        agreement,
+        followUp: followUp.map(({ action, testType }) => {
+            if (!FOLLOW_UPS.includes(action)) throw new Error(`Unknown follow-up: ${action}`);
+            if (action !== 'orderLabTest') return { action };
+            if (typeof testType !== 'string' || !testType.trim() || testType.length > 100) throw new Error('Test type required');
+            return { action, testType: testType.trim() };
+        })
+    };
+}
+
+function readReport(row) {
+    return {
+        analysisId: row.analysis_id,
+        patient: row.patient,
+        modelVersion: row.model_version,
+        urgency: row.urgency,
+        specialty: row.specialty,
+        cid: row.cid,
+        assignedDoctor: row.assigned_doctor,
+        createdAt: row.created_at,
+        review: row.reviewed_at === null ? null : {
+            cid: row.review_cid, doctor: row.reviewed_by, agreement: row.agreement, followUp: JSON.parse(row.follow_up), reviewedAt: row.reviewed_at
+        }
+    };
+}
+
+function createTriage({ file = 'triage.db', modelDir = MODEL_DIR, now = () => Math.floor(Date.now() / 1000) }) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    let model;
+    // Loaded on first use; a model trained on another version of the knowledge base is refused
+    function loadModel() {
+        if (!model) {
+            model = tf.loadLayersModel(tf.io.fileSystem(path.join(modelDir, 'model.json'))).then(loaded => {
+                const [, inputs] = loaded.inputs[0].shape;
+                const [, outputs] = loaded.outputs[0].shape;
+                if (inputs !== SYMPTOM_IDS.length || outputs !== knowledge.conditions.length) {
+                    throw new Error('Triage model does not match its knowledge base');
+                }
+                return loaded;
+            });
+            model.catch(() => { model = undefined; });
+        }
+        return model;
+    }
+
+    // Ranked differential, urgency and the specialty to see, for a report from parseInput
+    async function analyze(input) {
+        const loaded = await loadModel();
+        const prediction = tf.tidy(() => loaded.predict(tf.tensor2d([encodeSymptoms(input.symptoms)])));
+        const probabilities = await prediction.data();
+        prediction.dispose();
+
+        const ranked = knowledge.conditions
+            .map((condition, i) => ({ ...condition, probability: probabilities[i] }))
+            .sort((a, b) => b.probability - a.probability);
+        let urgency = level(ranked[0].urgency);
+        for (const condition of ranked) {
+            if (condition.probability >= SAFETY_PROBABILITY) urgency = Math.max(urgency, level(condition.urgency));
+        }
+        if (input.severity === 'severe' && urgency < level('urgent')) urgency++;
+        if (input.durationDays > LONG_STANDING_DAYS) urgency = Math.max(urgency, level('routine'));
+        const flags = redFlags(input);
+        for (const flag of flags) urgency = Math.max(urgency, level(flag.urgency));
+
+        return {
+            modelVersion: knowledge.version,
+            urgency: URGENCY_LEVELS[urgency],
+            specialty: flags.some(flag => flag.urgency === 'emergency')
+                ? 'Emergency Medicine'
+                : (flags.find(flag => flag.specialty) || ranked[0]).specialty,
+            conditions: ranked
+                .filter(condition => condition.probability >= MIN_PROBABILITY)
+                .slice(0, MAX_CONDITIONS)
+                .map(({ id, name, specialty, probability }) => ({ id, name, specialty, probability: Math.round(probability * 1000) / 1000 })),
+            redFlags: flags
+        };
+    }
+
+    function record(analysisId, patient, result) {
+        db.prepare(`INSERT INTO ai_reports (analysis_id, patient, model_version, urgency, specialty, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)`).run(Number(analysisId), address(patient), result.modelVersion, result.urgency, result.specialty, now());
+    }
+
+    // The CID of the patient's encrypted copy of the result, which doctors open and review; set once
+    function attachReport(analysisId, patients, cid) {
+        requireCid(cid);
+        const row = db.prepare('SELECT patient, cid FROM ai_reports WHERE analysis_id = ?').get(Number(analysisId));
+        if (!row) throw new Error('Unknown analysis');
+        if (!patients.map(address).includes(row.patient)) throw new Error('Not your analysis');
+        if (row.cid) throw new Error('Report already attached');
+        db.prepare('UPDATE ai_reports SET cid = ? WHERE analysis_id = ?').run(cid, Number(analysisId));
+    }
+
+    function report(analysisId) {
+        const row = db.prepare('SELECT * FROM ai_reports WHERE analysis_id = ?').get(Number(analysisId));
+        return row ? readReport(row) : null;
+    }
+
+    function unreviewed(analysisId) {
+        const row = db.prepare('SELECT * FROM ai_reports WHERE analysis_id = ?').get(Number(analysisId));
+        if (!row) throw new Error('Unknown analysis');
+        if (row.reviewed_at !== null) throw new Error('Already reviewed');
+        return row;
+    }
+
+    // The patient sends an analysis to a doctor of their choice, replacing any earlier assignment
+    function assign(analysisId, patients, doctor) {
+        const row = unreviewed(analysisId);
+        if (!patients.map(address).includes(row.patient)) throw new Error('Not your analysis');
+        db.prepare('UPDATE ai_reports SET assigned_doctor = ? WHERE analysis_id = ?').run(address(doctor), Number(analysisId));
+    }
+
+    // A doctor takes an unassigned analysis from their specialty's queue
+    function claim(analysisId, doctor) {
+        const row = unreviewed(analysisId);
+        if (row.assigned_doctor && row.assigned_doctor !== address(doctor)) throw new Error('Assigned to another doctor');
+        db.prepare('UPDATE ai_reports SET assigned_doctor = ? WHERE analysis_id = ?').run(address(doctor), Number(analysisId));
+    }
+
+    // Unreviewed analyses with a report, assigned to one of `doctors` or unassigned in their specialty; most urgent first
+    function queue(doctors, specialty, { limit = 20, offset = 0 } = {}) {
+        const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE);
+        const skip = Math.max(Number(offset) || 0, 0);
+        const mine = doctors.map(address);
+        const where = `reviewed_at IS NULL AND cid IS NOT NULL AND (assigned_doctor IN (${mine.map(() => '?').join(', ')})
+            OR (assigned_doctor IS NULL AND specialty = ? COLLATE NOCASE))`;
+        const params = [...mine, specialty || ''];
+        const rank = `CASE urgency ${URGENCY_LEVELS.map((urgency, i) => `WHEN '${urgency}' THEN ${i}`).join(' ')} END`;
+        const items = db.prepare(`SELECT * FROM ai_reports WHERE ${where} ORDER BY ${rank} DESC, created_at, analysis_id LIMIT ? OFFSET ?`)
+            .all(...params, pageSize, skip).map(readReport);
+        const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ai_reports WHERE ${where}`).get(...params);
+        return { items, total, limit: pageSize, offset: skip };
+    }
+
+    // Checks a review before it goes on-chain: the reviewer holds the analysis and read the patient's actual report.
+    // `cid` is the review document's.
+    function checkReview(analysisId, doctors, { cid, reportCid, ...review }) {
+        const row = unreviewed(analysisId);
+        if (!row.cid) throw new Error('No report to review yet');
+        if (reportCid !== row.cid) throw new Error('Review must reference the analysis report');
+        if (!row.assigned_doctor) throw new Error('Claim the analysis first');
+        if (!doctors.map(address).includes(row.assigned_doctor)) throw new Error('Assigned to another doctor');
+        return { cid: requireCid(cid), ...validateReview(review) };
+    }
+
+    function recordReview(analysisId, doctor, { cid, agreement, followUp }) {
+        db.prepare(`UPDATE ai_reports SET review_cid = ?, reviewed_by = ?, agreement = ?, follow_up = ?, reviewed_at = ?
+            WHERE analysis_id = ?`).run(cid, address(doctor), agreement, JSON.stringify(followUp), now(), Number(analysisId));
+    }
+
+    // Analyses made within [from, to), with only the outcome research datasets draw on
+    function researchRecords(from, to) {
+        return db.prepare(`SELECT patient, specialty, urgency, model_version AS modelVersion, agreement, created_at AS createdAt
+            FROM ai_reports WHERE created_at >= ? AND created_at < ? ORDER BY analysis_id`).all(from, to);
+    }
+
+    return {
+        symptoms: knowledge.symptoms, analyze, record, attachReport, report, assign, claim, queue, checkReview, recordReview,
+        researchRecords, close: () => db.close()
+    };
+}
+
+module.exports = { URGENCY_LEVELS, parseInput, symptomsCommitment, encodeSymptoms, redFlags, validateReview, createTriage };
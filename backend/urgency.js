@@ -0,0 +1,4 @@
+// Triage urgency, least to most urgent: the triage engine grades analyses on it and data requests select by it
+const URGENCY_LEVELS = ['self-care', 'routine', 'urgent', 'emergency'];
+
+module.exports = { URGENCY_LEVELS };
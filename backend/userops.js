@@ -0,0 +1,202 @@
+const { ethers } = require('ethers');
+const { sameAddress } = require('./policy');
+
+// ERC-4337 v0.5 UserOperation, as accepted by EntryPoint.handleOps
+const USER_OPERATION = 'tuple(address sender, uint256 nonce, bytes initCode, bytes callData, uint256 callGasLimit, uint256 verificationGasLimit, uint256 preVerificationGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, bytes paymasterAndData, bytes signature)';
+
+const ENTRY_POINT_ABI = [
+    `function handleOps(${USER_OPERATION}[] ops, address beneficiary)`,
+    `function getUserOpHash(${USER_OPERATION} userOp) view returns (bytes32)`
+];
+const ACCOUNT_FACTORY_ABI = [
+    'function createAccount(address owner, uint256 salt) returns (address)',
+    'function getAddress(address owner, uint256 salt) view returns (address)'
+];
+const ACCOUNT_ABI = [
+    'function nonce() view returns (uint256)',
+    'function execute(address dest, uint256 value, bytes func)',
+    'function executeBatch(address[] dest, bytes[] func)'
+];
+const PAYMASTER_ABI = [
+    `function getHash(${USER_OPERATION} userOp, uint48 validUntil, uint48 validAfter) view returns (bytes32)`
+];
+const ERC20_APPROVE_ABI = ['function approve(address spender, uint256 amount) returns (bool)'];
+
+// Patient actions the paymaster pays for; anything else must be sent and paid for by the user.
+// `withdraw` is TelemedicinePayments' and collects refunds credited to the smart account; `grantConsent` and
+// `revokeConsent` are TelemedicineConsent's; `revokeContribution` and `withdrawEarnings` TelemedicineMarketplace's;
+// `claimRewards` TelemedicineRewards'.
+const SPONSORED_FUNCTIONS = [
+    'registerPatient',
+    'bookAppointment',
+    'requestAISymptomAnalysis',
+    'assignAISymptomAnalysis',
+    'toggleDataMonetization',
+    'updateMedicalHistory',
+    'cancelAppointment',
+    'rescheduleAppointment',
+    'markNoShow',
+    'withdraw',
+    'grantConsent',
+    'revokeConsent',
+    'revokeContribution',
+    'withdrawEarnings',
+    'claimRewards'
+];
+
+const CALL_GAS_LIMIT = 500000;
+const VERIFICATION_GAS_LIMIT = 150000;
+const DEPLOYMENT_GAS_LIMIT = 500000; // verification gas when the op also deploys the account
+const PRE_VERIFICATION_GAS = 50000;
+const SPONSORSHIP_TTL = 10 * 60; // seconds the paymaster signature stays valid
+const DAY = 24 * 60 * 60 * 1000;
+const PLACEHOLDER_SIGNATURE = `0x${'00'.repeat(65)}`;
+
+const accountInterface = new ethers.utils.Interface(ACCOUNT_ABI);
+const tokenInterface = new ethers.utils.Interface(ERC20_APPROVE_ABI);
+
+function createUserOps({ contract, payments, consent, marketplace, rewards, entryPoint, accountFactory, paymaster, paymasterSigner, sponsoredOpsPerDay }) {
+    const usage = new Map(); // owner => { day, count }
+    const actionContracts = [contract, payments, consent, marketplace, rewards].filter(Boolean);
+
+    // Decodes a call to TelemedicineSystem or one of its satellite contracts; undefined for any other target
+    function parseAction({ target, data }) {
+        const actionContract = actionContracts.find(c => sameAddress(c.address, target));
+        return actionContract && actionContract.interface.parseTransaction({ data });
+    }
+
+    const accountAddress = (owner) => accountFactory.getAddress(owner, 0);
+
+    async function isDeployed(account) {
+        return (await contract.provider.getCode(account)) !== '0x';
+    }
+
+    function usedToday(owner) {
+        const entry = usage.get(owner.toLowerCase());
+        return entry && entry.day === Math.floor(Date.now() / DAY) ? entry.count : 0;
+    }
+
+    function recordUse(owner) {
+        usage.set(owner.toLowerCase(), { day: Math.floor(Date.now() / DAY), count: usedToday(owner) + 1 });
+    }
+
+    // Applies the sponsorship policy to the account's calls; returns the decoded arguments of the sponsored action.
+    // Only token approvals to TelemedicineSystem may accompany the action, e.g. approve + bookAppointment in one batch.
+    async function checkCalls(calls, functionName) {
+        const tokens = [await contract.usdcToken(), await contract.sonicToken()];
+        let action;
+        for (const call of calls) {
+            const parsed = parseAction(call);
+            if (parsed) {
+                if (action) throw new Error('Call not sponsored');
+                if (parsed.name !== functionName) throw new Error('Request does not match route');
+                action = parsed.args;
+            } else if (tokens.some(token => sameAddress(token, call.target))) {
+                const approval = tokenInterface.parseTransaction({ data: call.data });
+                if (!sameAddress(approval.args.spender, contract.address)) throw new Error('Approval not sponsored');
+            } else {
+                throw new Error('Target not sponsored');
+            }
+        }
+        if (!action) throw new Error('Request does not match route');
+        return action;
+    }
+
+    function decodeCallData(callData) {
+        const call = accountInterface.parseTransaction({ data: callData });
+        if (call.name === 'execute') {
+            if (!call.args.value.isZero()) throw new Error('Sponsored calls cannot carry value');
+            return [{ target: call.args.dest, data: call.args.func }];
+        }
+        if (call.name === 'executeBatch') {
+            return call.args.dest.map((target, i) => ({ target, data: call.args.func[i] }));
+        }
+        throw new Error('Unsupported account call');
+    }
+
+    // Builds an unsigned, paymaster-sponsored operation for the owner's account; the owner signs `userOpHash`
+    async function prepare(owner, calls) {
+        const action = calls.map(parseAction).find(Boolean);
+        if (!action || !SPONSORED_FUNCTIONS.includes(action.name)) throw new Error('Call not sponsored');
+        await checkCalls(calls, action.name);
+        if (usedToday(owner) >= sponsoredOpsPerDay) throw new Error('Daily sponsorship limit reached');
+
+        const sender = await accountAddress(owner);
+        const deployed = await isDeployed(sender);
+        const { maxFeePerGas, maxPriorityFeePerGas } = await contract.provider.getFeeData();
+        const userOp = {
+            sender,
+            nonce: deployed ? (await new ethers.Contract(sender, ACCOUNT_ABI, contract.provider).nonce()).toHexString() : '0x0',
+            initCode: deployed ? '0x' : ethers.utils.hexConcat([
+                accountFactory.address,
+                accountFactory.interface.encodeFunctionData('createAccount', [owner, 0])
+            ]),
+            callData: calls.length === 1
+                ? accountInterface.encodeFunctionData('execute', [calls[0].target, 0, calls[0].data])
+                : accountInterface.encodeFunctionData('executeBatch', [calls.map(c => c.target), calls.map(c => c.data)]),
+            callGasLimit: ethers.utils.hexValue(CALL_GAS_LIMIT),
+            verificationGasLimit: ethers.utils.hexValue(deployed ? VERIFICATION_GAS_LIMIT : DEPLOYMENT_GAS_LIMIT),
+            preVerificationGas: ethers.utils.hexValue(PRE_VERIFICATION_GAS),
+            maxFeePerGas: maxFeePerGas.toHexString(),
+            maxPriorityFeePerGas: maxPriorityFeePerGas.toHexString(),
+            paymasterAndData: '0x',
+            signature: '0x'
+        };
+
+        // getHash covers the encoded op up to paymasterAndData, including the signature's offset, so it must be
+        // computed with a placeholder of the final length
+        const validUntil = (await contract.provider.getBlock('latest')).timestamp + SPONSORSHIP_TTL;
+        const validity = ethers.utils.defaultAbiCoder.encode(['uint48', 'uint48'], [validUntil, 0]);
+        userOp.paymasterAndData = ethers.utils.hexConcat([paymaster.address, validity, PLACEHOLDER_SIGNATURE]);
+        const sponsorHash = await paymaster.getHash(userOp, validUntil, 0);
+        userOp.paymasterAndData = ethers.utils.hexConcat([
+            paymaster.address,
+            validity,
+            await paymasterSigner.signMessage(ethers.utils.arrayify(sponsorHash))
+        ]);
+        return { userOp, userOpHash: await entryPoint.getUserOpHash(userOp) };
+    }
+
+    // Checks that a signed operation comes from the caller's account and performs the route's sponsored action;
+    // returns the decoded call arguments
+    async function verifyUserOp(functionName, userOp, owner) {
+        if (!SPONSORED_FUNCTIONS.includes(functionName)) throw new Error('Call not sponsored');
+        if (!sameAddress(userOp.sender, await accountAddress(owner))) throw new Error('Operation not from caller account');
+        if (!sameAddress(ethers.utils.hexDataSlice(userOp.paymasterAndData, 0, 20), paymaster.address)) {
+            throw new Error('Operation not sponsored');
+        }
+        const userOpHash = await entryPoint.getUserOpHash(userOp);
+        if (!sameAddress(ethers.utils.verifyMessage(ethers.utils.arrayify(userOpHash), userOp.signature), owner)) {
+            throw new Error('Operation not signed by caller');
+        }
+        if (usedToday(owner) >= sponsoredOpsPerDay) throw new Error('Daily sponsorship limit reached');
+        return checkCalls(decodeCallData(userOp.callData), functionName);
+    }
+
+    const requireUserOp = (functionName) => async (req, res, next) => {
+        try {
+            req.intent = await verifyUserOp(functionName, req.body.userOp, req.user.address);
+            next();
+        } catch (error) {
+            res.status(403).json({ error: error.message });
+        }
+    };
+
+    // Bundles the operation through the EntryPoint; the server wallet is reimbursed from the paymaster deposit
+    async function submit(userOp, owner) {
+        recordUse(owner);
+        const tx = await entryPoint.handleOps([userOp], await entryPoint.signer.getAddress());
+        await tx.wait();
+        return tx.hash;
+    }
+
+    return { accountAddress, isDeployed, prepare, verifyUserOp, requireUserOp, submit };
+}
+
+module.exports = {
+    ENTRY_POINT_ABI,
+    ACCOUNT_FACTORY_ABI,
+    PAYMASTER_ABI,
+    SPONSORED_FUNCTIONS,
+    createUserOps
+};
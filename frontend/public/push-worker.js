@@ -0,0 +1,10 @@
+// Shows the backend's web push notifications ({ title, body, url }) and opens the dashboard when one is clicked
+self.addEventListener('push', (event) => {
+  const { title, body, url } = event.data.json();
+  event.waitUntil(self.registration.showNotification(title, { body, data: { url } }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data.url || '/'));
+});
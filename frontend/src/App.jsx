@@ -1,20 +1,1505 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Formik, Form, Field, ErrorMessage } from 'formik';
+import { Formik, Form, Field, FieldArray, ErrorMessage, useFormikContext } from 'formik';
 import * as Yup from 'yup';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Web3 from 'web3';
-import QRCode from 'react-qr-code';
+import { ethers } from 'ethers';
+import { signIntent, PAYMENTS, CONSENT, MARKETPLACE, REWARDS } from './intents';
+import { signUserOp, telemedicineCall, paymentsCall, consentCall, marketplaceCall, rewardsCall, approveCall } from './userOps';
+import { TELEMEDICINE_ABI, ERC20_ABI } from './contract';
+import { connectNotifications, subscribeToPush } from './notifications';
+import { publishEncryptionKey, createPatientKey, uploadEncrypted, openEncrypted, shareAccess, revokeAccess, accessRecipients } from './medicalFiles';
 
-const App = ({ account, signer, token }) => {
+const PAGE_SIZE = 10;
+const APPOINTMENT_STATUSES = ['Pending', 'Confirmed', 'Completed', 'Cancelled', 'Emergency', 'No-Show'];
+const PRESCRIPTION_STATUSES = ['Generated', 'Verified', 'Fulfilled', 'Cancelled'];
+const LAB_TEST_STATUSES = ['Requested', 'Collected', 'ResultsUploaded', 'Reviewed'];
+const CONSENT_SCOPES = [['appointments', 1, 'Appointments'], ['labs', 2, 'Labs'], ['prescriptions', 4, 'Prescriptions'], ['aiAnalyses', 8, 'AI Analyses'], ['history', 16, 'Medical History']];
+const AI_ANALYSES_SCOPE = 8;
+const URGENCY_LEVELS = ['self-care', 'routine', 'urgent', 'emergency'];
+const DATA_KINDS = [['aiAnalyses', 'AI analyses'], ['labResults', 'Lab results']];
+// What workflow events tell the user; every event also reloads what it may have changed
+const EVENT_MESSAGES = {
+  appointmentBooked: (id) => `Appointment ${id} booked`,
+  appointmentConfirmed: (id) => `Appointment ${id} confirmed`,
+  appointmentCancelled: (id) => `Appointment ${id} cancelled`,
+  appointmentRescheduled: (id) => `Appointment ${id} rescheduled`,
+  appointmentCompleted: (id) => `Appointment ${id} completed`,
+  appointmentNoShow: (id) => `Appointment ${id} marked as a no-show`,
+  labTestOrdered: (id) => `Lab test ${id} ordered`,
+  labTestAssigned: (id) => `Lab test ${id} assigned to a lab`,
+  labSampleCollected: (id) => `Sample collected for lab test ${id}`,
+  labSampleRejected: (id) => `Lab test ${id} needs its sample collected again`,
+  labCustodyLogged: (id, { stage }) => `Lab test ${id} sample ${CUSTODY_LABELS[stage] || stage}`,
+  labResultsReady: (id) => `Results ready for lab test ${id}`,
+  labTestReviewed: (id) => `Lab test ${id} reviewed`,
+  labTestOverdue: (id) => `Lab test ${id} is overdue`,
+  prescriptionIssued: (id) => `Prescription ${id} issued`,
+  prescriptionVerified: (id) => `Prescription ${id} verified by the pharmacy`,
+  prescriptionFilled: (id) => `Prescription ${id} filled`,
+  prescriptionFulfilled: (id) => `Prescription ${id} fulfilled`,
+  prescriptionCancelled: (id) => `Prescription ${id} cancelled`,
+  aiAnalysisRequested: (id) => `AI analysis ${id} waiting for review`,
+  aiAnalysisAssigned: (id) => `AI analysis ${id} assigned`,
+  aiAnalysisReviewed: (id) => `AI analysis ${id} reviewed`,
+  rewardPaid: (id, { amount }) => `Data reward of ${ethers.utils.formatEther(amount)} SONIC paid`,
+  dataSharingUpdated: (id, { enabled }) => `Data sharing ${enabled ? 'enabled' : 'disabled'}`,
+  consultationFeeUpdated: () => 'Consultation fee updated'
+};
+const DATA_STATUS_EVENTS = ['rewardPaid', 'dataSharingUpdated'];
+// Settled fees and refunds change what can be withdrawn
+const PAYOUT_EVENTS = ['appointmentCancelled', 'appointmentCompleted', 'appointmentNoShow'];
+// Each view follows its role's open work besides the user's own records
+const ROLE_NAMES = { patient: 'PATIENT_ROLE', doctor: 'DOCTOR_ROLE', labTech: 'LAB_TECH_ROLE', pharmacy: 'PHARMACY_ROLE', researcher: 'RESEARCHER_ROLE' };
+
+const NO_PAYOUTS = { currencies: [], platformFeeBps: 0 };
+const formatAmount = (amount, decimals) => ethers.utils.formatUnits(amount, decimals);
+
+const downloadFile = (bytes, name) => {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([bytes]));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+};
+
+const fetchQuote = async (token, doctor, paymentType) => {
+  const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/quote`, { params: { doctor, paymentType }, headers: { Authorization: `Bearer ${token}` } });
+  return data;
+};
+
+// Current price of the chosen doctor's USD fee in the selected currency
+const BookingQuote = ({ token }) => {
+  const { values } = useFormikContext();
+  const [quote, setQuote] = useState(null);
+
+  useEffect(() => {
+    setQuote(null);
+    if (!/^0x[a-fA-F0-9]{40}$/.test(values.doctorAddress)) return;
+    fetchQuote(token, values.doctorAddress, Number(values.paymentType)).then(setQuote).catch(() => {});
+  }, [token, values.doctorAddress, values.paymentType]);
+
+  if (!quote) return null;
+  return (
+    <p className="text-sm">
+      Fee: ${ethers.utils.formatEther(quote.usdFee)} ≈ {formatAmount(quote.amount, quote.decimals)} {quote.currency} (at most {formatAmount(quote.maxAmount, quote.decimals)} with {quote.slippageBps / 100}% slippage)
+    </p>
+  );
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SLOT_MINUTES = [15, 20, 30, 45, 60, 90, 120];
+const formatSlot = (slot) => new Date(slot * 1000).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+const toUnix = (local) => Math.floor(new Date(local).getTime() / 1000);
+
+// A doctor's free slots over the next week, in the patient's local time, bound to the form's `timestamp` field
+const SlotPicker = ({ token, doctor }) => {
+  const [slots, setSlots] = useState(null);
+
+  useEffect(() => {
+    setSlots(null);
+    if (!/^0x[a-fA-F0-9]{40}$/.test(doctor || '')) return;
+    axios.get(`${process.env.REACT_APP_API_URL}/doctors/${doctor}/slots`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(({ data }) => setSlots(data.slots))
+      .catch(() => toast.error('Failed to load free slots'));
+  }, [token, doctor]);
+
+  return (
+    <Field name="timestamp" as="select" disabled={!slots} className="w-full p-2 border">
+      <option value="">{!slots ? 'Enter a doctor to see free slots' : slots.length ? 'Choose a slot' : 'No free slots this week'}</option>
+      {(slots || []).map(slot => <option key={slot} value={slot}>{formatSlot(slot)}</option>)}
+    </Field>
+  );
+};
+
+// Doctors publish one opening window per weekday in their own time zone, a slot length, and time off
+const AvailabilityEditor = ({ token }) => {
+  const [availability, setAvailability] = useState({ schedule: null, timeOff: [] });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/doctor/availability`, { headers });
+    setAvailability(data);
+  };
+
+  useEffect(() => {
+    load().catch(() => toast.error('Failed to load availability'));
+  }, [token]);
+
+  const { schedule, timeOff } = availability;
+  const initialValues = {
+    timeZone: schedule?.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    slotMinutes: schedule?.slotMinutes || 30,
+    days: WEEKDAYS.map((_, day) => {
+      const window = schedule?.weekly.find(w => w.day === day);
+      return { start: window?.start || '', end: window?.end || '' };
+    })
+  };
+
+  const saveSchedule = async ({ timeZone, slotMinutes, days }) => {
+    const weekly = days.map((hours, day) => ({ day, ...hours })).filter(w => w.start && w.end);
+    try {
+      await axios.put(`${process.env.REACT_APP_API_URL}/doctor/availability`, { timeZone, slotMinutes: Number(slotMinutes), weekly }, { headers });
+      toast.success('Availability saved');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save availability');
+    }
+  };
+
+  const addTimeOff = async (values, { resetForm }) => {
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/doctor/time-off`, { start: toUnix(values.start), end: toUnix(values.end), reason: values.reason }, { headers });
+      resetForm();
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to add time off');
+    }
+  };
+
+  const removeTimeOff = async (id) => {
+    await axios.delete(`${process.env.REACT_APP_API_URL}/doctor/time-off/${id}`, { headers });
+    load();
+  };
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Availability</h2>
+      <Formik initialValues={initialValues} enableReinitialize onSubmit={saveSchedule}>
+        {({ isSubmitting }) => (
+          <Form className="space-y-2">
+            <div className="space-x-2">
+              <Field name="timeZone" placeholder="Time zone (e.g. Europe/Berlin)" className="p-2 border" />
+              <Field name="slotMinutes" as="select" className="p-2 border">
+                {SLOT_MINUTES.map(minutes => <option key={minutes} value={minutes}>{minutes} min slots</option>)}
+              </Field>
+            </div>
+            {WEEKDAYS.map((name, day) => (
+              <div key={name} className="space-x-2">
+                <span className="inline-block w-24">{name}</span>
+                <Field name={`days.${day}.start`} type="time" className="p-1 border" />
+                <Field name={`days.${day}.end`} type="time" className="p-1 border" />
+              </div>
+            ))}
+            <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Save Hours</button>
+          </Form>
+        )}
+      </Formik>
+      <h3 className="text-lg mt-2">Time Off</h3>
+      {timeOff.map(off => (
+        <p key={off.id}>
+          {formatSlot(off.start)} – {formatSlot(off.end)} {off.reason}
+          <button onClick={() => removeTimeOff(off.id)} className="text-red-500 ml-2">Remove</button>
+        </p>
+      ))}
+      <Formik initialValues={{ start: '', end: '', reason: '' }} onSubmit={addTimeOff}>
+        {({ isSubmitting }) => (
+          <Form className="space-x-2 mt-2">
+            <Field name="start" type="datetime-local" className="p-2 border" />
+            <Field name="end" type="datetime-local" className="p-2 border" />
+            <Field name="reason" placeholder="Reason" className="p-2 border" />
+            <button type="submit" disabled={isSubmitting} className="bg-gray-500 text-white p-2 rounded">Add Time Off</button>
+          </Form>
+        )}
+      </Formik>
+    </div>
+  );
+};
+
+const IPFS_GATEWAY = process.env.REACT_APP_IPFS_GATEWAY || 'https://ipfs.io/ipfs';
+const formatRating = ({ average, count }) => (count ? `★ ${average.toFixed(1)} (${count})` : 'No ratings yet');
+
+// Verified doctors by specialty, language, USD fee and free slots this week; choosing one fills the booking form
+const DoctorDirectory = ({ token, onSelect }) => {
+  const [results, setResults] = useState({ items: [], total: 0 });
+
+  const search = async ({ specialty, language, maxFee, availableThisWeek }) => {
+    const now = Math.floor(Date.now() / 1000);
+    const params = { specialty, language, maxFee, ...(availableThisWeek && { availableFrom: now, availableTo: now + 7 * 86400 }) };
+    try {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/doctors`, { params, headers: { Authorization: `Bearer ${token}` } });
+      setResults(data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Search failed');
+    }
+  };
+
+  useEffect(() => {
+    search({});
+  }, [token]);
+
+  return (
+    <div className="mb-4">
+      <h2 className="text-xl">Find a Doctor</h2>
+      <Formik initialValues={{ specialty: '', language: '', maxFee: '', availableThisWeek: false }} onSubmit={search}>
+        {({ isSubmitting }) => (
+          <Form className="space-x-2">
+            <Field name="specialty" placeholder="Specialty" className="p-2 border" />
+            <Field name="language" placeholder="Language" className="p-2 border" />
+            <Field name="maxFee" type="number" placeholder="Max fee (USD)" className="p-2 border" />
+            <label><Field name="availableThisWeek" type="checkbox" /> Free this week</label>
+            <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Search</button>
+          </Form>
+        )}
+      </Formik>
+      {results.items.map(doctor => (
+        <div key={doctor.address} className="p-4 border mt-2 flex space-x-4">
+          {doctor.photoCid && <img src={`${IPFS_GATEWAY}/${doctor.photoCid}`} alt={doctor.name} className="w-16 h-16 rounded-full" />}
+          <div>
+            <p className="font-bold">{doctor.name} · {doctor.specialty}</p>
+            <p>{doctor.languages.join(', ')} · ${ethers.utils.formatEther(doctor.consultationFee)} · {formatRating(doctor.rating)}</p>
+            {doctor.bio && <p className="text-sm">{doctor.bio}</p>}
+            {doctor.nextSlot && <p className="text-sm">Next free: {formatSlot(doctor.nextSlot)}</p>}
+            <button onClick={() => onSelect(doctor.address)} className="bg-green-500 text-white p-2 rounded mt-2">Book</button>
+          </div>
+        </div>
+      ))}
+      {results.total === 0 && <p>No doctors match.</p>}
+    </div>
+  );
+};
+
+// A doctor's public listing, as shown in the directory
+const ProfileEditor = ({ token, account }) => {
+  const [profile, setProfile] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    axios.get(`${process.env.REACT_APP_API_URL}/doctors/${account}`, { headers })
+      .then(({ data }) => setProfile(data))
+      .catch(() => setProfile(null));
+  }, [token, account]);
+
+  const save = async ({ languages, ...values }) => {
+    try {
+      const { data } = await axios.put(`${process.env.REACT_APP_API_URL}/doctor/profile`, { ...values, languages: languages.split(',').map(l => l.trim()).filter(Boolean) }, { headers });
+      setProfile({ ...profile, ...data.profile });
+      toast.success('Profile saved');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save profile');
+    }
+  };
+
+  const initialValues = {
+    name: profile?.name || '', specialty: profile?.specialty || '', languages: (profile?.languages || []).join(', '),
+    bio: profile?.bio || '', photoCid: profile?.photoCid || ''
+  };
+
+  return (
+    <div className="mb-4">
+      <h2 className="text-xl">Directory Profile</h2>
+      {profile?.rating && <p>{formatRating(profile.rating)}</p>}
+      <Formik initialValues={initialValues} enableReinitialize onSubmit={save}>
+        {({ isSubmitting }) => (
+          <Form className="space-y-2">
+            <Field name="name" placeholder="Name" className="w-full p-2 border" />
+            <Field name="specialty" placeholder="Specialty" className="w-full p-2 border" />
+            <Field name="languages" placeholder="Languages (comma separated)" className="w-full p-2 border" />
+            <Field name="bio" as="textarea" placeholder="Bio" className="w-full p-2 border" />
+            <Field name="photoCid" placeholder="Photo IPFS CID" className="w-full p-2 border" />
+            <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Save Profile</button>
+          </Form>
+        )}
+      </Formik>
+    </div>
+  );
+};
+
+const NOTIFICATION_TOPICS = [['appointments', 'Appointments'], ['reminders', 'Reminders'], ['labs', 'Lab tests'], ['prescriptions', 'Prescriptions']];
+const NOTIFICATION_CHANNELS = { email: 'Email', sms: 'SMS', push: 'Browser' };
+
+// Where the user hears of workflow steps while the dashboard is closed
+const NotificationSettings = ({ token }) => {
+  const [settings, setSettings] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/notifications/settings`, { headers });
+    setSettings(data);
+  };
+
+  useEffect(() => {
+    load().catch(() => setSettings(null));
+  }, [token]);
+
+  const save = async (values) => {
+    try {
+      await axios.put(`${process.env.REACT_APP_API_URL}/notifications/settings`, values, { headers });
+      toast.success('Notification settings saved');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to save notification settings');
+    }
+  };
+
+  const enablePush = async () => {
+    try {
+      const subscription = await subscribeToPush(settings.pushKey);
+      await axios.post(`${process.env.REACT_APP_API_URL}/notifications/push-subscriptions`, { subscription }, { headers });
+      toast.success('Browser notifications enabled');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message || 'Failed to enable browser notifications');
+    }
+  };
+
+  if (!settings || settings.channels.length === 0) return null;
+  const initialValues = {
+    email: settings.email || '',
+    phone: settings.phone || '',
+    timeZone: settings.email || settings.phone ? settings.timeZone : Intl.DateTimeFormat().resolvedOptions().timeZone,
+    preferences: settings.preferences
+  };
+
+  return (
+    <details className="mb-4">
+      <summary className="text-xl cursor-pointer">Notifications</summary>
+      <Formik initialValues={initialValues} enableReinitialize onSubmit={save}>
+        {({ isSubmitting }) => (
+          <Form className="space-y-2 mt-2">
+            {settings.channels.includes('email') && <Field name="email" type="email" placeholder="Email" className="w-full p-2 border" />}
+            {settings.channels.includes('sms') && <Field name="phone" placeholder="Mobile number (e.g. +14155550123)" className="w-full p-2 border" />}
+            <Field name="timeZone" placeholder="Time zone (e.g. Europe/Berlin)" className="w-full p-2 border" />
+            <table>
+              <thead>
+                <tr><th />{settings.channels.map(channel => <th key={channel} className="px-2">{NOTIFICATION_CHANNELS[channel]}</th>)}</tr>
+              </thead>
+              <tbody>
+                {NOTIFICATION_TOPICS.map(([topic, label]) => (
+                  <tr key={topic}>
+                    <td>{label}</td>
+                    {settings.channels.map(channel => (
+                      <td key={channel} className="px-2 text-center"><Field type="checkbox" name={`preferences.${topic}.${channel}`} /></td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Save</button>
+          </Form>
+        )}
+      </Formik>
+      {settings.pushKey && (
+        <p className="mt-2">
+          {settings.pushSubscriptions} browser(s) subscribed
+          <button onClick={enablePush} className="bg-gray-500 text-white p-1 rounded ml-2">Notify This Browser</button>
+        </p>
+      )}
+      {settings.deliveries.some(delivery => delivery.status === 'failed') && (
+        <p className="text-red-500 mt-2">Some notifications could not be sent; check your contact details.</p>
+      )}
+    </details>
+  );
+};
+
+const readText = async (signer, token, cid) => new TextDecoder().decode(await openEncrypted(signer, token, cid));
+
+// Symptom reports are JSON (see the backend's triage.parseInput); analyses from before hold free text
+const symptomSummary = (symptoms) => {
+  try {
+    const input = JSON.parse(symptoms);
+    return `${input.symptoms.map(id => id.replace(/_/g, ' ')).join(', ')} · age ${input.age} · ${input.severity} · ${input.durationDays} days`;
+  } catch (error) {
+    return symptoms;
+  }
+};
+
+const TriageResult = ({ analysis }) => (
+  <div className="mt-2">
+    {analysis.redFlags.map(flag => <p key={flag.id} className="text-red-600 font-bold">{flag.message}</p>)}
+    <p>Urgency: {analysis.urgency} · See: {analysis.specialty}</p>
+    <ul className="text-sm">
+      {analysis.conditions.map(condition => <li key={condition.id}>{condition.name}: {Math.round(condition.probability * 100)}%</li>)}
+    </ul>
+    <p className="text-xs text-gray-500">Model {analysis.modelVersion}. Not a diagnosis; a doctor reviews every analysis.</p>
+  </div>
+);
+
+// The on-chain commitment to a symptom report, as requestAISymptomAnalysis records it
+const commitSymptoms = (symptoms, salt) => ethers.utils.solidityKeccak256(['bytes32', 'string'], [salt, symptoms]);
+
+// Structured symptom report for the triage model. Only a salted commitment to it goes on-chain; the report and its
+// result are stored encrypted for the reviewing doctor
+const SymptomChecker = ({ signer, token, patient, sponsored, onAnalyzed }) => {
+  const [symptoms, setSymptoms] = useState([]);
+  const [analysis, setAnalysis] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    axios.get(`${process.env.REACT_APP_API_URL}/triage/symptoms`, { headers })
+      .then(({ data }) => setSymptoms(data.symptoms))
+      .catch(() => {});
+  }, [token]);
+
+  const analyze = async (values) => {
+    try {
+      const input = { symptoms: values.symptoms, age: Number(values.age), sex: values.sex, severity: values.severity, durationDays: Number(values.durationDays) };
+      const symptoms = JSON.stringify(input);
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const args = [commitSymptoms(symptoms, salt)];
+      const action = sponsored
+        ? await signUserOp(signer, token, [telemedicineCall('requestAISymptomAnalysis', args)])
+        : await signIntent(signer, 'requestAISymptomAnalysis', args);
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/analyze-symptoms`, { ...action, symptoms, salt }, { headers });
+      setAnalysis(data.analysis);
+      const cid = await uploadEncrypted(signer, token, patient, JSON.stringify({ symptoms, salt, analysis: data.analysis }));
+      await axios.post(`${process.env.REACT_APP_API_URL}/ai-analysis/${data.analysisId}/report`, { cid }, { headers });
+      toast.success('Analysis stored for doctor review');
+      onAnalyzed();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Symptom Checker</h2>
+      <Formik
+        initialValues={{ symptoms: [], age: '', sex: 'other', severity: 'moderate', durationDays: 1 }}
+        validationSchema={Yup.object({
+          symptoms: Yup.array().min(1, 'Select at least one symptom'),
+          age: Yup.number().min(0).max(120).required(),
+          durationDays: Yup.number().integer().min(0).required()
+        })}
+        onSubmit={analyze}
+      >
+        {({ isSubmitting }) => (
+          <Form className="space-y-2">
+            <div className="grid grid-cols-2">
+              {symptoms.map(symptom => (
+                <label key={symptom.id}><Field type="checkbox" name="symptoms" value={symptom.id} /> {symptom.label}</label>
+              ))}
+            </div>
+            <ErrorMessage name="symptoms" component="div" className="text-red-500" />
+            <div><Field name="age" type="number" step="any" placeholder="Age (years)" className="w-full p-2 border" /><ErrorMessage name="age" component="div" className="text-red-500" /></div>
+            <Field name="sex" as="select" className="w-full p-2 border"><option value="female">Female</option><option value="male">Male</option><option value="other">Other</option></Field>
+            <Field name="severity" as="select" className="w-full p-2 border"><option value="mild">Mild</option><option value="moderate">Moderate</option><option value="severe">Severe</option></Field>
+            <div><Field name="durationDays" type="number" placeholder="Days since symptoms started" className="w-full p-2 border" /><ErrorMessage name="durationDays" component="div" className="text-red-500" /></div>
+            <button type="submit" disabled={isSubmitting} className="bg-green-500 text-white p-2 rounded">Analyze Symptoms</button>
+          </Form>
+        )}
+      </Formik>
+      {analysis && <TriageResult analysis={analysis} />}
+    </div>
+  );
+};
+
+// A doctor's view of a queued analysis: the outcome from the index, the patient's encrypted report on demand, and
+// once claimed, the review form. The review is stored encrypted for the patient; only its CID goes on-chain
+const AIAnalysisReview = ({ signer, token, analysis, onClaim, onReview }) => {
+  const [report, setReport] = useState(null);
+
+  const open = async () => {
+    try {
+      setReport(JSON.parse(await readText(signer, token, analysis.report.cid)));
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const review = async ({ diagnosis, agreement, urgency, specialty, notes, bookAppointment, orderLabTest, testType }) => {
+    try {
+      const followUp = [
+        ...(bookAppointment ? [{ action: 'bookAppointment' }] : []),
+        ...(orderLabTest ? [{ action: 'orderLabTest', testType }] : [])
+      ];
+      const document = {
+        analysisId: analysis.id,
+        reportCid: analysis.report.cid,
+        diagnosis,
+        agreement,
+        override: agreement === 'override' ? { urgency, specialty } : null,
+        notes,
+        followUp
+      };
+      const cid = await uploadEncrypted(signer, token, analysis.patient, JSON.stringify(document));
+      await onReview(analysis, cid, { reportCid: analysis.report.cid, agreement, followUp });
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  if (analysis.restricted) return <p>Needs the patient's consent to view</p>;
+  const symptoms = report ? report.symptoms : analysis.symptoms;
+  return (
+    <div>
+      {symptoms && <p>Symptoms: {symptomSummary(symptoms)}</p>}
+      {report && commitSymptoms(report.symptoms, report.salt) !== analysis.symptomsHash && (
+        <p className="text-red-500">This report does not match the patient's on-chain commitment</p>
+      )}
+      {analysis.symptomsMigrated && <p className="text-gray-500">Requested before symptom commitments: only an unsalted hash of the symptoms remains on-chain</p>}
+      <p>Urgency: {analysis.report.urgency} · {analysis.report.specialty}{analysis.report.assignedDoctor ? '' : ' · unassigned'}</p>
+      {report && <TriageResult analysis={report.analysis} />}
+      {!report && <button onClick={open} className="bg-gray-500 text-white p-2 rounded mr-2">Open Report</button>}
+      {!analysis.report.assignedDoctor && <button onClick={() => onClaim(analysis.id)} className="bg-blue-500 text-white p-2 rounded">Claim</button>}
+      {analysis.report.assignedDoctor && report && (
+        <Formik
+          initialValues={{ diagnosis: '', agreement: 'agree', urgency: analysis.report.urgency, specialty: analysis.report.specialty, notes: '', bookAppointment: false, orderLabTest: false, testType: '' }}
+          validationSchema={Yup.object({
+            diagnosis: Yup.string().required(),
+            testType: Yup.string().when('orderLabTest', { is: true, then: Yup.string().max(100).required() })
+          })}
+          onSubmit={review}
+        >
+          {({ isSubmitting, values }) => (
+            <Form className="space-y-2 mt-2">
+              <div><Field name="diagnosis" placeholder="Diagnosis" className="w-full p-2 border" /><ErrorMessage name="diagnosis" component="div" className="text-red-500" /></div>
+              <div className="space-x-4">
+                <label><Field type="radio" name="agreement" value="agree" /> Agree with the AI result</label>
+                <label><Field type="radio" name="agreement" value="override" /> Override</label>
+              </div>
+              {values.agreement === 'override' && (
+                <div className="flex space-x-2">
+                  <Field name="urgency" as="select" className="p-2 border">{URGENCY_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}</Field>
+                  <Field name="specialty" placeholder="Specialty to see" className="p-2 border" />
+                </div>
+              )}
+              <Field name="notes" as="textarea" placeholder="Notes for the patient" className="w-full p-2 border" />
+              <div className="space-x-4">
+                <label><Field type="checkbox" name="bookAppointment" /> Book an appointment</label>
+                <label><Field type="checkbox" name="orderLabTest" /> Order a lab test</label>
+              </div>
+              {values.orderLabTest && <div><LabTestPicker token={token} /><ErrorMessage name="testType" component="div" className="text-red-500" /></div>}
+              <button type="submit" disabled={isSubmitting} className="bg-yellow-500 text-white p-2 rounded">Submit Review</button>
+            </Form>
+          )}
+        </Formik>
+      )}
+    </div>
+  );
+};
+
+// A patient's analysis: where it is in the review queue, sending it to a doctor (with the consent and file access
+// they need to read it), and the doctor's review once done
+const AIAnalysisStatus = ({ signer, token, patient, sponsored, analysis, onBook }) => {
+  const [review, setReview] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+  const { report } = analysis;
+
+  const send = async ({ doctor }) => {
+    try {
+      // Adds AI analyses to any grant the doctor already holds rather than narrowing it
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/consents/${patient}`, { headers });
+      const existing = data.grants.find(g => g.provider.toLowerCase() === doctor.toLowerCase() && g.expiresAt * 1000 > Date.now());
+      const args = [
+        doctor,
+        (existing ? existing.scopes : 0) | AI_ANALYSES_SCOPE,
+        Math.max(existing ? existing.expiresAt : 0, Math.floor(Date.now() / 1000) + 30 * 24 * 3600)
+      ];
+      const action = sponsored
+        ? await signUserOp(signer, token, [consentCall('grantConsent', args)])
+        : await signIntent(signer, 'grantConsent', args, CONSENT);
+      await axios.post(`${process.env.REACT_APP_API_URL}/consents`, action, { headers });
+      await shareAccess(signer, token, patient, doctor);
+      const assignment = sponsored
+        ? await signUserOp(signer, token, [telemedicineCall('assignAISymptomAnalysis', [analysis.id, doctor])])
+        : await signIntent(signer, 'assignAISymptomAnalysis', [analysis.id, doctor]);
+      await axios.post(`${process.env.REACT_APP_API_URL}/ai-analysis/${analysis.id}/assign`, assignment, { headers });
+      toast.success('Sent for review');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const open = async () => {
+    try {
+      setReview(JSON.parse(await readText(signer, token, report.review.cid)));
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  if (!report) return <p>AI Analysis {analysis.id} · {analysis.doctorReviewed ? 'Reviewed' : 'Pending'}</p>;
+  return (
+    <div>
+      <p>
+        AI Analysis {analysis.id} · {report.urgency} · {report.review
+          ? `Reviewed by ${report.review.doctor}`
+          : report.assignedDoctor ? `With ${report.assignedDoctor}` : `Waiting for a ${report.specialty} doctor`}
+      </p>
+      {!report.review && report.cid && (
+        <Formik initialValues={{ doctor: '' }} validationSchema={Yup.object({ doctor: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address').required() })} onSubmit={send}>
+          {({ isSubmitting }) => (
+            <Form className="inline-flex space-x-2 mt-2">
+              <Field name="doctor" placeholder="Doctor Address" className="p-2 border" />
+              <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Send to Doctor</button>
+              <ErrorMessage name="doctor" component="div" className="text-red-500" />
+            </Form>
+          )}
+        </Formik>
+      )}
+      {report.review && !review && <button onClick={open} className="bg-gray-500 text-white p-2 rounded mt-2">Open Review</button>}
+      {review && (
+        <div className="mt-2">
+          <p>Diagnosis: {review.diagnosis}</p>
+          <p>{review.agreement === 'agree' ? 'Your doctor agrees with the AI result' : `Your doctor revised it: ${review.override.urgency} · see ${review.override.specialty}`}</p>
+          {review.notes && <p>{review.notes}</p>}
+          {review.followUp.map(({ action, testType }) => (action === 'bookAppointment'
+            ? <button key={action} onClick={() => onBook(report.review.doctor)} className="bg-blue-500 text-white p-2 rounded mr-2">Book a Follow-up</button>
+            : <p key={action}>Lab test ordered: {testType}</p>))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const RESULT_FLAGS = { N: 'Normal', L: 'Low', H: 'High', LL: 'Critically low', HH: 'Critically high', A: 'Abnormal' };
+
+// What an order asks for: the catalog items ordered, or the free text of orders from before the catalog
+const labTestName = (test) => test.order ? test.order.items.map(item => item.name).join(', ') : test.testType;
+const formatRanges = (test) => test.resultType === 'qualitative'
+  ? `normal: ${test.normalValues.join(', ')}`
+  : `${test.unit} · ref ${test.referenceRanges.map(range => `${range.sex ? `${range.sex} ` : ''}${range.low ?? ''}–${range.high ?? ''}`).join(', ')}`;
+
+// Catalog tests and panels to order; the form's testType is the chosen codes, as the order records them on-chain
+const LabTestPicker = ({ token }) => {
+  const { values, setFieldValue } = useFormikContext();
+  const [catalog, setCatalog] = useState({ tests: [], panels: [] });
+
+  useEffect(() => {
+    axios.get(`${process.env.REACT_APP_API_URL}/lab-catalog`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(({ data }) => setCatalog(data))
+      .catch(() => {});
+  }, [token]);
+
+  const chosen = values.testType ? values.testType.split(',') : [];
+  const toggle = (code) => setFieldValue('testType', (chosen.includes(code) ? chosen.filter(c => c !== code) : [...chosen, code]).join(','));
+  const entries = [...catalog.panels, ...catalog.tests];
+  const selected = entries.filter(entry => chosen.includes(entry.code));
+  return (
+    <div>
+      {entries.map(entry => (
+        <label key={entry.code} className="block">
+          <input type="checkbox" checked={chosen.includes(entry.code)} onChange={() => toggle(entry.code)} /> {entry.name} ({entry.code}{entry.kind === 'panel' ? ', panel' : ''})
+          <span className="text-sm"> · {entry.kind === 'panel' ? entry.specimens.join(', ') : entry.specimen} · ${entry.price} · {entry.turnaroundHours}h</span>
+        </label>
+      ))}
+      {selected.length > 0 && (
+        <p className="text-sm">
+          Total ${selected.reduce((total, entry) => total + entry.price, 0).toFixed(2)} · results within {Math.max(...selected.map(entry => entry.turnaroundHours))}h
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Result entry for a catalog order, one field per ordered test. The backend checks and flags the results; the flagged
+// document is what gets encrypted for the patient
+const LabResultsForm = ({ signer, token, test, onSubmit }) => {
+  const { tests } = test.order;
+
+  const submit = async ({ sex, notes, results }) => {
+    try {
+      const body = {
+        sex,
+        notes,
+        results: results.map(({ code, value }, i) => ({ code, value: tests[i].resultType === 'qualitative' || value === '' ? value : Number(value) }))
+      };
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/lab-tests/${test.id}/results/check`, body, { headers: { Authorization: `Bearer ${token}` } });
+      await onSubmit(test.id, await uploadEncrypted(signer, token, test.patient, JSON.stringify(data.document)), body);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <Formik initialValues={{ sex: '', notes: '', results: tests.map(t => ({ code: t.code, value: '' })) }} onSubmit={submit}>
+      {({ isSubmitting }) => (
+        <Form className="space-y-2 mt-2">
+          <Field name="sex" as="select" className="p-2 border"><option value="">Sex (for reference ranges)</option><option value="female">Female</option><option value="male">Male</option></Field>
+          {tests.map((t, i) => (
+            <div key={t.code}>
+              <label>{t.name} ({t.code}) </label>
+              {t.resultType === 'qualitative'
+                ? <Field name={`results.${i}.value`} as="select" className="p-2 border"><option value="" />{t.values.map(value => <option key={value} value={value}>{value}</option>)}</Field>
+                : <Field name={`results.${i}.value`} type="number" step="any" className="p-2 border" />}
+              <span className="text-sm"> {formatRanges(t)}</span>
+            </div>
+          ))}
+          <Field name="notes" as="textarea" placeholder="Notes" className="w-full p-2 border" />
+          <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Submit Results</button>
+        </Form>
+      )}
+    </Formik>
+  );
+};
+
+const CUSTODY_LABELS = { collected: 'Collected', inTransit: 'In transit', received: 'Received', processed: 'Processed', rejected: 'Rejected' };
+// Stages a lab logs after collection; rejection is a separate action, with its reason
+const CUSTODY_NEXT = { collected: ['inTransit', 'received'], inTransit: ['received'], received: ['processed'] };
+
+// A sample's chain of custody, oldest first
+const CustodyTrail = ({ custody }) => (
+  <ol className="text-sm mt-2">
+    {custody.map((entry, i) => (
+      <li key={i}>
+        {new Date(entry.at * 1000).toLocaleString()} · {CUSTODY_LABELS[entry.stage]} by {entry.actor}{entry.note ? ` · ${entry.note}` : ''}
+      </li>
+    ))}
+  </ol>
+);
+
+// The lab's next custody steps for a collected sample, and rejecting it for recollection
+const CustodyActions = ({ test, onLog, onReject }) => {
+  const stage = test.custody.length ? test.custody[test.custody.length - 1].stage : null;
+  return (
+    <div className="mt-2">
+      {(CUSTODY_NEXT[stage] || []).map(next => (
+        <button key={next} onClick={() => onLog(test.id, next)} className="bg-blue-500 text-white p-2 rounded mr-2">Mark {CUSTODY_LABELS[next]}</button>
+      ))}
+      <Formik initialValues={{ reason: '' }} validationSchema={Yup.object({ reason: Yup.string().required('Reason required') })} onSubmit={({ reason }) => onReject(test.id, reason)}>
+        {({ isSubmitting }) => (
+          <Form className="inline-flex space-x-2 mt-2">
+            <Field name="reason" placeholder="Rejection reason" className="p-2 border" />
+            <button type="submit" disabled={isSubmitting} className="bg-red-500 text-white p-2 rounded">Reject Sample</button>
+            <ErrorMessage name="reason" component="div" className="text-red-500" />
+          </Form>
+        )}
+      </Formik>
+    </div>
+  );
+};
+
+// Catalog results open as a table with their flags; results from before the catalog are files, downloaded as they are
+const LabResults = ({ signer, token, test }) => {
+  const [results, setResults] = useState(null);
+
+  const open = async () => {
+    try {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/lab-test/${test.id}`, { headers: { Authorization: `Bearer ${token}` } });
+      const contents = await openEncrypted(signer, token, data.labTest.resultsIpfsHash);
+      if (data.order) setResults(JSON.parse(new TextDecoder().decode(contents)));
+      else downloadFile(contents, `lab-test-${test.id}-results`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  if (!results) return <button onClick={open} className="bg-gray-500 text-white p-2 rounded mt-2 mr-2">Open Results</button>;
+  return (
+    <div className="mt-2">
+      <table className="w-full">
+        <thead>
+          <tr><th className="text-left">Test</th><th className="text-left">Result</th><th className="text-left">Reference</th><th className="text-left">Flag</th></tr>
+        </thead>
+        <tbody>
+          {results.results.map(result => (
+            <tr key={result.code} className={result.flag === 'N' ? '' : 'text-red-600 font-bold'}>
+              <td>{result.name} ({result.code})</td>
+              <td>{result.value} {result.unit || ''}</td>
+              <td>{result.referenceRange ? `${result.referenceRange.low ?? ''}–${result.referenceRange.high ?? ''}` : result.normalValues.join(', ')}</td>
+              <td>{RESULT_FLAGS[result.flag]}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {results.notes && <p>{results.notes}</p>}
+    </div>
+  );
+};
+
+const ALERT_STYLES = { major: 'text-red-600 font-bold', moderate: 'text-orange-600', minor: 'text-gray-600' };
+const EMPTY_LINE = { code: '', dose: '', route: '', frequency: '', quantity: '', refills: 0, instructions: '' };
+const commitMedications = (medications, salt) => ethers.utils.solidityKeccak256(['bytes32', 'string'], [salt, medications]);
+const formatLine = (line) => `${line.name} ${line.dose} ${line.unit} ${line.route} ${line.frequency} · qty ${line.quantity}, ${line.refills} refill(s)`;
+
+const PrescriptionAlerts = ({ alerts }) => (
+  <ul className="mt-2">
+    {alerts.map((alert, i) => <li key={i} className={ALERT_STYLES[alert.severity]}>{alert.severity} {alert.type}: {alert.description}</li>)}
+  </ul>
+);
+
+// Medication lines from the formulary for the appointment's patient, screened by the backend before the doctor signs.
+// Major alerts need an override reason
+const PrescriptionForm = ({ token, appointment, onIssue }) => {
+  const [formulary, setFormulary] = useState({ drugs: [], allergyClasses: [], frequencies: [] });
+  const [alerts, setAlerts] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  useEffect(() => {
+    axios.get(`${process.env.REACT_APP_API_URL}/formulary`, { headers })
+      .then(({ data }) => setFormulary(data))
+      .catch(() => {});
+  }, [token]);
+
+  const drug = (code) => formulary.drugs.find(d => d.code === code);
+  const lines = (medications) => medications.map(line => ({
+    ...line, dose: Number(line.dose), quantity: Number(line.quantity), refills: Number(line.refills)
+  }));
+
+  const check = async ({ medications, allergies }) => {
+    try {
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/appointments/${appointment.id}/prescriptions/check`, { medications: lines(medications), allergies }, { headers });
+      setAlerts(data.alerts);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const submit = async (values, { resetForm }) => {
+    try {
+      await onIssue(appointment, { ...values, medications: lines(values.medications) });
+      resetForm();
+      setAlerts(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <Formik initialValues={{ medications: [EMPTY_LINE], allergies: [], overrideReason: '' }} onSubmit={submit}>
+      {({ values, isSubmitting }) => (
+        <Form className="space-y-2 mt-2">
+          <FieldArray name="medications">
+            {({ push, remove }) => (
+              <>
+                {values.medications.map((line, i) => (
+                  <div key={i} className="flex flex-wrap gap-2">
+                    <Field name={`medications.${i}.code`} as="select" className="p-2 border">
+                      <option value="">Drug</option>
+                      {formulary.drugs.map(d => <option key={d.code} value={d.code}>{d.name} (RxNorm {d.code})</option>)}
+                    </Field>
+                    <Field name={`medications.${i}.dose`} type="number" step="any" placeholder={`Dose (${drug(line.code)?.doseUnit || 'unit'})`} className="p-2 border w-28" />
+                    <Field name={`medications.${i}.route`} as="select" className="p-2 border">
+                      <option value="">Route</option>
+                      {(drug(line.code)?.routes || []).map(route => <option key={route} value={route}>{route}</option>)}
+                    </Field>
+                    <Field name={`medications.${i}.frequency`} as="select" className="p-2 border">
+                      <option value="">Frequency</option>
+                      {formulary.frequencies.map(frequency => <option key={frequency} value={frequency}>{frequency}</option>)}
+                    </Field>
+                    <Field name={`medications.${i}.quantity`} type="number" placeholder="Quantity" className="p-2 border w-24" />
+                    <Field name={`medications.${i}.refills`} type="number" min="0" max="11" placeholder="Refills" className="p-2 border w-20" />
+                    <Field name={`medications.${i}.instructions`} placeholder="Instructions" className="p-2 border" />
+                    {values.medications.length > 1 && <button type="button" onClick={() => remove(i)} className="bg-gray-500 text-white p-2 rounded">Remove</button>}
+                  </div>
+                ))}
+                <button type="button" onClick={() => push(EMPTY_LINE)} className="bg-gray-500 text-white p-2 rounded">Add Medication</button>
+              </>
+            )}
+          </FieldArray>
+          <div>
+            Allergies: {formulary.allergyClasses.map(allergy => (
+              <label key={allergy} className="mr-2"><Field type="checkbox" name="allergies" value={allergy} /> {allergy}</label>
+            ))}
+          </div>
+          <button type="button" onClick={() => check(values)} className="bg-yellow-500 text-white p-2 rounded">Check Interactions</button>
+          {alerts && (alerts.length ? <PrescriptionAlerts alerts={alerts} /> : <p className="text-green-600">No interactions or allergies found</p>)}
+          {alerts?.some(alert => alert.severity === 'major') && <Field name="overrideReason" placeholder="Reason to prescribe despite major alerts" className="w-full p-2 border" />}
+          <button type="submit" disabled={isSubmitting || !alerts} className="bg-blue-500 text-white p-2 rounded ml-2">Issue Prescription</button>
+        </Form>
+      )}
+    </Formik>
+  );
+};
+
+// A prescription's medication lines, from the appointment it was issued at; older prescriptions have free text
+const PrescriptionDetails = ({ token, prescription }) => {
+  const [details, setDetails] = useState(null);
+
+  const open = async () => {
+    try {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/prescription/${prescription.id}`, { headers: { Authorization: `Bearer ${token}` } });
+      setDetails(data);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  if (!details) return <button onClick={open} className="bg-gray-500 text-white p-2 rounded mt-2 mr-2">View Details</button>;
+  const { prescription: onChain, details: structured, fills } = details;
+  return (
+    <div className="mt-2">
+      <p className="text-sm">Verify by {new Date(onChain.expirationTimestamp * 1000).toLocaleDateString()}{structured ? ` · from appointment ${structured.appointmentId}` : ''}</p>
+      {structured
+        ? (
+          <ul>
+            {structured.medications.map(line => (
+              <li key={line.code}>{formatLine(line)}{line.instructions ? ` · ${line.instructions}` : ''}</li>
+            ))}
+          </ul>
+        )
+        : <p>{onChain.medicationDetails}</p>}
+      {fills?.history.length > 0 && <FillProgress fills={fills} />}
+    </div>
+  );
+};
+
+const FillProgress = ({ fills }) => (
+  <ul className="text-sm mt-2">
+    {fills.lines.map(line => (
+      <li key={line.code}>
+        {line.name}: {line.dispensed} of {line.prescribed} dispensed · fill {Math.max(line.fill, 1)} of {line.fills}
+        {line.fillRemaining > 0 && `, ${line.fillRemaining} still owed`}
+        {line.remaining > 0 && !line.fillRemaining && line.fill > 0 && ` · refill due ${new Date(line.nextFillAt * 1000).toLocaleDateString()}`}
+      </li>
+    ))}
+  </ul>
+);
+
+// Reads the patient's QR token, from a scanner that types it in or from a photo where the browser can decode QR codes
+const PrescriptionScanner = ({ token, onVerify }) => {
+  const [scanned, setScanned] = useState(null);
+  const canDecode = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  const redeem = async ({ qrToken }, { resetForm }) => {
+    try {
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/pharmacy/scan`, { token: qrToken.trim() }, { headers: { Authorization: `Bearer ${token}` } });
+      setScanned(data);
+      resetForm();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const decode = async (file, setFieldValue) => {
+    const [code] = await new window.BarcodeDetector({ formats: ['qr_code'] }).detect(await createImageBitmap(file));
+    if (code) setFieldValue('qrToken', code.rawValue);
+    else toast.error('No QR code found');
+  };
+
+  const verify = async () => {
+    try {
+      await onVerify(scanned.prescription.id, scanned.verificationCode);
+      setScanned(null);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <Formik initialValues={{ qrToken: '' }} validationSchema={Yup.object({ qrToken: Yup.string().required('Scan the patient\'s QR code') })} onSubmit={redeem}>
+        {({ isSubmitting, setFieldValue }) => (
+          <Form className="space-y-2">
+            <Field name="qrToken" placeholder="Scan or paste the patient's QR code" className="w-full p-2 border" />
+            <ErrorMessage name="qrToken" component="div" className="text-red-500" />
+            {canDecode && <label>From a photo: <input type="file" accept="image/*" capture="environment" onChange={(e) => e.target.files[0] && decode(e.target.files[0], setFieldValue)} /></label>}
+            <button type="submit" disabled={isSubmitting} className="bg-yellow-500 text-white p-2 rounded">Scan</button>
+          </Form>
+        )}
+      </Formik>
+      {scanned && (
+        <div className="p-4 border mt-2">
+          <p>Prescription {scanned.prescription.id}{scanned.details ? ` · from appointment ${scanned.details.appointmentId}` : ''}</p>
+          {scanned.details && <ul>{scanned.details.medications.map(line => <li key={line.code}>{formatLine(line)}</li>)}</ul>}
+          <button onClick={verify} className="bg-green-500 text-white p-2 rounded mt-2">Verify</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// The verifying pharmacy records each fill, partial or a refill; a prescription is fulfilled once nothing is owed
+const PrescriptionFills = ({ token, prescription, onFulfill }) => {
+  const [fills, setFills] = useState(undefined);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = () => axios.get(`${process.env.REACT_APP_API_URL}/prescription/${prescription.id}`, { headers })
+    .then(({ data }) => setFills(data.fills))
+    .catch(error => toast.error(error.response?.data?.error || error.message));
+
+  useEffect(() => {
+    load();
+  }, [prescription.id]);
+
+  const dispense = async (values, { resetForm }) => {
+    const entries = Object.entries(values).filter(([, quantity]) => Number(quantity) > 0);
+    try {
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/prescriptions/${prescription.id}/fills`, {
+        fills: entries.map(([code, quantity]) => ({ code, quantity: Number(quantity) }))
+      }, { headers });
+      setFills(data);
+      resetForm();
+      toast.success('Fill recorded');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  if (fills === undefined) return null;
+  // Prescriptions from before structured medications are filled in one go
+  if (fills === null) return <button onClick={() => onFulfill(prescription.id)} className="bg-green-500 text-white p-2 rounded">Fulfill</button>;
+  return (
+    <div className="mt-2">
+      <FillProgress fills={fills} />
+      {!fills.complete && (
+        <Formik initialValues={Object.fromEntries(fills.lines.map(line => [line.code, '']))} onSubmit={dispense}>
+          {({ isSubmitting }) => (
+            <Form className="flex flex-wrap gap-2 mt-2">
+              {fills.lines.filter(line => line.remaining > 0).map(line => (
+                <Field key={line.code} name={line.code} type="number" min="0" placeholder={`${line.name} quantity`} className="p-2 border w-40" />
+              ))}
+              <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Record Fill</button>
+            </Form>
+          )}
+        </Formik>
+      )}
+      {fills.complete && <button onClick={() => onFulfill(prescription.id)} className="bg-green-500 text-white p-2 rounded mt-2">Fulfill</button>}
+    </div>
+  );
+};
+
+// The patient's history document: each save is a new encrypted version, anchored on-chain by the hash of its CID
+const MedicalHistory = ({ signer, token, patient, sponsored }) => {
+  const [versions, setVersions] = useState([]);
+  const [text, setText] = useState(null);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/medical-history/${patient}`, { headers });
+    setVersions(data.versions);
+  };
+
+  useEffect(() => {
+    load().catch(() => {});
+  }, [token, patient]);
+
+  const open = async (cid) => {
+    try {
+      setText(await readText(signer, token, cid));
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const save = async (values) => {
+    try {
+      const cid = await uploadEncrypted(signer, token, patient, values.text);
+      const args = [ethers.utils.keccak256(ethers.utils.toUtf8Bytes(cid))];
+      const action = sponsored
+        ? await signUserOp(signer, token, [telemedicineCall('updateMedicalHistory', args)])
+        : await signIntent(signer, 'updateMedicalHistory', args);
+      await axios.post(`${process.env.REACT_APP_API_URL}/medical-history`, { ...action, cid }, { headers });
+      toast.success('Medical history saved');
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const exportFhir = async () => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/patients/${patient}/fhir`, { headers, responseType: 'arraybuffer' });
+    downloadFile(data, 'patient-record.fhir.json');
+  };
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Medical History</h2>
+      {versions.map(v => (
+        <p key={v.version} className="text-sm">
+          Version {v.version} · {new Date(v.createdAt * 1000).toLocaleString()}{v.anchored && ' · anchored on-chain'}
+          <button onClick={() => open(v.cid)} className="bg-gray-500 text-white p-1 rounded ml-2">Open</button>
+        </p>
+      ))}
+      {text === null
+        ? <button onClick={() => setText('')} className="bg-blue-500 text-white p-2 rounded mt-2">{versions.length ? 'New Version' : 'Write History'}</button>
+        : (
+          <Formik initialValues={{ text }} enableReinitialize onSubmit={save}>
+            {({ isSubmitting }) => (
+              <Form className="space-y-2 mt-2">
+                <Field name="text" as="textarea" rows={6} placeholder="Conditions, allergies, surgeries, family history" className="w-full p-2 border" />
+                <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Save Encrypted Version</button>
+              </Form>
+            )}
+          </Formik>
+        )}
+      <button onClick={exportFhir} className="bg-gray-500 text-white p-2 rounded mt-2">Export FHIR Record</button>
+    </div>
+  );
+};
+
+// Encrypted notes the appointment's doctor writes, readable by the patient and anyone they share their key with
+const EncounterNotes = ({ signer, token, appointment, canWrite }) => {
+  const [notes, setNotes] = useState([]);
+  const [opened, setOpened] = useState({});
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/appointments/${appointment.id}/notes`, { headers });
+    setNotes(data.notes);
+  };
+
+  useEffect(() => {
+    load().catch(() => {});
+  }, [token, appointment.id]);
+
+  const open = async (note) => {
+    try {
+      setOpened({ ...opened, [note.id]: await readText(signer, token, note.cid) });
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const addNote = async (values, { resetForm }) => {
+    try {
+      const cid = await uploadEncrypted(signer, token, appointment.patient, values.note);
+      await axios.post(`${process.env.REACT_APP_API_URL}/appointments/${appointment.id}/notes`, { cid }, { headers });
+      resetForm();
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  return (
+    <div className="mt-2">
+      {notes.map(note => (
+        <div key={note.id} className="text-sm">
+          Note · {new Date(note.createdAt * 1000).toLocaleString()}
+          {opened[note.id] === undefined
+            ? <button onClick={() => open(note)} className="bg-gray-500 text-white p-1 rounded ml-2">Open</button>
+            : <p className="whitespace-pre-wrap">{opened[note.id]}</p>}
+        </div>
+      ))}
+      {canWrite && (
+        <Formik initialValues={{ note: '' }} onSubmit={addNote}>
+          {({ isSubmitting }) => (
+            <Form className="space-y-2 mt-2">
+              <Field name="note" as="textarea" rows={3} placeholder="Encounter note" className="w-full p-2 border" />
+              <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Add Note</button>
+            </Form>
+          )}
+        </Formik>
+      )}
+    </div>
+  );
+};
+
+// Time-limited grants to providers, and who has read the patient's records
+const ConsentManager = ({ signer, token, patient, sponsored }) => {
+  const [grants, setGrants] = useState([]);
+  const [accessLog, setAccessLog] = useState({ items: [], total: 0 });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const [{ data: consents }, { data: log }] = await Promise.all([
+      axios.get(`${process.env.REACT_APP_API_URL}/consents/${patient}`, { headers }),
+      axios.get(`${process.env.REACT_APP_API_URL}/access-log`, { headers })
+    ]);
+    setGrants(consents.grants);
+    setAccessLog(log);
+  };
+
+  useEffect(() => {
+    load().catch(() => {});
+  }, [token, patient]);
+
+  const consentAction = async (path, functionName, args, message) => {
+    try {
+      const action = sponsored
+        ? await signUserOp(signer, token, [consentCall(functionName, args)])
+        : await signIntent(signer, functionName, args, CONSENT);
+      await axios.post(`${process.env.REACT_APP_API_URL}${path}`, action, { headers });
+      toast.success(message);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const grant = async ({ provider, days, ...values }, { resetForm }) => {
+    const scopes = CONSENT_SCOPES.reduce((mask, [name, bit]) => values[name] ? mask | bit : mask, 0);
+    if (!scopes) {
+      toast.error('Choose at least one scope');
+      return;
+    }
+    const expiresAt = Math.floor(Date.now() / 1000) + Number(days) * 24 * 3600;
+    await consentAction('/consents', 'grantConsent', [provider, scopes, expiresAt], 'Access granted');
+    resetForm();
+  };
+
+  const scopeNames = (scopes) => CONSENT_SCOPES.filter(([, bit]) => scopes & bit).map(([, , label]) => label).join(', ');
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Record Access</h2>
+      {grants.map(g => (
+        <p key={g.provider}>
+          {g.provider}: {scopeNames(g.scopes)} until {new Date(g.expiresAt * 1000).toLocaleString()}
+          <button onClick={() => consentAction('/consents/revoke', 'revokeConsent', [g.provider], 'Access revoked')} className="bg-red-500 text-white p-2 rounded ml-2">Revoke</button>
+        </p>
+      ))}
+      <Formik initialValues={{ provider: '', days: 30, appointments: false, labs: true, prescriptions: false, aiAnalyses: false, history: false }} validationSchema={Yup.object({ provider: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address').required(), days: Yup.number().min(1).max(365).required() })} onSubmit={grant}>
+        {({ isSubmitting }) => (
+          <Form className="space-y-2 mt-2">
+            <div><Field name="provider" placeholder="Doctor, lab or pharmacy address" className="w-full p-2 border" /><ErrorMessage name="provider" component="div" className="text-red-500" /></div>
+            <div className="space-x-4">{CONSENT_SCOPES.map(([name, , label]) => <label key={name}><Field name={name} type="checkbox" /> {label}</label>)}</div>
+            <div><Field name="days" type="number" className="p-2 border" /> days<ErrorMessage name="days" component="div" className="text-red-500" /></div>
+            <button type="submit" disabled={isSubmitting} className="bg-green-500 text-white p-2 rounded">Grant Access</button>
+          </Form>
+        )}
+      </Formik>
+      <h3 className="text-lg mt-2">Access Log</h3>
+      {accessLog.items.map((entry, i) => (
+        <p key={i} className="text-sm">{new Date(entry.readAt * 1000).toLocaleString()} · {entry.reader} read {entry.resource}{entry.resourceId ? ` ${entry.resourceId}` : ''}</p>
+      ))}
+    </div>
+  );
+};
+
+// Research data requests open to the patient's data, the studies that used it and what they earned. A contribution
+// can be revoked before or after a request is fulfilled
+const DataStudies = ({ signer, token, patient, sponsored }) => {
+  const [requests, setRequests] = useState([]);
+  const [studies, setStudies] = useState({ studies: [], earnings: {} });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = async () => {
+    const [{ data: open }, { data: mine }] = await Promise.all([
+      axios.get(`${process.env.REACT_APP_API_URL}/data-requests`, { headers }),
+      axios.get(`${process.env.REACT_APP_API_URL}/patient/data-studies`, { headers })
+    ]);
+    setRequests(open.requests.filter(request => request.status === 'open'));
+    setStudies(mine);
+  };
+
+  useEffect(() => {
+    load().catch(() => {});
+  }, [token, patient]);
+
+  const marketplaceAction = async (path, functionName, args, message) => {
+    try {
+      const action = sponsored
+        ? await signUserOp(signer, token, [marketplaceCall(functionName, args)])
+        : await signIntent(signer, functionName, args, MARKETPLACE);
+      await axios.post(`${process.env.REACT_APP_API_URL}${path}`, action, { headers });
+      toast.success(message);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const revoke = (requestId, message) => marketplaceAction('/revoke-contribution', 'revokeContribution', [requestId], message);
+  const earned = studies.earnings[patient.toLowerCase()] || '0';
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Data Studies</h2>
+      <p>Earnings: {ethers.utils.formatEther(earned)} SONIC
+        {earned !== '0' && <button onClick={() => marketplaceAction('/withdraw-data-earnings', 'withdrawEarnings', [], 'Earnings withdrawn')} className="bg-green-500 text-white p-2 rounded ml-2">Withdraw</button>}
+      </p>
+      {requests.map(request => (
+        <p key={request.id} className="text-sm">
+          Open request {request.id}: {request.purpose} (until {new Date(request.deadline * 1000).toLocaleDateString()})
+          <button onClick={() => revoke(request.id, 'Opted out')} className="bg-gray-500 text-white p-2 rounded ml-2">Opt Out</button>
+        </p>
+      ))}
+      {studies.studies.map(study => (
+        <p key={`${study.requestId}-${study.patient}`} className="text-sm">
+          Study {study.requestId}: {study.purpose} · {study.records} records · {new Date(study.assembledAt * 1000).toLocaleDateString()}
+          {study.revoked
+            ? ' · revoked'
+            : <button onClick={() => revoke(study.requestId, 'Contribution revoked')} className="bg-red-500 text-white p-2 rounded ml-2">Revoke</button>}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Researchers fund requests for de-identified data in SONIC under terms the backend normalizes and the request
+// commits to by hash, then close them to have the dataset assembled and download it
+const ResearcherConsole = ({ signer, token }) => {
+  const [requests, setRequests] = useState([]);
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const load = () => axios.get(`${process.env.REACT_APP_API_URL}/data-requests`, { headers, params: { mine: 1 } })
+    .then(({ data }) => setRequests(data.requests))
+    .catch(() => toast.error('Failed to load data requests'));
+
+  useEffect(() => {
+    load();
+  }, [token]);
+
+  const create = async (values, { resetForm }) => {
+    try {
+      const criteria = {
+        kinds: DATA_KINDS.filter(([kind]) => values[kind]).map(([kind]) => kind),
+        ...(values.specialties && { specialties: splitList(values.specialties) }),
+        ...(values.urgencies.length && { urgencies: values.urgencies }),
+        ...(values.labTests && { labTests: splitList(values.labTests) }),
+        ...(values.abnormalOnly && { abnormalOnly: true }),
+        ...(values.from && { from: toUnix(values.from) }),
+        ...(values.to && { to: toUnix(values.to) })
+      };
+      const { data: checked } = await axios.post(`${process.env.REACT_APP_API_URL}/data-requests/terms`, { purpose: values.purpose, criteria }, { headers });
+      const budget = ethers.utils.parseEther(String(values.budget));
+      const telemedicine = new ethers.Contract(process.env.REACT_APP_CONTRACT_ADDRESS, TELEMEDICINE_ABI, signer);
+      const sonic = new ethers.Contract(await telemedicine.sonicToken(), ERC20_ABI, signer);
+      if ((await sonic.allowance(await signer.getAddress(), MARKETPLACE.address)).lt(budget)) {
+        await (await sonic.approve(MARKETPLACE.address, budget)).wait();
+      }
+      const deadline = Math.floor(Date.now() / 1000) + Number(values.days) * 24 * 3600;
+      const intent = await signIntent(signer, 'createDataRequest', [checked.termsHash, budget, deadline], MARKETPLACE);
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/data-requests`, { ...intent, terms: checked.terms }, { headers });
+      toast.success(`Data request ${data.requestId} created`);
+      resetForm();
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const fulfil = async (requestId) => {
+    try {
+      const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/data-requests/${requestId}/fulfil`, {}, { headers });
+      toast.success(`Dataset of ${data.records} records from ${data.contributors} patients assembled`);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const cancel = async (requestId) => {
+    const intent = await signIntent(signer, 'cancelDataRequest', [requestId], MARKETPLACE);
+    await axios.post(`${process.env.REACT_APP_API_URL}/cancel-data-request`, intent, { headers });
+    toast.success('Data request cancelled; budget refunded');
+    load();
+  };
+
+  const download = async (requestId) => {
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/data-requests/${requestId}/dataset`, { headers });
+    downloadFile(JSON.stringify(data, null, 2), `dataset-${requestId}.json`);
+  };
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">Data Requests</h2>
+      <Formik
+        initialValues={{ purpose: '', aiAnalyses: true, labResults: false, specialties: '', urgencies: [], labTests: '', abnormalOnly: false, from: '', to: '', budget: '', days: 30 }}
+        validationSchema={Yup.object({ purpose: Yup.string().min(20).max(2000).required(), budget: Yup.number().positive().required(), days: Yup.number().min(1).max(365).required() })}
+        onSubmit={create}
+      >
+        {({ isSubmitting }) => (
+          <Form className="space-y-2">
+            <div><Field name="purpose" as="textarea" placeholder="Purpose of the study" className="w-full p-2 border" /><ErrorMessage name="purpose" component="div" className="text-red-500" /></div>
+            <div className="space-x-4">{DATA_KINDS.map(([kind, label]) => <label key={kind}><Field name={kind} type="checkbox" /> {label}</label>)}</div>
+            <div><Field name="specialties" placeholder="Specialties (comma-separated)" className="w-full p-2 border" /></div>
+            <div className="space-x-4">{URGENCY_LEVELS.map(urgency => <label key={urgency}><Field name="urgencies" type="checkbox" value={urgency} /> {urgency}</label>)}</div>
+            <div><Field name="labTests" placeholder="LOINC codes (comma-separated)" className="w-full p-2 border" /></div>
+            <div><label><Field name="abnormalOnly" type="checkbox" /> Abnormal results only</label></div>
+            <div className="space-x-2"><Field name="from" type="date" className="p-2 border" /><Field name="to" type="date" className="p-2 border" /></div>
+            <div><Field name="budget" type="number" placeholder="Budget (SONIC)" className="p-2 border" /><ErrorMessage name="budget" component="div" className="text-red-500" /></div>
+            <div><Field name="days" type="number" className="p-2 border" /> days open<ErrorMessage name="days" component="div" className="text-red-500" /></div>
+            <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Fund Request</button>
+          </Form>
+        )}
+      </Formik>
+      {requests.map(request => (
+        <div key={request.id} className="p-4 border mt-2">
+          <p>Request {request.id} · {request.status} · {ethers.utils.formatEther(request.budget)} SONIC</p>
+          <p className="text-sm">{request.purpose}</p>
+          {request.status === 'open' && (
+            <>
+              <button onClick={() => fulfil(request.id)} className="bg-green-500 text-white p-2 rounded mt-2">Close and Assemble Dataset</button>
+              <button onClick={() => cancel(request.id)} className="bg-red-500 text-white p-2 rounded mt-2 ml-2">Cancel</button>
+            </>
+          )}
+          {request.status === 'fulfilled' && <button onClick={() => download(request.id)} className="bg-blue-500 text-white p-2 rounded mt-2">Download Dataset ({request.contributors} patients)</button>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Who can decrypt the patient's files; revoking rotates the key so new files are unreadable to the revoked party
+const FileAccess = ({ signer, token, patient }) => {
+  const [access, setAccess] = useState({ version: 0, recipients: [] });
+  const [owner, setOwner] = useState('');
+
+  const load = () => accessRecipients(token, patient).then(setAccess).catch(() => {});
+
+  useEffect(() => {
+    load();
+    signer.getAddress().then(address => setOwner(address.toLowerCase()));
+  }, [token, patient]);
+
+  const run = async (action, message) => {
+    try {
+      await action();
+      toast.success(message);
+      load();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const share = async ({ recipient }, { resetForm }) => {
+    await run(() => shareAccess(signer, token, patient, recipient), 'Access granted');
+    resetForm();
+  };
+
+  return (
+    <div className="mt-4">
+      <h2 className="text-xl">File Access</h2>
+      {access.version === 0
+        ? <button onClick={() => run(() => createPatientKey(signer, token, patient), 'Encryption key created')} className="bg-blue-500 text-white p-2 rounded">Create Encryption Key</button>
+        : (
+          <>
+            <p className="text-sm">Key version {access.version}</p>
+            {access.recipients.filter(r => r !== owner).map(recipient => (
+              <p key={recipient}>
+                {recipient}
+                <button onClick={() => run(() => revokeAccess(signer, token, patient, recipient), 'Access revoked')} className="bg-red-500 text-white p-2 rounded ml-2">Revoke</button>
+              </p>
+            ))}
+            <Formik initialValues={{ recipient: '' }} validationSchema={Yup.object({ recipient: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address').required() })} onSubmit={share}>
+              {({ isSubmitting }) => (
+                <Form className="inline-flex space-x-2 mt-2">
+                  <Field name="recipient" placeholder="Doctor, lab or pharmacy address" className="p-2 border" />
+                  <button type="submit" disabled={isSubmitting} className="bg-green-500 text-white p-2 rounded">Share</button>
+                  <ErrorMessage name="recipient" component="div" className="text-red-500" />
+                </Form>
+              )}
+            </Formik>
+          </>
+        )}
+    </div>
+  );
+};
+
+// Indexed list endpoints shown for each role
+const listEndpoints = (role, patientAddress) => ({
+  patient: {
+    appointments: `/appointments/${patientAddress}`,
+    labTests: '/patient/lab-tests',
+    prescriptions: '/patient/prescriptions',
+    aiAnalyses: '/patient/ai-analyses'
+  },
+  doctor: {
+    appointments: '/doctor/appointments',
+    labTests: '/doctor/lab-tests',
+    prescriptions: '/doctor/prescriptions',
+    aiAnalyses: '/doctor/ai-analyses'
+  },
+  labTech: { labTests: '/lab/queue' },
+  pharmacy: { prescriptions: '/pharmacy/prescriptions' },
+  researcher: {}
+})[role];
+
+const App = ({ account, signer, token, onLogout }) => {
   const [role, setRole] = useState('patient');
   const [appointments, setAppointments] = useState([]);
   const [labTests, setLabTests] = useState([]);
   const [prescriptions, setPrescriptions] = useState([]);
   const [aiAnalyses, setAIAnalyses] = useState([]);
-  const [dataStatus, setDataStatus] = useState({ dataSharing: false, lastRewardTimestamp: 0 });
-  const ws = useRef(null);
+  const [dataStatus, setDataStatus] = useState({ dataSharing: false, rewards: { accrued: '0', claimed: '0', claimable: '0' } });
+  const [smartAccount, setSmartAccount] = useState(null);
+  const [sponsored, setSponsored] = useState(false);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  const [qrCodes, setQRCodes] = useState({});
+  const [payouts, setPayouts] = useState(NO_PAYOUTS);
+  const [selectedDoctor, setSelectedDoctor] = useState('');
+  const notifications = useRef(null);
+  const onEvent = useRef(() => {});
+  const refreshTimer = useRef(null);
   const web3 = new Web3(process.env.REACT_APP_SONIC_RPC_URL);
 
   const appointmentSchema = Yup.object({
@@ -25,234 +1510,650 @@ const App = ({ account, signer, token }) => {
     videoCallLink: Yup.string().when('isVideoCall', { is: true, then: Yup.string().required() })
   });
 
-  const aiSchema = Yup.object({
-    symptoms: Yup.string().required('Symptoms required')
+  const rescheduleSchema = Yup.object({
+    timestamp: Yup.number().min(Math.floor(Date.now() / 1000) + 900).required()
+  });
+
+  const feeSchema = Yup.object({
+    fee: Yup.number().positive().required()
   });
 
   const labTestSchema = Yup.object({
     patientAddress: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address').required(),
-    testType: Yup.string().required()
+    testType: Yup.string().required(),
+    labAddress: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address')
   });
 
   useEffect(() => {
-    ws.current = new WebSocket('wss://localhost:8080');
-    ws.current.onopen = () => toast.info('Connected to server');
-    ws.current.onmessage = (e) => {
-      const data = JSON.parse(e.data);
-      if (data.type === 'appointmentUpdate') setAppointments(data.data);
-    };
-    fetchData();
-    fetchDataStatus();
-    return () => ws.current.close();
+    notifications.current = connectNotifications({
+      token,
+      roles: [ROLE_NAMES[role]],
+      onEvent: (event) => onEvent.current(event),
+      onResync: () => onEvent.current(null)
+    });
+    axios.get(`${process.env.REACT_APP_API_URL}/smart-account`, { headers: { Authorization: `Bearer ${token}` } })
+      .then(({ data }) => setSmartAccount(data));
+    return () => notifications.current.close();
   }, []);
 
+  useEffect(() => {
+    notifications.current.authenticate(token);
+  }, [token]);
+
+  useEffect(() => {
+    notifications.current.follow([ROLE_NAMES[role]]);
+  }, [role]);
+
+  // Sponsored patients act through their smart account, so their records live under its address
+  const patientAddress = sponsored && smartAccount ? smartAccount.address : account;
+
+  useEffect(() => {
+    fetchDataStatus();
+  }, [patientAddress]);
+
+  // Others can only share files with this wallet once its encryption key is published
+  useEffect(() => {
+    publishEncryptionKey(signer, token).catch(() => toast.error('Could not publish encryption key'));
+  }, [token]);
+
+  useEffect(() => {
+    fetchData();
+  }, [role, page, patientAddress]);
+
+  const selectRole = (value) => {
+    setRole(value);
+    setPage(0);
+    setPayouts(NO_PAYOUTS);
+  };
+
+  const fetchList = async (path) => {
+    if (!path) return { items: [], total: 0 };
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}${path}`, {
+      headers: { Authorization: `Bearer ${token}` },
+      params: { limit: PAGE_SIZE, offset: page * PAGE_SIZE }
+    });
+    return data;
+  };
+
   const fetchData = async () => {
     try {
+      const endpoints = listEndpoints(role, patientAddress);
       const [aptRes, labRes, presRes, aiRes] = await Promise.all([
-        axios.get(`${process.env.REACT_APP_API_URL}/appointments/${account}`, { headers: { Authorization: `Bearer ${token}` } }),
-        axios.get(`${process.env.REACT_APP_API_URL}/lab-test/1`, { headers: { Authorization: `Bearer ${token}` } }),
-        axios.get(`${process.env.REACT_APP_API_URL}/prescription/1`, { headers: { Authorization: `Bearer ${token}` } }),
-        axios.get(`${process.env.REACT_APP_API_URL}/ai-analysis/1`, { headers: { Authorization: `Bearer ${token}` } })
+        fetchList(endpoints.appointments),
+        fetchList(endpoints.labTests),
+        fetchList(endpoints.prescriptions),
+        fetchList(endpoints.aiAnalyses)
       ]);
-      setAppointments(aptRes.data.appointments);
-      setLabTests([labRes.data.labTest]);
-      setPrescriptions([presRes.data.prescription]);
-      setAIAnalyses([aiRes.data.analysis]);
+      // Doctors' queue is already in urgency order; each analysis' commitment (and, for analyses from before
+      // commitments, its symptom text) is loaded where the patient consents
+      const analyses = role === 'doctor'
+        ? await Promise.all(aiRes.items.map(async report => {
+          const ai = { id: report.analysisId, patient: report.patient, report };
+          try {
+            const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/ai-analysis/${ai.id}`, { headers: { Authorization: `Bearer ${token}` } });
+            return { ...ai, symptoms: data.analysis.symptoms, symptomsHash: data.analysis.symptomsHash, symptomsMigrated: data.analysis.symptomsMigrated };
+          } catch (error) {
+            return { ...ai, restricted: true };
+          }
+        }))
+        : aiRes.items;
+      setAppointments(aptRes.items);
+      setLabTests(labRes.items);
+      setPrescriptions(presRes.items);
+      setAIAnalyses(analyses);
+      setTotal(Math.max(aptRes.total, labRes.total, presRes.total, aiRes.total));
+      await fetchPayouts();
     } catch (error) {
       toast.error('Failed to fetch data');
     }
   };
 
+  // Doctors see escrowed and withdrawable earnings; patients the refunds they can withdraw
+  const fetchPayouts = async () => {
+    const headers = { Authorization: `Bearer ${token}` };
+    if (role === 'doctor') {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/doctor/earnings`, { headers });
+      setPayouts(data);
+    } else if (role === 'patient') {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/balances/${patientAddress}`, { headers });
+      setPayouts({ ...NO_PAYOUTS, currencies: data });
+    } else {
+      setPayouts(NO_PAYOUTS);
+    }
+  };
+
+  const withdraw = async (tokenAddress) => {
+    const action = sponsored && role === 'patient'
+      ? await signUserOp(signer, token, [paymentsCall('withdraw', [tokenAddress])])
+      : await signIntent(signer, 'withdraw', [tokenAddress], PAYMENTS);
+    await axios.post(`${process.env.REACT_APP_API_URL}/withdraw`, action, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success('Withdrawal sent');
+    fetchPayouts();
+  };
+
+  // Lists are reloaded once a burst of events, such as a replay, has arrived; null asks for a full reload
+  onEvent.current = (event) => {
+    if (event) {
+      const message = EVENT_MESSAGES[event.type]?.(event.id, event.data);
+      if (message) toast.info(message);
+      if (PAYOUT_EVENTS.includes(event.type)) fetchPayouts();
+      if (DATA_STATUS_EVENTS.includes(event.type)) return fetchDataStatus();
+    } else {
+      fetchDataStatus();
+      fetchPayouts();
+    }
+    clearTimeout(refreshTimer.current);
+    refreshTimer.current = setTimeout(() => fetchData(), 300);
+  };
+
   const fetchDataStatus = async () => {
-    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/data-status/${account}`, { headers: { Authorization: `Bearer ${token}` } });
+    const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/data-status/${patientAddress}`, { headers: { Authorization: `Bearer ${token}` } });
     setDataStatus(data);
   };
 
   const bookAppointment = async (values) => {
-    const signature = await signer.signMessage('Book Appointment');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/book-appointment`, { ...values, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const paymentType = Number(values.paymentType);
+    // Fees are set in USD; booking with the quoted maximum lets a small price move through without a revert
+    const { token: tokenAddress, maxAmount } = await fetchQuote(token, values.doctorAddress, paymentType);
+    const args = [values.doctorAddress, values.timestamp, paymentType, values.isVideoCall, values.videoCallLink || '', maxAmount];
+    const telemedicine = new ethers.Contract(process.env.REACT_APP_CONTRACT_ADDRESS, TELEMEDICINE_ABI, signer);
+    if (sponsored && paymentType !== 0) {
+      // The smart account pays the fee; approval and booking go in one sponsored batch
+      const userOp = await signUserOp(signer, token, [approveCall(tokenAddress, maxAmount), telemedicineCall('bookAppointment', args)]);
+      await axios.post(`${process.env.REACT_APP_API_URL}/book-appointment`, userOp, { headers: { Authorization: `Bearer ${token}` } });
+    } else if (paymentType === 0) {
+      // ETH fees can't be fronted by the relayer, so the patient sends this booking directly; any excess is refunded
+      const tx = await telemedicine.bookAppointment(...args, { value: maxAmount });
+      await tx.wait();
+    } else {
+      const paymentToken = new ethers.Contract(tokenAddress, ERC20_ABI, signer);
+      if ((await paymentToken.allowance(account, telemedicine.address)).lt(maxAmount)) {
+        await (await paymentToken.approve(telemedicine.address, maxAmount)).wait();
+      }
+      const intent = await signIntent(signer, 'bookAppointment', args);
+      await axios.post(`${process.env.REACT_APP_API_URL}/book-appointment`, intent, { headers: { Authorization: `Bearer ${token}` } });
+    }
     toast.success('Appointment booked');
-    fetchData();
+  };
+
+  const setConsultationFee = async (values) => {
+    const intent = await signIntent(signer, 'setConsultationFee', [ethers.utils.parseEther(String(values.fee))]);
+    await axios.post(`${process.env.REACT_APP_API_URL}/set-consultation-fee`, intent, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success('Consultation fee updated');
   };
 
   const confirmAppointment = async (appointmentId) => {
-    const signature = await signer.signMessage('Confirm Appointment');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/confirm-appointment`, { appointmentId, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const intent = await signIntent(signer, 'confirmAppointment', [appointmentId]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/confirm-appointment`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Appointment confirmed');
-    fetchData();
   };
 
-  const analyzeSymptoms = async (values) => {
-    const signature = await signer.signMessage('Analyze Symptoms');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/analyze-symptoms`, { ...values, signature }, { headers: { Authorization: `Bearer ${token}` } });
-    toast.success('AI analysis requested');
-    fetchData();
+  const completeAppointment = async (appointmentId) => {
+    const intent = await signIntent(signer, 'completeAppointment', [appointmentId]);
+    await axios.post(`${process.env.REACT_APP_API_URL}/complete-appointment`, intent, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success('Appointment completed; fee released');
+  };
+
+  // Cancel, reschedule and no-show are open to both parties; sponsored patients send them from their smart account
+  const appointmentAction = async (path, functionName, args, message) => {
+    const action = sponsored && role === 'patient'
+      ? await signUserOp(signer, token, [telemedicineCall(functionName, args)])
+      : await signIntent(signer, functionName, args);
+    await axios.post(`${process.env.REACT_APP_API_URL}${path}`, action, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success(message);
+  };
+
+  const cancelAppointment = (appointmentId) =>
+    appointmentAction('/cancel-appointment', 'cancelAppointment', [appointmentId], 'Appointment cancelled');
+
+  const rescheduleAppointment = (appointmentId, timestamp) =>
+    appointmentAction('/reschedule-appointment', 'rescheduleAppointment', [appointmentId, timestamp], 'Appointment rescheduled');
+
+  const markNoShow = (appointmentId) =>
+    appointmentAction('/mark-no-show', 'markNoShow', [appointmentId], 'No-show recorded');
+
+  const appointmentControls = (apt) => [0, 1].includes(apt.status) && (
+    <div className="mt-2 space-x-2">
+      <button onClick={() => cancelAppointment(apt.id)} className="bg-red-500 text-white p-2 rounded">Cancel</button>
+      <button onClick={() => markNoShow(apt.id)} className="bg-gray-500 text-white p-2 rounded">Report No-Show</button>
+      <Formik initialValues={{ timestamp: '' }} validationSchema={rescheduleSchema} onSubmit={(values) => rescheduleAppointment(apt.id, values.timestamp)}>
+        {({ isSubmitting }) => (
+          <Form className="inline-flex space-x-2 mt-2">
+            <SlotPicker token={token} doctor={apt.doctor} />
+            <button type="submit" disabled={isSubmitting} className="bg-yellow-500 text-white p-2 rounded">Reschedule</button>
+          </Form>
+        )}
+      </Formik>
+    </div>
+  );
+
+  const rateAppointment = async (appointmentId, values) => {
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/appointments/${appointmentId}/rating`, { stars: Number(values.stars), comment: values.comment }, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success('Thanks for your rating');
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Rating failed');
+    }
   };
 
+  // Each QR code is good for one scan within a few minutes; the pharmacy gets the one-time code by scanning it
+  const showQRCode = async (prescriptionId) => {
+    try {
+      const { data } = await axios.get(`${process.env.REACT_APP_API_URL}/generate-qr/${prescriptionId}`, { headers: { Authorization: `Bearer ${token}` } });
+      setQRCodes({ ...qrCodes, [prescriptionId]: data });
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const registerSmartAccount = async () => {
+    // The on-chain encryptedSymmetricKey is the patient's own wrapped copy of their first data key
+    const encryptedKey = await createPatientKey(signer, token, smartAccount.address);
+    const userOp = await signUserOp(signer, token, [telemedicineCall('registerPatient', [encryptedKey])]);
+    await axios.post(`${process.env.REACT_APP_API_URL}/register-patient`, userOp, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success('Smart account registered; sign in again to use it');
+    setSmartAccount({ ...smartAccount, deployed: true });
+  };
+
+  // Sharing is set on the address rewards accrue to, the smart account when operations are sponsored
   const toggleDataMonetization = async (enable) => {
-    const signature = await signer.signMessage('Toggle Data Monetization');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/toggle-data-monetization`, { enable, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const action = sponsored
+      ? await signUserOp(signer, token, [telemedicineCall('toggleDataMonetization', [enable])])
+      : await signIntent(signer, 'toggleDataMonetization', [enable]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/toggle-data-monetization`, action, { headers: { Authorization: `Bearer ${token}` } });
     toast.success(`Data monetization ${enable ? 'enabled' : 'disabled'}`);
-    fetchDataStatus();
   };
 
+  // Pays out everything accrued so far
   const claimDataReward = async () => {
-    const signature = await signer.signMessage('Claim Data Reward');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/claim-data-reward`, { signature }, { headers: { Authorization: `Bearer ${token}` } });
-    toast.success('Data reward claimed');
-    fetchDataStatus();
+    try {
+      const action = sponsored
+        ? await signUserOp(signer, token, [rewardsCall('claimRewards')])
+        : await signIntent(signer, 'claimRewards', [], REWARDS);
+      await axios.post(`${process.env.REACT_APP_API_URL}/claim-data-reward`, action, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success('Data reward claimed');
+      fetchDataStatus();
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const claimAIAnalysis = async (aiAnalysisId) => {
+    try {
+      const intent = await signIntent(signer, 'assignAISymptomAnalysis', [aiAnalysisId, await signer.getAddress()]);
+      await axios.post(`${process.env.REACT_APP_API_URL}/ai-analysis/${aiAnalysisId}/claim`, intent, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success('AI analysis claimed');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
   };
 
-  const reviewAIAnalysis = async (aiAnalysisId, analysisIpfsHash) => {
-    const signature = await signer.signMessage('Review AI Analysis');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/review-ai-analysis`, { aiAnalysisId, analysisIpfsHash, signature }, { headers: { Authorization: `Bearer ${token}` } });
+  // The review's CID goes on-chain; the backend records the agreement and follow-ups for the patient. A lab test
+  // follow-up is ordered straight away
+  const reviewAIAnalysis = async (analysis, reviewCid, review) => {
+    const intent = await signIntent(signer, 'reviewAISymptomAnalysis', [analysis.id, reviewCid]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/review-ai-analysis`, { ...intent, ...review }, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('AI analysis reviewed');
-    fetchData();
+    const labTest = review.followUp.find(({ action }) => action === 'orderLabTest');
+    if (labTest) await orderLabTest({ patientAddress: analysis.patient, testType: labTest.testType });
   };
 
+  // With a lab chosen, the new order is assigned to it straight away
   const orderLabTest = async (values) => {
-    const signature = await signer.signMessage('Order Lab Test');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/order-lab-test`, { ...values, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const intent = await signIntent(signer, 'orderLabTest', [values.patientAddress, values.testType]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/order-lab-test`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Lab test ordered');
-    fetchData();
+    if (values.labAddress) await assignLabTest(data.labTestId, values.labAddress);
+  };
+
+  const assignLabTest = async (labTestId, labTech) => {
+    try {
+      const intent = await signIntent(signer, 'assignLabTest', [labTestId, labTech]);
+      await axios.post(`${process.env.REACT_APP_API_URL}/assign-lab-test`, intent, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success('Lab assigned');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  // Lab files are encrypted with the patient's data key, so the lab needs access shared by the patient
+  const uploadLabFile = async (test, file, submit) => {
+    try {
+      await submit(test.id, await uploadEncrypted(signer, token, test.patient, await file.arrayBuffer()));
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
   };
 
   const collectSample = async (labTestId, ipfsHash) => {
-    const signature = await signer.signMessage('Collect Sample');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/collect-sample`, { labTestId, ipfsHash, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const intent = await signIntent(signer, 'collectSample', [labTestId, ipfsHash]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/collect-sample`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Sample collected');
-    fetchData();
   };
 
-  const uploadLabResults = async (labTestId, resultsIpfsHash) => {
-    const signature = await signer.signMessage('Upload Lab Results');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/upload-lab-results`, { labTestId, resultsIpfsHash, signature }, { headers: { Authorization: `Bearer ${token}` } });
+  const logCustody = async (labTestId, stage) => {
+    try {
+      await axios.post(`${process.env.REACT_APP_API_URL}/lab-tests/${labTestId}/custody`, { stage }, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success(`Sample ${CUSTODY_LABELS[stage].toLowerCase()}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  const rejectSample = async (labTestId, reason) => {
+    try {
+      const intent = await signIntent(signer, 'rejectSample', [labTestId]);
+      await axios.post(`${process.env.REACT_APP_API_URL}/reject-sample`, { ...intent, reason }, { headers: { Authorization: `Bearer ${token}` } });
+      toast.success('Sample rejected for recollection');
+    } catch (error) {
+      toast.error(error.response?.data?.error || error.message);
+    }
+  };
+
+  // Catalog orders send their results along for the backend to check against the encrypted document's
+  const uploadLabResults = async (labTestId, resultsIpfsHash, results = {}) => {
+    const intent = await signIntent(signer, 'uploadLabResults', [labTestId, resultsIpfsHash]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/upload-lab-results`, { ...intent, ...results }, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Results uploaded');
-    fetchData();
   };
 
-  const reviewLabResults = async (labTestId, medicationDetails, prescriptionIpfsHash) => {
-    const signature = await signer.signMessage('Review Lab Results');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/review-lab-results`, { labTestId, medicationDetails, prescriptionIpfsHash, signature }, { headers: { Authorization: `Bearer ${token}` } });
+  // Reviewing results does not prescribe; prescriptions are issued from an appointment
+  const reviewLabResults = async (labTestId) => {
+    const intent = await signIntent(signer, 'reviewLabResults', [labTestId]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/review-lab-results`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Results reviewed');
-    fetchData();
   };
 
-  const verifyPrescription = async (prescriptionId, verificationCodeHash) => {
-    const signature = await signer.signMessage('Verify Prescription');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/verify-prescription`, { prescriptionId, verificationCodeHash, signature }, { headers: { Authorization: `Bearer ${token}` } });
+  // Only a salted commitment to the medication lines goes on-chain; the lines and salt go to the backend, which
+  // checks them against it, and into the encrypted document for the patient. The one-time code is generated here
+  // and only its hash is signed; the backend holds the code for the pharmacy that scans the patient's QR code
+  const issuePrescription = async (appointment, { medications, allergies, overrideReason }) => {
+    const lines = JSON.stringify(medications);
+    const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const verificationCode = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+    const cid = await uploadEncrypted(signer, token, appointment.patient, JSON.stringify({ appointmentId: appointment.id, medications, salt }));
+    const intent = await signIntent(signer, 'issuePrescription', [appointment.id, commitMedications(lines, salt), cid, ethers.utils.keccak256(verificationCode)]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/issue-prescription`, {
+      ...intent, medications: lines, salt, allergies, overrideReason, verificationCode
+    }, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success(`Prescription ${data.prescriptionId} issued`);
+  };
+
+  const cancelPrescription = async (prescriptionId) => {
+    const intent = await signIntent(signer, 'cancelPrescription', [prescriptionId]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/cancel-prescription`, intent, { headers: { Authorization: `Bearer ${token}` } });
+    toast.success('Prescription cancelled');
+  };
+
+  const verifyPrescription = async (prescriptionId, verificationCode) => {
+    const intent = await signIntent(signer, 'verifyPrescription', [prescriptionId, verificationCode]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/verify-prescription`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Prescription verified');
-    fetchData();
   };
 
   const fulfillPrescription = async (prescriptionId) => {
-    const signature = await signer.signMessage('Fulfill Prescription');
-    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/fulfill-prescription`, { prescriptionId, signature }, { headers: { Authorization: `Bearer ${token}` } });
+    const intent = await signIntent(signer, 'fulfillPrescription', [prescriptionId]);
+    const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/fulfill-prescription`, intent, { headers: { Authorization: `Bearer ${token}` } });
     toast.success('Prescription fulfilled');
-    fetchData();
   };
 
   return (
     <div className="container mx-auto p-4">
-      <h1 className="text-2xl mb-4">Telemedicine System</h1>
-      <select onChange={(e) => setRole(e.target.value)} className="mb-4 p-2 border">
+      <div className="flex justify-between items-center mb-4">
+        <h1 className="text-2xl">Telemedicine System</h1>
+        <button onClick={onLogout} className="bg-gray-500 text-white p-2 rounded">Log Out</button>
+      </div>
+      <select onChange={(e) => selectRole(e.target.value)} className="mb-4 p-2 border">
         <option value="patient">Patient</option>
         <option value="doctor">Doctor</option>
         <option value="labTech">Lab Technician</option>
         <option value="pharmacy">Pharmacy</option>
+        <option value="researcher">Researcher</option>
       </select>
+      <NotificationSettings token={token} />
 
       {role === 'patient' && (
         <>
-          <Formik initialValues={{ doctorAddress: '', timestamp: '', paymentType: 0, isVideoCall: false, videoCallLink: '' }} validationSchema={appointmentSchema} onSubmit={bookAppointment}>
+          {smartAccount && (
+            <div className="mb-4 p-4 border">
+              <p>Smart Account: {smartAccount.address}</p>
+              {smartAccount.deployed
+                ? <label><input type="checkbox" checked={sponsored} onChange={(e) => setSponsored(e.target.checked)} /> Gasless (sponsored) mode</label>
+                : <button onClick={registerSmartAccount} className="bg-blue-500 text-white p-2 rounded">Register Smart Account (gasless)</button>}
+            </div>
+          )}
+          <DoctorDirectory token={token} onSelect={setSelectedDoctor} />
+          <Formik initialValues={{ doctorAddress: selectedDoctor, timestamp: '', paymentType: 0, isVideoCall: false, videoCallLink: '' }} enableReinitialize validationSchema={appointmentSchema} onSubmit={bookAppointment}>
             {({ isSubmitting, values }) => (
               <Form className="space-y-4">
                 <div><Field name="doctorAddress" placeholder="Doctor Address" className="w-full p-2 border" /><ErrorMessage name="doctorAddress" component="div" className="text-red-500" /></div>
-                <div><Field name="timestamp" type="number" placeholder="Timestamp" className="w-full p-2 border" /><ErrorMessage name="timestamp" component="div" className="text-red-500" /></div>
+                <div><SlotPicker token={token} doctor={values.doctorAddress} /><ErrorMessage name="timestamp" component="div" className="text-red-500" /></div>
                 <div><Field name="paymentType" as="select" className="w-full p-2 border"><option value={0}>ETH</option><option value={1}>USDC</option><option value={2}>SONIC</option></Field></div>
                 <div><Field name="isVideoCall" type="checkbox" /><label>Video Call</label></div>
                 {values.isVideoCall && <div><Field name="videoCallLink" placeholder="Video Call Link" className="w-full p-2 border" /><ErrorMessage name="videoCallLink" component="div" className="text-red-500" /></div>}
+                <BookingQuote token={token} />
                 <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Book Appointment</button>
               </Form>
             )}
           </Formik>
-          <Formik initialValues={{ symptoms: '' }} validationSchema={aiSchema} onSubmit={analyzeSymptoms}>
-            {({ isSubmitting }) => (
-              <Form className="space-y-4 mt-4">
-                <div><Field name="symptoms" placeholder="Symptoms" className="w-full p-2 border" /><ErrorMessage name="symptoms" component="div" className="text-red-500" /></div>
-                <button type="submit" disabled={isSubmitting} className="bg-green-500 text-white p-2 rounded">Analyze Symptoms</button>
-              </Form>
-            )}
-          </Formik>
+          <SymptomChecker signer={signer} token={token} patient={patientAddress} sponsored={sponsored} onAnalyzed={fetchData} />
+          <MedicalHistory signer={signer} token={token} patient={patientAddress} sponsored={sponsored} />
+          <ConsentManager signer={signer} token={token} patient={patientAddress} sponsored={sponsored} />
+          <FileAccess signer={signer} token={token} patient={patientAddress} />
+          <DataStudies signer={signer} token={token} patient={patientAddress} sponsored={sponsored} />
           <div className="mt-4">
             <h2 className="text-xl">Data Monetization</h2>
             <p>Data Sharing: {dataStatus.dataSharing ? 'Enabled' : 'Disabled'}</p>
-            <p>Last Reward: {new Date(dataStatus.lastRewardTimestamp * 1000).toLocaleString()}</p>
+            <p>Rewards Accrued: {ethers.utils.formatEther(dataStatus.rewards.accrued)} SONIC</p>
+            <p>Rewards Claimed: {ethers.utils.formatEther(dataStatus.rewards.claimed)} SONIC</p>
             <button onClick={() => toggleDataMonetization(!dataStatus.dataSharing)} className="bg-yellow-500 text-white p-2 rounded mt-2">
               {dataStatus.dataSharing ? 'Disable' : 'Enable'} Data Sharing
             </button>
-            <button onClick={claimDataReward} className="bg-green-500 text-white p-2 rounded mt-2 ml-2">Claim Reward</button>
+            {dataStatus.rewards.claimable !== '0' && (
+              <button onClick={claimDataReward} className="bg-green-500 text-white p-2 rounded mt-2 ml-2">
+                Claim {ethers.utils.formatEther(dataStatus.rewards.claimable)} SONIC
+              </button>
+            )}
           </div>
+          {payouts.currencies.some(p => p.withdrawable !== '0') && (
+            <div className="mt-4">
+              <h2 className="text-xl">Refunds</h2>
+              {payouts.currencies.filter(p => p.withdrawable !== '0').map(p => (
+                <p key={p.currency}>
+                  {formatAmount(p.withdrawable, p.decimals)} {p.currency}
+                  <button onClick={() => withdraw(p.token)} className="bg-green-500 text-white p-2 rounded ml-2">Withdraw</button>
+                </p>
+              ))}
+            </div>
+          )}
+          {appointments.map(apt => (
+            <div key={apt.id} className="p-4 border mt-2">
+              <p>Appointment {apt.id} with {apt.doctor}</p>
+              <p>{new Date(apt.scheduledTimestamp * 1000).toLocaleString()} · {APPOINTMENT_STATUSES[apt.status]}</p>
+              {apt.videoCallLink && <a href={apt.videoCallLink} target="_blank" className="text-blue-500">Join Video Call</a>}
+              {appointmentControls(apt)}
+              {[1, 2].includes(apt.status) && <EncounterNotes signer={signer} token={token} appointment={apt} canWrite={false} />}
+              {apt.status === 2 && (
+                <Formik initialValues={{ stars: 5, comment: '' }} onSubmit={(values) => rateAppointment(apt.id, values)}>
+                  {({ isSubmitting }) => (
+                    <Form className="inline-flex space-x-2 mt-2">
+                      <Field name="stars" as="select" className="p-2 border">{[5, 4, 3, 2, 1].map(n => <option key={n} value={n}>{'★'.repeat(n)}</option>)}</Field>
+                      <Field name="comment" placeholder="Comment" className="p-2 border" />
+                      <button type="submit" disabled={isSubmitting} className="bg-yellow-500 text-white p-2 rounded">Rate</button>
+                    </Form>
+                  )}
+                </Formik>
+              )}
+            </div>
+          ))}
+          {labTests.map(test => (
+            <div key={test.id} className="p-4 border mt-2">
+              <p>Lab Test {test.id} ({labTestName(test)}) · {LAB_TEST_STATUSES[test.status]}</p>
+              {test.status >= 2 && <LabResults signer={signer} token={token} test={test} />}
+            </div>
+          ))}
+          {aiAnalyses.map(ai => (
+            <div key={ai.id} className="p-4 border mt-2">
+              <AIAnalysisStatus signer={signer} token={token} patient={patientAddress} sponsored={sponsored} analysis={ai} onBook={setSelectedDoctor} />
+            </div>
+          ))}
+          {prescriptions.map(pres => (
+            <div key={pres.id} className="p-4 border mt-2">
+              <p>Prescription {pres.id} · {PRESCRIPTION_STATUSES[pres.status]}</p>
+              <PrescriptionDetails token={token} prescription={pres} />
+              {pres.status === 0 && (qrCodes[pres.id]
+                ? (
+                  <div className="mt-2">
+                    <img src={qrCodes[pres.id].qrCode} alt="Prescription QR code" />
+                    <p className="text-sm">One scan, until {new Date(qrCodes[pres.id].expiresAt * 1000).toLocaleTimeString()}</p>
+                    <button onClick={() => showQRCode(pres.id)} className="bg-gray-500 text-white p-2 rounded mt-2">New QR Code</button>
+                  </div>
+                )
+                : <button onClick={() => showQRCode(pres.id)} className="bg-yellow-500 text-white p-2 rounded mt-2">Show QR for Pharmacy</button>)}
+            </div>
+          ))}
         </>
       )}
 
       {role === 'doctor' && (
         <>
-          <Formik initialValues={{ patientAddress: '', testType: '' }} validationSchema={labTestSchema} onSubmit={orderLabTest}>
+          <Formik initialValues={{ fee: '' }} validationSchema={feeSchema} onSubmit={setConsultationFee}>
+            {({ isSubmitting }) => (
+              <Form className="space-y-4 mb-4">
+                <div><Field name="fee" type="number" step="0.01" placeholder="Consultation Fee (USD)" className="w-full p-2 border" /><ErrorMessage name="fee" component="div" className="text-red-500" /></div>
+                <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Set Fee</button>
+              </Form>
+            )}
+          </Formik>
+          <Formik initialValues={{ patientAddress: '', testType: '', labAddress: '' }} validationSchema={labTestSchema} onSubmit={orderLabTest}>
             {({ isSubmitting }) => (
               <Form className="space-y-4">
                 <div><Field name="patientAddress" placeholder="Patient Address" className="w-full p-2 border" /><ErrorMessage name="patientAddress" component="div" className="text-red-500" /></div>
-                <div><Field name="testType" placeholder="Test Type" className="w-full p-2 border" /><ErrorMessage name="testType" component="div" className="text-red-500" /></div>
+                <div><LabTestPicker token={token} /><ErrorMessage name="testType" component="div" className="text-red-500" /></div>
+                <div><Field name="labAddress" placeholder="Lab Address (optional)" className="w-full p-2 border" /><ErrorMessage name="labAddress" component="div" className="text-red-500" /></div>
                 <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Order Lab Test</button>
               </Form>
             )}
           </Formik>
+          <ProfileEditor token={token} account={account} />
+          <AvailabilityEditor token={token} />
+          <div className="mt-4">
+            <h2 className="text-xl">Earnings</h2>
+            <p className="text-sm">Pending fees are held in escrow until appointments settle, net of the {payouts.platformFeeBps / 100}% platform fee.</p>
+            <table className="w-full mt-2">
+              <thead>
+                <tr><th className="text-left">Currency</th><th className="text-left">Pending</th><th className="text-left">Withdrawable</th><th /></tr>
+              </thead>
+              <tbody>
+                {payouts.currencies.map(p => (
+                  <tr key={p.currency}>
+                    <td>{p.currency}</td>
+                    <td>{formatAmount(p.pending, p.decimals)}</td>
+                    <td>{formatAmount(p.withdrawable, p.decimals)}</td>
+                    <td>{p.withdrawable !== '0' && <button onClick={() => withdraw(p.token)} className="bg-green-500 text-white p-2 rounded">Withdraw</button>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
           {appointments.map(apt => (
-            <div key={apt[0]} className="p-4 border mt-2">
-              <p>ID: {apt[0]}</p>
-              <p>Status: {['Pending', 'Confirmed', 'Completed', 'Cancelled', 'Emergency'][apt[4]]}</p>
-              {apt[7] && <a href={apt[7]} target="_blank" className="text-blue-500">Join Video Call</a>}
-              {apt[4] === 0 && <button onClick={() => confirmAppointment(apt[0])} className="bg-green-500 text-white p-2 rounded mt-2">Confirm</button>}
+            <div key={apt.id} className="p-4 border mt-2">
+              <p>ID: {apt.id}</p>
+              <p>Status: {APPOINTMENT_STATUSES[apt.status]}</p>
+              {apt.videoCallLink && <a href={apt.videoCallLink} target="_blank" className="text-blue-500">Join Video Call</a>}
+              {apt.status === 0 && <button onClick={() => confirmAppointment(apt.id)} className="bg-green-500 text-white p-2 rounded mt-2">Confirm</button>}
+              {apt.status === 1 && <button onClick={() => completeAppointment(apt.id)} className="bg-blue-500 text-white p-2 rounded mt-2">Complete</button>}
+              {appointmentControls(apt)}
+              {[1, 2].includes(apt.status) && <EncounterNotes signer={signer} token={token} appointment={apt} canWrite />}
+              {[1, 2].includes(apt.status) && <PrescriptionForm token={token} appointment={apt} onIssue={issuePrescription} />}
             </div>
           ))}
-          {aiAnalyses.map(ai => !ai[4] && (
-            <div key={ai[0]} className="p-4 border mt-2">
-              <p>ID: {ai[0]}</p>
-              <p>Symptoms: {ai[2]}</p>
-              <button onClick={() => reviewAIAnalysis(ai[0], 'ipfs-hash')} className="bg-yellow-500 text-white p-2 rounded">Review AI Analysis</button>
+          {prescriptions.map(pres => (
+            <div key={pres.id} className="p-4 border mt-2">
+              <p>Prescription {pres.id} · {PRESCRIPTION_STATUSES[pres.status]}</p>
+              <PrescriptionDetails token={token} prescription={pres} />
+              {[0, 1].includes(pres.status) && <button onClick={() => cancelPrescription(pres.id)} className="bg-red-500 text-white p-2 rounded mt-2">Cancel Prescription</button>}
             </div>
           ))}
-          {labTests.map(test => test[4] === 2 && (
-            <div key={test[0]} className="p-4 border mt-2">
-              <p>ID: {test[0]}</p>
-              <button onClick={() => reviewLabResults(test[0], 'Medication Details', 'prescription-ipfs-hash')} className="bg-blue-500 text-white p-2 rounded">Review Results</button>
+          {aiAnalyses.map(ai => (
+            <div key={ai.id} className="p-4 border mt-2">
+              <p>ID: {ai.id}</p>
+              <AIAnalysisReview signer={signer} token={token} analysis={ai} onClaim={claimAIAnalysis} onReview={reviewAIAnalysis} />
+            </div>
+          ))}
+          {labTests.map(test => test.status < 3 && (
+            <div key={test.id} className="p-4 border mt-2">
+              <p>ID: {test.id} ({labTestName(test)}) · {LAB_TEST_STATUSES[test.status]}{test.order?.overdue ? ' · overdue' : ''}</p>
+              {test.status === 0 && (
+                <Formik initialValues={{ labTech: /^0x0{40}$/.test(test.labTech) ? '' : test.labTech }} enableReinitialize validationSchema={Yup.object({ labTech: Yup.string().matches(/^0x[a-fA-F0-9]{40}$/, 'Invalid address').required() })} onSubmit={({ labTech }) => assignLabTest(test.id, labTech)}>
+                  {({ isSubmitting }) => (
+                    <Form className="inline-flex space-x-2 mt-2">
+                      <Field name="labTech" placeholder="Lab Address" className="p-2 border" />
+                      <button type="submit" disabled={isSubmitting} className="bg-blue-500 text-white p-2 rounded">Assign Lab</button>
+                      <ErrorMessage name="labTech" component="div" className="text-red-500" />
+                    </Form>
+                  )}
+                </Formik>
+              )}
+              <CustodyTrail custody={test.custody} />
+              {test.status === 2 && (
+                <>
+                  {test.order?.abnormal?.length > 0 && <p className="text-red-600 font-bold">{test.order.abnormal.length} abnormal result(s)</p>}
+                  <LabResults signer={signer} token={token} test={test} />
+                  <button onClick={() => reviewLabResults(test.id)} className="bg-blue-500 text-white p-2 rounded">Review Results</button>
+                </>
+              )}
             </div>
           ))}
         </>
       )}
 
-      {role === 'labTech' && labTests.map(test => (
-        <div key={test[0]} className="p-4 border mt-2">
-          <p>ID: {test[0]}</p>
-          <p>Status: {['Requested', 'Collected', 'ResultsUploaded', 'Reviewed'][test[4]]}</p>
-          {test[4] === 0 && <button onClick={() => collectSample(test[0], 'ipfs-hash')} className="bg-green-500 text-white p-2 rounded">Collect Sample</button>}
-          {test[4] === 1 && <button onClick={() => uploadLabResults(test[0], 'results-ipfs-hash')} className="bg-green-500 text-white p-2 rounded">Upload Results</button>}
+      {role === 'labTech' && labTests.map(test => !test.patient ? (
+        <div key={test.id} className="p-4 border mt-2">
+          <p>ID: {test.id} · ordered {new Date(test.orderedTimestamp * 1000).toLocaleString()}</p>
+          <p>Waiting for the doctor to send it to a lab</p>
         </div>
-      ))}
-
-      {role === 'pharmacy' && prescriptions.map(pres => (
-        <div key={pres[0]} className="p-4 border mt-2">
-          <p>ID: {pres[0]}</p>
-          <p>Status: {['Generated', 'Verified', 'Fulfilled'][pres[6]]}</p>
-          {pres[6] === 0 && (
-            <>
-              <QRCode value={JSON.stringify({ id: pres[0].toString(), verificationCodeHash: ethers.utils.hexlify(pres[3]) })} />
-              <button onClick={() => verifyPrescription(pres[0], pres[3])} className="bg-yellow-500 text-white p-2 rounded mt-2">Verify</button>
-            </>
+      ) : (
+        <div key={test.id} className="p-4 border mt-2">
+          <p>ID: {test.id} ({labTestName(test)})</p>
+          <p>Status: {LAB_TEST_STATUSES[test.status]}</p>
+          {test.order && (
+            <p className={test.order.overdue ? 'text-sm text-red-600' : 'text-sm'}>
+              Specimen: {[...new Set(test.order.tests.map(t => t.specimen))].join(', ')} · due {new Date(test.order.dueAt * 1000).toLocaleString()}{test.order.overdue ? ' (overdue)' : ''}
+            </p>
           )}
-          {pres[6] === 1 && <button onClick={() => fulfillPrescription(pres[0])} className="bg-green-500 text-white p-2 rounded">Fulfill</button>}
+          <CustodyTrail custody={test.custody} />
+          {test.status === 0 && <label>Sample record{test.custody.length ? ' (recollection)' : ''}: <input type="file" onChange={(e) => e.target.files[0] && uploadLabFile(test, e.target.files[0], collectSample)} /></label>}
+          {test.status === 1 && <CustodyActions test={test} onLog={logCustody} onReject={rejectSample} />}
+          {test.status === 1 && (!test.custody.length || test.custody[test.custody.length - 1].stage === 'processed') && (test.order
+            ? <LabResultsForm signer={signer} token={token} test={test} onSubmit={uploadLabResults} />
+            : <label>Results: <input type="file" onChange={(e) => e.target.files[0] && uploadLabFile(test, e.target.files[0], uploadLabResults)} /></label>)}
         </div>
       ))}
+
+      {role === 'pharmacy' && (
+        <>
+          <PrescriptionScanner token={token} onVerify={verifyPrescription} />
+          {prescriptions.map(pres => (
+            <div key={pres.id} className="p-4 border mt-2">
+              <p>ID: {pres.id}</p>
+              <p>Status: {PRESCRIPTION_STATUSES[pres.status]}</p>
+              <PrescriptionDetails token={token} prescription={pres} />
+              {pres.status === 1 && <PrescriptionFills token={token} prescription={pres} onFulfill={fulfillPrescription} />}
+            </div>
+          ))}
+        </>
+      )}
+
+      {role === 'researcher' && <ResearcherConsole signer={signer} token={token} />}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center gap-2 mt-4">
+          <button onClick={() => setPage(page - 1)} disabled={page === 0} className="p-2 border rounded">Previous</button>
+          <span>Page {page + 1} of {Math.ceil(total / PAGE_SIZE)}</span>
+          <button onClick={() => setPage(page + 1)} disabled={(page + 1) * PAGE_SIZE >= total} className="p-2 border rounded">Next</button>
+        </div>
+      )}
     </div>
   );
 };
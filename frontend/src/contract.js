@@ -0,0 +1,61 @@
+// Human-readable ABI of the TelemedicineSystem functions the UI calls or encodes
+export const TELEMEDICINE_ABI = [
+  'function registerPatient(string encryptedSymmetricKey)',
+  'function verifyDoctor(address doctor, string licenseNumber, uint256 fee)',
+  'function verifyLabTechnician(address labTech, string licenseNumber)',
+  'function registerPharmacy(address pharmacy, string licenseNumber)',
+  'function bookAppointment(address doctor, uint48 timestamp, uint8 paymentType, bool isVideoCall, string videoCallLink, uint256 maxAmount) payable',
+  'function setConsultationFee(uint256 fee)',
+  'function confirmAppointment(uint256 appointmentId)',
+  'function completeAppointment(uint256 appointmentId)',
+  'function cancelAppointment(uint256 appointmentId)',
+  'function rescheduleAppointment(uint256 appointmentId, uint48 timestamp)',
+  'function markNoShow(uint256 appointmentId)',
+  'function requestAISymptomAnalysis(bytes32 symptomsHash)',
+  'function updateMedicalHistory(bytes32 medicalHistoryHash)',
+  'function assignAISymptomAnalysis(uint256 aiAnalysisId, address doctor)',
+  'function reviewAISymptomAnalysis(uint256 aiAnalysisId, string analysisIpfsHash)',
+  'function orderLabTest(address patient, string testType)',
+  'function assignLabTest(uint256 labTestId, address labTech)',
+  'function collectSample(uint256 labTestId, string ipfsHash)',
+  'function rejectSample(uint256 labTestId)',
+  'function uploadLabResults(uint256 labTestId, string resultsIpfsHash)',
+  'function reviewLabResults(uint256 labTestId)',
+  'function issuePrescription(uint256 appointmentId, string medicationDetails, string prescriptionIpfsHash, bytes32 verificationCodeHash)',
+  'function cancelPrescription(uint256 prescriptionId)',
+  'function verifyPrescription(uint256 prescriptionId, bytes32 verificationCode)',
+  'function fulfillPrescription(uint256 prescriptionId)',
+  'function toggleDataMonetization(bool enable)',
+  'function doctors(address) view returns (bool isVerified, uint256 consultationFee, string licenseNumber)',
+  'function usdcToken() view returns (address)',
+  'function sonicToken() view returns (address)'
+];
+
+// TelemedicinePayments: escrowed fees are credited here and withdrawn per token (the zero address is ETH)
+export const PAYMENTS_ABI = [
+  'function withdraw(address token)'
+];
+
+// TelemedicineConsent: patients' time-limited grants to providers, per scope bitmask
+export const CONSENT_ABI = [
+  'function grantConsent(address provider, uint8 scopes, uint48 expiresAt)',
+  'function revokeConsent(address provider)'
+];
+
+// TelemedicineMarketplace: researchers' funded data requests; patients revoke contributions and withdraw earnings
+export const MARKETPLACE_ABI = [
+  'function createDataRequest(bytes32 termsHash, uint256 budget, uint48 deadline)',
+  'function cancelDataRequest(uint256 id)',
+  'function revokeContribution(uint256 id)',
+  'function withdrawEarnings()'
+];
+
+// TelemedicineRewards: data rewards accrued as patients' data is used, claimed by the patient
+export const REWARDS_ABI = [
+  'function claimRewards()'
+];
+
+export const ERC20_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
@@ -0,0 +1,70 @@
+import { ethers } from 'ethers';
+
+// End-to-end encryption of medical files. Every user's encryption key pair is derived from a wallet signature, so it
+// can be recreated on any device and never leaves the browser. A patient's files are encrypted with an AES-256-GCM
+// data key; the data key is wrapped (ECIES: secp256k1 ECDH, HKDF-SHA256, AES-GCM) for the patient and for each
+// doctor, lab or pharmacy they share it with. The backend and IPFS only ever see ciphertext.
+
+const KEY_MESSAGE = 'Telemedicine encryption key\n\nSigning this recreates the key that decrypts your medical files. Only sign it in the Telemedicine app.';
+const WRAP_INFO = new TextEncoder().encode('telemedicine/key-wrap/v1');
+
+const keyPairs = new Map(); // address => SigningKey, for this session
+
+const toBase64 = (bytes) => {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i += 0x8000) binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+export const encryptionKeyPair = async (signer) => {
+  const address = await signer.getAddress();
+  if (!keyPairs.has(address)) {
+    const signature = await signer.signMessage(KEY_MESSAGE);
+    keyPairs.set(address, new ethers.utils.SigningKey(ethers.utils.keccak256(signature)));
+  }
+  return keyPairs.get(address);
+};
+
+export const publicEncryptionKey = async (signer) => (await encryptionKeyPair(signer)).compressedPublicKey;
+
+// AES-GCM key from an ECDH shared secret, bound to the ephemeral public key
+const wrappingKey = async (sharedSecret, ephemeralPublicKey, usage) => {
+  const secret = await crypto.subtle.importKey('raw', ethers.utils.arrayify(sharedSecret), 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: ethers.utils.arrayify(ephemeralPublicKey), info: WRAP_INFO },
+    secret, { name: 'AES-GCM', length: 256 }, false, [usage]
+  );
+};
+
+export const generateDataKey = () => crypto.getRandomValues(new Uint8Array(32));
+
+// Wraps a raw data key for a recipient's public key; the result is the JSON string the backend stores
+export const wrapKey = async (dataKey, recipientPublicKey) => {
+  const ephemeral = new ethers.utils.SigningKey(ethers.utils.randomBytes(32));
+  const key = await wrappingKey(ephemeral.computeSharedSecret(recipientPublicKey), ephemeral.compressedPublicKey, 'encrypt');
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, dataKey);
+  return JSON.stringify({ v: 1, epk: ephemeral.compressedPublicKey, iv: toBase64(iv), ct: toBase64(ct) });
+};
+
+export const unwrapKey = async (wrapped, keyPair) => {
+  const { epk, iv, ct } = JSON.parse(wrapped);
+  const key = await wrappingKey(keyPair.computeSharedSecret(epk), epk, 'decrypt');
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ct)));
+};
+
+const contentKey = (dataKey, usage) => crypto.subtle.importKey('raw', dataKey, 'AES-GCM', false, [usage]);
+
+// Encrypts file contents (bytes or text) into the envelope the backend accepts for IPFS
+export const encryptFile = async (contents, dataKey, patient, keyVersion) => {
+  const bytes = typeof contents === 'string' ? new TextEncoder().encode(contents) : new Uint8Array(contents);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await contentKey(dataKey, 'encrypt'), bytes);
+  return { v: 1, patient, keyVersion, iv: toBase64(iv), ct: toBase64(ct) };
+};
+
+export const decryptFile = async (envelope, dataKey) => new Uint8Array(await crypto.subtle.decrypt(
+  { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, await contentKey(dataKey, 'decrypt'), fromBase64(envelope.ct)
+));
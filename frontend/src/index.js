@@ -1,56 +1,113 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import { ethers } from 'ethers';
+import { SiweMessage } from 'siwe';
+
+const LOGIN_TTL = 10 * 60 * 1000;
+
+// Seconds until the access token's `exp` claim
+const tokenLifetime = (accessToken) => JSON.parse(atob(accessToken.split('.')[1])).exp - Date.now() / 1000;
 
 const Root = () => {
   const [account, setAccount] = useState(null);
   const [signer, setSigner] = useState(null);
   const [token, setToken] = useState(null);
+  const [refreshToken, setRefreshToken] = useState(null);
+  const [signedOut, setSignedOut] = useState(false);
 
-  useEffect(() => {
-    const connectWallet = async () => {
-      if (window.ethereum) {
-        try {
-          // Request account access
-          const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-          const provider = new ethers.providers.Web3Provider(window.ethereum);
-          const signer = provider.getSigner();
-          const address = accounts[0];
+  const connectWallet = useCallback(async () => {
+    setSignedOut(false);
+    if (window.ethereum) {
+      try {
+        // Request account access
+        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
+        const provider = new ethers.providers.Web3Provider(window.ethereum);
+        const signer = provider.getSigner();
+        const address = ethers.utils.getAddress(accounts[0]);
 
-          setAccount(address);
-          setSigner(signer);
+        setAccount(address);
+        setSigner(signer);
 
-          // Simulate login to get JWT (replace with actual backend call)
-          const message = 'Telemedicine Login';
-          const signature = await signer.signMessage(message);
-          const response = await fetch(`${process.env.REACT_APP_API_URL}/login`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ address, signature }),
-          });
-          const data = await response.json();
-          setToken(data.token);
-        } catch (error) {
-          console.error('Wallet connection failed:', error);
-        }
-      } else {
-        console.error('Please install MetaMask!');
+        // Sign-In with Ethereum (EIP-4361) using a one-time server nonce
+        const { nonce, chainId } = await (await fetch(`${process.env.REACT_APP_API_URL}/nonce`)).json();
+        const message = new SiweMessage({
+          domain: window.location.host,
+          address,
+          statement: 'Sign in to the Telemedicine System',
+          uri: window.location.origin,
+          version: '1',
+          chainId,
+          nonce,
+          issuedAt: new Date().toISOString(),
+          expirationTime: new Date(Date.now() + LOGIN_TTL).toISOString()
+        }).prepareMessage();
+        const signature = await signer.signMessage(message);
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/login`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ message, signature }),
+        });
+        if (!response.ok) throw new Error('Login rejected');
+        const data = await response.json();
+        setToken(data.accessToken);
+        setRefreshToken(data.refreshToken);
+      } catch (error) {
+        console.error('Wallet connection failed:', error);
+        setSignedOut(true);
       }
-    };
+    } else {
+      console.error('Please install MetaMask!');
+    }
+  }, []);
 
+  useEffect(() => {
     connectWallet();
-  }, []);
+  }, [connectWallet]);
+
+  // Rotate the token pair a minute before the access token expires
+  useEffect(() => {
+    if (!token || !refreshToken) return;
+    const timer = setTimeout(async () => {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!response.ok) {
+        setToken(null);
+        setRefreshToken(null);
+        setSignedOut(true);
+        return;
+      }
+      const data = await response.json();
+      setToken(data.accessToken);
+      setRefreshToken(data.refreshToken);
+    }, Math.max(tokenLifetime(token) - 60, 0) * 1000);
+    return () => clearTimeout(timer);
+  }, [token, refreshToken]);
+
+  const logout = useCallback(async () => {
+    await fetch(`${process.env.REACT_APP_API_URL}/logout`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    setToken(null);
+    setRefreshToken(null);
+    setSignedOut(true);
+  }, [token]);
 
   if (!account || !signer || !token) {
-    return <div>Loading wallet...</div>;
+    return signedOut
+      ? <button onClick={connectWallet} className="bg-blue-500 text-white p-2 rounded m-4">Sign In with Ethereum</button>
+      : <div>Loading wallet...</div>;
   }
 
   return (
     <React.StrictMode>
-      <App account={account} signer={signer} token={token} />
+      <App account={account} signer={signer} token={token} onLogout={logout} />
       <ToastContainer 
         position="top-right"
         autoClose={5000}
@@ -0,0 +1,56 @@
+import { ethers } from 'ethers';
+import { TELEMEDICINE_ABI, PAYMENTS_ABI, CONSENT_ABI, MARKETPLACE_ABI, REWARDS_ABI } from './contract';
+
+const CHAIN_ID = 64165; // Sonic Testnet
+const REQUEST_TTL = 5 * 60;
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+const forwarderDomain = {
+  name: 'TelemedicineForwarder',
+  version: '1',
+  chainId: CHAIN_ID,
+  verifyingContract: process.env.REACT_APP_FORWARDER_ADDRESS
+};
+
+// Contracts that honour the forwarder
+export const TELEMEDICINE = { address: process.env.REACT_APP_CONTRACT_ADDRESS, abi: new ethers.utils.Interface(TELEMEDICINE_ABI) };
+export const PAYMENTS = { address: process.env.REACT_APP_PAYMENTS_ADDRESS, abi: new ethers.utils.Interface(PAYMENTS_ABI) };
+export const CONSENT = { address: process.env.REACT_APP_CONSENT_ADDRESS, abi: new ethers.utils.Interface(CONSENT_ABI) };
+export const MARKETPLACE = { address: process.env.REACT_APP_MARKETPLACE_ADDRESS, abi: new ethers.utils.Interface(MARKETPLACE_ABI) };
+export const REWARDS = { address: process.env.REACT_APP_REWARDS_ADDRESS, abi: new ethers.utils.Interface(REWARDS_ABI) };
+
+// Signs an ERC-2771 forward request for a call to `target` (TelemedicineSystem by default); the backend relays it
+// under the signer's address
+export const signIntent = async (signer, functionName, args = [], target = TELEMEDICINE) => {
+  const from = await signer.getAddress();
+  const forwarder = new ethers.Contract(forwarderDomain.verifyingContract, ['function getNonce(address) view returns (uint256)'], signer);
+  const data = target.abi.encodeFunctionData(functionName, args);
+  // Estimate as the forwarder would call it: calldata followed by the original sender
+  const gas = await signer.provider.estimateGas({
+    from: forwarderDomain.verifyingContract,
+    to: target.address,
+    data: ethers.utils.hexConcat([data, from])
+  });
+  const request = {
+    from,
+    to: target.address,
+    value: 0,
+    gas: gas.mul(12).div(10).toString(),
+    nonce: (await forwarder.getNonce(from)).toString(),
+    deadline: Math.floor(Date.now() / 1000) + REQUEST_TTL,
+    data
+  };
+  const signature = await signer._signTypedData(forwarderDomain, FORWARD_REQUEST_TYPES, request);
+  return { request, signature };
+};
@@ -0,0 +1,74 @@
+import axios from 'axios';
+import { encryptionKeyPair, generateDataKey, wrapKey, unwrapKey, encryptFile, decryptFile } from './encryption';
+
+// Key management and encrypted IPFS files on top of the backend keyring. `owner` is the wallet that decrypts;
+// `patient` is the address the patient's records live under (their wallet or smart account).
+
+const IPFS_GATEWAY = process.env.REACT_APP_IPFS_GATEWAY || 'https://ipfs.io/ipfs';
+const api = (token) => ({ baseURL: process.env.REACT_APP_API_URL, headers: { Authorization: `Bearer ${token}` } });
+const dataKeys = new Map(); // `${patient}:${version}` => raw data key, for this session
+
+// Publishes the wallet's encryption public key so patients can share their data key with it
+export const publishEncryptionKey = async (signer, token) => {
+  const { compressedPublicKey } = await encryptionKeyPair(signer);
+  await axios.put('/keys/public', { publicKey: compressedPublicKey }, api(token));
+};
+
+const publicKeyOf = async (token, address) => (await axios.get(`/keys/public/${address}`, api(token))).data.publicKey;
+
+// Starts a new key version wrapped for the patient and `recipients`, revoking `revoke`; returns the patient's own
+// wrapped copy, which registration also stores on-chain as the encryptedSymmetricKey
+const rotate = async (signer, token, patient, recipients = [], revoke = []) => {
+  const owner = await signer.getAddress();
+  const dataKey = generateDataKey();
+  const wraps = { [owner]: await wrapKey(dataKey, (await encryptionKeyPair(signer)).compressedPublicKey) };
+  for (const recipient of recipients) wraps[recipient] = await wrapKey(dataKey, await publicKeyOf(token, recipient));
+  const { data } = await axios.post(`/keys/${patient}/rotate`, { wraps, revoke }, api(token));
+  dataKeys.set(`${patient}:${data.version}`, dataKey);
+  return wraps[owner];
+};
+
+export const createPatientKey = (signer, token, patient) => rotate(signer, token, patient);
+
+// The data key for `version` (the newest the caller holds by default), unwrapped with the caller's key pair
+export const patientDataKey = async (signer, token, patient, version) => {
+  const { data } = await axios.get(`/keys/${patient}`, api(token));
+  const grant = version ? data.grants.find(g => g.version === version) : data.grants[0];
+  if (!grant) throw new Error('No access to this patient\'s files');
+  const cacheKey = `${patient}:${grant.version}`;
+  if (!dataKeys.has(cacheKey)) dataKeys.set(cacheKey, await unwrapKey(grant.wrappedKey, await encryptionKeyPair(signer)));
+  return { dataKey: dataKeys.get(cacheKey), version: grant.version };
+};
+
+// Encrypts under the patient's current key version and stores the ciphertext on IPFS; returns the CID
+export const uploadEncrypted = async (signer, token, patient, contents) => {
+  const { dataKey, version } = await patientDataKey(signer, token, patient);
+  const envelope = await encryptFile(contents, dataKey, patient, version);
+  return (await axios.post('/files', envelope, api(token))).data.cid;
+};
+
+export const openEncrypted = async (signer, token, cid) => {
+  const envelope = (await axios.get(`${IPFS_GATEWAY}/${cid}`)).data;
+  const { dataKey } = await patientDataKey(signer, token, envelope.patient, envelope.keyVersion);
+  return decryptFile(envelope, dataKey);
+};
+
+// Gives a doctor, lab or pharmacy every key version the patient holds, so they can read past and future files
+export const shareAccess = async (signer, token, patient, recipient) => {
+  const keyPair = await encryptionKeyPair(signer);
+  const recipientKey = await publicKeyOf(token, recipient);
+  const { data } = await axios.get(`/keys/${patient}`, api(token));
+  const wraps = {};
+  for (const grant of data.grants) wraps[grant.version] = await wrapKey(await unwrapKey(grant.wrappedKey, keyPair), recipientKey);
+  await axios.post(`/keys/${patient}/share`, { recipient, wraps }, api(token));
+};
+
+// Rotates to a new key the revoked recipient never receives
+export const revokeAccess = async (signer, token, patient, recipient) => {
+  const owner = (await signer.getAddress()).toLowerCase();
+  const { data } = await axios.get(`/keys/${patient}/recipients`, api(token));
+  const remaining = data.recipients.filter(r => r !== owner && r !== recipient.toLowerCase());
+  await rotate(signer, token, patient, remaining, [recipient]);
+};
+
+export const accessRecipients = async (token, patient) => (await axios.get(`/keys/${patient}/recipients`, api(token))).data;
@@ -0,0 +1,74 @@
+const MAX_RETRY_MS = 30 * 1000;
+
+// The backend's notification socket shares the API's host
+export const NOTIFICATIONS_URL = (process.env.REACT_APP_API_URL || '').replace(/^http/, 'ws');
+
+// Live workflow events for the signed-in user. The socket authenticates with the access token, is re-authenticated
+// with each refreshed one, and reconnects with backoff, naming the last sequence number seen so that missed events
+// are replayed; `onResync` is called when they no longer can be and the caller should reload.
+export const connectNotifications = ({ token, roles, onEvent, onResync }) => {
+  const current = { token, roles };
+  let socket;
+  let lastSeq = null;
+  let retries = 0;
+  let timer;
+  let closed = false;
+
+  const send = (message) => socket?.readyState === WebSocket.OPEN && socket.send(JSON.stringify(message));
+
+  const connect = () => {
+    socket = new WebSocket(NOTIFICATIONS_URL);
+    socket.onopen = () => {
+      retries = 0;
+      send({ type: 'auth', token: current.token, roles: current.roles, lastSeq });
+    };
+    socket.onmessage = (e) => {
+      const message = JSON.parse(e.data);
+      if (message.type === 'ready') {
+        if (lastSeq === null) lastSeq = message.seq;
+      } else if (message.type === 'resync') {
+        lastSeq = message.seq;
+        onResync();
+      } else if (message.seq > lastSeq) {
+        // Replays may repeat what already arrived live
+        lastSeq = message.seq;
+        onEvent(message);
+      }
+    };
+    socket.onclose = () => {
+      if (closed) return;
+      timer = setTimeout(connect, Math.min(1000 * 2 ** retries++, MAX_RETRY_MS));
+    };
+  };
+
+  connect();
+  return {
+    authenticate: (newToken) => {
+      current.token = newToken;
+      send({ type: 'auth', token: newToken });
+    },
+    follow: (newRoles) => {
+      current.roles = newRoles;
+      send({ type: 'subscribe', roles: newRoles });
+    },
+    close: () => {
+      closed = true;
+      clearTimeout(timer);
+      socket.close();
+    }
+  };
+};
+
+const base64UrlBytes = (value) => {
+  const base64 = (value + '='.repeat((4 - (value.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+};
+
+// Subscribes this browser to web push with the backend's VAPID public key; public/push-worker.js shows what arrives
+export const subscribeToPush = async (publicKey) => {
+  if (!('serviceWorker' in navigator) || !('PushManager' in window)) throw new Error('This browser does not support notifications');
+  if (await Notification.requestPermission() !== 'granted') throw new Error('Notifications are blocked for this site');
+  const registration = await navigator.serviceWorker.register('/push-worker.js');
+  const subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlBytes(publicKey) });
+  return subscription.toJSON();
+};
@@ -0,0 +1,47 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { TELEMEDICINE_ABI, PAYMENTS_ABI, CONSENT_ABI, MARKETPLACE_ABI, REWARDS_ABI, ERC20_ABI } from './contract';
+
+const telemedicine = new ethers.utils.Interface(TELEMEDICINE_ABI);
+const payments = new ethers.utils.Interface(PAYMENTS_ABI);
+const consent = new ethers.utils.Interface(CONSENT_ABI);
+const marketplace = new ethers.utils.Interface(MARKETPLACE_ABI);
+const rewards = new ethers.utils.Interface(REWARDS_ABI);
+const erc20 = new ethers.utils.Interface(ERC20_ABI);
+
+export const telemedicineCall = (functionName, args = []) => ({
+  target: process.env.REACT_APP_CONTRACT_ADDRESS,
+  data: telemedicine.encodeFunctionData(functionName, args)
+});
+
+export const paymentsCall = (functionName, args = []) => ({
+  target: process.env.REACT_APP_PAYMENTS_ADDRESS,
+  data: payments.encodeFunctionData(functionName, args)
+});
+
+export const consentCall = (functionName, args = []) => ({
+  target: process.env.REACT_APP_CONSENT_ADDRESS,
+  data: consent.encodeFunctionData(functionName, args)
+});
+
+export const marketplaceCall = (functionName, args = []) => ({
+  target: process.env.REACT_APP_MARKETPLACE_ADDRESS,
+  data: marketplace.encodeFunctionData(functionName, args)
+});
+
+export const rewardsCall = (functionName, args = []) => ({
+  target: process.env.REACT_APP_REWARDS_ADDRESS,
+  data: rewards.encodeFunctionData(functionName, args)
+});
+
+export const approveCall = (tokenAddress, amount) => ({
+  target: tokenAddress,
+  data: erc20.encodeFunctionData('approve', [process.env.REACT_APP_CONTRACT_ADDRESS, amount])
+});
+
+// Has the backend build a paymaster-sponsored UserOperation for the patient's smart account, then signs it as the owner
+export const signUserOp = async (signer, token, calls) => {
+  const { data } = await axios.post(`${process.env.REACT_APP_API_URL}/user-operations/prepare`, { calls }, { headers: { Authorization: `Bearer ${token}` } });
+  const signature = await signer.signMessage(ethers.utils.arrayify(data.userOpHash));
+  return { userOp: { ...data.userOp, signature } };
+};